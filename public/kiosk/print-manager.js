@@ -1,13 +1,16 @@
 // ============================================
 // FLOWMATIC PRINT MANAGER - HYBRID MODE
 // ============================================
-// Supports both QZ Tray and Browser printing
+// Supports QZ Tray, Browser and Server (network ESC/POS) printing
 // Set USE_QZ_TRAY to false to use browser printing
+// printer.method = server hands slips to the server's print queue
 
 class PrintManager {
     constructor() {
         // CONFIGURATION - Set to false to use browser printing
         this.USE_QZ_TRAY = false; // Changed to false for browser printing
+        this.USE_SERVER_PRINT = false; // Set from printer.method = server
+        this.kioskId = this.resolveKioskId();
         
         this.config = {
             printerName: 'TM-T82III', // Your printer name in CUPS
@@ -23,7 +26,12 @@ class PrintManager {
         // Load settings from server (optional)
         await this.loadSettings();
         
-        if (this.USE_QZ_TRAY) {
+        if (this.USE_SERVER_PRINT) {
+            console.log('✅ Server printing mode enabled for kiosk', this.kioskId);
+            this.connected = true;
+            this.showStatus('info', 'Using network printer');
+            return true;
+        } else if (this.USE_QZ_TRAY) {
             // Check if QZ Tray library is loaded
             if (typeof qz === 'undefined') {
                 console.error('❌ QZ Tray library not loaded. Falling back to browser print.');
@@ -65,6 +73,34 @@ class PrintManager {
         } catch (error) {
             console.warn('Could not load settings, using defaults:', error);
         }
+
+        // Public kiosk endpoint: decides whether the server prints slips
+        try {
+            const response = await fetch('/api/kiosk/printer-config');
+            if (response.ok) {
+                const printerConfig = await response.json();
+                this.USE_SERVER_PRINT = printerConfig.method === 'server';
+                if (printerConfig.paperWidth) {
+                    this.config.paperWidth = printerConfig.paperWidth;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load printer config, using defaults:', error);
+        }
+    }
+
+    // Kiosk ID from ?kiosk=<id>, remembered so reloads keep the same printer
+    resolveKioskId() {
+        const fromUrl = new URLSearchParams(window.location.search).get('kiosk');
+        try {
+            if (fromUrl) {
+                localStorage.setItem('flowmatic.kioskId', fromUrl);
+                return fromUrl;
+            }
+            return localStorage.getItem('flowmatic.kioskId') || 'default';
+        } catch (error) {
+            return fromUrl || 'default';
+        }
     }
 
     async connectToQZ() {
@@ -107,13 +143,67 @@ class PrintManager {
     async printTicket(ticketData) {
         console.log('🖨️ Print request for ticket:', ticketData);
         
-        if (this.USE_QZ_TRAY) {
+        if (this.USE_SERVER_PRINT) {
+            return await this.printWithServer(ticketData);
+        } else if (this.USE_QZ_TRAY) {
             return await this.printWithQZ(ticketData);
         } else {
             return await this.printWithBrowser(ticketData);
         }
     }
 
+    async printWithServer(ticketData) {
+        try {
+            const response = await fetch('/api/kiosk/print-ticket', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    kioskId: this.kioskId,
+                    ticketId: ticketData.ticketId
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Print request failed');
+            }
+
+            const job = await this.waitForPrintJob(result.job);
+            if (job.state === 'printed') {
+                console.log('✅ Ticket printed on network printer, job', job.id);
+                this.showStatus('success', 'Ticket printed successfully');
+                return true;
+            }
+            if (job.state === 'failed') {
+                throw new Error(job.lastError || 'Printer did not respond');
+            }
+
+            // Still queued: the server keeps retrying, so do not print a second copy here
+            console.warn('⏳ Print job still pending:', job);
+            this.showStatus('warning', 'Printer busy - your ticket will print shortly');
+            return true;
+        } catch (error) {
+            console.error('❌ Server print failed:', error);
+            this.showStatus('error', `Print failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Poll the job until it prints, fails for good, or the kiosk stops waiting
+    async waitForPrintJob(job, timeoutMs = 10000) {
+        const deadline = Date.now() + timeoutMs;
+        let current = job;
+
+        while (['queued', 'printing'].includes(current.state) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const response = await fetch(`/api/kiosk/print-jobs/${current.id}`);
+            if (!response.ok) {
+                break;
+            }
+            current = (await response.json()).job;
+        }
+        return current;
+    }
+
     async printWithQZ(ticketData) {
         // Ensure we're connected
         if (!this.connected) {
@@ -128,8 +218,9 @@ class PrintManager {
             // Create printer config
             const config = qz.configs.create(this.config.printerName);
             
-            // Format ticket with ESC/POS commands
-            const data = this.formatTicketDataForQZ(ticketData);
+            // ESC/POS bytes rendered by the server from the slip template
+            const slip = await this.fetchSlip(ticketData, 'escpos');
+            const data = [{ type: 'raw', format: 'command', flavor: 'base64', data: slip.data }];
             
             // Send to printer
             await qz.print(config, data);
@@ -149,8 +240,8 @@ class PrintManager {
 
     async printWithBrowser(ticketData) {
         try {
-            // Create print content
-            const printContent = this.formatTicketHTML(ticketData);
+            // Slip page rendered by the server from the slip template
+            const printContent = (await this.fetchSlip(ticketData, 'html')).html;
             
             // Create a hidden iframe for printing
             const printFrame = document.createElement('iframe');
@@ -164,6 +255,7 @@ class PrintManager {
             printDocument.open();
             printDocument.write(printContent);
             printDocument.close();
+            this.drawSlipQRCodes(printDocument);
             
             // Wait for content to load
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -188,143 +280,32 @@ class PrintManager {
         }
     }
 
-    formatTicketHTML(ticketData) {
-        // Format ticket for browser printing
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Ticket ${ticketData.number}</title>
-    <style>
-        @page {
-            size: ${this.config.paperWidth}mm 297mm;
-            margin: 0;
-        }
-        body {
-            margin: 0;
-            padding: 5mm;
-            font-family: 'Courier New', monospace;
-            font-size: 12pt;
-            width: ${this.config.paperWidth - 10}mm;
-        }
-        .header {
-            text-align: center;
-            font-size: 16pt;
-            font-weight: bold;
-            margin-bottom: 5mm;
-        }
-        .ticket-number {
-            text-align: center;
-            font-size: 48pt;
-            font-weight: bold;
-            margin: 10mm 0;
-            line-height: 1;
-        }
-        .divider {
-            border-top: 2px dashed #000;
-            margin: 5mm 0;
-        }
-        .info {
-            margin: 3mm 0;
-            font-size: 11pt;
-        }
-        .info-label {
-            font-weight: bold;
+    // One layout for every print mode: the server renders the configured slip template
+    async fetchSlip(ticketData, format) {
+        const response = await fetch('/api/kiosk/slip', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ticketData, format, kioskId: this.kioskId })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not render ticket slip');
         }
-        .footer {
-            text-align: center;
-            margin-top: 10mm;
-            font-size: 10pt;
-        }
-        @media print {
-            body {
-                width: ${this.config.paperWidth - 10}mm;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="header">FLOWMATIC QUEUE</div>
-    <div class="divider"></div>
-    
-    <div class="ticket-number">${ticketData.number}</div>
-    
-    <div class="divider"></div>
-    
-    <div class="info">
-        <span class="info-label">Service:</span> ${ticketData.service}
-    </div>
-    <div class="info">
-        <span class="info-label">Est. Wait:</span> ${ticketData.wait}
-    </div>
-    <div class="info">
-        <span class="info-label">Position:</span> #${ticketData.position} in queue
-    </div>
-    <div class="info">
-        <span class="info-label">Time:</span> ${ticketData.created}
-    </div>
-    
-    <div class="divider"></div>
-    
-    <div class="footer">
-        Please wait for your number<br>
-        to be called<br><br>
-        Thank you!
-    </div>
-</body>
-</html>
-        `;
+        return result;
     }
 
-    formatTicketDataForQZ(ticketData) {
-        // ESC/POS commands for thermal printer (QZ Tray)
-        const ESC = '\x1B';
-        const GS = '\x1D';
-        
-        // Build ticket layout
-        const commands = [
-            // Initialize printer
-            ESC + '@',
-            
-            // Center alignment
-            ESC + 'a' + '\x01',
-            
-            // Double height/width for header
-            ESC + '!' + '\x30',
-            'FLOWMATIC QUEUE\n',
-            
-            // Normal text
-            ESC + '!' + '\x00',
-            '================================\n',
-            
-            // Extra large for ticket number
-            ESC + '!' + '\x38',
-            `${ticketData.number}\n`,
-            
-            // Normal text
-            ESC + '!' + '\x00',
-            '================================\n',
-            
-            // Left alignment for details
-            ESC + 'a' + '\x00',
-            `Service: ${ticketData.service}\n`,
-            `Wait Time: ${ticketData.wait}\n`,
-            `Queue Position: ${ticketData.position}\n`,
-            `Time: ${ticketData.created}\n`,
-            '================================\n',
-            
-            // Center alignment for footer
-            ESC + 'a' + '\x01',
-            'Please wait for your number\n',
-            'Thank you!\n\n',
-            
-            // Feed and cut
-            ESC + 'd' + '\x05',  // Feed 5 lines
-            GS + 'V' + '\x00'    // Full cut
-        ];
-        
-        return commands;
+    // The slip page marks QR codes with data-qr; without the QR library
+    // the link stays printed as text
+    drawSlipQRCodes(printDocument) {
+        if (typeof qrcode !== 'function') {
+            return;
+        }
+        printDocument.querySelectorAll('[data-qr]').forEach((element) => {
+            const qr = qrcode(0, 'M');
+            qr.addData(element.dataset.qr);
+            qr.make();
+            element.insertAdjacentHTML('afterbegin', qr.createSvgTag(3, 0));
+        });
     }
 
     showStatus(type, message) {
@@ -345,7 +326,8 @@ class PrintManager {
     // Get printer information
     getPrinterInfo() {
         return {
-            mode: this.USE_QZ_TRAY ? 'QZ Tray' : 'Browser Print',
+            mode: this.USE_SERVER_PRINT ? 'Server Print' : (this.USE_QZ_TRAY ? 'QZ Tray' : 'Browser Print'),
+            kioskId: this.kioskId,
             connected: this.connected,
             printerName: this.config.printerName,
             paperWidth: this.config.paperWidth + 'mm',
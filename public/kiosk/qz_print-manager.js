@@ -103,8 +103,8 @@ class PrintManager {
             // Create printer config
             const config = qz.configs.create(this.config.printerName);
             
-            // Format ticket with ESC/POS commands
-            const data = this.formatTicketData(ticketData);
+            // ESC/POS bytes rendered by the server from the slip template
+            const data = await this.formatTicketData(ticketData);
             
             // Send to printer
             await qz.print(config, data);
@@ -125,54 +125,17 @@ class PrintManager {
         }
     }
 
-    formatTicketData(ticketData) {
-        // ESC/POS commands for thermal printer
-        const ESC = '\x1B';
-        const GS = '\x1D';
-        
-        // Build ticket layout
-        const commands = [
-            // Initialize printer
-            ESC + '@',
-            
-            // Center alignment
-            ESC + 'a' + '\x01',
-            
-            // Double height/width for header
-            ESC + '!' + '\x30',
-            'FLOWMATIC QUEUE\n',
-            
-            // Normal text
-            ESC + '!' + '\x00',
-            '================================\n',
-            
-            // Extra large for ticket number
-            ESC + '!' + '\x38',
-            `${ticketData.number}\n`,
-            
-            // Normal text
-            ESC + '!' + '\x00',
-            '================================\n',
-            
-            // Left alignment for details
-            ESC + 'a' + '\x00',
-            `Service: ${ticketData.service}\n`,
-            `Wait Time: ${ticketData.wait}\n`,
-            `Queue Position: ${ticketData.position}\n`,
-            `Time: ${ticketData.created}\n`,
-            '================================\n',
-            
-            // Center alignment for footer
-            ESC + 'a' + '\x01',
-            'Please wait for your number\n',
-            'Thank you!\n\n',
-            
-            // Feed and cut
-            ESC + 'd' + '\x05',  // Feed 5 lines
-            GS + 'V' + '\x00'    // Full cut
-        ];
-        
-        return commands;
+    async formatTicketData(ticketData) {
+        const response = await fetch('/api/kiosk/slip', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ticketData, format: 'escpos' })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not render ticket slip');
+        }
+        return [{ type: 'raw', format: 'command', flavor: 'base64', data: result.data }];
     }
 
     showStatus(type, message) {
@@ -36,15 +36,8 @@ async function emitTicketCalled(ticket, counter, agent) {
             username: agent.username
         };
 
-        // Broadcast the event
+        // Broadcast the event (the voice announcement follows from it)
         broadcaster.broadcastTicketCalled(io, ticketData, counterData, agentData);
-        
-        // Also broadcast voice announcement if enabled
-        const settings = await db.getSettings();
-        if (settings['feature.voice_announcements'] === 'true') {
-            const language = settings['config.default_language'] || 'en';
-            broadcaster.broadcastVoiceAnnouncement(io, ticketData, counterData, language);
-        }
     } catch (error) {
         console.error('❌ Error emitting ticket-called:', error.message);
     }
@@ -0,0 +1,127 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const document = require('./openapi');
+const handlers = require('./resources');
+const { validateRequest } = require('./validation');
+const { authenticateApiKey, SCOPES } = require('../../services/apiKeys');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+const ERROR_CODES = {
+    400: 'validation_failed',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    429: 'rate_limited',
+    500: 'internal_error'
+};
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function sendError(res, status, message, details) {
+    res.status(status).json({
+        error: {
+            code: ERROR_CODES[status] || 'error',
+            message,
+            ...(details ? { details } : {})
+        }
+    });
+}
+
+// Limits are counted per key, so integrators behind one NAT do not share them
+const keyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 300,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `api-key-${req.apiKey.id}`,
+    handler: (req, res) => sendError(res, 429, 'Too many requests. Please try again shortly.')
+});
+
+function requireApiKey(scope) {
+    return async (req, res, next) => {
+        try {
+            const apiKey = await authenticateApiKey(req.get('X-API-Key'));
+            if (!apiKey) {
+                sendError(res, 401, 'A valid API key is required in the X-API-Key header');
+                return;
+            }
+            if (!apiKey.scopes.includes(scope)) {
+                sendError(res, 403, `This API key lacks the ${scope} scope`);
+                return;
+            }
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+function validate(operation) {
+    return (req, res, next) => {
+        const result = validateRequest(operation, req);
+        if (result.errors) {
+            sendError(res, 400, 'The request is invalid', result.errors);
+            return;
+        }
+        req.validated = result;
+        next();
+    };
+}
+
+function handle(operation) {
+    const handler = handlers[operation.operationId];
+
+    return async (req, res) => {
+        try {
+            const result = await handler({
+                ...req.validated,
+                apiKey: req.apiKey,
+                io: req.app.get('io')
+            });
+
+            if (result.raw) {
+                res.json(result.raw);
+                return;
+            }
+            res.status(result.status || 200).json({
+                data: result.data,
+                ...(result.meta ? { meta: result.meta } : {})
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                logger.error({ err: error, operationId: operation.operationId }, 'API v1 request failed');
+            }
+            sendError(res, status, status === 500 ? 'Internal server error' : error.message);
+        }
+    };
+}
+
+// Register every operation in the document: auth, then schema validation, then the handler
+Object.entries(document.paths).forEach(([path, item]) => {
+    const expressPath = path.replace(/\{(\w+)\}/g, ':$1');
+
+    HTTP_METHODS.filter((method) => item[method]).forEach((method) => {
+        const operation = item[method];
+        if (!handlers[operation.operationId]) {
+            throw new Error(`No API v1 handler for ${operation.operationId}`);
+        }
+
+        const security = operation.security || document.security;
+        const middleware = security.length
+            ? [requireApiKey(operation['x-required-scope'] || SCOPES.READ), keyLimiter]
+            : [];
+
+        router[method](expressPath, ...middleware, validate(operation), handle(operation));
+    });
+});
+
+router.use((req, res) => {
+    sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+module.exports = router;
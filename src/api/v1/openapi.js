@@ -0,0 +1,419 @@
+/**
+ * OpenAPI description of /api/v1. The router is built from this document:
+ * every operationId maps to a handler, and parameters and request bodies
+ * are validated against the schemas below before the handler runs.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const idParameter = (name, description) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'integer', minimum: 1 }
+});
+
+const pageParameters = [
+    {
+        name: 'limit',
+        in: 'query',
+        description: 'Page size',
+        schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+    },
+    {
+        name: 'offset',
+        in: 'query',
+        description: 'Items to skip',
+        schema: { type: 'integer', minimum: 0, default: 0 }
+    }
+];
+
+const dataResponse = (description, schema) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                required: ['data'],
+                properties: { data: schema }
+            }
+        }
+    }
+});
+
+const listResponse = (description, itemSchema, paged = false) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                required: ['data'],
+                properties: {
+                    data: { type: 'array', items: itemSchema },
+                    ...(paged ? { meta: ref('PageMeta') } : {})
+                }
+            }
+        }
+    }
+});
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+const standardErrors = {
+    401: errorResponse('Missing or invalid API key'),
+    403: errorResponse('API key lacks the required scope'),
+    429: errorResponse('Rate limit exceeded')
+};
+
+const TICKET_STATES = ['waiting', 'called', 'serving', 'completed', 'parked', 'recycled', 'no_show'];
+const COUNTER_STATES = ['offline', 'available', 'serving', 'break'];
+
+const document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'FlowMatic Queue API',
+        version: '1.0.0',
+        description:
+            'Integration API for services, tickets, counters, agents and live queues. ' +
+            'Send an API key issued under Admin > API keys in the X-API-Key header. ' +
+            'Customer phone numbers and email addresses are only returned to keys with the `tickets:pii` scope. ' +
+            'Successful responses wrap their payload in `data`; errors use `error.code` and `error.message`.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ ApiKeyAuth: [] }],
+    tags: [
+        { name: 'Services' },
+        { name: 'Queues' },
+        { name: 'Tickets' },
+        { name: 'Counters' },
+        { name: 'Agents' },
+        { name: 'Meta' }
+    ],
+    paths: {
+        '/openapi.json': {
+            get: {
+                operationId: 'getOpenApiDocument',
+                tags: ['Meta'],
+                summary: 'This document',
+                security: [],
+                responses: {
+                    200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } }
+                }
+            }
+        },
+        '/services': {
+            get: {
+                operationId: 'listServices',
+                tags: ['Services'],
+                summary: 'List services with their current queue length and wait estimate',
+                parameters: [
+                    {
+                        name: 'active',
+                        in: 'query',
+                        description: 'Only active (true) or inactive (false) services',
+                        schema: { type: 'boolean' }
+                    }
+                ],
+                responses: { 200: listResponse('Services', ref('Service')), ...standardErrors }
+            }
+        },
+        '/services/{serviceId}': {
+            get: {
+                operationId: 'getService',
+                tags: ['Services'],
+                summary: 'One service',
+                parameters: [idParameter('serviceId', 'Service ID')],
+                responses: {
+                    200: dataResponse('Service', ref('Service')),
+                    404: errorResponse('Service not found'),
+                    ...standardErrors
+                }
+            }
+        },
+        '/queues': {
+            get: {
+                operationId: 'listQueues',
+                tags: ['Queues'],
+                summary: 'Live queue of every active service',
+                responses: { 200: listResponse('Queues', ref('Queue')), ...standardErrors }
+            }
+        },
+        '/queues/{serviceId}': {
+            get: {
+                operationId: 'getQueue',
+                tags: ['Queues'],
+                summary: 'Live queue of one service, in call order',
+                parameters: [idParameter('serviceId', 'Service ID')],
+                responses: {
+                    200: dataResponse('Queue', ref('Queue')),
+                    404: errorResponse('Service not found'),
+                    ...standardErrors
+                }
+            }
+        },
+        '/tickets': {
+            get: {
+                operationId: 'listTickets',
+                tags: ['Tickets'],
+                summary: "Today's tickets, newest first",
+                parameters: [
+                    {
+                        name: 'state',
+                        in: 'query',
+                        description: 'Filter by state',
+                        schema: { type: 'string', enum: TICKET_STATES }
+                    },
+                    {
+                        name: 'serviceId',
+                        in: 'query',
+                        description: 'Filter by service',
+                        schema: { type: 'integer', minimum: 1 }
+                    },
+                    ...pageParameters
+                ],
+                responses: { 200: listResponse('Tickets', ref('Ticket'), true), ...standardErrors }
+            },
+            post: {
+                operationId: 'createTicket',
+                tags: ['Tickets'],
+                summary: 'Issue a ticket, as the kiosk does',
+                'x-required-scope': 'tickets:write',
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: ref('TicketCreate') } }
+                },
+                responses: {
+                    201: dataResponse('Issued ticket', ref('Ticket')),
+                    400: errorResponse('Invalid request'),
+                    404: errorResponse('Service not found or inactive'),
+                    409: errorResponse('Service ticket range exhausted'),
+                    ...standardErrors
+                }
+            }
+        },
+        '/tickets/{ticketId}': {
+            get: {
+                operationId: 'getTicket',
+                tags: ['Tickets'],
+                summary: 'One ticket, including archived tickets from earlier days',
+                parameters: [idParameter('ticketId', 'Ticket ID')],
+                responses: {
+                    200: dataResponse('Ticket', ref('Ticket')),
+                    404: errorResponse('Ticket not found'),
+                    ...standardErrors
+                }
+            }
+        },
+        '/counters': {
+            get: {
+                operationId: 'listCounters',
+                tags: ['Counters'],
+                summary: 'Counters with their state and current ticket',
+                responses: { 200: listResponse('Counters', ref('Counter')), ...standardErrors }
+            }
+        },
+        '/counters/{counterId}': {
+            get: {
+                operationId: 'getCounter',
+                tags: ['Counters'],
+                summary: 'One counter',
+                parameters: [idParameter('counterId', 'Counter ID')],
+                responses: {
+                    200: dataResponse('Counter', ref('Counter')),
+                    404: errorResponse('Counter not found'),
+                    ...standardErrors
+                }
+            }
+        },
+        '/agents': {
+            get: {
+                operationId: 'listAgents',
+                tags: ['Agents'],
+                summary: 'Agents with their assigned services and current counter',
+                responses: { 200: listResponse('Agents', ref('Agent')), ...standardErrors }
+            }
+        },
+        '/agents/{agentId}': {
+            get: {
+                operationId: 'getAgent',
+                tags: ['Agents'],
+                summary: 'One agent',
+                parameters: [idParameter('agentId', 'Agent ID')],
+                responses: {
+                    200: dataResponse('Agent', ref('Agent')),
+                    404: errorResponse('Agent not found'),
+                    ...standardErrors
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: { type: 'string', example: 'validation_failed' },
+                            message: { type: 'string' },
+                            details: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            PageMeta: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    offset: { type: 'integer' }
+                }
+            },
+            WaitEstimate: {
+                type: 'object',
+                properties: {
+                    seconds: { type: 'integer' },
+                    minutes: { type: 'integer' },
+                    lowMinutes: { type: 'integer' },
+                    highMinutes: { type: 'integer' },
+                    confidence: { type: 'string', enum: ['low', 'medium', 'high'] }
+                }
+            },
+            Service: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string' },
+                    prefix: { type: 'string' },
+                    description: { type: 'string', nullable: true },
+                    isActive: { type: 'boolean' },
+                    rangeStart: { type: 'integer' },
+                    rangeEnd: { type: 'integer' },
+                    estimatedServiceSeconds: { type: 'integer' },
+                    waiting: { type: 'integer' },
+                    serving: { type: 'integer' },
+                    estimatedWait: ref('WaitEstimate')
+                }
+            },
+            QueueEntry: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    number: { type: 'string' },
+                    position: { type: 'integer' },
+                    priority: { type: 'integer' },
+                    state: { type: 'string', enum: ['waiting', 'recycled'] },
+                    createdAt: { type: 'string' },
+                    estimatedWait: ref('WaitEstimate')
+                }
+            },
+            Queue: {
+                type: 'object',
+                properties: {
+                    serviceId: { type: 'integer' },
+                    serviceName: { type: 'string' },
+                    waiting: { type: 'integer' },
+                    serving: { type: 'integer' },
+                    nextTicketWait: ref('WaitEstimate'),
+                    tickets: { type: 'array', items: ref('QueueEntry') }
+                }
+            },
+            Customer: {
+                type: 'object',
+                description: 'phone and email are only present for API keys with the tickets:pii scope',
+                properties: {
+                    name: { type: 'string', nullable: true },
+                    phone: { type: 'string', nullable: true },
+                    email: { type: 'string', nullable: true }
+                }
+            },
+            Ticket: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    number: { type: 'string' },
+                    serviceId: { type: 'integer' },
+                    state: { type: 'string', enum: TICKET_STATES },
+                    priority: { type: 'integer', minimum: 0, maximum: 2 },
+                    position: { type: 'integer', nullable: true, description: 'Place in line while waiting' },
+                    estimatedWait: { allOf: [ref('WaitEstimate')], nullable: true },
+                    counterId: { type: 'integer', nullable: true },
+                    agentId: { type: 'integer', nullable: true },
+                    language: { type: 'string', nullable: true },
+                    customer: ref('Customer'),
+                    trackingUrl: { type: 'string', nullable: true },
+                    archived: { type: 'boolean' },
+                    createdAt: { type: 'string' },
+                    calledAt: { type: 'string', nullable: true },
+                    servedAt: { type: 'string', nullable: true },
+                    completedAt: { type: 'string', nullable: true }
+                }
+            },
+            TicketCreate: {
+                type: 'object',
+                required: ['serviceId'],
+                additionalProperties: false,
+                properties: {
+                    serviceId: { type: 'integer', minimum: 1 },
+                    priority: { type: 'integer', minimum: 0, maximum: 2, default: 0 },
+                    customerName: { type: 'string', maxLength: 120 },
+                    customerPhone: { type: 'string', maxLength: 30 },
+                    customerEmail: { type: 'string', format: 'email', maxLength: 180 },
+                    language: { type: 'string', pattern: '^[a-z]{2}$' }
+                }
+            },
+            Counter: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string' },
+                    number: { type: 'integer' },
+                    location: { type: 'string', nullable: true },
+                    isActive: { type: 'boolean' },
+                    state: { type: 'string', enum: COUNTER_STATES },
+                    breakReason: { type: 'string', nullable: true },
+                    breakUntil: { type: 'string', nullable: true },
+                    agentId: { type: 'integer', nullable: true },
+                    currentTicket: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            id: { type: 'integer' },
+                            number: { type: 'string' },
+                            serviceId: { type: 'integer' }
+                        }
+                    },
+                    serviceIds: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        description: 'Services this counter is restricted to; empty means all'
+                    }
+                }
+            },
+            Agent: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    username: { type: 'string' },
+                    name: { type: 'string' },
+                    role: { type: 'string', enum: ['agent', 'supervisor', 'admin'] },
+                    isActive: { type: 'boolean' },
+                    counterId: { type: 'integer', nullable: true },
+                    serviceIds: { type: 'array', items: { type: 'integer' } }
+                }
+            }
+        }
+    }
+};
+
+module.exports = document;
@@ -0,0 +1,340 @@
+const { all, get, withTransaction, getClient } = require('../../database/dbClient');
+const { getSettings } = require('../../database/db');
+const { logEvent, EventTypes } = require('../../database/events');
+const { issueTicket, announceIssuedTicket } = require('../../services/ticketIssuer');
+const { getQueueSnapshot } = require('../../services/queueSnapshot');
+const { buildTrackingUrl } = require('../../services/ticketTracking');
+const { SCOPES } = require('../../services/apiKeys');
+const logger = require('../../utils/logger');
+const document = require('./openapi');
+
+const WAITING_STATES = ['waiting', 'recycled'];
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function pickEstimate(estimate) {
+    if (!estimate) {
+        return null;
+    }
+    return {
+        seconds: estimate.seconds,
+        minutes: estimate.minutes,
+        lowMinutes: estimate.lowMinutes,
+        highMinutes: estimate.highMinutes,
+        confidence: estimate.confidence
+    };
+}
+
+function groupIds(rows, key, value) {
+    const groups = new Map();
+    rows.forEach((row) => {
+        if (!groups.has(row[key])) {
+            groups.set(row[key], []);
+        }
+        groups.get(row[key]).push(row[value]);
+    });
+    return groups;
+}
+
+// One queue snapshot per service per request
+function snapshotLoader() {
+    const snapshots = new Map();
+    return async (serviceId) => {
+        if (!snapshots.has(serviceId)) {
+            snapshots.set(serviceId, await getQueueSnapshot(getClient(), serviceId));
+        }
+        return snapshots.get(serviceId);
+    };
+}
+
+function serializeService(row, snapshot) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        description: row.description || null,
+        isActive: Boolean(row.is_active),
+        rangeStart: row.range_start,
+        rangeEnd: row.range_end,
+        estimatedServiceSeconds: row.estimated_service_time,
+        waiting: snapshot.waiting,
+        serving: snapshot.serving,
+        estimatedWait: pickEstimate(snapshot.estimate)
+    };
+}
+
+function serializeQueue(service, snapshot) {
+    return {
+        serviceId: service.id,
+        serviceName: service.name,
+        waiting: snapshot.waiting,
+        serving: snapshot.serving,
+        nextTicketWait: pickEstimate(snapshot.estimate),
+        tickets: snapshot.tickets.map((ticket, index) => ({
+            id: ticket.id,
+            number: ticket.ticketNumber,
+            position: index + 1,
+            priority: ticket.priority,
+            state: ticket.state,
+            createdAt: ticket.createdAt,
+            estimatedWait: pickEstimate(ticket.waitEstimate)
+        }))
+    };
+}
+
+function canReadPii(apiKey) {
+    return Boolean(apiKey?.scopes.includes(SCOPES.TICKETS_PII));
+}
+
+// Customer contact details are only included for keys with the tickets:pii scope
+async function serializeTicket(row, loadSnapshot, settings, { archived = false, pii = false } = {}) {
+    let position = null;
+    let estimate = null;
+
+    if (!archived && WAITING_STATES.includes(row.state)) {
+        const snapshot = await loadSnapshot(row.service_id);
+        const index = snapshot.tickets.findIndex((ticket) => ticket.id === row.id);
+        if (index >= 0) {
+            position = index + 1;
+            estimate = snapshot.tickets[index].waitEstimate;
+        }
+    }
+
+    return {
+        id: row.id,
+        number: row.ticket_number,
+        serviceId: row.service_id,
+        state: row.state,
+        priority: row.priority,
+        position,
+        estimatedWait: pickEstimate(estimate),
+        counterId: row.counter_id ?? null,
+        agentId: row.agent_id ?? null,
+        language: row.language || null,
+        customer: {
+            name: row.customer_name || null,
+            ...(pii
+                ? { phone: row.customer_phone || null, email: row.customer_email || null }
+                : {})
+        },
+        trackingUrl: row.tracking_token ? buildTrackingUrl(row.tracking_token, settings) : null,
+        archived,
+        createdAt: row.created_at,
+        calledAt: row.called_at || null,
+        servedAt: row.served_at || null,
+        completedAt: row.completed_at || null
+    };
+}
+
+function serializeCounter(row, serviceIds) {
+    return {
+        id: row.id,
+        name: row.name,
+        number: row.number,
+        location: row.location || null,
+        isActive: Boolean(row.is_active),
+        state: row.state || 'offline',
+        breakReason: row.break_reason || null,
+        breakUntil: row.break_until || null,
+        agentId: row.current_agent_id ?? null,
+        currentTicket: row.current_ticket_id
+            ? { id: row.current_ticket_id, number: row.current_ticket_number, serviceId: row.current_service_id }
+            : null,
+        serviceIds: serviceIds || []
+    };
+}
+
+function serializeAgent(row, serviceIds) {
+    return {
+        id: row.id,
+        username: row.username,
+        name: row.name,
+        role: row.role,
+        isActive: Boolean(row.is_active),
+        counterId: row.counter_id ?? null,
+        serviceIds: serviceIds || []
+    };
+}
+
+async function findService(serviceId) {
+    const service = await get('SELECT * FROM services WHERE id = ?', [serviceId]);
+    if (!service) {
+        throw httpError(404, 'Service not found');
+    }
+    return service;
+}
+
+async function findTicketRow(ticketId) {
+    const live = await get('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+    if (live) {
+        return { row: live, archived: false };
+    }
+    const archived = await get('SELECT * FROM ticket_archive WHERE id = ?', [ticketId]);
+    if (archived) {
+        return { row: archived, archived: true };
+    }
+    throw httpError(404, 'Ticket not found');
+}
+
+const COUNTER_QUERY = `SELECT c.*, t.ticket_number AS current_ticket_number, t.service_id AS current_service_id
+                       FROM counters c
+                       LEFT JOIN tickets t ON t.id = c.current_ticket_id`;
+
+const AGENT_QUERY = `SELECT a.id, a.username, a.name, a.role, a.is_active,
+                            (SELECT c.id FROM counters c WHERE c.current_agent_id = a.id LIMIT 1) AS counter_id
+                     FROM agents a`;
+
+/**
+ * Handlers keyed by operationId. Each receives the validated request and
+ * returns `{ data }` (plus `meta` for pages, `status` when not 200).
+ */
+const handlers = {
+    async getOpenApiDocument() {
+        return { raw: document };
+    },
+
+    async listServices({ query }) {
+        const rows = query.active === undefined
+            ? await all('SELECT * FROM services ORDER BY id')
+            : await all('SELECT * FROM services WHERE is_active = ? ORDER BY id', [query.active ? 1 : 0]);
+        const loadSnapshot = snapshotLoader();
+
+        const data = [];
+        for (const row of rows) {
+            data.push(serializeService(row, await loadSnapshot(row.id)));
+        }
+        return { data };
+    },
+
+    async getService({ params }) {
+        const service = await findService(params.serviceId);
+        return { data: serializeService(service, await getQueueSnapshot(getClient(), service.id)) };
+    },
+
+    async listQueues() {
+        const services = await all('SELECT id, name FROM services WHERE is_active = 1 ORDER BY id');
+        const data = [];
+        for (const service of services) {
+            data.push(serializeQueue(service, await getQueueSnapshot(getClient(), service.id)));
+        }
+        return { data };
+    },
+
+    async getQueue({ params }) {
+        const service = await findService(params.serviceId);
+        return { data: serializeQueue(service, await getQueueSnapshot(getClient(), service.id)) };
+    },
+
+    async listTickets({ query, apiKey }) {
+        const clauses = [];
+        const values = [];
+        if (query.state) {
+            clauses.push('state = ?');
+            values.push(query.state);
+        }
+        if (query.serviceId) {
+            clauses.push('service_id = ?');
+            values.push(query.serviceId);
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+        const [countRow, rows, settings] = await Promise.all([
+            get(`SELECT COUNT(*) AS total FROM tickets ${where}`, values),
+            all(`SELECT * FROM tickets ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...values, query.limit, query.offset]),
+            getSettings()
+        ]);
+
+        const loadSnapshot = snapshotLoader();
+        const data = [];
+        for (const row of rows) {
+            data.push(await serializeTicket(row, loadSnapshot, settings, { pii: canReadPii(apiKey) }));
+        }
+        return { data, meta: { total: countRow.total, limit: query.limit, offset: query.offset } };
+    },
+
+    async getTicket({ params, apiKey }) {
+        const { row, archived } = await findTicketRow(params.ticketId);
+        return {
+            data: await serializeTicket(row, snapshotLoader(), await getSettings(), { archived, pii: canReadPii(apiKey) })
+        };
+    },
+
+    async createTicket({ body, apiKey, io }) {
+        const trimmed = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        const payload = {
+            serviceId: body.serviceId,
+            priority: body.priority,
+            customerName: trimmed(body.customerName),
+            customerPhone: trimmed(body.customerPhone),
+            customerEmail: trimmed(body.customerEmail),
+            language: body.language || null
+        };
+
+        const result = await withTransaction((tx) => issueTicket(tx, payload));
+
+        await logEvent(EventTypes.TICKET_CREATED, 'ticket', result.ticket.id, {
+            ticketNumber: result.ticket.ticketNumber,
+            serviceId: result.ticket.serviceId,
+            serviceName: result.service.name,
+            customerName: result.ticket.customerName,
+            source: 'api',
+            apiKeyId: apiKey.id
+        }).catch((err) => logger.error({ err }, 'Event logging failed'));
+
+        announceIssuedTicket(io, result);
+
+        const { row } = await findTicketRow(result.ticket.id);
+        return {
+            status: 201,
+            data: await serializeTicket(row, snapshotLoader(), await getSettings(), { pii: canReadPii(apiKey) })
+        };
+    },
+
+    async listCounters() {
+        const [rows, restrictions] = await Promise.all([
+            all(`${COUNTER_QUERY} ORDER BY c.number, c.id`),
+            all('SELECT counter_id, service_id FROM counter_services ORDER BY service_id')
+        ]);
+        const services = groupIds(restrictions, 'counter_id', 'service_id');
+        return { data: rows.map((row) => serializeCounter(row, services.get(row.id))) };
+    },
+
+    async getCounter({ params }) {
+        const row = await get(`${COUNTER_QUERY} WHERE c.id = ?`, [params.counterId]);
+        if (!row) {
+            throw httpError(404, 'Counter not found');
+        }
+        const restrictions = await all(
+            'SELECT service_id FROM counter_services WHERE counter_id = ? ORDER BY service_id',
+            [row.id]
+        );
+        return { data: serializeCounter(row, restrictions.map((item) => item.service_id)) };
+    },
+
+    async listAgents() {
+        const [rows, assignments] = await Promise.all([
+            all(`${AGENT_QUERY} ORDER BY a.id`),
+            all('SELECT agent_id, service_id FROM agent_services ORDER BY priority, service_id')
+        ]);
+        const services = groupIds(assignments, 'agent_id', 'service_id');
+        return { data: rows.map((row) => serializeAgent(row, services.get(row.id))) };
+    },
+
+    async getAgent({ params }) {
+        const row = await get(`${AGENT_QUERY} WHERE a.id = ?`, [params.agentId]);
+        if (!row) {
+            throw httpError(404, 'Agent not found');
+        }
+        const assignments = await all(
+            'SELECT service_id FROM agent_services WHERE agent_id = ? ORDER BY priority, service_id',
+            [row.id]
+        );
+        return { data: serializeAgent(row, assignments.map((item) => item.service_id)) };
+    }
+};
+
+module.exports = handlers;
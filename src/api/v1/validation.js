@@ -0,0 +1,181 @@
+const document = require('./openapi');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+
+function resolve(schema) {
+    if (schema && schema.$ref) {
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        return document.components.schemas[name];
+    }
+    return schema;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by the API
+ * document. Returns a list of messages naming the offending field; an
+ * empty list means the value is valid.
+ */
+function validateValue(rawSchema, value, path) {
+    const schema = resolve(rawSchema);
+    if (!schema) {
+        return [];
+    }
+
+    if (value === null) {
+        return schema.nullable ? [] : [`${path} must not be null`];
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+        if (schema.format === 'email' && !EMAIL_REGEX.test(value)) {
+            errors.push(`${path} must be an e-mail address`);
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateValue(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((name) => {
+            if (value[name] === undefined) {
+                errors.push(`${path ? `${path}.` : ''}${name} is required`);
+            }
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            const field = path ? `${path}.${name}` : name;
+            if (properties[name]) {
+                errors.push(...validateValue(properties[name], item, field));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${field} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Path and query values arrive as strings; convert them to the declared type
+function coerceParameter(schema, raw) {
+    if (raw === undefined || raw === '') {
+        return undefined;
+    }
+    const value = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+
+    if (schema.type === 'integer' && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (schema.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function applyDefaults(rawSchema, value) {
+    const schema = resolve(rawSchema);
+    if (!schema || schema.type !== 'object' || typeOf(value) !== 'object') {
+        return value;
+    }
+    const filled = { ...value };
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (filled[name] === undefined && property.default !== undefined) {
+            filled[name] = property.default;
+        }
+    });
+    return filled;
+}
+
+/**
+ * Validate path parameters, query parameters and the JSON body of one
+ * request against its operation in the API document. Returns the coerced
+ * values with schema defaults applied, or `errors` when anything fails.
+ */
+function validateRequest(operation, req) {
+    const errors = [];
+    const params = {};
+    const query = {};
+
+    (operation.parameters || []).forEach((parameter) => {
+        const source = parameter.in === 'path' ? req.params : req.query;
+        const target = parameter.in === 'path' ? params : query;
+        const value = coerceParameter(parameter.schema, source[parameter.name]);
+
+        if (value === undefined) {
+            if (parameter.required) {
+                errors.push(`${parameter.name} is required`);
+            } else if (parameter.schema.default !== undefined) {
+                target[parameter.name] = parameter.schema.default;
+            }
+            return;
+        }
+
+        errors.push(...validateValue(parameter.schema, value, parameter.name));
+        target[parameter.name] = value;
+    });
+
+    let body;
+    if (operation.requestBody) {
+        const schema = operation.requestBody.content['application/json'].schema;
+        const hasBody = req.body && typeOf(req.body) === 'object' && Object.keys(req.body).length > 0;
+
+        if (!hasBody && operation.requestBody.required) {
+            errors.push('A JSON request body is required');
+        } else if (hasBody) {
+            errors.push(...validateValue(schema, req.body, ''));
+            body = applyDefaults(schema, req.body);
+        }
+    }
+
+    return errors.length ? { errors } : { params, query, body };
+}
+
+module.exports = {
+    validateValue,
+    validateRequest
+};
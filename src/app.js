@@ -37,7 +37,7 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
     }
@@ -46,12 +46,17 @@ app.use((req, res, next) => {
 
 app.use('/api/health', require('./routes/health'));
 app.use('/api/kiosk', require('./routes/kiosk'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/track', require('./routes/track'));
 app.use('/api/terminal', require('./routes/terminal'));
 app.use('/api/monitor', require('./routes/monitor'));
 app.use('/api/counters', require('./routes/counters'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/ticket', require('./routes/ticket'));
 
+// Versioned integration API (API keys, OpenAPI at /api/v1/openapi.json)
+app.use('/api/v1', require('./api/v1'));
+
 // API status endpoint
 app.get('/api/status', (req, res) => {
     res.json({ 
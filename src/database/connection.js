@@ -9,7 +9,7 @@ let db = null;
 
 function initializeDatabase() {
     return new Promise((resolve, reject) => {
-        const dbPath = path.resolve(DATABASE_PATH);
+        const dbPath = getDatabasePath();
         const dbDir = path.dirname(dbPath);
         
         if (!fs.existsSync(dbDir)) {
@@ -51,6 +51,15 @@ function initializeDatabase() {
     });
 }
 
+function getDatabasePath() {
+    return path.resolve(DATABASE_PATH);
+}
+
+// Bring the open database up to the current schema, e.g. after a restore
+function migrateDatabase() {
+    return runSchemaMigrations(getDb());
+}
+
 function getDb() {
     if (!db) {
         throw new Error('Database not initialized. Call initializeDatabase() first.');
@@ -78,6 +87,8 @@ function closeDatabase() {
 module.exports = {
     initializeDatabase,
     getDb,
+    getDatabasePath,
+    migrateDatabase,
     closeDatabase
 };
 
@@ -121,20 +132,232 @@ function ensureColumn(database, table, column, definition) {
     });
 }
 
+// Tables added after the first release; new databases get them from init.sql
+const TABLE_MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS ticket_archive (
+        id INTEGER PRIMARY KEY,
+        ticket_number TEXT NOT NULL,
+        service_id INTEGER NOT NULL,
+        state TEXT,
+        priority INTEGER DEFAULT 0,
+        customer_name TEXT,
+        customer_phone TEXT,
+        customer_email TEXT,
+        created_at DATETIME,
+        called_at DATETIME,
+        first_called_at DATETIME,
+        served_at DATETIME,
+        completed_at DATETIME,
+        auto_completed_at DATETIME,
+        estimated_wait INTEGER,
+        actual_wait INTEGER,
+        service_duration INTEGER,
+        counter_id INTEGER,
+        agent_id INTEGER,
+        original_service_id INTEGER,
+        transferred_at DATETIME,
+        parked_at DATETIME,
+        parked_seconds INTEGER DEFAULT 0,
+        recall_count INTEGER DEFAULT 0,
+        notes TEXT,
+        appointment_id INTEGER,
+        tracking_token TEXT,
+        language TEXT,
+        business_day TEXT NOT NULL,
+        archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        archive_reason TEXT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_ticket_archive_day ON ticket_archive(business_day)',
+    'CREATE INDEX IF NOT EXISTS idx_events_entity ON events(entity_type, entity_id)',
+    `CREATE TABLE IF NOT EXISTS counter_services (
+        counter_id INTEGER NOT NULL,
+        service_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (counter_id, service_id),
+        FOREIGN KEY (counter_id) REFERENCES counters(id),
+        FOREIGN KEY (service_id) REFERENCES services(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS appointments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_code TEXT NOT NULL UNIQUE,
+        service_id INTEGER NOT NULL,
+        slot_start DATETIME NOT NULL,
+        slot_end DATETIME NOT NULL,
+        state TEXT DEFAULT 'booked',
+        customer_name TEXT,
+        customer_phone TEXT,
+        customer_email TEXT,
+        ticket_id INTEGER,
+        checked_in_at DATETIME,
+        cancelled_at DATETIME,
+        no_show_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (service_id) REFERENCES services(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_appointments_slot ON appointments(service_id, slot_start)',
+    'CREATE INDEX IF NOT EXISTS idx_appointments_state ON appointments(state, slot_start)',
+    `CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id INTEGER NOT NULL,
+        ticket_number TEXT,
+        trigger_type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        language TEXT,
+        subject TEXT,
+        body TEXT NOT NULL,
+        state TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at DATETIME,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(ticket_id, trigger_type, channel)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_notifications_queue ON notifications(state, next_attempt_at)',
+    `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types TEXT NOT NULL DEFAULT '["*"]',
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event_id INTEGER,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        state TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        duration_ms INTEGER,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries(state, next_attempt_at)',
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)',
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries(event_id)',
+    `CREATE TABLE IF NOT EXISTS webhook_event_cursor (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        last_event_id INTEGER NOT NULL
+    )`,
+    // Existing databases start from their newest event instead of replaying history
+    `INSERT OR IGNORE INTO webhook_event_cursor (id, last_event_id)
+     SELECT 1, COALESCE(MAX(id), 0) FROM events`,
+    `CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '["read"]',
+        is_active BOOLEAN DEFAULT 1,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME
+    )`,
+    `CREATE TABLE IF NOT EXISTS print_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kiosk_id TEXT NOT NULL,
+        ticket_id INTEGER,
+        ticket_number TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        state TEXT DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        printer_host TEXT,
+        printer_port INTEGER,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        printed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_print_jobs_queue ON print_jobs(state, next_attempt_at)',
+    'CREATE INDEX IF NOT EXISTS idx_print_jobs_kiosk ON print_jobs(kiosk_id, state)',
+    `CREATE TABLE IF NOT EXISTS service_hours (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service_id INTEGER NOT NULL,
+        weekday INTEGER NOT NULL,
+        open_time TEXT NOT NULL,
+        close_time TEXT NOT NULL,
+        FOREIGN KEY (service_id) REFERENCES services(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS service_holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service_id INTEGER,
+        date TEXT NOT NULL,
+        name TEXT,
+        open_time TEXT,
+        close_time TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (service_id) REFERENCES services(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS queue_capacity_state (
+        scope TEXT PRIMARY KEY,
+        full_since DATETIME NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_service_hours_service ON service_hours(service_id, weekday)',
+    'CREATE INDEX IF NOT EXISTS idx_service_holidays_date ON service_holidays(date)'
+];
+
+const COLUMN_MIGRATIONS = [
+    ['tickets', 'original_service_id', 'INTEGER'],
+    ['tickets', 'transferred_at', 'DATETIME'],
+    ['tickets', 'parked_at', 'DATETIME'],
+    ['tickets', 'first_called_at', 'DATETIME'],
+    ['tickets', 'auto_completed_at', 'DATETIME'],
+    ['tickets', 'appointment_id', 'INTEGER'],
+    ['ticket_archive', 'appointment_id', 'INTEGER'],
+    ['tickets', 'tracking_token', 'TEXT'],
+    ['ticket_archive', 'tracking_token', 'TEXT'],
+    ['tickets', 'language', 'TEXT'],
+    ['ticket_archive', 'language', 'TEXT'],
+    ['agents', 'password_hash', 'TEXT'],
+    ['counters', 'break_reason', 'TEXT'],
+    ['counters', 'break_until', 'DATETIME'],
+    ['counters', 'state_changed_at', 'DATETIME'],
+    ['counters', 'call_policy', 'TEXT'],
+    ['counters', 'default_service_id', 'INTEGER'],
+    ['agents', 'call_policy', 'TEXT'],
+    ['agents', 'can_cherry_pick', 'BOOLEAN DEFAULT false'],
+    ['services', 'number_format', 'TEXT'],
+    ['services', 'number_padding', 'INTEGER DEFAULT 3'],
+    ['services', 'rollover_policy', "TEXT DEFAULT 'stop'"],
+    ['services', 'overflow_start', 'INTEGER'],
+    ['services', 'overflow_end', 'INTEGER'],
+    ['services', 'last_ticket_minutes', 'INTEGER'],
+    ['services', 'max_waiting_tickets', 'INTEGER'],
+    ['tickets', 'parked_seconds', 'INTEGER DEFAULT 0'],
+    ['ticket_archive', 'parked_seconds', 'INTEGER DEFAULT 0']
+];
+
+// Indexes on columns added above, so they run after COLUMN_MIGRATIONS
+const INDEX_MIGRATIONS = [
+    'CREATE INDEX IF NOT EXISTS idx_tickets_tracking ON tickets(tracking_token)'
+];
+
 async function runSchemaMigrations(database) {
-    try {
-        await ensureColumn(database, 'tickets', 'original_service_id', 'INTEGER');
-    } catch (err) {
-        if (!/duplicate column name/i.test(err.message)) {
-            throw err;
-        }
+    for (const statement of TABLE_MIGRATIONS) {
+        await execAsync(database, statement);
     }
 
-    try {
-        await ensureColumn(database, 'tickets', 'transferred_at', 'DATETIME');
-    } catch (err) {
-        if (!/duplicate column name/i.test(err.message)) {
-            throw err;
+    for (const [table, column, definition] of COLUMN_MIGRATIONS) {
+        try {
+            await ensureColumn(database, table, column, definition);
+        } catch (err) {
+            if (!/duplicate column name/i.test(err.message)) {
+                throw err;
+            }
         }
     }
+
+    for (const statement of INDEX_MIGRATIONS) {
+        await execAsync(database, statement);
+    }
 }
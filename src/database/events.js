@@ -1,4 +1,5 @@
 const { getDb } = require('./connection');
+const { kickQueue } = require('../services/webhooks');
 
 const EventTypes = {
   TICKET_CREATED: 'TICKET_CREATED',
@@ -8,12 +9,25 @@ const EventTypes = {
   TICKET_RECYCLED: 'TICKET_RECYCLED',
   TICKET_NO_SHOW: 'TICKET_NO_SHOW',
   TICKET_TRANSFERRED: 'TICKET_TRANSFERRED',
+  TICKET_PARKED: 'TICKET_PARKED',
+  TICKET_UNPARKED: 'TICKET_UNPARKED',
+  TICKET_CHERRY_PICKED: 'TICKET_CHERRY_PICKED',
+  TICKET_AUTO_COMPLETED: 'TICKET_AUTO_COMPLETED',
+  TICKET_REASSIGNED: 'TICKET_REASSIGNED',
   QUEUE_UPDATED: 'QUEUE_UPDATED',
   QUEUE_PRESET: 'QUEUE_PRESET',
+  QUEUE_FULL: 'QUEUE_FULL',
+  QUEUE_REOPENED: 'QUEUE_REOPENED',
   COUNTER_STATE_CHANGED: 'COUNTER_STATE_CHANGED',
+  APPOINTMENT_BOOKED: 'APPOINTMENT_BOOKED',
+  APPOINTMENT_CANCELLED: 'APPOINTMENT_CANCELLED',
+  APPOINTMENT_CHECKED_IN: 'APPOINTMENT_CHECKED_IN',
+  APPOINTMENT_NO_SHOW: 'APPOINTMENT_NO_SHOW',
   AGENT_LOGIN: 'AGENT_LOGIN',
   AGENT_LOGOUT: 'AGENT_LOGOUT',
-  SYSTEM_RESET: 'SYSTEM_RESET'
+  SYSTEM_RESET: 'SYSTEM_RESET',
+  SYSTEM_BACKUP: 'SYSTEM_BACKUP',
+  SYSTEM_RESTORE: 'SYSTEM_RESTORE'
 };
 
 function logEvent(eventType, entityType, entityId, data = {}, agentId = null, counterId = null) {
@@ -31,7 +45,10 @@ function logEvent(eventType, entityType, entityId, data = {}, agentId = null, co
         console.error('Event logging error:', err);
         reject(err);
       } else {
-        resolve({ id: this.lastID, eventType, entityType, entityId });
+        const event = { id: this.lastID, eventType, entityType, entityId };
+        // Outbound webhooks read the audit trail from this table
+        kickQueue();
+        resolve(event);
       }
     });
   });
@@ -7,6 +7,13 @@ CREATE TABLE services (
     range_start INTEGER DEFAULT 1,
     range_end INTEGER DEFAULT 999,
     current_number INTEGER DEFAULT 0,
+    number_format TEXT, -- e.g. {prefix}-{yy}{mm}{dd}-{number}, NULL = {prefix}{number}
+    number_padding INTEGER DEFAULT 3, -- digits {number} is zero-padded to
+    rollover_policy TEXT DEFAULT 'stop', -- at range_end: stop, wrap (to range_start), overflow
+    overflow_start INTEGER, -- overflow range used by the overflow policy
+    overflow_end INTEGER,
+    last_ticket_minutes INTEGER, -- stop issuing this many minutes before closing, NULL = until closing
+    max_waiting_tickets INTEGER, -- kiosk stops issuing at this many waiting, NULL = no cap
     is_active BOOLEAN DEFAULT true,
     estimated_service_time INTEGER DEFAULT 300, -- seconds
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -22,6 +29,11 @@ CREATE TABLE counters (
     current_ticket_id INTEGER,
     current_agent_id INTEGER,
     state TEXT DEFAULT 'offline', -- offline, available, serving, break
+    break_reason TEXT,
+    break_until DATETIME, -- timed break: counter reopens automatically
+    state_changed_at DATETIME,
+    call_policy TEXT, -- overrides config.call_policy for this counter
+    default_service_id INTEGER, -- served when the signed-in agent has no service assignments
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (current_ticket_id) REFERENCES tickets(id),
     FOREIGN KEY (current_agent_id) REFERENCES agents(id)
@@ -35,6 +47,9 @@ CREATE TABLE agents (
     email TEXT,
     role TEXT DEFAULT 'agent', -- agent, supervisor, admin
     is_active BOOLEAN DEFAULT true,
+    password_hash TEXT, -- bcrypt hash, set via admin agent routes
+    call_policy TEXT, -- overrides the counter and system call policy
+    can_cherry_pick BOOLEAN DEFAULT false, -- may call tickets out of queue order
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -50,8 +65,10 @@ CREATE TABLE tickets (
     customer_email TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     called_at DATETIME,
+    first_called_at DATETIME, -- first call, called_at moves with each recall
     served_at DATETIME,
     completed_at DATETIME,
+    auto_completed_at DATETIME, -- set when the stale-ticket sweeper closed it
     estimated_wait INTEGER, -- seconds at creation
     actual_wait INTEGER, -- seconds from creation to served
     service_duration INTEGER, -- seconds from served to completed
@@ -59,13 +76,53 @@ CREATE TABLE tickets (
     agent_id INTEGER,
     original_service_id INTEGER,
     transferred_at DATETIME,
-    recall_count INTEGER DEFAULT 0,
+    parked_at DATETIME,
+    parked_seconds INTEGER DEFAULT 0, -- total time parked since served, left out of service_duration
+    recall_count INTEGER DEFAULT 0, -- recalls since the ticket was last called
     notes TEXT,
+    appointment_id INTEGER, -- set when issued by an appointment check-in
+    tracking_token TEXT, -- unguessable token for the public ticket tracker
+    language TEXT, -- customer language chosen at the kiosk
     FOREIGN KEY (service_id) REFERENCES services(id),
     FOREIGN KEY (counter_id) REFERENCES counters(id),
     FOREIGN KEY (agent_id) REFERENCES agents(id)
 );
 
+-- Ticket archive (history moved out of tickets by the daily reset)
+CREATE TABLE ticket_archive (
+    id INTEGER PRIMARY KEY, -- original tickets.id
+    ticket_number TEXT NOT NULL,
+    service_id INTEGER NOT NULL,
+    state TEXT,
+    priority INTEGER DEFAULT 0,
+    customer_name TEXT,
+    customer_phone TEXT,
+    customer_email TEXT,
+    created_at DATETIME,
+    called_at DATETIME,
+    first_called_at DATETIME,
+    served_at DATETIME,
+    completed_at DATETIME,
+    auto_completed_at DATETIME,
+    estimated_wait INTEGER,
+    actual_wait INTEGER,
+    service_duration INTEGER,
+    counter_id INTEGER,
+    agent_id INTEGER,
+    original_service_id INTEGER,
+    transferred_at DATETIME,
+    parked_at DATETIME,
+    parked_seconds INTEGER DEFAULT 0,
+    recall_count INTEGER DEFAULT 0,
+    notes TEXT,
+    appointment_id INTEGER,
+    tracking_token TEXT,
+    language TEXT,
+    business_day TEXT NOT NULL, -- YYYY-MM-DD the ticket was issued
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    archive_reason TEXT -- manual, scheduled
+);
+
 -- Agent-Service Assignments
 CREATE TABLE agent_services (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -78,6 +135,150 @@ CREATE TABLE agent_services (
     UNIQUE(agent_id, service_id)
 );
 
+-- Counter-Service Restrictions (no rows = counter serves every service)
+CREATE TABLE counter_services (
+    counter_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (counter_id, service_id),
+    FOREIGN KEY (counter_id) REFERENCES counters(id),
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+-- Appointments (booked slots, turned into tickets at kiosk check-in)
+CREATE TABLE appointments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_code TEXT NOT NULL UNIQUE,
+    service_id INTEGER NOT NULL,
+    slot_start DATETIME NOT NULL, -- ISO UTC
+    slot_end DATETIME NOT NULL,
+    state TEXT DEFAULT 'booked', -- booked, checked_in, cancelled, no_show
+    customer_name TEXT,
+    customer_phone TEXT,
+    customer_email TEXT,
+    ticket_id INTEGER,
+    checked_in_at DATETIME,
+    cancelled_at DATETIME,
+    no_show_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+-- Customer notifications (SMS / e-mail retry queue)
+CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    ticket_number TEXT,
+    trigger_type TEXT NOT NULL, -- created, approaching, called, transferred
+    channel TEXT NOT NULL, -- sms, email
+    recipient TEXT NOT NULL,
+    language TEXT,
+    subject TEXT,
+    body TEXT NOT NULL,
+    state TEXT DEFAULT 'pending', -- pending, sent, failed, skipped
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(ticket_id, trigger_type, channel)
+);
+
+-- Outbound webhooks and their delivery outbox
+CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- HMAC-SHA256 signing key
+    event_types TEXT NOT NULL DEFAULT '["*"]', -- JSON array of event types, "*" for all
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event_id INTEGER,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    state TEXT DEFAULT 'pending', -- pending, delivered, failed
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    response_status INTEGER,
+    response_body TEXT,
+    last_error TEXT,
+    duration_ms INTEGER,
+    delivered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+-- Newest audit event already turned into webhook deliveries. The events
+-- table is the outbox, swept past this id by the webhook worker
+CREATE TABLE webhook_event_cursor (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_event_id INTEGER NOT NULL
+);
+
+-- API keys for the /api/v1 integration API (only the SHA-256 hash is stored)
+CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- first characters, shown in listings
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL DEFAULT '["read"]', -- JSON array: read, tickets:write
+    is_active BOOLEAN DEFAULT 1,
+    last_used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME
+);
+
+-- Print jobs for kiosks printing to network ESC/POS printers (printer.method = server)
+CREATE TABLE print_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kiosk_id TEXT NOT NULL,
+    ticket_id INTEGER, -- not a foreign key: tickets move to the archive at reset
+    ticket_number TEXT NOT NULL,
+    payload TEXT NOT NULL, -- JSON slip fields
+    state TEXT DEFAULT 'queued', -- queued, printing, printed, failed
+    attempts INTEGER DEFAULT 0,
+    printer_host TEXT,
+    printer_port INTEGER,
+    next_attempt_at DATETIME,
+    last_error TEXT,
+    printed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly opening hours (no rows = service always open), server local time
+CREATE TABLE service_hours (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    weekday INTEGER NOT NULL, -- 0 = Sunday
+    open_time TEXT NOT NULL, -- HH:MM
+    close_time TEXT NOT NULL, -- HH:MM, 24:00 = midnight
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+-- Holidays and exceptions replacing the weekly hours for one day
+CREATE TABLE service_holidays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER, -- NULL = every service
+    date TEXT NOT NULL, -- YYYY-MM-DD
+    name TEXT,
+    open_time TEXT, -- NULL = closed all day
+    close_time TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+-- Queues at their waiting cap, kept until they drop below the low-water mark
+CREATE TABLE queue_capacity_state (
+    scope TEXT PRIMARY KEY, -- 'system' or the service id
+    full_since DATETIME NOT NULL
+);
+
 -- Events (audit trail + real-time)
 CREATE TABLE events (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -117,8 +318,21 @@ CREATE TABLE sessions (
 CREATE INDEX idx_tickets_state ON tickets(state);
 CREATE INDEX idx_tickets_service ON tickets(service_id);
 CREATE INDEX idx_tickets_created ON tickets(created_at);
+CREATE INDEX idx_tickets_tracking ON tickets(tracking_token);
 CREATE INDEX idx_events_type ON events(event_type);
 CREATE INDEX idx_events_created ON events(created_at);
+CREATE INDEX idx_events_entity ON events(entity_type, entity_id);
+CREATE INDEX idx_appointments_slot ON appointments(service_id, slot_start);
+CREATE INDEX idx_appointments_state ON appointments(state, slot_start);
+CREATE INDEX idx_notifications_queue ON notifications(state, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_queue ON webhook_deliveries(state, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+CREATE INDEX idx_webhook_deliveries_event ON webhook_deliveries(event_id);
+CREATE INDEX idx_print_jobs_queue ON print_jobs(state, next_attempt_at);
+CREATE INDEX idx_print_jobs_kiosk ON print_jobs(kiosk_id, state);
+CREATE INDEX idx_service_hours_service ON service_hours(service_id, weekday);
+CREATE INDEX idx_service_holidays_date ON service_holidays(date);
+CREATE INDEX idx_ticket_archive_day ON ticket_archive(business_day);
 
 -- Default Data
 INSERT INTO services (name, prefix, description, range_start, range_end) VALUES
@@ -133,16 +347,71 @@ INSERT INTO counters (name, number, location) VALUES
 ('VIP Counter', 3, 'VIP Area'),
 ('Technical Counter', 4, 'Technical Area');
 
+INSERT INTO webhook_event_cursor (id, last_event_id) VALUES (1, 0);
+
 INSERT INTO settings (key, value, description, category) VALUES
 ('feature.park_unpark', 'false', 'Enable park/unpark functionality', 'features'),
 ('feature.cherry_pick', 'false', 'Enable cherry pick (call any ticket)', 'features'),
 ('feature.recycle', 'false', 'Enable ticket recycling', 'features'),
 ('feature.multi_service', 'false', 'Enable multi-service priorities', 'features'),
 ('feature.voice_announcements', 'true', 'Enable voice announcements', 'features'),
+('feature.auto_no_show', 'false', 'Mark tickets no-show after the last recall', 'features'),
+('feature.appointments', 'false', 'Enable appointment booking and kiosk check-in', 'features'),
+('feature.notifications', 'false', 'Send SMS / e-mail updates to customers who left contact details', 'features'),
+('feature.languages', 'false', 'Announce calls in every enabled language, default language first', 'features'),
 ('config.recycle_position', '3', 'Position to insert recycled tickets', 'config'),
 ('config.max_recall_count', '3', 'Maximum recall attempts', 'config'),
+('config.max_waiting_tickets', '0', 'Waiting tickets across all services before kiosks stop issuing (0 = no cap)', 'config'),
+('config.queue_low_water_percent', '80', 'A full queue reopens once waiting drops below this percentage of its cap', 'config'),
 ('config.auto_complete_timeout', '1800', 'Auto-complete serving tickets (seconds)', 'config'),
 ('config.reset_time', '00:00', 'Daily queue reset time (HH:MM)', 'config'),
 ('config.daily_reset', 'false', 'Enable automatic daily queue reset', 'config'),
+('config.call_policy', 'strict_priority', 'Call-next policy: strict_priority, interleave, round_robin, longest_wait', 'config'),
+('config.interleave_ratio', '3', 'Normal tickets served between priority tickets (interleave policy)', 'config'),
+('config.no_show_grace_seconds', '60', 'Grace period after the last recall before auto no-show (seconds)', 'config'),
+('config.data_retention_days', '365', 'Days of archived ticket history to keep (0 = forever)', 'config'),
+('config.auto_backup', 'false', 'Take scheduled database backups', 'config'),
+('config.backup_frequency', 'daily', 'Backup frequency: hourly, daily, weekly, monthly', 'config'),
+('config.backup_retention', '7', 'Number of database backups to keep (0 = all)', 'config'),
+('config.appointment_slot_minutes', '15', 'Length of an appointment slot (minutes)', 'config'),
+('config.appointment_open_time', '09:00', 'First appointment slot of the day (HH:MM)', 'config'),
+('config.appointment_close_time', '17:00', 'Appointment slots end by this time (HH:MM)', 'config'),
+('config.appointment_checkin_early_minutes', '30', 'How early before its slot an appointment can check in (minutes)', 'config'),
+('config.appointment_checkin_late_minutes', '15', 'How late after its slot start an appointment can check in before it is a no-show (minutes)', 'config'),
+('config.appointment_priority', '1', 'Ticket priority given to checked-in appointments (0-2)', 'config'),
+('config.public_base_url', '', 'Public address printed in ticket tracking links (blank = kiosk address)', 'config'),
+('notify.on_created', 'true', 'Notify when a ticket is issued', 'notifications'),
+('notify.on_approaching', 'true', 'Notify when a ticket is near the front of the queue', 'notifications'),
+('notify.on_called', 'true', 'Notify when a ticket is called to a counter', 'notifications'),
+('notify.on_transferred', 'true', 'Notify when a ticket is transferred to another service', 'notifications'),
+('notify.approaching_positions', '3', 'Queue position that counts as near the front', 'notifications'),
+('notify.max_attempts', '5', 'Delivery attempts before a notification is marked failed', 'notifications'),
+('notify.sms_webhook_url', '', 'HTTP endpoint of the SMS gateway (blank = SMS off)', 'notifications'),
+('notify.sms_webhook_token', '', 'Bearer token sent to the SMS gateway', 'notifications'),
+('notify.smtp_host', '', 'SMTP server for e-mail (blank = e-mail off)', 'notifications'),
+('notify.smtp_port', '587', 'SMTP port', 'notifications'),
+('notify.smtp_secure', 'false', 'Use TLS from the start (port 465), otherwise STARTTLS when offered', 'notifications'),
+('notify.smtp_allow_insecure_auth', 'false', 'Send the SMTP user and password even when the connection is not encrypted', 'notifications'),
+('notify.smtp_user', '', 'SMTP user name', 'notifications'),
+('notify.smtp_password', '', 'SMTP password', 'notifications'),
+('notify.smtp_from', '', 'Sender address for e-mail', 'notifications'),
+('webhook.max_attempts', '8', 'Delivery attempts before a webhook delivery is marked failed', 'integrations'),
+('config.default_language', 'en', 'Default language for announcements and customer messages', 'config'),
+('config.enabled_languages', '["en"]', 'Languages offered (JSON array of codes)', 'config'),
+('voice.templates', '', 'Announcement text overrides: JSON {"<lang>": {"call": "...", "recall": "..."}}, blank = built-in', 'voice'),
+('voice.chime', 'start', 'Chime before announcements: none, start, each (before every language)', 'voice'),
+('voice.repeat_count', '1', 'Times a call is announced', 'voice'),
+('voice.recall_repeat_count', '2', 'Times a recall is announced', 'voice'),
+('voice.repeat_gap_ms', '1500', 'Pause between repeats (ms)', 'voice'),
+('voice.rate', '0.9', 'Speech rate (1 = normal)', 'voice'),
+('printer.method', 'browser', 'Slip printing: browser, qz (QZ Tray) or server (network ESC/POS printer)', 'printer'),
+('printer.width', '58', 'Paper width in mm: 58 or 80', 'printer'),
+('printer.host', '', 'Network printer address used by server printing (blank = none)', 'printer'),
+('printer.port', '9100', 'Raw TCP port of the network printer', 'printer'),
+('printer.kiosks', '', 'Per-kiosk printers: JSON {"<kioskId>": {"host": "...", "port": 9100, "width": 80}}', 'printer'),
+('printer.encoding', 'cp437', 'Character encoding of slip text', 'printer'),
+('printer.code_page', '', 'ESC t code page matching printer.encoding (blank = printer default)', 'printer'),
+('printer.max_attempts', '3', 'Print attempts before a print job is marked failed', 'printer'),
+('printer.slip_template', '', 'Ticket slip layout (blank = built-in)', 'printer'),
 ('system.name', 'FlowMatic-SOLO', 'System name', 'branding'),
 ('system.version', '2.0.0', 'System version', 'system');
@@ -1,4 +1,7 @@
 const { EVENTS } = require('./eventTypes');
+// Ticket-changing broadcasts also refresh phones on the public track page
+const { scheduleTrackingRefresh } = require('../services/ticketTracking');
+const { prepareCallAnnouncement } = require('../services/voiceAnnouncements');
 
 /**
  * Broadcast ticket created event to all relevant namespaces
@@ -33,6 +36,8 @@ function broadcastTicketCreated(io, ticketData, queueData) {
             queue: queueData,
             timestamp: new Date().toISOString()
         });
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-created:', error.message);
     }
@@ -80,6 +85,12 @@ function broadcastTicketCalled(io, ticketData, counterData, agentData) {
         };
         io.of('/monitor').to('all-updates').emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
         io.of('/monitor').to(`counter-${counterData.id}`).emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
+
+        prepareCallAnnouncement(ticketData, counterData)
+            .then((announcement) => announcement && broadcastVoiceAnnouncement(io, announcement))
+            .catch((error) => console.error('❌ Error preparing voice announcement:', error.message));
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-called:', error.message);
     }
@@ -133,6 +144,8 @@ function broadcastTicketCompleted(io, ticketData, queueData) {
             io.of('/monitor').to('all-updates').emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
             io.of('/monitor').to(`counter-${ticketData.counterId}`).emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
         }
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-completed:', error.message);
     }
@@ -160,6 +173,8 @@ function broadcastQueueUpdated(io, serviceId, queueData) {
 
         // Broadcast to kiosk namespace - service-specific room only
         io.of('/kiosk').to(`service-${serviceId}`).emit(EVENTS.QUEUE_UPDATED, queueUpdateData);
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting queue-updated:', error.message);
     }
@@ -196,11 +211,39 @@ function broadcastTicketParked(io, ticketData, counterId) {
             io.of('/monitor').to('all-updates').emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
             io.of('/monitor').to(`counter-${counterId}`).emit(EVENTS.COUNTER_UPDATED, counterUpdateData);
         }
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-parked:', error.message);
     }
 }
 
+/**
+ * Broadcast that a ticket was called out of queue order (cherry-pick)
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} ticketData - The ticket information
+ * @param {Object} counterData - The counter that called the ticket
+ * @param {Object} details - Audit details (reason, previousState, bypassedCount)
+ */
+function broadcastQueueBypassed(io, ticketData, counterData, details = {}) {
+    try {
+        const eventData = {
+            ticket: ticketData,
+            counter: counterData,
+            reason: details.reason || null,
+            previousState: details.previousState || null,
+            bypassedCount: details.bypassedCount || 0,
+            timestamp: new Date().toISOString()
+        };
+
+        io.of('/monitor').to('all-updates').emit(EVENTS.QUEUE_BYPASSED, eventData);
+        io.of('/monitor').to(`service-${ticketData.serviceId}`).emit(EVENTS.QUEUE_BYPASSED, eventData);
+        io.of('/terminal').to(`service-${ticketData.serviceId}`).emit(EVENTS.QUEUE_BYPASSED, eventData);
+    } catch (error) {
+        console.error('❌ Error broadcasting queue-bypassed:', error.message);
+    }
+}
+
 /**
  * Broadcast ticket recycled event
  * @param {Object} io - Socket.IO instance
@@ -222,6 +265,8 @@ function broadcastTicketRecycled(io, ticketData, position) {
         // Broadcast to monitor namespace
         io.of('/monitor').to(`service-${ticketData.serviceId}`).emit(EVENTS.TICKET_RECYCLED, eventData);
         io.of('/monitor').to('all-updates').emit(EVENTS.TICKET_RECYCLED, eventData);
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-recycled:', error.message);
     }
@@ -257,6 +302,8 @@ function broadcastTicketTransferred(io, ticketData, fromServiceId, toServiceId,
         io.of('/monitor').to(`service-${fromServiceId}`).emit(EVENTS.TICKET_TRANSFERRED, eventData);
         io.of('/monitor').to(`service-${toServiceId}`).emit(EVENTS.TICKET_TRANSFERRED, eventData);
         io.of('/monitor').to('all-updates').emit(EVENTS.TICKET_TRANSFERRED, eventData);
+
+        scheduleTrackingRefresh(io);
     } catch (error) {
         console.error('❌ Error broadcasting ticket-transferred:', error.message);
     }
@@ -290,6 +337,30 @@ function broadcastSystemAlert(io, message, type = 'info', targetNamespaces = [])
     }
 }
 
+/**
+ * Send an alert to the terminal signed in at a specific counter
+ * @param {Object} io - Socket.IO instance
+ * @param {Number} counterId - The counter ID
+ * @param {String} message - Alert message
+ * @param {String} type - Alert type (info, warning, error, success)
+ * @param {Object} details - Extra context for the terminal (ticketId, reason, ...)
+ */
+function broadcastCounterAlert(io, counterId, message, type = 'info', details = {}) {
+    try {
+        const eventData = {
+            ...details,
+            message: message,
+            type: type,
+            counterId: counterId,
+            timestamp: new Date().toISOString()
+        };
+
+        io.of('/terminal').to(`counter-${counterId}`).emit(EVENTS.SYSTEM_ALERT, eventData);
+    } catch (error) {
+        console.error('❌ Error broadcasting counter alert:', error.message);
+    }
+}
+
 /**
  * Broadcast counter status update
  * @param {Object} io - Socket.IO instance
@@ -299,6 +370,9 @@ function broadcastCounterUpdated(io, counterData) {
     try {
         const eventData = {
             counter: counterData,
+            counterId: counterData.id,
+            status: counterData.state,
+            statusLabel: counterData.status,
             timestamp: new Date().toISOString()
         };
 
@@ -318,30 +392,18 @@ function broadcastCounterUpdated(io, counterData) {
 }
 
 /**
- * Broadcast voice announcement (for multi-language support)
+ * Broadcast a prepared voice announcement to the monitors
  * @param {Object} io - Socket.IO instance
- * @param {Object} ticketData - The ticket information
- * @param {Object} counterData - The counter information
- * @param {String} language - Language code (en, th, hi)
+ * @param {Object} announcement - Steps from voiceAnnouncements.buildAnnouncement
  */
-function broadcastVoiceAnnouncement(io, ticketData, counterData, language = 'en') {
+function broadcastVoiceAnnouncement(io, announcement) {
     try {
-        const announcements = {
-            en: `Ticket ${ticketData.ticket_number}, please proceed to counter ${counterData.number}`,
-            th: `หมายเลข ${ticketData.ticket_number} กรุณาไปที่เคาน์เตอร์ ${counterData.number}`,
-            hi: `टिकट ${ticketData.ticket_number}, कृपया काउंटर ${counterData.number} पर जाएं`
-        };
-
-        const eventData = {
-            ticket: ticketData,
-            counter: counterData,
-            text: announcements[language] || announcements.en,
-            language: language,
-            timestamp: new Date().toISOString()
-        };
-
-        // Broadcast to monitor namespace (displays with speakers)
-        io.of('/monitor').emit('voice-announcement', eventData);
+        // One emit across the rooms, so a display in several of them hears it once
+        io.of('/monitor')
+            .to('all-updates')
+            .to(`service-${announcement.ticket.serviceId}`)
+            .to(`counter-${announcement.counter.id}`)
+            .emit(EVENTS.VOICE_ANNOUNCEMENT, announcement);
     } catch (error) {
         console.error('❌ Error broadcasting voice-announcement:', error.message);
     }
@@ -358,7 +420,9 @@ module.exports = {
     broadcastTicketParked,
     broadcastTicketRecycled,
     broadcastTicketTransferred,
+    broadcastQueueBypassed,
     broadcastSystemAlert,
+    broadcastCounterAlert,
     broadcastCounterUpdated,
     broadcastVoiceAnnouncement
 };
\ No newline at end of file
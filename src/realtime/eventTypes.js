@@ -12,15 +12,19 @@ const OUTBOUND_EVENTS = {
     TICKET_RECYCLED: 'ticket-recycled',
     TICKET_TRANSFERRED: 'ticket-transferred',
     QUEUE_UPDATED: 'queue-updated',
+    QUEUE_BYPASSED: 'queue-bypassed',
     COUNTER_UPDATED: 'counter-updated',
-    SYSTEM_ALERT: 'system-alert'
+    SYSTEM_ALERT: 'system-alert',
+    TICKET_STATUS: 'ticket-status',
+    VOICE_ANNOUNCEMENT: 'voice-announcement'
 };
 
 // Inbound Events (Client -> Server)
 const INBOUND_EVENTS = {
     JOIN_SERVICE: 'join-service',
     JOIN_COUNTER: 'join-counter',
-    JOIN_ALL: 'join-all'
+    JOIN_ALL: 'join-all',
+    JOIN_TICKET: 'join-ticket'
 };
 
 // Combined exports for convenience
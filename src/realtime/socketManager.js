@@ -2,8 +2,9 @@
 // UPDATED VERSION with connection management for Phase 2.3
 
 const connectionManager = require('./connectionManager');
-const { INBOUND_EVENTS } = require('./eventTypes');
+const { INBOUND_EVENTS, OUTBOUND_EVENTS } = require('./eventTypes');
 const { setupHeartbeatHandlers } = require('./heartbeat');
+const ticketTracking = require('../services/ticketTracking');
 
 // Store reference to io instance (NEW)
 let io = null;
@@ -88,6 +89,28 @@ function setupSocketIO(socketIO) {
             }
           });
 
+          // Customer phones follow a single ticket by its tracking token
+          if (namespace === '/customer') {
+            socket.on(INBOUND_EVENTS.JOIN_TICKET, async (data) => {
+              try {
+                const token = data && data.token;
+                const status = await ticketTracking.getTicketStatus(token);
+                const room = ticketTracking.trackingRoom(token);
+                socket.join(room);
+                connectionManager.joinRoom(socket.id, room);
+
+                socket.emit('joined', { room: 'ticket' });
+                socket.emit(OUTBOUND_EVENTS.TICKET_STATUS, status);
+              } catch (error) {
+                if (error.status === 404) {
+                  socket.emit(OUTBOUND_EVENTS.TICKET_STATUS, { found: false, message: 'Ticket not found' });
+                  return;
+                }
+                console.error('❌ Error joining ticket room:', error.message);
+              }
+            });
+          }
+
           // NEW: Update activity on any event
           socket.onAny(() => {
             try {
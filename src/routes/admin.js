@@ -5,10 +5,32 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { getDb } = require('../database/connection');
+const { get, withTransaction } = require('../database/dbClient');
 const { logEvent, EventTypes } = require('../database/events');
 const logger = require('../utils/logger');
 const systemResetService = require('../services/systemReset');
-const { invalidateSettingsCache } = require('../database/db');
+const reportsService = require('../services/reports');
+const ticketArchive = require('../services/ticketArchive');
+const auditLog = require('../services/auditLog');
+const appointmentsService = require('../services/appointments');
+const notificationsService = require('../services/notifications');
+const webhooksService = require('../services/webhooks');
+const apiKeysService = require('../services/apiKeys');
+const printJobs = require('../services/printJobs');
+const slipTemplates = require('../services/slipTemplates');
+const ticketNumbering = require('../services/ticketNumbering');
+const serviceHours = require('../services/serviceHours');
+const databaseSnapshots = require('../services/databaseSnapshots');
+const { getSettings, invalidateSettingsCache } = require('../database/db');
+const { normalizePolicy } = require('../services/callPolicy');
+const { mapCounterRow } = require('../services/counterState');
+const { ROLES, normalizeRole, hasRole } = require('../services/roles');
+const { authenticateAgent } = require('../services/agentSessions');
+const supervision = require('../services/supervision');
+const {
+    broadcastCounterUpdated,
+    broadcastCounterAlert
+} = require('../realtime/eventBroadcaster');
 
 function buildAdminConfig() {
     const rawPassword = process.env.ADMIN_PASSWORD;
@@ -44,20 +66,6 @@ function buildAdminConfig() {
 // Admin authentication configuration
 const ADMIN_CONFIG = buildAdminConfig();
 
-// Ensure agents table has password_hash column for credential management
-(() => {
-    try {
-        const schemaDb = getDb();
-        schemaDb.run('ALTER TABLE agents ADD COLUMN password_hash TEXT', (err) => {
-            if (err && !/duplicate column name/i.test(err.message)) {
-                logger.warn({ err }, 'Unable to ensure agents.password_hash column');
-            }
-        });
-    } catch (err) {
-        logger.warn({ err }, 'Failed to verify agents schema');
-    }
-})();
-
 const loginLimiter = rateLimit({
     windowMs: 60 * 1000,
     max: 5,
@@ -69,13 +77,16 @@ const loginLimiter = rateLimit({
     }
 });
 
+const ADMIN_TOKEN_SCOPE = 'admin';
+
 // Password verification utility
 const verifyPassword = async (inputPassword) => {
     return bcrypt.compare(inputPassword, ADMIN_CONFIG.PASSWORD_HASH);
 };
 
-// Admin authentication middleware
-const verifyAdminAuth = (req, res, next) => {
+// Admin authentication middleware. Terminal session tokens are signed with
+// the same secret, so only tokens issued by /login (scope 'admin') pass.
+const verifyAdminAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -86,18 +97,80 @@ const verifyAdminAuth = (req, res, next) => {
         });
     }
     
+    let decoded;
     try {
-        const decoded = jwt.verify(token, ADMIN_CONFIG.JWT_SECRET);
-        req.admin = decoded;
-        next();
+        decoded = jwt.verify(token, ADMIN_CONFIG.JWT_SECRET);
     } catch (error) {
         return res.status(401).json({
             success: false,
             error: 'Invalid or expired token'
         });
     }
+
+    if (decoded?.scope !== ADMIN_TOKEN_SCOPE) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+
+    // Staff accounts are re-read so deactivation and role changes apply
+    // to tokens that were issued earlier
+    if (typeof decoded.userId === 'number') {
+        try {
+            const user = await get(
+                'SELECT id, username, name, role FROM agents WHERE id = ? AND is_active = 1',
+                [decoded.userId]
+            );
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account is no longer active'
+                });
+            }
+
+            decoded.username = user.username;
+            decoded.name = user.name;
+            decoded.role = normalizeRole(user.role);
+        } catch (error) {
+            logger.error({ err: error }, 'Admin token user lookup failed');
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify token'
+            });
+        }
+    }
+
+    if (!hasRole(decoded.role, ROLES.SUPERVISOR)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions for this action'
+        });
+    }
+
+    req.admin = decoded;
+    next();
+};
+
+// Use after verifyAdminAuth; supervisors pass verifyAdminAuth on their own
+const requireRole = (minimum) => (req, res, next) => {
+    if (!hasRole(req.admin?.role, minimum)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions for this action'
+        });
+    }
+    next();
 };
 
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+// Name recorded as `initiatedBy` in events raised from the admin API
+function adminActor(req) {
+    return req.admin?.username || 'admin';
+}
+
 const SETTINGS_KEY_MAP = {
     // Feature flags
     voiceEnabled: 'feature.voice_announcements',
@@ -108,10 +181,16 @@ const SETTINGS_KEY_MAP = {
     languagesEnabled: 'feature.languages',
     // Queue / config values
     maxRecalls: 'config.max_recall_count',
+    maxWaitingTickets: 'config.max_waiting_tickets',
+    queueLowWaterPercent: 'config.queue_low_water_percent',
     autoComplete: 'config.auto_complete_timeout',
     recyclePosition: 'config.recycle_position',
     resetTime: 'config.reset_time',
     dailyReset: 'config.daily_reset',
+    callPolicy: 'config.call_policy',
+    interleaveRatio: 'config.interleave_ratio',
+    autoNoShowEnabled: 'feature.auto_no_show',
+    noShowGrace: 'config.no_show_grace_seconds',
     defaultLanguage: 'config.default_language',
     enabledLanguages: 'config.enabled_languages',
     timeFormat: 'config.time_format',
@@ -119,10 +198,61 @@ const SETTINGS_KEY_MAP = {
     dateFormat: 'config.date_format',
     autoBackup: 'config.auto_backup',
     backupFrequency: 'config.backup_frequency',
+    backupRetention: 'config.backup_retention',
     dataRetention: 'config.data_retention_days',
-    logRetention: 'config.log_retention_days'
+    logRetention: 'config.log_retention_days',
+    appointmentsEnabled: 'feature.appointments',
+    appointmentSlotMinutes: 'config.appointment_slot_minutes',
+    appointmentOpenTime: 'config.appointment_open_time',
+    appointmentCloseTime: 'config.appointment_close_time',
+    appointmentCheckinEarly: 'config.appointment_checkin_early_minutes',
+    appointmentCheckinLate: 'config.appointment_checkin_late_minutes',
+    appointmentPriority: 'config.appointment_priority',
+    publicBaseUrl: 'config.public_base_url',
+    notificationsEnabled: 'feature.notifications',
+    notifyOnCreated: 'notify.on_created',
+    notifyOnApproaching: 'notify.on_approaching',
+    notifyOnCalled: 'notify.on_called',
+    notifyOnTransferred: 'notify.on_transferred',
+    notifyApproachingPositions: 'notify.approaching_positions',
+    notifyMaxAttempts: 'notify.max_attempts',
+    smsWebhookUrl: 'notify.sms_webhook_url',
+    smsWebhookToken: 'notify.sms_webhook_token',
+    smtpHost: 'notify.smtp_host',
+    smtpPort: 'notify.smtp_port',
+    smtpSecure: 'notify.smtp_secure',
+    smtpAllowInsecureAuth: 'notify.smtp_allow_insecure_auth',
+    smtpUser: 'notify.smtp_user',
+    smtpPassword: 'notify.smtp_password',
+    smtpFrom: 'notify.smtp_from',
+    webhookMaxAttempts: 'webhook.max_attempts',
+    voiceTemplates: 'voice.templates',
+    voiceChime: 'voice.chime',
+    voiceRepeatCount: 'voice.repeat_count',
+    voiceRecallRepeatCount: 'voice.recall_repeat_count',
+    voiceRepeatGapMs: 'voice.repeat_gap_ms',
+    voiceRate: 'voice.rate',
+    printerMethod: 'printer.method',
+    printerWidth: 'printer.width',
+    printerHost: 'printer.host',
+    printerPort: 'printer.port',
+    printerKiosks: 'printer.kiosks',
+    printerEncoding: 'printer.encoding',
+    printerCodePage: 'printer.code_page',
+    printerMaxAttempts: 'printer.max_attempts'
 };
 
+// Credentials are write-only: reads report whether they are set, never the value
+const SECRET_SETTING_KEYS = new Set(['notify.smtp_password', 'notify.sms_webhook_token']);
+
+function maskSecretSettings(rows = []) {
+    return rows.map((row) => (
+        SECRET_SETTING_KEYS.has(row.key)
+            ? { ...row, value: null, is_set: Boolean(row.value) }
+            : row
+    ));
+}
+
 function coerceSettingValue(value) {
     if (typeof value === 'boolean') {
         return value ? 'true' : 'false';
@@ -130,6 +260,9 @@ function coerceSettingValue(value) {
     if (Array.isArray(value)) {
         return JSON.stringify(value);
     }
+    if (value && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
     if (value === null || value === undefined) {
         return null;
     }
@@ -155,8 +288,17 @@ function normalizeSettingsRows(rows = []) {
                 } catch {
                     normalized[clientKey] = Array.isArray(rawValue) ? rawValue : String(rawValue || '').split(',').filter(Boolean);
                 }
+            } else if (SECRET_SETTING_KEYS.has(dbKey)) {
+                normalized[clientKey] = null;
+                normalized[`${clientKey}Set`] = Boolean(rawValue);
+            } else if (clientKey === 'voiceTemplates' || clientKey === 'printerKiosks') {
+                try {
+                    normalized[clientKey] = rawValue ? JSON.parse(rawValue) : {};
+                } catch {
+                    normalized[clientKey] = {};
+                }
             } else if (
-                ['maxRecalls', 'recallInterval', 'ticketTimeout', 'maxWaitingTickets', 'refreshInterval', 'sessionTimeout', 'adminSessionTimeout', 'dataRetention', 'logRetention', 'recyclePosition'].includes(clientKey)
+                ['maxRecalls', 'recallInterval', 'ticketTimeout', 'maxWaitingTickets', 'queueLowWaterPercent', 'refreshInterval', 'sessionTimeout', 'adminSessionTimeout', 'dataRetention', 'logRetention', 'backupRetention', 'recyclePosition', 'interleaveRatio', 'noShowGrace', 'appointmentSlotMinutes', 'appointmentCheckinEarly', 'appointmentCheckinLate', 'appointmentPriority', 'notifyApproachingPositions', 'notifyMaxAttempts', 'smtpPort', 'webhookMaxAttempts', 'voiceRepeatCount', 'voiceRecallRepeatCount', 'voiceRepeatGapMs', 'printerWidth', 'printerPort', 'printerCodePage', 'printerMaxAttempts'].includes(clientKey)
             ) {
                 const parsed = parseInt(rawValue, 10);
                 normalized[clientKey] = Number.isNaN(parsed) ? null : parsed;
@@ -214,6 +356,13 @@ function mapServiceRow(row, stats = {}) {
         range_start: row.range_start,
         range_end: row.range_end,
         current_number: row.current_number || 0,
+        number_format: row.number_format || ticketNumbering.DEFAULT_FORMAT,
+        number_padding: row.number_padding || 3,
+        rollover_policy: row.rollover_policy || 'stop',
+        overflow_start: row.overflow_start ?? null,
+        overflow_end: row.overflow_end ?? null,
+        max_waiting_tickets: row.max_waiting_tickets ?? null,
+        number_example: ticketNumbering.formatTicketNumber(row, row.range_start || 1),
         is_active: toBoolean(row.is_active),
         estimated_service_time: row.estimated_service_time || 0,
         tickets_today: stats.tickets_today || 0,
@@ -248,7 +397,7 @@ async function getServiceById(db, serviceId) {
     return mapServiceRow(row, stats);
 }
 
-function validateServicePayload(body = {}, { isUpdate = false } = {}) {
+function validateServicePayload(body = {}, { isUpdate = false, current = {} } = {}) {
     const errors = [];
 
     const name = typeof body.name === 'string' ? body.name.trim() : '';
@@ -259,12 +408,16 @@ function validateServicePayload(body = {}, { isUpdate = false } = {}) {
     const currentNumberRaw = body.current_number ?? body.currentNumber;
     const estimatedTimeRaw = body.estimated_service_time ?? body.estimatedServiceTime;
     const isActiveRaw = body.is_active ?? body.isActive;
+    const maxWaitingRaw = body.max_waiting_tickets !== undefined ? body.max_waiting_tickets : body.maxWaitingTickets;
 
     const rangeStart = parseInt(rangeStartRaw, 10);
     const rangeEnd = parseInt(rangeEndRaw, 10);
     const currentNumber = Number.isNaN(parseInt(currentNumberRaw, 10)) ? 0 : parseInt(currentNumberRaw, 10);
     const estimatedServiceTime = Number.isNaN(parseInt(estimatedTimeRaw, 10)) ? 300 : parseInt(estimatedTimeRaw, 10);
     const isActive = toBoolean(isActiveRaw ?? true);
+    const maxWaiting = maxWaitingRaw === undefined
+        ? current.max_waiting_tickets ?? null
+        : (maxWaitingRaw === null || maxWaitingRaw === '' ? null : Number(maxWaitingRaw));
 
     if (!name) {
         errors.push('Service name is required');
@@ -288,6 +441,13 @@ function validateServicePayload(body = {}, { isUpdate = false } = {}) {
         errors.push('Range end must be greater than range start');
     }
 
+    if (maxWaiting !== null && (!Number.isInteger(maxWaiting) || maxWaiting < 0)) {
+        errors.push('Max waiting tickets must be zero or a positive integer');
+    }
+
+    const numbering = ticketNumbering.validateNumberingPolicy(body, { rangeStart, rangeEnd, current });
+    errors.push(...numbering.errors);
+
     if (errors.length > 0) {
         return { errors };
     }
@@ -301,6 +461,8 @@ function validateServicePayload(body = {}, { isUpdate = false } = {}) {
             range_start: rangeStart,
             range_end: rangeEnd,
             current_number: currentNumber >= 0 ? currentNumber : 0,
+            ...numbering.data,
+            max_waiting_tickets: maxWaiting || null,
             estimated_service_time: estimatedServiceTime > 0 ? estimatedServiceTime : 300,
             is_active: isActive ? 1 : 0
         }
@@ -458,6 +620,8 @@ function mapAgentRow(row, services = [], stats = {}) {
         is_active: active,
         status,
         current_counter: row.counter_name || null,
+        call_policy: row.call_policy || null,
+        can_cherry_pick: toBoolean(row.can_cherry_pick),
         services: services.map((service) => ({
             service_id: service.service_id,
             service_name: service.service_name,
@@ -479,10 +643,13 @@ function validateAgentPayload(body = {}) {
     const usernameRaw = typeof body.username === 'string' ? body.username.trim() : '';
     const username = usernameRaw.toLowerCase();
     const email = typeof body.email === 'string' ? body.email.trim() : '';
-    const roleRaw = typeof body.role === 'string' ? body.role.trim().toLowerCase() : 'agent';
+    const role = normalizeRole(body.role);
     const isActive = toBoolean(body.is_active ?? true);
     const password = typeof body.password === 'string' ? body.password.trim() : '';
     const servicesInput = Array.isArray(body.services) ? body.services : [];
+    const hasCherryPick = Object.prototype.hasOwnProperty.call(body, 'can_cherry_pick');
+    const hasCallPolicy = Object.prototype.hasOwnProperty.call(body, 'call_policy');
+    const callPolicy = body.call_policy ? normalizePolicy(body.call_policy) : null;
 
     if (!name) {
         errors.push('Agent name is required');
@@ -498,9 +665,6 @@ function validateAgentPayload(body = {}) {
         errors.push('Invalid email address');
     }
 
-    const allowedRoles = new Set(['agent', 'supervisor', 'admin']);
-    const role = allowedRoles.has(roleRaw) ? roleRaw : 'agent';
-
     const servicesMap = new Map();
     servicesInput.forEach((service) => {
         const serviceId = parseInt(service.service_id ?? service.id, 10);
@@ -521,6 +685,10 @@ function validateAgentPayload(body = {}) {
         errors.push('At least one service must be assigned');
     }
 
+    if (body.call_policy && !callPolicy) {
+        errors.push('Invalid call policy');
+    }
+
     return {
         errors,
         data: {
@@ -529,8 +697,12 @@ function validateAgentPayload(body = {}) {
             email,
             role,
             is_active: isActive ? 1 : 0,
+            // null leaves the stored permission unchanged on update
+            can_cherry_pick: hasCherryPick ? (toBoolean(body.can_cherry_pick) ? 1 : 0) : null,
             services,
-            password
+            password,
+            call_policy: callPolicy,
+            has_call_policy: hasCallPolicy
         }
     };
 }
@@ -541,10 +713,204 @@ function generateTemporaryPassword(length = 10) {
     return sanitized.slice(0, length) || 'Agent123';
 }
 
-// POST /api/admin/login - Admin authentication
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function mapAdminCounterRow(row, services = []) {
+    const counter = mapCounterRow(row);
+    return {
+        id: row.id,
+        name: counter.name,
+        number: row.number,
+        location: row.location || null,
+        is_active: toBoolean(row.is_active),
+        state: counter.state,
+        status: counter.status,
+        break_reason: counter.breakReason,
+        break_until: counter.breakUntil,
+        current_agent_id: row.current_agent_id || null,
+        current_agent_name: row.agent_name || null,
+        current_ticket_id: row.current_ticket_id || null,
+        current_ticket_number: row.ticket_number || null,
+        default_service_id: row.default_service_id || null,
+        default_service_name: row.default_service_name || null,
+        call_policy: row.call_policy || null,
+        services: services.map((service) => ({
+            service_id: service.service_id,
+            service_name: service.service_name,
+            prefix: service.prefix
+        }))
+    };
+}
+
+async function getCounters(db, counterId = null) {
+    const filter = counterId ? 'WHERE c.id = ?' : '';
+    const params = counterId ? [counterId] : [];
+
+    const rows = await dbAll(
+        db,
+        `SELECT c.*,
+                a.name AS agent_name,
+                t.ticket_number,
+                ds.name AS default_service_name
+         FROM counters c
+         LEFT JOIN agents a ON a.id = c.current_agent_id
+         LEFT JOIN tickets t ON t.id = c.current_ticket_id
+         LEFT JOIN services ds ON ds.id = c.default_service_id
+         ${filter}
+         ORDER BY c.number, c.id`,
+        params
+    );
+
+    const serviceRows = await dbAll(
+        db,
+        `SELECT cs.counter_id,
+                cs.service_id,
+                s.name AS service_name,
+                s.prefix
+         FROM counter_services cs
+         JOIN services s ON s.id = cs.service_id
+         ${counterId ? 'WHERE cs.counter_id = ?' : ''}
+         ORDER BY cs.counter_id, cs.service_id`,
+        params
+    );
+
+    const servicesByCounter = serviceRows.reduce((acc, row) => {
+        (acc[row.counter_id] = acc[row.counter_id] || []).push(row);
+        return acc;
+    }, {});
+
+    return rows.map((row) => mapAdminCounterRow(row, servicesByCounter[row.id] || []));
+}
+
+async function getCounterById(db, counterId) {
+    const [counter] = await getCounters(db, counterId);
+    return counter || null;
+}
+
+function validateCounterPayload(body = {}) {
+    const errors = [];
+
+    const number = parseInt(body.number, 10);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const location = typeof body.location === 'string' ? body.location.trim() : '';
+    const isActive = toBoolean(body.is_active ?? body.isActive ?? true);
+    const defaultRaw = body.default_service_id ?? body.defaultServiceId ?? null;
+    const defaultServiceId = defaultRaw === null || defaultRaw === '' ? null : parseInt(defaultRaw, 10);
+    const hasServices = Object.prototype.hasOwnProperty.call(body, 'services');
+    const hasCallPolicy = Object.prototype.hasOwnProperty.call(body, 'call_policy');
+    const callPolicy = body.call_policy ? normalizePolicy(body.call_policy) : null;
+
+    if (!Number.isInteger(number) || number < 1) {
+        errors.push('Counter number must be a positive integer');
+    }
+
+    if (defaultServiceId !== null && (!Number.isInteger(defaultServiceId) || defaultServiceId < 1)) {
+        errors.push('Invalid default service');
+    }
+
+    // Accepts [1, 2] or [{ service_id: 1 }, ...] like agent assignments
+    let services = [];
+    if (hasServices && !Array.isArray(body.services)) {
+        errors.push('services must be an array of service IDs');
+    } else if (hasServices) {
+        services = [
+            ...new Set(
+                body.services.map((service) =>
+                    parseInt(service && typeof service === 'object' ? service.service_id ?? service.id : service, 10)
+                )
+            )
+        ];
+        if (services.some((serviceId) => Number.isNaN(serviceId))) {
+            errors.push('services must contain valid service IDs');
+        }
+    }
+
+    if (body.call_policy && !callPolicy) {
+        errors.push('Invalid call policy');
+    }
+
+    return {
+        errors,
+        data: {
+            name: name || `Counter ${number}`,
+            number,
+            location: location || null,
+            is_active: isActive ? 1 : 0,
+            default_service_id: defaultServiceId,
+            services,
+            has_services: hasServices,
+            call_policy: callPolicy,
+            has_call_policy: hasCallPolicy
+        }
+    };
+}
+
+/**
+ * Check a counter payload against the database: unique number, known
+ * services, and a default service the counter is allowed to serve.
+ */
+async function assertCounterReferences(tx, data, counterId = null) {
+    const duplicate = await tx.get(
+        'SELECT id FROM counters WHERE number = ? AND id != ?',
+        [data.number, counterId || 0]
+    );
+    if (duplicate) {
+        throw httpError(409, 'Counter number already exists');
+    }
+
+    const referenced = [...new Set([...data.services, data.default_service_id].filter(Boolean))];
+    if (referenced.length) {
+        const rows = await tx.all(
+            `SELECT id FROM services WHERE id IN (${referenced.map(() => '?').join(', ')})`,
+            referenced
+        );
+        const known = new Set(rows.map((row) => row.id));
+        const unknown = referenced.filter((serviceId) => !known.has(serviceId));
+        if (unknown.length) {
+            throw httpError(400, `Unknown service IDs: ${unknown.join(', ')}`);
+        }
+    }
+
+    let allowed = data.services;
+    if (!data.has_services && counterId) {
+        const rows = await tx.all('SELECT service_id FROM counter_services WHERE counter_id = ?', [counterId]);
+        allowed = rows.map((row) => row.service_id);
+    }
+
+    if (data.default_service_id && allowed.length && !allowed.includes(data.default_service_id)) {
+        throw httpError(400, 'Default service must be one of the counter services');
+    }
+}
+
+async function replaceCounterServices(tx, counterId, serviceIds = []) {
+    await tx.run('DELETE FROM counter_services WHERE counter_id = ?', [counterId]);
+
+    for (const serviceId of serviceIds) {
+        await tx.run(
+            'INSERT INTO counter_services (counter_id, service_id) VALUES (?, ?)',
+            [counterId, serviceId]
+        );
+    }
+}
+
+function notifyCounterChanged(req, row, extra = {}) {
+    const io = req.app.get('io');
+    if (io && row) {
+        broadcastCounterUpdated(io, { ...mapCounterRow(row), isActive: toBoolean(row.is_active), ...extra });
+    }
+}
+
+// POST /api/admin/login - Admin authentication. Supervisors and admins
+// sign in with their staff account; the shared admin password still works
+// without a username and signs in as the built-in administrator.
 router.post('/login', loginLimiter, async (req, res) => {
     try {
         const { password } = req.body;
+        const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
         
         if (!password) {
             return res.status(400).json({
@@ -553,20 +919,44 @@ router.post('/login', loginLimiter, async (req, res) => {
             });
         }
         
-        const isValid = await verifyPassword(password);
-        
-        if (!isValid) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid admin password'
-            });
+        let user;
+        if (username) {
+            const agent = await authenticateAgent(username, password);
+
+            if (!agent) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid username or password'
+                });
+            }
+
+            const role = normalizeRole(agent.role);
+            if (!hasRole(role, ROLES.SUPERVISOR)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Agents sign in at the terminal, not the admin panel'
+                });
+            }
+
+            user = { userId: agent.id, username: agent.username, name: agent.name, role };
+        } else {
+            const isValid = await verifyPassword(password);
+            
+            if (!isValid) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid admin password'
+                });
+            }
+
+            user = { userId: 'admin', username: 'admin', name: 'Administrator', role: ROLES.ADMIN };
         }
         
         // Generate JWT token
         const token = jwt.sign(
             { 
-                userId: 'admin', 
-                role: 'admin',
+                ...user,
+                scope: ADMIN_TOKEN_SCOPE,
                 loginTime: Date.now()
             }, 
             ADMIN_CONFIG.JWT_SECRET, 
@@ -577,11 +967,14 @@ router.post('/login', loginLimiter, async (req, res) => {
         logEvent(
             'ADMIN_LOGIN',
             'admin',
-            1,
+            typeof user.userId === 'number' ? user.userId : 1,
             {
+                username: user.username,
+                role: user.role,
                 loginTime: new Date().toISOString(),
                 ip: req.ip || req.connection?.remoteAddress
-            }
+            },
+            typeof user.userId === 'number' ? user.userId : null
         ).catch((err) =>
             logger.error({ err }, 'Event logging failed for admin login')
         );
@@ -589,6 +982,7 @@ router.post('/login', loginLimiter, async (req, res) => {
         res.json({
             success: true,
             token: token,
+            user,
             message: 'Admin login successful',
             expiresIn: '8 hours'
         });
@@ -608,6 +1002,8 @@ router.get('/verify', verifyAdminAuth, (req, res) => {
         success: true,
         admin: {
             userId: req.admin.userId,
+            username: req.admin.username || 'admin',
+            name: req.admin.name || 'Administrator',
             role: req.admin.role,
             loginTime: req.admin.loginTime
         },
@@ -639,7 +1035,7 @@ router.get('/settings', verifyAdminAuth, (req, res) => {
     }
 
     const normalized = normalizeSettingsRows(settings);
-    res.json({ settings, normalized });
+    res.json({ settings: maskSecretSettings(settings), normalized });
   });
 });
 
@@ -750,12 +1146,40 @@ router.get('/dashboard/activity', verifyAdminAuth, async (_req, res) => {
         return `Ticket ${payload.ticketNumber || payload.ticket_number || ''} recycled`;
       case EventTypes.TICKET_NO_SHOW:
         return `Ticket ${payload.ticketNumber || payload.ticket_number || ''} marked no-show`;
+      case EventTypes.TICKET_PARKED:
+        return `Ticket ${payload.ticketNumber || payload.ticket_number || ''} parked at counter ${payload.counterId || ''}`;
+      case EventTypes.TICKET_UNPARKED:
+        return `Ticket ${payload.ticketNumber || payload.ticket_number || ''} resumed at counter ${payload.counterId || ''}`;
+      case EventTypes.TICKET_AUTO_COMPLETED:
+        return `Ticket ${payload.ticketNumber || ''} auto-completed at counter ${payload.counterId || ''}`;
+      case EventTypes.TICKET_CHERRY_PICKED:
+        return `Ticket ${payload.ticketNumber || ''} called out of order at counter ${payload.counterId || ''}: ${payload.reason || ''}`;
+      case EventTypes.TICKET_REASSIGNED:
+        return payload.toCounterId
+          ? `Ticket ${payload.ticketNumber || ''} moved to counter ${payload.toCounterId} by ${payload.initiatedBy || 'a supervisor'}`
+          : `Ticket ${payload.ticketNumber || ''} reassigned to service ${payload.toServiceId || ''} by ${payload.initiatedBy || 'a supervisor'}`;
+      case EventTypes.COUNTER_STATE_CHANGED:
+        return payload.action === 'force_close'
+          ? `Counter ${payload.counterNumber || ''} closed by ${payload.initiatedBy || 'a supervisor'}`
+          : event.event_type.replace(/_/g, ' ');
+      case EventTypes.APPOINTMENT_BOOKED:
+        return `Appointment ${payload.bookingCode || ''} booked`;
+      case EventTypes.APPOINTMENT_CANCELLED:
+        return `Appointment ${payload.bookingCode || ''} cancelled`;
+      case EventTypes.APPOINTMENT_CHECKED_IN:
+        return `Appointment ${payload.bookingCode || ''} checked in as ticket ${payload.ticketNumber || ''}`;
+      case EventTypes.APPOINTMENT_NO_SHOW:
+        return `Appointment ${payload.bookingCode || ''} missed`;
       case EventTypes.AGENT_LOGIN:
         return 'Agent logged in';
       case EventTypes.AGENT_LOGOUT:
         return 'Agent logged out';
       case EventTypes.SYSTEM_RESET:
         return `System reset (${payload.reason || 'manual'})`;
+      case EventTypes.SYSTEM_BACKUP:
+        return `Database backup created (${payload.reason || 'manual'})`;
+      case EventTypes.SYSTEM_RESTORE:
+        return `Database restored from ${payload.filename || 'backup'}`;
       default:
         return event.event_type.replace(/_/g, ' ');
     }
@@ -783,8 +1207,63 @@ router.get('/dashboard/activity', verifyAdminAuth, async (_req, res) => {
   }
 });
 
+function sendReport(res, report, { format, section }) {
+  if (format === 'csv') {
+    const csv = reportsService.reportToCsv(report, section || 'services');
+    const filename = `flowmatic-report-${report.range.from}_${report.range.to}-${section || 'services'}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(csv);
+  }
+
+  return res.json({ success: true, report });
+}
+
+// GET /api/admin/reports/daily - Report for one day (?date=YYYY-MM-DD, defaults to today)
+router.get('/reports/daily', verifyAdminAuth, async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+  try {
+    const report = await reportsService.buildReport({ from: req.query.date, to: req.query.date });
+
+    if (format === 'csv') {
+      return sendReport(res, report, { format, section: req.query.section });
+    }
+
+    // ticketsServed / avgServiceTime are read by the terminal stats panel
+    res.json({
+      success: true,
+      ticketsServed: report.summary.completed,
+      avgServiceTime: report.summary.avgServiceSeconds || 0,
+      report
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      logger.error({ err: error }, 'Failed to build daily report');
+    }
+    res.status(status).json({ success: false, error: status === 500 ? 'Failed to build report' : error.message });
+  }
+});
+
+// GET /api/admin/reports - Report for a date range (?from=&to=, inclusive, UTC days)
+router.get('/reports', verifyAdminAuth, async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+  try {
+    const report = await reportsService.buildReport({ from: req.query.from, to: req.query.to });
+    sendReport(res, report, { format, section: req.query.section });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      logger.error({ err: error }, 'Failed to build report');
+    }
+    res.status(status).json({ success: false, error: status === 500 ? 'Failed to build report' : error.message });
+  }
+});
+
 // PUT /api/admin/settings - Update settings
-router.put('/settings', verifyAdminAuth, (req, res) => {
+router.put('/settings', verifyAdminAuth, requireAdmin, (req, res) => {
   const db = getDb();
 
   let updates = req.body?.updates;
@@ -831,7 +1310,7 @@ router.put('/settings', verifyAdminAuth, (req, res) => {
     return res.status(400).json({ error: 'No valid settings provided' });
   }
 
-  logger.info({ updates }, 'Admin settings update request');
+  logger.info({ updates: maskSecretSettings(updates) }, 'Admin settings update request');
 
   db.run('BEGIN TRANSACTION', (err) => {
     if (err) {
@@ -908,7 +1387,7 @@ router.get('/system/reset-status', verifyAdminAuth, (req, res) => {
   res.json({ success: true, status });
 });
 
-router.put('/system/reset-config', verifyAdminAuth, async (req, res) => {
+router.put('/system/reset-config', verifyAdminAuth, requireAdmin, async (req, res) => {
   try {
     const { resetTime, dailyReset } = req.body || {};
 
@@ -929,14 +1408,14 @@ router.put('/system/reset-config', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.post('/system/reset', verifyAdminAuth, async (req, res) => {
+router.post('/system/reset', verifyAdminAuth, requireAdmin, async (req, res) => {
   try {
     const reason = typeof req.body?.reason === 'string' ? req.body.reason : 'manual';
     const silent = Boolean(req.body?.silent);
 
     const summary = await systemResetService.performSystemReset({
       reason,
-      initiatedBy: req.admin?.userId || 'admin',
+      initiatedBy: adminActor(req),
       silent
     });
 
@@ -951,7 +1430,164 @@ router.post('/system/reset', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.post('/system/preset-queue', verifyAdminAuth, async (req, res) => {
+// GET /api/admin/history - Archived tickets from previous business days
+router.get('/history', verifyAdminAuth, async (req, res) => {
+  try {
+    const { from, to, serviceId, state, ticketNumber, limit, offset } = req.query;
+    const page = await ticketArchive.queryArchive({
+      from,
+      to,
+      serviceId,
+      state,
+      ticketNumber,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      logger.error({ err: error }, 'Failed to query ticket history');
+    }
+    res.status(status).json({ success: false, error: status === 500 ? 'Failed to load ticket history' : error.message });
+  }
+});
+
+function sendServiceError(res, error, fallback) {
+  const status = error.status || 500;
+  if (status === 500) {
+    logger.error({ err: error }, fallback);
+  }
+  res.status(status).json({
+    success: false,
+    error: status === 500 ? fallback : error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+}
+
+// GET /api/admin/events - Audit log (?type=&ticketId=&ticketNumber=&agentId=&counterId=&from=&to=&limit=&offset=)
+// ?format=csv|ndjson exports every matching row instead of one page
+router.get('/events', verifyAdminAuth, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  const filters = {
+    type: req.query.type,
+    entityType: req.query.entityType,
+    ticketId: req.query.ticketId,
+    ticketNumber: req.query.ticketNumber,
+    agentId: req.query.agentId,
+    counterId: req.query.counterId,
+    from: req.query.from,
+    to: req.query.to,
+    order: req.query.order,
+    limit: req.query.limit,
+    offset: req.query.offset
+  };
+
+  if (format !== 'json' && !auditLog.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be json, ${auditLog.EXPORT_FORMATS.join(' or ')}` });
+  }
+
+  if (format === 'json') {
+    try {
+      const page = await auditLog.queryEvents(filters);
+      return res.json({ success: true, ...page });
+    } catch (error) {
+      return sendServiceError(res, error, 'Failed to query events');
+    }
+  }
+
+  // Validate the filters before any bytes are sent
+  const batches = auditLog.iterateEvents(filters);
+  let first;
+  try {
+    first = await batches.next();
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to export events');
+  }
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="flowmatic-events-${stamp}.${format}"`);
+
+  try {
+    res.write(auditLog.formatEvents(first.done ? [] : first.value, format, { header: true }));
+    for await (const events of batches) {
+      res.write(auditLog.formatEvents(events, format));
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone; cut the download short so it is visibly incomplete
+    logger.error({ err: error }, 'Failed to export events');
+    res.destroy(error);
+  }
+});
+
+// GET /api/admin/tickets/:ticketId/timeline - A ticket's journey rebuilt from the audit log
+router.get('/tickets/:ticketId/timeline', verifyAdminAuth, async (req, res) => {
+  try {
+    const timeline = await auditLog.getTicketTimeline(req.params.ticketId);
+    res.json({ success: true, ...timeline });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load ticket timeline');
+  }
+});
+
+// GET /api/admin/system/backups - Backup schedule and the copies on disk
+router.get('/system/backups', verifyAdminAuth, requireAdmin, async (_req, res) => {
+  try {
+    const status = await databaseSnapshots.getBackupStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to list backups');
+  }
+});
+
+// POST /api/admin/system/backups - Take a backup now
+router.post('/system/backups', verifyAdminAuth, requireAdmin, async (req, res) => {
+  try {
+    const backup = await databaseSnapshots.createBackup({
+      reason: 'manual',
+      initiatedBy: adminActor(req)
+    });
+    res.status(201).json({ success: true, backup });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create backup');
+  }
+});
+
+router.get('/system/backups/:filename/download', verifyAdminAuth, requireAdmin, (req, res) => {
+  let filePath;
+  try {
+    filePath = databaseSnapshots.resolveBackupFile(req.params.filename);
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to download backup');
+  }
+
+  res.download(filePath, req.params.filename, (err) => {
+    if (err && !res.headersSent) {
+      sendServiceError(res, err, 'Failed to download backup');
+    }
+  });
+});
+
+// POST /api/admin/system/backups/:filename/restore - Replace live data with a backup
+router.post('/system/backups/:filename/restore', verifyAdminAuth, requireAdmin, async (req, res) => {
+  if (req.body?.confirm !== 'RESTORE') {
+    return res.status(400).json({ success: false, error: 'Send { "confirm": "RESTORE" } to restore a backup' });
+  }
+
+  try {
+    const result = await databaseSnapshots.restoreBackup(req.params.filename, {
+      initiatedBy: adminActor(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to restore backup');
+  }
+});
+
+router.post('/system/preset-queue', verifyAdminAuth, requireAdmin, async (req, res) => {
   try {
     const serviceId = parseInt(req.body?.serviceId, 10);
     const startNumber = parseInt(req.body?.startNumber, 10);
@@ -975,7 +1611,7 @@ router.post('/system/preset-queue', verifyAdminAuth, async (req, res) => {
       startNumber,
       count,
       priority,
-      initiatedBy: req.admin?.userId || 'admin'
+      initiatedBy: adminActor(req)
     });
 
     res.json({ success: true, result });
@@ -1009,7 +1645,7 @@ router.get('/services', verifyAdminAuth, async (_req, res) => {
   }
 });
 
-router.post('/services', verifyAdminAuth, async (req, res) => {
+router.post('/services', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
 
   try {
@@ -1030,8 +1666,10 @@ router.post('/services', verifyAdminAuth, async (req, res) => {
 
     const result = await dbRun(
       db,
-      `INSERT INTO services (name, prefix, description, range_start, range_end, current_number, is_active, estimated_service_time)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)` ,
+      `INSERT INTO services (name, prefix, description, range_start, range_end, current_number,
+                             number_format, number_padding, rollover_policy, overflow_start, overflow_end,
+                             max_waiting_tickets, is_active, estimated_service_time)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)` ,
       [
         data.name,
         data.prefix,
@@ -1039,6 +1677,12 @@ router.post('/services', verifyAdminAuth, async (req, res) => {
         data.range_start,
         data.range_end,
         data.current_number,
+        data.number_format,
+        data.number_padding,
+        data.rollover_policy,
+        data.overflow_start,
+        data.overflow_end,
+        data.max_waiting_tickets,
         data.is_active,
         data.estimated_service_time
       ]
@@ -1052,7 +1696,7 @@ router.post('/services', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.put('/services/:serviceId', verifyAdminAuth, async (req, res) => {
+router.put('/services/:serviceId', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
   const serviceId = parseInt(req.params.serviceId, 10);
 
@@ -1066,7 +1710,7 @@ router.put('/services/:serviceId', verifyAdminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Service not found' });
     }
 
-    const { errors, data } = validateServicePayload(req.body || {}, { isUpdate: true });
+    const { errors, data } = validateServicePayload(req.body || {}, { isUpdate: true, current: existing });
     if (errors.length) {
       return res.status(400).json({ error: errors.join(', ') });
     }
@@ -1090,6 +1734,12 @@ router.put('/services/:serviceId', verifyAdminAuth, async (req, res) => {
            range_start = ?,
            range_end = ?,
            current_number = ?,
+           number_format = ?,
+           number_padding = ?,
+           rollover_policy = ?,
+           overflow_start = ?,
+           overflow_end = ?,
+           max_waiting_tickets = ?,
            is_active = ?,
            estimated_service_time = ?
        WHERE id = ?`,
@@ -1100,6 +1750,12 @@ router.put('/services/:serviceId', verifyAdminAuth, async (req, res) => {
         data.range_start,
         data.range_end,
         data.current_number,
+        data.number_format,
+        data.number_padding,
+        data.rollover_policy,
+        data.overflow_start,
+        data.overflow_end,
+        data.max_waiting_tickets,
         data.is_active,
         data.estimated_service_time,
         serviceId
@@ -1114,7 +1770,7 @@ router.put('/services/:serviceId', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.delete('/services/:serviceId', verifyAdminAuth, async (req, res) => {
+router.delete('/services/:serviceId', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
   const serviceId = parseInt(req.params.serviceId, 10);
 
@@ -1138,6 +1794,10 @@ router.delete('/services/:serviceId', verifyAdminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete service with existing tickets' });
     }
 
+    await dbRun(db, 'DELETE FROM counter_services WHERE service_id = ?', [serviceId]);
+    await dbRun(db, 'DELETE FROM service_hours WHERE service_id = ?', [serviceId]);
+    await dbRun(db, 'DELETE FROM service_holidays WHERE service_id = ?', [serviceId]);
+    await dbRun(db, 'UPDATE counters SET default_service_id = NULL WHERE default_service_id = ?', [serviceId]);
     await dbRun(db, 'DELETE FROM services WHERE id = ?', [serviceId]);
     res.json({ success: true });
   } catch (error) {
@@ -1180,7 +1840,7 @@ router.get('/agents/:agentId', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.post('/agents', verifyAdminAuth, async (req, res) => {
+router.post('/agents', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
 
   try {
@@ -1224,15 +1884,17 @@ router.post('/agents', verifyAdminAuth, async (req, res) => {
 
     const result = await dbRun(
       db,
-      `INSERT INTO agents (username, name, email, role, is_active, password_hash)
-       VALUES (?, ?, ?, ?, ?, ?)` ,
+      `INSERT INTO agents (username, name, email, role, is_active, can_cherry_pick, password_hash, call_policy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)` ,
       [
         data.username,
         data.name,
         data.email || null,
         data.role,
         data.is_active,
-        passwordHash
+        data.can_cherry_pick || 0,
+        passwordHash,
+        data.call_policy
       ]
     );
 
@@ -1246,7 +1908,7 @@ router.post('/agents', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
+router.put('/agents/:agentId', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
   const agentId = parseInt(req.params.agentId, 10);
 
@@ -1306,6 +1968,7 @@ router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
              email = ?,
              role = ?,
              is_active = ?,
+             can_cherry_pick = COALESCE(?, can_cherry_pick),
              password_hash = ?
          WHERE id = ?`,
         [
@@ -1314,6 +1977,7 @@ router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
           data.email || null,
           data.role,
           data.is_active,
+          data.can_cherry_pick,
           passwordHash,
           agentId
         ]
@@ -1326,7 +1990,8 @@ router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
              username = ?,
              email = ?,
              role = ?,
-             is_active = ?
+             is_active = ?,
+             can_cherry_pick = COALESCE(?, can_cherry_pick)
          WHERE id = ?`,
         [
           data.name,
@@ -1334,11 +1999,16 @@ router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
           data.email || null,
           data.role,
           data.is_active,
+          data.can_cherry_pick,
           agentId
         ]
       );
     }
 
+    if (data.has_call_policy) {
+      await dbRun(db, 'UPDATE agents SET call_policy = ? WHERE id = ?', [data.call_policy, agentId]);
+    }
+
     await replaceAgentServices(db, agentId, assignments);
 
     const agent = await getAgentById(db, agentId);
@@ -1353,7 +2023,7 @@ router.put('/agents/:agentId', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.delete('/agents/:agentId', verifyAdminAuth, async (req, res) => {
+router.delete('/agents/:agentId', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
   const agentId = parseInt(req.params.agentId, 10);
 
@@ -1388,7 +2058,7 @@ router.delete('/agents/:agentId', verifyAdminAuth, async (req, res) => {
   }
 });
 
-router.post('/agents/:agentId/reset-password', verifyAdminAuth, async (req, res) => {
+router.post('/agents/:agentId/reset-password', verifyAdminAuth, requireAdmin, async (req, res) => {
   const db = getDb();
   const agentId = parseInt(req.params.agentId, 10);
 
@@ -1418,4 +2088,717 @@ router.post('/agents/:agentId/reset-password', verifyAdminAuth, async (req, res)
   }
 });
 
+// Counters management
+function sendCounterError(res, error, fallback) {
+  const status = error.status || 500;
+  if (status === 500) {
+    logger.error({ err: error }, fallback);
+  }
+  res.status(status).json({ error: status === 500 ? fallback : error.message });
+}
+
+router.get('/counters', verifyAdminAuth, async (_req, res) => {
+  try {
+    const counters = await getCounters(getDb());
+    res.json({ counters });
+  } catch (error) {
+    sendCounterError(res, error, 'Failed to fetch counters');
+  }
+});
+
+router.get('/counters/:counterId', verifyAdminAuth, async (req, res) => {
+  const counterId = parseInt(req.params.counterId, 10);
+
+  if (Number.isNaN(counterId)) {
+    return res.status(400).json({ error: 'Invalid counter ID' });
+  }
+
+  try {
+    const counter = await getCounterById(getDb(), counterId);
+    if (!counter) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+
+    res.json({ counter });
+  } catch (error) {
+    sendCounterError(res, error, 'Failed to fetch counter');
+  }
+});
+
+router.post('/counters', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const { errors, data } = validateCounterPayload(req.body || {});
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  try {
+    const row = await withTransaction(async (tx) => {
+      await assertCounterReferences(tx, data);
+
+      const result = await tx.run(
+        `INSERT INTO counters (name, number, location, is_active, default_service_id, call_policy)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [data.name, data.number, data.location, data.is_active, data.default_service_id, data.call_policy]
+      );
+
+      await replaceCounterServices(tx, result.lastID, data.services);
+      return tx.get('SELECT * FROM counters WHERE id = ?', [result.lastID]);
+    });
+
+    notifyCounterChanged(req, row);
+
+    const counter = await getCounterById(getDb(), row.id);
+    res.status(201).json({ counter });
+  } catch (error) {
+    sendCounterError(res, error, 'Failed to create counter');
+  }
+});
+
+router.put('/counters/:counterId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const counterId = parseInt(req.params.counterId, 10);
+
+  if (Number.isNaN(counterId)) {
+    return res.status(400).json({ error: 'Invalid counter ID' });
+  }
+
+  const { errors, data } = validateCounterPayload(req.body || {});
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  try {
+    const result = await withTransaction(async (tx) => {
+      const existing = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+      if (!existing) {
+        throw httpError(404, 'Counter not found');
+      }
+
+      await assertCounterReferences(tx, data, counterId);
+
+      const deactivating = toBoolean(existing.is_active) && !data.is_active;
+      let signedOut = [];
+
+      if (deactivating) {
+        // The ticket at the counter has to be finished or moved by the agent first
+        if (existing.current_ticket_id) {
+          throw httpError(409, 'Counter is serving a ticket; complete or transfer it before deactivating');
+        }
+
+        const now = new Date().toISOString();
+        signedOut = await tx.all(
+          'SELECT id, agent_id FROM sessions WHERE counter_id = ? AND is_active = 1',
+          [counterId]
+        );
+
+        await tx.run(
+          'UPDATE sessions SET is_active = 0, logout_at = ? WHERE counter_id = ? AND is_active = 1',
+          [now, counterId]
+        );
+
+        await tx.run(
+          `UPDATE counters
+           SET current_agent_id = NULL,
+               state = 'offline',
+               break_reason = NULL,
+               break_until = NULL,
+               state_changed_at = ?
+           WHERE id = ?`,
+          [now, counterId]
+        );
+      }
+
+      await tx.run(
+        `UPDATE counters
+         SET name = ?,
+             number = ?,
+             location = ?,
+             is_active = ?,
+             default_service_id = ?
+         WHERE id = ?`,
+        [data.name, data.number, data.location, data.is_active, data.default_service_id, counterId]
+      );
+
+      if (data.has_call_policy) {
+        await tx.run('UPDATE counters SET call_policy = ? WHERE id = ?', [data.call_policy, counterId]);
+      }
+
+      if (data.has_services) {
+        await replaceCounterServices(tx, counterId, data.services);
+      }
+
+      const row = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+      return { row, deactivating, previousState: existing.state || 'offline', signedOut };
+    });
+
+    if (result.deactivating) {
+      logEvent(
+        EventTypes.COUNTER_STATE_CHANGED,
+        'counter',
+        counterId,
+        {
+          action: 'deactivate',
+          previousState: result.previousState,
+          state: 'offline',
+          signedOutAgents: result.signedOut.map((session) => session.agent_id),
+          initiatedBy: adminActor(req)
+        },
+        null,
+        counterId
+      ).catch((err) => logger.error({ err }, 'Event logging failed for counter deactivation'));
+
+      const io = req.app.get('io');
+      if (io && result.signedOut.length) {
+        broadcastCounterAlert(io, counterId, 'This counter was deactivated by an administrator', 'warning', {
+          signedOut: true
+        });
+      }
+    }
+
+    notifyCounterChanged(req, result.row);
+
+    const counter = await getCounterById(getDb(), counterId);
+    res.json({ counter });
+  } catch (error) {
+    sendCounterError(res, error, 'Failed to update counter');
+  }
+});
+
+router.delete('/counters/:counterId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const counterId = parseInt(req.params.counterId, 10);
+
+  if (Number.isNaN(counterId)) {
+    return res.status(400).json({ error: 'Invalid counter ID' });
+  }
+
+  try {
+    const existing = await withTransaction(async (tx) => {
+      const counter = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+      if (!counter) {
+        throw httpError(404, 'Counter not found');
+      }
+
+      const activeSession = await tx.get(
+        'SELECT 1 FROM sessions WHERE counter_id = ? AND is_active = 1',
+        [counterId]
+      );
+
+      if (counter.current_ticket_id || activeSession) {
+        throw httpError(409, 'Counter is in use; deactivate it before deleting');
+      }
+
+      // Tickets, sessions and events keep pointing at the counter, so a
+      // counter that has ever been used is deactivated rather than deleted
+      const history = await tx.get(
+        `SELECT EXISTS (SELECT 1 FROM tickets WHERE counter_id = ?)
+             OR EXISTS (SELECT 1 FROM ticket_archive WHERE counter_id = ?)
+             OR EXISTS (SELECT 1 FROM sessions WHERE counter_id = ?)
+             OR EXISTS (SELECT 1 FROM events WHERE counter_id = ?) AS used`,
+        [counterId, counterId, counterId, counterId]
+      );
+
+      if (history?.used) {
+        throw httpError(409, 'Counter has activity history; deactivate it instead');
+      }
+
+      await tx.run('DELETE FROM counter_services WHERE counter_id = ?', [counterId]);
+      await tx.run('DELETE FROM counters WHERE id = ?', [counterId]);
+      return counter;
+    });
+
+    notifyCounterChanged(req, { ...existing, is_active: 0, state: 'offline' }, { deleted: true });
+    res.json({ success: true });
+  } catch (error) {
+    sendCounterError(res, error, 'Failed to delete counter');
+  }
+});
+
+// PUT /api/admin/counters/:counterId/call-policy - Override the call-next policy for a counter
+router.put('/counters/:counterId/call-policy', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const db = getDb();
+  const counterId = parseInt(req.params.counterId, 10);
+
+  if (Number.isNaN(counterId)) {
+    return res.status(400).json({ error: 'Invalid counter ID' });
+  }
+
+  const rawPolicy = req.body?.call_policy ?? req.body?.callPolicy ?? null;
+  const callPolicy = rawPolicy ? normalizePolicy(rawPolicy) : null;
+
+  if (rawPolicy && !callPolicy) {
+    return res.status(400).json({ error: 'Invalid call policy' });
+  }
+
+  try {
+    const result = await dbRun(
+      db,
+      'UPDATE counters SET call_policy = ? WHERE id = ?',
+      [callPolicy, counterId]
+    );
+
+    if (!result.changes) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+
+    res.json({ success: true, counterId, call_policy: callPolicy });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to update counter call policy');
+    res.status(500).json({ error: 'Failed to update counter call policy' });
+  }
+});
+
+// ===== APPOINTMENTS =====
+
+// GET /api/admin/appointments - Bookings (?date=YYYY-MM-DD&serviceId=&state=&limit=&offset=)
+router.get('/appointments', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = await appointmentsService.listAppointments({
+      date: req.query.date,
+      serviceId: req.query.serviceId,
+      state: req.query.state,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load appointments');
+  }
+});
+
+// POST /api/admin/appointments/:appointmentId/cancel - Cancel a booking on the customer's behalf
+router.post('/appointments/:appointmentId/cancel', verifyAdminAuth, async (req, res) => {
+  const appointmentId = parseInt(req.params.appointmentId, 10);
+
+  if (Number.isNaN(appointmentId)) {
+    return res.status(400).json({ success: false, error: 'Invalid appointment ID' });
+  }
+
+  try {
+    const appointment = await appointmentsService.cancelAppointment(
+      { id: appointmentId },
+      { initiatedBy: adminActor(req) }
+    );
+    res.json({ success: true, appointment });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to cancel appointment');
+  }
+});
+
+// GET /api/admin/notifications - SMS / e-mail delivery queue
+router.get('/notifications', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = await notificationsService.listNotifications({
+      state: req.query.state,
+      ticketId: req.query.ticketId,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load notifications');
+  }
+});
+
+// POST /api/admin/notifications/:notificationId/retry - Re-queue a failed notification
+router.post('/notifications/:notificationId/retry', verifyAdminAuth, async (req, res) => {
+  const notificationId = parseInt(req.params.notificationId, 10);
+
+  if (Number.isNaN(notificationId)) {
+    return res.status(400).json({ success: false, error: 'Invalid notification ID' });
+  }
+
+  try {
+    await notificationsService.retryNotification(notificationId);
+    res.json({ success: true, notificationId });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to retry notification');
+  }
+});
+
+// ===== SERVICE HOURS =====
+
+// GET /api/admin/services/:serviceId/hours - Weekly hours, last-ticket cutoff and open state
+router.get('/services/:serviceId/hours', verifyAdminAuth, async (req, res) => {
+  const serviceId = parseInt(req.params.serviceId, 10);
+
+  if (Number.isNaN(serviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid service ID' });
+  }
+
+  try {
+    const hours = await serviceHours.getServiceHours(serviceId);
+    res.json({ success: true, ...hours });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load service hours');
+  }
+});
+
+// PUT /api/admin/services/:serviceId/hours - Replace weekly hours ({ weekly: [{ weekday, open, close }], lastTicketMinutes })
+router.put('/services/:serviceId/hours', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const serviceId = parseInt(req.params.serviceId, 10);
+
+  if (Number.isNaN(serviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid service ID' });
+  }
+
+  try {
+    const hours = await serviceHours.setServiceHours(serviceId, req.body || {});
+    res.json({ success: true, ...hours });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to save service hours');
+  }
+});
+
+// GET /api/admin/holidays - Holidays and exceptions (?serviceId=&from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/holidays', verifyAdminAuth, async (req, res) => {
+  try {
+    const holidays = await serviceHours.listHolidays({
+      serviceId: req.query.serviceId,
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, holidays });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load holidays');
+  }
+});
+
+// POST /api/admin/holidays - Close a day or set special hours ({ date, name, serviceId, open, close })
+router.post('/holidays', verifyAdminAuth, requireAdmin, async (req, res) => {
+  try {
+    const holiday = await serviceHours.createHoliday(req.body || {});
+    res.status(201).json({ success: true, holiday });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create holiday');
+  }
+});
+
+// DELETE /api/admin/holidays/:holidayId - Remove a holiday or exception
+router.delete('/holidays/:holidayId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const holidayId = parseInt(req.params.holidayId, 10);
+
+  if (Number.isNaN(holidayId)) {
+    return res.status(400).json({ success: false, error: 'Invalid holiday ID' });
+  }
+
+  try {
+    await serviceHours.deleteHoliday(holidayId);
+    res.json({ success: true });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete holiday');
+  }
+});
+
+// ===== WEBHOOKS =====
+
+function parseWebhookId(req, res) {
+  const webhookId = parseInt(req.params.webhookId, 10);
+  if (Number.isNaN(webhookId)) {
+    res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    return null;
+  }
+  return webhookId;
+}
+
+// GET /api/admin/webhooks - Registered endpoints with their outbox counts
+router.get('/webhooks', verifyAdminAuth, requireAdmin, async (_req, res) => {
+  try {
+    const webhooks = await webhooksService.listWebhooks();
+    res.json({ success: true, webhooks, eventTypes: webhooksService.knownEventTypes() });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load webhooks');
+  }
+});
+
+// POST /api/admin/webhooks - Register an endpoint ({ name, url, eventTypes, isActive }); returns its secret
+router.post('/webhooks', verifyAdminAuth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await webhooksService.createWebhook(req.body || {});
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create webhook');
+  }
+});
+
+// PUT /api/admin/webhooks/:webhookId - Change URL, subscriptions or active flag
+router.put('/webhooks/:webhookId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (webhookId === null) {
+    return;
+  }
+
+  try {
+    const webhook = await webhooksService.updateWebhook(webhookId, req.body || {});
+    res.json({ success: true, webhook });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update webhook');
+  }
+});
+
+// DELETE /api/admin/webhooks/:webhookId - Remove an endpoint and its delivery log
+router.delete('/webhooks/:webhookId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (webhookId === null) {
+    return;
+  }
+
+  try {
+    await webhooksService.deleteWebhook(webhookId);
+    res.json({ success: true });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// POST /api/admin/webhooks/:webhookId/rotate-secret - Issue a new signing secret
+router.post('/webhooks/:webhookId/rotate-secret', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (webhookId === null) {
+    return;
+  }
+
+  try {
+    const webhook = await webhooksService.rotateWebhookSecret(webhookId);
+    res.json({ success: true, webhook });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to rotate webhook secret');
+  }
+});
+
+// POST /api/admin/webhooks/:webhookId/test - Queue a WEBHOOK_TEST ping
+router.post('/webhooks/:webhookId/test', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (webhookId === null) {
+    return;
+  }
+
+  try {
+    const deliveryId = await webhooksService.sendTestEvent(webhookId);
+    res.status(202).json({ success: true, deliveryId });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to send test event');
+  }
+});
+
+// GET /api/admin/webhooks/:webhookId/deliveries - Delivery log (?state=&limit=&offset=)
+router.get('/webhooks/:webhookId/deliveries', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (webhookId === null) {
+    return;
+  }
+
+  try {
+    const page = await webhooksService.listDeliveries(webhookId, {
+      state: req.query.state,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load webhook deliveries');
+  }
+});
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+router.post('/webhooks/deliveries/:deliveryId/redeliver', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const deliveryId = parseInt(req.params.deliveryId, 10);
+
+  if (Number.isNaN(deliveryId)) {
+    return res.status(400).json({ success: false, error: 'Invalid delivery ID' });
+  }
+
+  try {
+    await webhooksService.redeliver(deliveryId);
+    res.status(202).json({ success: true, deliveryId });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+// ===== API KEYS =====
+
+// GET /api/admin/api-keys - Keys issued for /api/v1 (hashes and secrets are never returned)
+router.get('/api-keys', verifyAdminAuth, requireAdmin, async (_req, res) => {
+  try {
+    const apiKeys = await apiKeysService.listApiKeys();
+    res.json({ success: true, apiKeys, scopes: Object.values(apiKeysService.SCOPES) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load API keys');
+  }
+});
+
+// POST /api/admin/api-keys - Issue a key ({ name, scopes }); the plain key is only in this response
+router.post('/api-keys', verifyAdminAuth, requireAdmin, async (req, res) => {
+  try {
+    const apiKey = await apiKeysService.createApiKey(req.body || {});
+    res.status(201).json({ success: true, apiKey });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create API key');
+  }
+});
+
+// DELETE /api/admin/api-keys/:keyId - Revoke a key
+router.delete('/api-keys/:keyId', verifyAdminAuth, requireAdmin, async (req, res) => {
+  const keyId = parseInt(req.params.keyId, 10);
+
+  if (Number.isNaN(keyId)) {
+    return res.status(400).json({ success: false, error: 'Invalid API key ID' });
+  }
+
+  try {
+    await apiKeysService.revokeApiKey(keyId);
+    res.json({ success: true });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// ===== PRINT JOBS =====
+
+// GET /api/admin/print-jobs - Server print queue (?state=&kioskId=&limit=&offset=)
+router.get('/print-jobs', verifyAdminAuth, async (req, res) => {
+  try {
+    const page = await printJobs.listPrintJobs({
+      state: req.query.state,
+      kioskId: req.query.kioskId,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load print jobs');
+  }
+});
+
+// POST /api/admin/print-jobs/:jobId/retry - Print a job again
+router.post('/print-jobs/:jobId/retry', verifyAdminAuth, async (req, res) => {
+  const jobId = parseInt(req.params.jobId, 10);
+
+  if (Number.isNaN(jobId)) {
+    return res.status(400).json({ success: false, error: 'Invalid print job ID' });
+  }
+
+  try {
+    const job = await printJobs.retryPrintJob(jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to retry print job');
+  }
+});
+
+// ===== SLIP TEMPLATE =====
+
+async function slipTemplateResponse() {
+  const settings = await getSettings();
+  const template = slipTemplates.getSlipTemplate(settings);
+  return {
+    success: true,
+    template,
+    isDefault: template === slipTemplates.DEFAULT_SLIP_TEMPLATE,
+    defaultTemplate: slipTemplates.DEFAULT_SLIP_TEMPLATE,
+    placeholders: slipTemplates.PLACEHOLDERS
+  };
+}
+
+// GET /api/admin/slip-template - Current ticket slip layout and the placeholders it may use
+router.get('/slip-template', verifyAdminAuth, async (_req, res) => {
+  try {
+    res.json(await slipTemplateResponse());
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load slip template');
+  }
+});
+
+// PUT /api/admin/slip-template - Save the layout ({ template }); blank restores the built-in slip
+router.put('/slip-template', verifyAdminAuth, requireAdmin, async (req, res) => {
+  try {
+    await slipTemplates.saveSlipTemplate(req.body?.template);
+    res.json(await slipTemplateResponse());
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to save slip template');
+  }
+});
+
+// POST /api/admin/slip-template/preview - Render { template?, ticketData?, format: html|escpos, width? }
+// without saving; sample ticket values fill anything not given
+router.post('/slip-template/preview', verifyAdminAuth, async (req, res) => {
+  const { template, ticketData, format = 'html', width } = req.body || {};
+
+  try {
+    const settings = await getSettings();
+    const output = slipTemplates.renderSlip(
+      { ...slipTemplates.SAMPLE_SLIP, ...ticketData },
+      { format, settings, template, width, encoding: settings['printer.encoding'] }
+    );
+
+    if (format === 'html') {
+      return res.json({ success: true, format, html: output });
+    }
+    res.json({ success: true, format, bytes: output.length, data: output.toString('base64') });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to render slip preview');
+  }
+});
+
+// ===== SUPERVISOR ACTIONS =====
+
+function parseOptionalId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? NaN : id;
+}
+
+// POST /api/admin/tickets/:ticketId/reassign - Move a ticket to another service, or a parked ticket to another counter
+router.post('/tickets/:ticketId/reassign', verifyAdminAuth, async (req, res) => {
+  const ticketId = parseInt(req.params.ticketId, 10);
+  const serviceId = parseOptionalId(req.body?.serviceId ?? req.body?.service_id);
+  const counterId = parseOptionalId(req.body?.counterId ?? req.body?.counter_id);
+
+  if (Number.isNaN(ticketId) || Number.isNaN(serviceId) || Number.isNaN(counterId)) {
+    return res.status(400).json({ success: false, error: 'Invalid ticket, service or counter ID' });
+  }
+
+  try {
+    const result = await supervision.reassignTicket(ticketId, {
+      serviceId,
+      counterId,
+      reason: req.body?.reason,
+      initiatedBy: adminActor(req),
+      io: req.app.get('io')
+    });
+
+    res.json({ success: true, ticket: result.ticket });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to reassign ticket');
+  }
+});
+
+// POST /api/admin/counters/:counterId/force-close - Sign out the counter's agent and close it
+router.post('/counters/:counterId/force-close', verifyAdminAuth, async (req, res) => {
+  const counterId = parseInt(req.params.counterId, 10);
+
+  if (Number.isNaN(counterId)) {
+    return res.status(400).json({ success: false, error: 'Invalid counter ID' });
+  }
+
+  try {
+    const result = await supervision.forceCloseCounter(counterId, {
+      ticketAction: req.body?.ticketAction ?? req.body?.ticket_action ?? 'requeue',
+      reason: req.body?.reason,
+      initiatedBy: adminActor(req),
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      counter: result.counter,
+      ticket: result.ticket,
+      signedOutAgentIds: result.signedOutAgentIds
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to close counter');
+  }
+});
+
 module.exports = router;
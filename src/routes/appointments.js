@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const appointments = require('../services/appointments');
+const logger = require('../utils/logger');
+
+const bookingLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many booking requests. Please try again shortly.'
+    }
+});
+
+function sendError(res, error, fallback) {
+    const status = error.status || 500;
+    if (status === 500) {
+        logger.error({ err: error }, fallback);
+    }
+    res.status(status).json({ error: status === 500 ? fallback : error.message });
+}
+
+// GET /api/appointments/availability?serviceId=&date=YYYY-MM-DD - Slots and remaining capacity
+router.get('/availability', async (req, res) => {
+    try {
+        const availability = await appointments.getAvailability({
+            serviceId: req.query.serviceId,
+            date: req.query.date
+        });
+        res.json(availability);
+    } catch (error) {
+        sendError(res, error, 'Failed to load appointment availability');
+    }
+});
+
+// POST /api/appointments - Book a slot ({ serviceId, slotStart, customerName, customerPhone?, customerEmail? })
+router.post('/', bookingLimiter, async (req, res) => {
+    try {
+        const appointment = await appointments.bookAppointment(req.body || {});
+        res.status(201).json({ success: true, appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to book appointment');
+    }
+});
+
+// GET /api/appointments/:code - Look up a booking
+router.get('/:code', async (req, res) => {
+    try {
+        const appointment = await appointments.getAppointment(req.params.code);
+        res.json({ appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to load appointment');
+    }
+});
+
+// DELETE /api/appointments/:code - Cancel a booking that has not checked in
+router.delete('/:code', bookingLimiter, async (req, res) => {
+    try {
+        const appointment = await appointments.cancelAppointment({ code: req.params.code });
+        res.json({ success: true, appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel appointment');
+    }
+});
+
+module.exports = router;
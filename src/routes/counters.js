@@ -13,9 +13,12 @@ router.get('/', async (_req, res) => {
                    c.current_agent_id,
                    c.current_ticket_id,
                    c.location,
+                   c.break_reason,
+                   c.break_until,
                    a.name AS agent_name
             FROM counters c
             LEFT JOIN agents a ON a.id = c.current_agent_id
+            WHERE c.is_active = 1
             ORDER BY c.number
         `);
 
@@ -28,7 +31,9 @@ router.get('/', async (_req, res) => {
                 currentAgentId: counter.current_agent_id,
                 currentAgentName: counter.agent_name || null,
                 currentTicketId: counter.current_ticket_id,
-                location: counter.location || null
+                location: counter.location || null,
+                breakReason: counter.state === 'break' ? counter.break_reason : null,
+                breakUntil: counter.state === 'break' ? counter.break_until : null
             }))
         });
     } catch (error) {
@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, withTransaction } = require('../database/dbClient');
+const { all, get, withTransaction, getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
 const { logEvent, EventTypes } = require('../database/events');
-const { broadcastTicketCreated } = require('../realtime/eventBroadcaster');
+const { issueTicket, announceIssuedTicket } = require('../services/ticketIssuer');
+const { getQueueSnapshot } = require('../services/queueSnapshot');
+const appointments = require('../services/appointments');
+const {
+    isServerPrinting,
+    resolvePrinter,
+    findPrintableTicket,
+    queuePrintJob,
+    getPrintJob,
+    getPrinterHealth
+} = require('../services/printJobs');
+const { renderSlip } = require('../services/slipTemplates');
+const { loadCalendar, serviceStatus } = require('../services/serviceHours');
+const { getCapacityStatus, capacityFor, suggestAlternative } = require('../services/queueCapacity');
 const logger = require('../utils/logger');
 
 const MAX_NAME_LENGTH = 120;
 const MAX_PHONE_LENGTH = 30;
 const MAX_EMAIL_LENGTH = 180;
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+const LANGUAGE_REGEX = /^[a-z]{2}$/;
 
 function sanitizeString(value, maxLength) {
     if (typeof value !== 'string') {
@@ -21,12 +36,6 @@ function sanitizeString(value, maxLength) {
     return trimmed.slice(0, maxLength);
 }
 
-function httpError(status, message) {
-    const err = new Error(message);
-    err.status = status;
-    return err;
-}
-
 function validateTicketPayload(body) {
     const errors = [];
     const serviceId = Number(body.serviceId);
@@ -48,6 +57,11 @@ function validateTicketPayload(body) {
         errors.push('customerEmail is invalid');
     }
 
+    const language = body.language ? String(body.language).trim().toLowerCase() : null;
+    if (language && !LANGUAGE_REGEX.test(language)) {
+        errors.push('language must be a two-letter code');
+    }
+
     if (errors.length > 0) {
         return { errors };
     }
@@ -57,7 +71,8 @@ function validateTicketPayload(body) {
         priority,
         customerName,
         customerPhone,
-        customerEmail
+        customerEmail,
+        language
     };
 }
 
@@ -72,6 +87,10 @@ router.get('/services', async (req, res) => {
             return;
         }
 
+        const now = new Date();
+        const calendar = await loadCalendar(getClient(), now);
+        const capacity = await getCapacityStatus();
+
         const results = await Promise.all(
             services.map(async (service) => {
                 const stats =
@@ -89,34 +108,8 @@ router.get('/services', async (req, res) => {
                         current_serving: null
                     };
 
-                const avgRow =
-                    (await get(
-                        `SELECT AVG(actual_wait) as avg_wait 
-                         FROM tickets 
-                         WHERE service_id = ? 
-                         AND state = 'completed' 
-                         AND actual_wait IS NOT NULL
-                         AND created_at > datetime('now', '-1 hour')`,
-                        [service.id]
-                    )) || {};
-
-                const avgWaitSeconds = avgRow.avg_wait
-                    ? Math.round(avgRow.avg_wait)
-                    : 180;
-                const avgWaitMinutes = Math.ceil(avgWaitSeconds / 60);
-
-                const estimatedWaitMinutes =
-                    stats.waiting_count > 0
-                        ? Math.ceil((stats.waiting_count * avgWaitSeconds) / 60)
-                        : 0;
-
-                const realWaitTime =
-                    estimatedWaitMinutes > 0
-                        ? Math.max(
-                              1,
-                              estimatedWaitMinutes + Math.floor(Math.random() * 3) - 1
-                          )
-                        : 0;
+                // ETA for a normal ticket issued now
+                const { estimate } = await getQueueSnapshot(getClient(), service.id);
 
                 return {
                     id: service.id,
@@ -127,16 +120,26 @@ router.get('/services', async (req, res) => {
                     prefix: service.prefix,
                     queueCount: stats.waiting_count || 0,
                     nowServing: stats.current_serving || 'None',
-                    realWaitTime,
-                    estimatedWaitMinutes,
+                    realWaitTime: estimate.minutes,
+                    estimatedWaitMinutes: estimate.minutes,
+                    waitEstimate: estimate,
                     currentServing: stats.current_serving || null,
                     servingCount: stats.serving_count || 0,
                     serving: stats.serving_count || 0,
-                    avgWaitTime: avgWaitMinutes
+                    avgWaitTime: estimate.minutes,
+                    hours: serviceStatus(calendar, service, now),
+                    capacity: capacityFor(capacity, service.id)
                 };
             })
         );
 
+        // Full queues point customers at the least busy open service
+        results
+            .filter((result) => result.capacity.full)
+            .forEach((result) => {
+                result.alternative = suggestAlternative(capacity, result.id, { services, calendar, now });
+            });
+
         res.json({ services: results });
     } catch (error) {
         logger.error({ err: error }, 'Error fetching kiosk services');
@@ -152,88 +155,7 @@ router.post('/tickets', async (req, res) => {
             return;
         }
 
-        const nowIso = new Date().toISOString();
-        const result = await withTransaction(async (tx) => {
-            const service = await tx.get(
-                'SELECT * FROM services WHERE id = ? AND is_active = 1',
-                [payload.serviceId]
-            );
-
-            if (!service) {
-                throw httpError(404, 'Service not found or inactive');
-            }
-
-            const baseNumber = Math.max(
-                service.current_number ?? 0,
-                (service.range_start ?? 1) - 1
-            );
-            const nextNumber = baseNumber + 1;
-
-            if (service.range_end && nextNumber > service.range_end) {
-                throw httpError(409, 'Service ticket range exhausted');
-            }
-
-            const ticketNumber = `${service.prefix}${String(nextNumber).padStart(3, '0')}`;
-
-            await tx.run(
-                'UPDATE services SET current_number = ? WHERE id = ?',
-                [nextNumber, payload.serviceId]
-            );
-
-            const estimatedServiceTime = service.estimated_service_time || 300;
-            const estimatedWait =
-                Math.max(0, estimatedServiceTime * (nextNumber - 1));
-
-            const insertResult = await tx.run(
-                `INSERT INTO tickets (
-                    ticket_number,
-                    service_id,
-                    state,
-                    customer_name,
-                    customer_phone,
-                    customer_email,
-                    estimated_wait,
-                    priority
-                ) VALUES (?, ?, 'waiting', ?, ?, ?, ?, ?)`,
-                [
-                    ticketNumber,
-                    payload.serviceId,
-                    payload.customerName,
-                    payload.customerPhone,
-                    payload.customerEmail,
-                    estimatedWait,
-                    payload.priority
-                ]
-            );
-
-            const queueRow =
-                (await tx.get(
-                    'SELECT COUNT(*) as count FROM tickets WHERE service_id = ? AND state = ?',
-                    [payload.serviceId, 'waiting']
-                )) || {};
-
-            const queueCount = queueRow.count || 0;
-
-            return {
-                service,
-                ticket: {
-                    id: insertResult.lastID,
-                    ticketNumber,
-                    serviceId: payload.serviceId,
-                    serviceName: service.name,
-                    state: 'waiting',
-                    estimatedWait,
-                    estimatedWaitMinutes: Math.ceil(estimatedWait / 60),
-                    createdAt: nowIso,
-                    queuePosition: queueCount,
-                    customerName: payload.customerName || 'Anonymous'
-                },
-                queue: {
-                    serviceId: payload.serviceId,
-                    waiting: queueCount
-                }
-            };
-        });
+        const result = await withTransaction((tx) => issueTicket(tx, payload));
 
         await logEvent(
             EventTypes.TICKET_CREATED,
@@ -247,22 +169,7 @@ router.post('/tickets', async (req, res) => {
             }
         ).catch((err) => console.error('Event logging failed:', err));
 
-        const io = req.app.get('io');
-        if (io) {
-            broadcastTicketCreated(
-                io,
-                {
-                    id: result.ticket.id,
-                    ticketNumber: result.ticket.ticketNumber,
-                    serviceId: result.ticket.serviceId,
-                    serviceName: result.service.name,
-                    state: 'waiting',
-                    customerName: result.ticket.customerName,
-                    createdAt: result.ticket.createdAt
-                },
-                result.queue
-            );
-        }
+        announceIssuedTicket(req.app.get('io'), result);
 
         res.status(201).json({
             success: true,
@@ -273,41 +180,134 @@ router.post('/tickets', async (req, res) => {
         if (!error.status) {
             logger.error({ err: error }, 'Error creating kiosk ticket');
         }
-        res.status(status).json({ error: error.message || 'Internal server error' });
+        res.status(status).json({
+            error: error.message || 'Internal server error',
+            ...(error.nextOpening !== undefined ? { nextOpening: error.nextOpening } : {}),
+            ...(error.queueFull ? { queueFull: true, alternative: error.alternative } : {})
+        });
     }
 });
 
-router.post('/print-ticket', async (req, res) => {
+// POST /api/kiosk/check-in - Turn an appointment booking code into a ticket
+router.post('/check-in', async (req, res) => {
     try {
-        const { ticketData } = req.body || {};
+        const result = await appointments.checkInAppointment(req.body?.bookingCode);
 
-        if (!ticketData || !ticketData.number) {
-            res.status(400).json({
-                success: false,
-                error: 'ticketData with number is required'
+        announceIssuedTicket(req.app.get('io'), result);
+
+        res.status(201).json({
+            success: true,
+            ticket: result.ticket,
+            appointment: result.appointment
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error checking in appointment');
+        }
+        res.status(status).json({
+            error: error.message || 'Internal server error',
+            ...(error.checkInOpensAt ? { checkInOpensAt: error.checkInOpensAt } : {})
+        });
+    }
+});
+
+router.post('/print-ticket', async (req, res) => {
+    try {
+        // Any ticketData sent by older kiosks is ignored: slips come from the ticket row
+        const { ticketId, trackingToken, kioskId } = req.body || {};
+
+        if (!isServerPrinting(await getSettings())) {
+            const ticket = await findPrintableTicket({ ticketId, trackingToken });
+            logger.info({ ticket: ticket.ticket_number }, 'Print ticket request received');
+
+            res.json({
+                success: true,
+                message: 'Print data validated',
+                ticket: ticket.ticket_number,
+                timestamp: new Date().toISOString(),
+                note: 'Client-side printing enabled'
             });
             return;
         }
 
-        logger.info({ ticket: ticketData.number }, 'Print ticket request received');
+        const job = await queuePrintJob({
+            kioskId,
+            ticketId,
+            trackingToken,
+            origin: `${req.protocol}://${req.get('host')}`
+        });
 
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Print data validated',
-            ticket: ticketData.number,
-            timestamp: new Date().toISOString(),
-            note: 'Client-side printing enabled'
+            message: 'Print job queued',
+            ticket: job.ticketNumber,
+            job,
+            timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error({ err: error }, 'Print validation error');
-        res.status(500).json({
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Print request error');
+        }
+        res.status(status).json({
             success: false,
-            error: 'Print validation failed',
-            details: error.message
+            error: error.status ? error.message : 'Print request failed',
+            ...(error.status ? {} : { details: error.message })
         });
     }
 });
 
+// Slip in the configured layout, for kiosks that print themselves:
+// html for browser printing, escpos (base64) for QZ Tray
+router.post('/slip', async (req, res) => {
+    try {
+        const { ticketData, kioskId, format = 'html' } = req.body || {};
+
+        if (!ticketData || !ticketData.number) {
+            res.status(400).json({ error: 'ticketData with number is required' });
+            return;
+        }
+
+        const settings = await getSettings();
+        const printer = resolvePrinter(String(kioskId || 'default'), settings) || {};
+        const output = renderSlip(
+            { ...ticketData, timestamp: ticketData.timestamp || ticketData.created },
+            {
+                format,
+                settings,
+                width: printer.width,
+                encoding: printer.encoding || settings['printer.encoding'],
+                codePage: printer.codePage ?? settings['printer.code_page']
+            }
+        );
+
+        if (format === 'html') {
+            res.json({ format, html: output });
+            return;
+        }
+        res.json({ format, data: output.toString('base64') });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error rendering slip');
+        }
+        res.status(status).json({ error: error.status ? error.message : 'Failed to render slip' });
+    }
+});
+
+router.get('/print-jobs/:jobId', async (req, res) => {
+    try {
+        res.json({ job: await getPrintJob(req.params.jobId) });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error fetching print job');
+        }
+        res.status(status).json({ error: error.status ? error.message : 'Failed to fetch print job' });
+    }
+});
+
 router.get('/printer-config', async (req, res) => {
     try {
         const rows = await all(
@@ -334,13 +334,16 @@ router.get('/printer-config', async (req, res) => {
     }
 });
 
-router.get('/printer-health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'Server ready for print requests',
-        clientPrinting: true,
-        timestamp: new Date().toISOString()
-    });
+router.get('/printer-health', async (req, res) => {
+    try {
+        res.json(await getPrinterHealth(req.query.kioskId));
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error checking printer health');
+        }
+        res.status(status).json({ status: 'error', error: error.status ? error.message : 'Failed to check printer' });
+    }
 });
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../database/connection');
+const { get, getClient } = require('../database/dbClient');
+const { getQueueSnapshot } = require('../services/queueSnapshot');
 
 // ===== MONITOR ENDPOINTS =====
 
@@ -36,6 +38,8 @@ router.get('/counters', (req, res) => {
                 number: counter.number,
                 location: counter.location,
                 state: counter.state || 'offline',
+                break_reason: counter.state === 'break' ? counter.break_reason : null,
+                break_until: counter.state === 'break' ? counter.break_until : null,
                 current_ticket: counter.ticket_id ? {
                     id: counter.ticket_id,
                     ticket_number: counter.ticket_number,
@@ -118,9 +122,8 @@ router.get('/now-serving', (req, res) => {
 });
 
 // GET /api/monitor/queue/:serviceId - Get queue overview for a specific service
-router.get('/queue/:serviceId', (req, res) => {
+router.get('/queue/:serviceId', async (req, res) => {
     const serviceId = parseInt(req.params.serviceId);
-    const db = getDb();
     
     if (isNaN(serviceId)) {
         return res.status(400).json({ 
@@ -129,85 +132,43 @@ router.get('/queue/:serviceId', (req, res) => {
         });
     }
     
-    // Get service details first
-    db.get(
-        'SELECT * FROM services WHERE id = ? AND is_active = 1',
-        [serviceId],
-        (err, service) => {
-            if (err) {
-                return res.status(500).json({ 
-                    success: false, 
-                    error: 'Database error' 
-                });
-            }
-            
-            if (!service) {
-                return res.status(404).json({ 
-                    success: false, 
-                    error: 'Service not found' 
-                });
-            }
-            
-            // Get queue statistics and next tickets
-            db.all(
-                `SELECT 
-                    ticket_number,
-                    state,
-                    priority,
-                    created_at,
-                    customer_name
-                FROM tickets 
-                WHERE service_id = ? AND state = 'waiting'
-                ORDER BY priority DESC, created_at ASC
-                LIMIT 10`,
-                [serviceId],
-                (err, nextTickets) => {
-                    if (err) {
-                        return res.status(500).json({ 
-                            success: false, 
-                            error: 'Failed to fetch queue' 
-                        });
-                    }
-                    
-                    // Get counts
-                    db.all(
-                        `SELECT state, COUNT(*) as count 
-                         FROM tickets 
-                         WHERE service_id = ? AND state IN ('waiting', 'called')
-                         GROUP BY state`,
-                        [serviceId],
-                        (err, counts) => {
-                            let waitingCount = 0;
-                            let servingCount = 0;
-                            
-                            if (counts && !err) {
-                                counts.forEach(row => {
-                                    if (row.state === 'waiting') waitingCount = row.count;
-                                    if (row.state === 'called') servingCount = row.count;
-                                });
-                            }
-                            
-                            res.json({
-                                success: true,
-                                data: {
-                                    service: {
-                                        id: service.id,
-                                        name: service.name,
-                                        prefix: service.prefix
-                                    },
-                                    stats: {
-                                        waiting: waitingCount,
-                                        serving: servingCount
-                                    },
-                                    next_tickets: nextTickets.map(t => t.ticket_number)
-                                }
-                            });
-                        }
-                    );
-                }
-            );
+    try {
+        const service = await get('SELECT * FROM services WHERE id = ? AND is_active = 1', [serviceId]);
+        
+        if (!service) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Service not found' 
+            });
         }
-    );
+        
+        // The snapshot carries counts, call order and the wait estimate
+        const snapshot = await getQueueSnapshot(getClient(), serviceId);
+        
+        res.json({
+            success: true,
+            data: {
+                service: {
+                    id: service.id,
+                    name: service.name,
+                    prefix: service.prefix
+                },
+                stats: {
+                    waiting: snapshot.waiting,
+                    serving: snapshot.serving,
+                    estimatedWaitMinutes: snapshot.estimate.minutes,
+                    waitEstimate: snapshot.estimate
+                },
+                next_tickets: snapshot.tickets.slice(0, 10).map(t => t.ticket_number)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching queue:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch queue' 
+        });
+    }
 });
 
 module.exports = router;
\ No newline at end of file
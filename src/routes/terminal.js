@@ -1,16 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const rateLimit = require('express-rate-limit');
 const { getDb } = require('../database/connection');
-const { withTransaction } = require('../database/dbClient');
+const { all, get, withTransaction, getClient } = require('../database/dbClient');
 const { logEvent, EventTypes } = require('../database/events');
+const { getSettings } = require('../database/db');
 const {
     broadcastTicketCalled,
     broadcastTicketCompleted,
     broadcastQueueUpdated,
-    broadcastTicketRecycled
+    broadcastCounterUpdated,
+    broadcastTicketParked,
+    broadcastTicketRecycled,
+    broadcastQueueBypassed
 } = require('../realtime/eventBroadcaster');
+const agentSessions = require('../services/agentSessions');
+const {
+    assertCounterAvailable,
+    getCounterServiceIds,
+    changeCounterState,
+    mapCounterRow
+} = require('../services/counterState');
+const {
+    resolveCallPolicy,
+    getEligibleServices,
+    selectNextTicket
+} = require('../services/callPolicy');
+const { getQueueSnapshot } = require('../services/queueSnapshot');
+const { ROLES, hasRole } = require('../services/roles');
+const { getRecallLimits, getAutoNoShowAt } = require('../services/recallPolicy');
+const { notifyTicket, TRIGGERS } = require('../services/notifications');
 const logger = require('../utils/logger');
 
+const loginLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many login attempts. Please try again shortly.'
+    }
+});
+
 function parsePositiveInt(value, field) {
     const parsed = Number(value);
     if (!Number.isInteger(parsed) || parsed <= 0) {
@@ -27,85 +59,76 @@ function httpError(status, message) {
     return err;
 }
 
-async function getQueueSnapshot(tx, serviceId) {
-    const [counts, waitingTickets] = await Promise.all([
-        tx.all(
-            `SELECT state, COUNT(*) as count
-             FROM tickets
-             WHERE service_id = ?
-               AND state IN ('waiting', 'recycled', 'called')
-             GROUP BY state`,
-            [serviceId]
-        ),
-        tx.all(
-            `SELECT id,
-                    ticket_number,
-                    service_id,
-                    priority,
-                    created_at,
-                    estimated_wait,
-                    customer_name,
-                    customer_phone,
-                    state
-             FROM tickets
-             WHERE service_id = ?
-               AND state IN ('waiting', 'recycled')
-             ORDER BY priority DESC, created_at ASC`,
-            [serviceId]
-        )
-    ]);
-
-    const snapshot = { serviceId, waiting: 0, serving: 0, tickets: [] };
-
-    if (counts) {
-        counts.forEach((row) => {
-            if (row.state === 'called') {
-                snapshot.serving = row.count;
-                return;
-            }
+// Terminal authentication middleware: resolves the bearer token issued by
+// POST /login to a live row in `sessions` and exposes it as req.agentSession.
+async function verifyAgentSession(req, res, next) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-            if (row.state === 'waiting' || row.state === 'recycled') {
-                snapshot.waiting += row.count;
-            }
-        });
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication token required' });
     }
 
-    if (waitingTickets?.length) {
-        snapshot.tickets = waitingTickets.map((row) => {
-            const state = row.state || 'waiting';
-            const isRecycled = state === 'recycled';
+    try {
+        const session = await agentSessions.resolveSessionToken(token);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired session' });
+        }
 
-            return {
-                id: row.id,
-                ticket_number: row.ticket_number,
-                ticketNumber: row.ticket_number,
-                number: row.ticket_number,
-                service_id: row.service_id,
-                serviceId: row.service_id,
-                priority: row.priority,
-                created_at: row.created_at,
-                createdAt: row.created_at,
-                estimated_wait: row.estimated_wait,
-                estimatedWait: row.estimated_wait,
-                customer_name: row.customer_name,
-                customerName: row.customer_name,
-                customer_phone: row.customer_phone,
-                customerPhone: row.customer_phone,
-                state,
-                ticketState: state,
-                isRecycled,
-                is_recycled: isRecycled,
-                recycled: isRecycled
-            };
-        });
+        req.agentSession = session;
+        next();
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to resolve terminal session');
+        res.status(500).json({ error: 'Failed to verify session' });
+    }
+}
+
+async function requireFeature(key, label) {
+    const settings = await getSettings();
+    if (settings[key] !== 'true') {
+        throw httpError(403, `${label} is disabled`);
+    }
+    return settings;
+}
+
+async function broadcastCounterState(req, counterId) {
+    const io = req.app.get('io');
+    if (!io) {
+        return;
+    }
+
+    try {
+        const row = await get('SELECT * FROM counters WHERE id = ?', [counterId]);
+        if (row) {
+            broadcastCounterUpdated(io, mapCounterRow(row));
+        }
+    } catch (error) {
+        logger.error({ err: error, counterId }, 'Failed to broadcast counter state');
     }
+}
 
-    return snapshot;
+function counterPayload(session) {
+    return {
+        id: session.counterId,
+        name: session.counterName,
+        number: session.counterNumber
+    };
 }
 
-router.get('/agent/:agentId/services', (req, res) => {
+function agentPayload(session) {
+    return {
+        id: session.agentId,
+        name: session.agentName
+    };
+}
+
+router.get('/agent/:agentId/services', verifyAgentSession, (req, res) => {
     try {
         const agentId = parsePositiveInt(req.params.agentId, 'agentId');
+        // Agents only see their own assignments; supervisors may look up anyone
+        if (agentId !== req.agentSession.agentId && !hasRole(req.agentSession.role, ROLES.SUPERVISOR)) {
+            throw httpError(403, 'Insufficient permissions for this action');
+        }
         const db = getDb();
 
         db.all(
@@ -146,122 +169,296 @@ router.get('/agent/:agentId/services', (req, res) => {
     }
 });
 
-router.post('/call-next', async (req, res) => {
+const CHERRY_PICK_STATES = ['waiting', 'recycled', 'parked'];
+const MAX_CHERRY_PICK_REASON = 200;
+
+// Call a specific ticket out of queue order. Requires feature.cherry_pick,
+// the agent's can_cherry_pick permission and a reason, which is audited.
+async function handleCherryPick(req, res) {
     try {
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const { counterId, agentId } = req.agentSession;
+        const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+        await requireFeature('feature.cherry_pick', 'Cherry pick');
+
+        if (!reason) {
+            throw httpError(400, 'A reason is required to call a ticket out of order');
+        }
+
+        const result = await withTransaction(async (tx) => {
+            const agent = await tx.get('SELECT can_cherry_pick FROM agents WHERE id = ?', [agentId]);
+            if (!agent || !Number(agent.can_cherry_pick)) {
+                throw httpError(403, 'Agent is not permitted to cherry pick tickets');
+            }
+
+            await assertCounterAvailable(tx, counterId);
+
+            const ticket = await tx.get(
+                `SELECT t.*, s.name as service_name, s.prefix
+                 FROM tickets t
+                 JOIN services s ON t.service_id = s.id
+                 WHERE t.id = ?`,
+                [ticketId]
+            );
+
+            if (!ticket || !CHERRY_PICK_STATES.includes(ticket.state)) {
+                throw httpError(404, 'Requested ticket is not available for calling');
+            }
+
+            const authorized = await tx.get(
+                `SELECT 1 FROM agent_services WHERE agent_id = ? AND service_id = ?`,
+                [agentId, ticket.service_id]
+            );
+
+            if (!authorized) {
+                throw httpError(403, 'Agent is not authorized for this service');
+            }
+
+            const counterServiceIds = await getCounterServiceIds(tx, counterId);
+            if (counterServiceIds.length && !counterServiceIds.includes(ticket.service_id)) {
+                throw httpError(403, 'This service is not served at this counter');
+            }
+
+            // Tickets that would have been called before this one in queue order
+            const ahead = await tx.get(
+                `SELECT COUNT(*) AS count
+                 FROM tickets
+                 WHERE service_id = ?
+                   AND state IN ('waiting', 'recycled')
+                   AND id != ?
+                   AND (priority > ? OR (priority = ? AND created_at < ?))`,
+                [ticket.service_id, ticket.id, ticket.priority || 0, ticket.priority || 0, ticket.created_at]
+            );
+
+            const now = new Date().toISOString();
+
+            await tx.run(
+                `UPDATE tickets
+                 SET state = 'called',
+                     called_at = ?,
+                     served_at = ?,
+                     counter_id = ?,
+                     agent_id = ?,
+                     parked_at = NULL,
+                     parked_seconds = 0,
+                     first_called_at = COALESCE(first_called_at, ?),
+                     recall_count = 0
+                 WHERE id = ?`,
+                [now, now, counterId, agentId, now, ticket.id]
+            );
+
+            await tx.run(
+                `UPDATE counters
+                 SET current_ticket_id = ?,
+                     current_agent_id = ?,
+                     state = 'serving'
+                 WHERE id = ?`,
+                [ticket.id, agentId, counterId]
+            );
+
+            const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
+
+            return {
+                audit: {
+                    ticketNumber: ticket.ticket_number,
+                    serviceId: ticket.service_id,
+                    previousState: ticket.state,
+                    previousCounterId: ticket.state === 'parked' ? ticket.counter_id : null,
+                    bypassedCount: ahead?.count || 0
+                },
+                ticket: {
+                    id: ticket.id,
+                    number: ticket.ticket_number,
+                    serviceId: ticket.service_id,
+                    serviceName: ticket.service_name,
+                    customerName: ticket.customer_name || 'Customer',
+                    state: 'called',
+                    counterId,
+                    agentId,
+                    calledAt: now,
+                    cherryPicked: true
+                },
+                queue: queueSnapshot
+            };
+        });
+
+        const auditReason = reason.slice(0, MAX_CHERRY_PICK_REASON);
+
+        await logEvent(
+            EventTypes.TICKET_CHERRY_PICKED,
+            'ticket',
+            result.ticket.id,
+            {
+                ticketNumber: result.audit.ticketNumber,
+                serviceId: result.audit.serviceId,
+                previousState: result.audit.previousState,
+                previousCounterId: result.audit.previousCounterId,
+                bypassedCount: result.audit.bypassedCount,
+                reason: auditReason,
+                counterId,
+                agentId
+            },
+            agentId,
+            counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for cherry-pick'));
+
+        const io = req.app.get('io');
+        if (io) {
+            const counterData = counterPayload(req.agentSession);
+            const ticketData = {
+                id: result.ticket.id,
+                ticketNumber: result.ticket.number,
+                serviceId: result.ticket.serviceId,
+                serviceName: result.ticket.serviceName,
+                state: 'called',
+                counterId,
+                agentId,
+                customerName: result.ticket.customerName,
+                calledAt: result.ticket.calledAt,
+                cherryPicked: true
+            };
+
+            broadcastTicketCalled(io, ticketData, counterData, agentPayload(req.agentSession));
+            broadcastQueueBypassed(io, ticketData, counterData, {
+                reason: auditReason,
+                previousState: result.audit.previousState,
+                bypassedCount: result.audit.bypassedCount
+            });
+            broadcastQueueUpdated(io, result.queue.serviceId, result.queue);
+        }
+
+        notifyTicket(result.ticket.id, TRIGGERS.CALLED);
+
+        res.json({
+            ticket: result.ticket,
+            queueUpdate: result.queue,
+            bypassedCount: result.audit.bypassedCount
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in POST /terminal/cherry-pick');
+        }
+        res.status(status).json({
+            error: error.message || 'Failed to call ticket'
+        });
+    }
+}
+
+router.post('/cherry-pick', verifyAgentSession, handleCherryPick);
+
+router.post('/call-next', verifyAgentSession, async (req, res) => {
+    // Calling a specific ticket is cherry-picking and follows its rules
+    if (req.body?.ticketId) {
+        return handleCherryPick(req, res);
+    }
+
+    try {
+        const { counterId, agentId } = req.agentSession;
         const requestedServiceId = req.body?.serviceId
             ? parsePositiveInt(req.body.serviceId, 'serviceId')
             : null;
-        const requestedTicketId = req.body?.ticketId
-            ? parsePositiveInt(req.body.ticketId, 'ticketId')
-            : null;
 
         const payloadLength = JSON.stringify(req.body || {}).length;
         logger.info({ body: req.body, payloadLength }, 'call-next payload');
 
+        const settings = await getSettings();
+
         const result = await withTransaction(async (tx) => {
-            let ticket;
             let serviceContext = null;
 
-            if (requestedTicketId) {
-                ticket = await tx.get(
-                    `SELECT t.*, s.name as service_name, s.prefix
-                     FROM tickets t
-                     JOIN services s ON t.service_id = s.id
-                     WHERE t.id = ? AND t.state = 'waiting'`,
-                    [requestedTicketId]
-                );
+            await assertCounterAvailable(tx, counterId);
 
-                if (!ticket) {
-                    throw httpError(404, 'Requested ticket is not available for calling');
-                }
+            const counterServiceIds = await getCounterServiceIds(tx, counterId);
+            const servedHere = (serviceId) =>
+                !counterServiceIds.length || counterServiceIds.includes(serviceId);
+
+            const agentServices = await tx.all(
+                `SELECT service_id
+                 FROM agent_services
+                 WHERE agent_id = ?
+                 ORDER BY priority`,
+                [agentId]
+            );
 
-                const authorized = await tx.get(
-                    `SELECT 1 FROM agent_services WHERE agent_id = ? AND service_id = ?`,
-                    [agentId, ticket.service_id]
+            const hasAssignments = Array.isArray(agentServices) && agentServices.length > 0;
+            let candidateServices = [];
+
+            if (requestedServiceId) {
+                serviceContext = await tx.get(
+                    `SELECT s.id, s.name, s.prefix
+                     FROM services s
+                     WHERE s.id = ? AND s.is_active = 1`,
+                    [requestedServiceId]
                 );
 
-                if (!authorized) {
-                    throw httpError(403, 'Agent is not authorized for this service');
+                if (!serviceContext) {
+                    throw httpError(404, 'Requested service not found');
                 }
-            } else {
-                const agentServices = await tx.all(
-                    `SELECT service_id
-                     FROM agent_services
-                     WHERE agent_id = ?
-                     ORDER BY priority`,
-                    [agentId]
-                );
 
-                const hasAssignments = Array.isArray(agentServices) && agentServices.length > 0;
+                if (
+                    hasAssignments &&
+                    !agentServices.some((row) => row.service_id === requestedServiceId)
+                ) {
+                    throw httpError(403, 'Agent is not assigned to this service');
+                }
 
-                if (requestedServiceId) {
-                    serviceContext = await tx.get(
-                        `SELECT s.id, s.name, s.prefix
-                         FROM services s
-                         WHERE s.id = ? AND s.is_active = 1`,
-                        [requestedServiceId]
-                    );
+                if (!servedHere(requestedServiceId)) {
+                    throw httpError(403, 'This service is not served at this counter');
+                }
 
-                    if (!serviceContext) {
-                        throw httpError(404, 'Requested service not found');
-                    }
-
-                    if (
-                        hasAssignments &&
-                        !agentServices.some((row) => row.service_id === requestedServiceId)
-                    ) {
-                        throw httpError(403, 'Agent is not assigned to this service');
-                    }
-                } else if (hasAssignments) {
-                    serviceContext = await tx.get(
-                        `SELECT s.id, s.name, s.prefix
-                         FROM services s
-                         WHERE s.id = ? AND s.is_active = 1`,
-                        [agentServices[0].service_id]
-                    );
-                } else {
-                    // No explicit assignment; fall back to the agent's counter default service if available
-                    serviceContext = await tx.get(
-                        `SELECT s.id, s.name, s.prefix
-                         FROM counters c
-                         JOIN services s ON s.id = c.default_service_id
-                         WHERE c.id = ? AND s.is_active = 1`,
-                        [counterId]
-                    );
+                candidateServices = [{ service_id: serviceContext.id, priority: 1 }];
+            } else if (hasAssignments) {
+                const eligible = await getEligibleServices(tx, agentId, settings);
+                candidateServices = eligible.filter((row) => servedHere(row.service_id));
 
-                    if (!serviceContext) {
-                        // Final fallback: select the first active service
-                        serviceContext = await tx.get(
-                            `SELECT id, name, prefix
-                             FROM services
-                             WHERE is_active = 1
-                             ORDER BY priority, id
-                             LIMIT 1`
-                        );
-                    }
+                if (eligible.length && !candidateServices.length) {
+                    throw httpError(409, "None of the agent's services are served at this counter");
                 }
+            } else {
+                // No explicit assignment; fall back to the agent's counter default service if available
+                serviceContext = await tx.get(
+                    `SELECT s.id, s.name, s.prefix
+                     FROM counters c
+                     JOIN services s ON s.id = c.default_service_id
+                     WHERE c.id = ? AND s.is_active = 1`,
+                    [counterId]
+                );
 
                 if (!serviceContext) {
-                    throw httpError(400, 'Unable to determine service for agent');
+                    // Final fallback: the first active service this counter serves
+                    const activeServices = await tx.all(
+                        `SELECT id, name, prefix
+                         FROM services
+                         WHERE is_active = 1
+                         ORDER BY id`
+                    );
+                    serviceContext = activeServices.find((row) => servedHere(row.id)) || null;
                 }
 
-                ticket = await tx.get(
-                    `SELECT t.*, s.name as service_name, s.prefix
-                     FROM tickets t
-                     JOIN services s ON t.service_id = s.id
-                     WHERE t.service_id = ? AND t.state = 'waiting'
-                     ORDER BY t.created_at
-                     LIMIT 1`,
-                    [serviceContext.id]
-                );
-
-                if (!ticket) {
-                    throw httpError(404, 'No tickets waiting in queue');
+                if (serviceContext) {
+                    candidateServices = [{ service_id: serviceContext.id, priority: 1 }];
                 }
             }
 
+            if (!candidateServices.length) {
+                throw httpError(400, 'Unable to determine service for agent');
+            }
+
+            const policy = await resolveCallPolicy(tx, { agentId, counterId }, settings);
+            const ticket = await selectNextTicket(tx, {
+                policy,
+                agentId,
+                counterId,
+                services: candidateServices,
+                settings
+            });
+
+            if (!ticket) {
+                throw httpError(404, 'No tickets waiting in queue');
+            }
+
             const now = new Date().toISOString();
 
             await tx.run(
@@ -271,9 +468,11 @@ router.post('/call-next', async (req, res) => {
                      served_at = ?,
                      counter_id = ?,
                      agent_id = ?,
-                     recall_count = recall_count + 1
+                     parked_seconds = 0,
+                     first_called_at = COALESCE(first_called_at, ?),
+                     recall_count = 0
                  WHERE id = ?`,
-                [now, now, counterId, agentId, ticket.id]
+                [now, now, counterId, agentId, now, ticket.id]
             );
 
             await tx.run(
@@ -285,20 +484,14 @@ router.post('/call-next', async (req, res) => {
                 [ticket.id, agentId, counterId]
             );
 
-            if (!serviceContext) {
-                serviceContext = {
-                    id: ticket.service_id,
-                    name: ticket.service_name,
-                    prefix: ticket.prefix
-                };
-            }
-
             const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
 
             return {
                 audit: {
                     ticketNumber: ticket.ticket_number,
                     serviceId: ticket.service_id,
+                    priority: ticket.priority || 0,
+                    policy,
                     counterId,
                     agentId
                 },
@@ -326,6 +519,8 @@ router.post('/call-next', async (req, res) => {
                 serviceId: result.audit.serviceId,
                 counterId: result.audit.counterId,
                 agentId: result.audit.agentId,
+                priority: result.audit.priority,
+                policy: result.audit.policy,
                 previousState: 'waiting'
             },
             result.audit.agentId,
@@ -334,8 +529,8 @@ router.post('/call-next', async (req, res) => {
 
         const io = req.app.get('io');
         if (io) {
-            const counterData = { id: result.ticket.counterId, name: `Counter ${result.ticket.counterId}`, number: result.ticket.counterId };
-            const agentData = { id: result.ticket.agentId, name: 'Agent' };
+            const counterData = counterPayload(req.agentSession);
+            const agentData = agentPayload(req.agentSession);
 
             broadcastTicketCalled(
                 io,
@@ -357,6 +552,8 @@ router.post('/call-next', async (req, res) => {
             broadcastQueueUpdated(io, result.queue.serviceId, result.queue);
         }
 
+        notifyTicket(result.ticket.id, TRIGGERS.CALLED);
+
         res.json({
             ticket: result.ticket,
             queueUpdate: result.queue
@@ -372,11 +569,10 @@ router.post('/call-next', async (req, res) => {
     }
 });
 
-router.post('/complete', async (req, res) => {
+router.post('/complete', verifyAgentSession, async (req, res) => {
     try {
         const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const { counterId, agentId } = req.agentSession;
         const notes =
             typeof req.body?.notes === 'string' && req.body.notes.trim()
                 ? req.body.notes.trim()
@@ -399,6 +595,16 @@ router.post('/complete', async (req, res) => {
                 throw httpError(400, 'Ticket already completed');
             }
 
+            // A parked ticket keeps its counter_id but is not on the counter;
+            // it has to be resumed before it can be completed
+            if (ticket.state === 'parked') {
+                throw httpError(409, 'Resume the parked ticket before completing it');
+            }
+
+            if (!['called', 'serving'].includes(ticket.state)) {
+                throw httpError(400, 'Ticket is not currently being served');
+            }
+
             const now = new Date();
             const completedAt = now.toISOString();
             const servedAt = ticket.served_at || ticket.called_at;
@@ -411,7 +617,10 @@ router.post('/complete', async (req, res) => {
             }
 
             if (servedAt) {
-                serviceDuration = Math.floor((now - new Date(servedAt)) / 1000);
+                serviceDuration = Math.max(
+                    0,
+                    Math.floor((now - new Date(servedAt)) / 1000) - (ticket.parked_seconds || 0)
+                );
             }
 
             await tx.run(
@@ -429,8 +638,8 @@ router.post('/complete', async (req, res) => {
                 `UPDATE counters
                  SET current_ticket_id = NULL,
                      state = 'available'
-                 WHERE id = ?`,
-                [counterId]
+                 WHERE id = ? AND current_ticket_id = ?`,
+                [counterId, ticketId]
             );
 
             const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
@@ -511,277 +720,219 @@ router.post('/complete', async (req, res) => {
     }
 });
 
-router.get('/queue/:serviceId', (req, res) => {
+router.get('/queue/:serviceId', verifyAgentSession, async (req, res) => {
     const serviceId = parseInt(req.params.serviceId);
     
     if (isNaN(serviceId)) {
         return res.status(400).json({ error: 'Invalid service ID' });
     }
     
-    const db = getDb();
-    
-    // Get service details
-    db.get(
-        'SELECT * FROM services WHERE id = ? AND is_active = 1',
-        [serviceId],
-        (err, service) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            
-            if (!service) {
-                return res.status(404).json({ error: 'Service not found' });
-            }
-            
-            // Get waiting tickets for this service
-            db.all(
+    try {
+        const service = await get('SELECT * FROM services WHERE id = ? AND is_active = 1', [serviceId]);
+        
+        if (!service) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        
+        const [tickets, snapshot, avgResult] = await Promise.all([
+            all(
                 `SELECT id, ticket_number as number, state, estimated_wait, 
                         created_at, customer_name, priority
                  FROM tickets 
                  WHERE service_id = ? AND state = 'waiting'
                  ORDER BY priority DESC, created_at ASC`,
-                [serviceId],
-                (err, tickets) => {
-                    if (err) {
-                        return res.status(500).json({ error: 'Failed to fetch queue' });
-                    }
-                    
-                    // Get queue statistics
-                    db.all(
-                        `SELECT state, COUNT(*) as count FROM tickets 
-                         WHERE service_id = ? AND state IN ('waiting', 'called')
-                         GROUP BY state`,
-                        [serviceId],
-                        (err, counts) => {
-                            let waitingCount = 0;
-                            let servingCount = 0;
-                            
-                            if (counts && !err) {
-                                counts.forEach(row => {
-                                    if (row.state === 'waiting') waitingCount = row.count;
-                                    if (row.state === 'called') servingCount = row.count;
-                                });
-                            }
-                            
-                            // Calculate average wait time (mock for now)
-                            db.get(
-                                `SELECT AVG(actual_wait) as avg_wait 
-                                 FROM tickets 
-                                 WHERE service_id = ? 
-                                 AND state = 'completed' 
-                                 AND actual_wait IS NOT NULL
-                                 AND created_at > datetime('now', '-1 hour')`,
-                                [serviceId],
-                                (err, avgResult) => {
-                                    const averageWait = avgResult && avgResult.avg_wait 
-                                        ? Math.round(avgResult.avg_wait) 
-                                        : 180; // Default 3 minutes
-                                    
-                                    // Format tickets with estimated wait
-                                    const formattedTickets = tickets.map(ticket => ({
-                                        id: ticket.id,
-                                        number: ticket.number,
-                                        state: ticket.state,
-                                        estimatedWait: ticket.estimated_wait || averageWait,
-                                        priority: ticket.priority || 0,
-                                        createdAt: ticket.created_at
-                                    }));
-                                    
-                                    res.json({
-                                        service: {
-                                            id: service.id,
-                                            name: service.name,
-                                            prefix: service.prefix
-                                        },
-                                        queue: formattedTickets,
-                                        stats: {
-                                            waiting: waitingCount,
-                                            serving: servingCount,
-                                            averageWait: averageWait
-                                        }
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
-            );
-        }
-    );
+                [serviceId]
+            ),
+            getQueueSnapshot(getClient(), serviceId),
+            get(
+                `SELECT AVG(actual_wait) as avg_wait 
+                 FROM tickets 
+                 WHERE service_id = ? 
+                 AND state = 'completed' 
+                 AND actual_wait IS NOT NULL
+                 AND created_at > datetime('now', '-1 hour')`,
+                [serviceId]
+            )
+        ]);
+        
+        const averageWait = avgResult && avgResult.avg_wait 
+            ? Math.round(avgResult.avg_wait) 
+            : 180; // Default 3 minutes
+        
+        // Format tickets with their live estimated wait
+        const estimates = new Map(snapshot.tickets.map((ticket) => [ticket.id, ticket.waitEstimate]));
+        const formattedTickets = tickets.map(ticket => ({
+            id: ticket.id,
+            number: ticket.number,
+            state: ticket.state,
+            estimatedWait: estimates.get(ticket.id)?.seconds ?? averageWait,
+            waitEstimate: estimates.get(ticket.id) || null,
+            priority: ticket.priority || 0,
+            createdAt: ticket.created_at
+        }));
+        
+        res.json({
+            service: {
+                id: service.id,
+                name: service.name,
+                prefix: service.prefix
+            },
+            queue: formattedTickets,
+            stats: {
+                waiting: formattedTickets.length,
+                serving: snapshot.serving,
+                averageWait: averageWait,
+                estimatedWaitMinutes: snapshot.estimate.minutes
+            }
+        });
+    } catch (error) {
+        logger.error({ err: error }, 'Error in GET /terminal/queue');
+        res.status(500).json({ error: 'Failed to fetch queue' });
+    }
 });
 
-router.get('/session', (req, res) => {
-    // For development, return mock session data
-    // In production, this would check actual session/auth status
-    
-    // Mock session exists - in real app, check auth headers or session
-    const hasSession = true;
-    
-    if (!hasSession) {
-        return res.status(404).json({ error: 'No active session' });
-    }
-    
-    // Mock session data
-    const sessionData = {
-        agentId: 1,
-        agentName: "John Smith",
-        counterId: 1,
-        counterNumber: 1,
-        serviceName: "General Service",
-        services: [1],
-        loginTime: new Date().toISOString()
+function sessionResponse(session, services) {
+    return {
+        id: session.id,
+        sessionId: session.id,
+        agentId: session.agentId,
+        agentName: session.agentName,
+        username: session.username,
+        role: session.role,
+        counterId: session.counterId,
+        counterNumber: session.counterNumber,
+        counterName: session.counterName,
+        services,
+        loginTime: session.loginAt
     };
-    
-    res.json(sessionData);
+}
+
+router.get('/session', verifyAgentSession, async (req, res) => {
+    try {
+        const services = await agentSessions.getAgentServiceIds(req.agentSession.agentId);
+        res.json(sessionResponse(req.agentSession, services));
+    } catch (error) {
+        logger.error({ err: error }, 'Error in GET /terminal/session');
+        res.status(500).json({ error: 'Failed to load session' });
+    }
 });
 
-router.post('/login', (req, res) => {
-    const { username, password, counterId } = req.body;
-    
-    if (!username || !password || !counterId) {
-        return res.status(400).json({ error: 'username, password, and counterId are required' });
+router.get('/session/:sessionId', verifyAgentSession, async (req, res) => {
+    if (req.params.sessionId !== req.agentSession.id) {
+        return res.status(404).json({ error: 'No active session' });
     }
-    
-    const db = getDb();
-    
-    // For development, accept any credentials
-    // In production, validate against database
-    const mockValidCredentials = true;
-    
-    if (!mockValidCredentials) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+
+    try {
+        const services = await agentSessions.getAgentServiceIds(req.agentSession.agentId);
+        res.json(sessionResponse(req.agentSession, services));
+    } catch (error) {
+        logger.error({ err: error }, 'Error in GET /terminal/session/:sessionId');
+        res.status(500).json({ error: 'Failed to load session' });
     }
-    
-    // Mock agent data - in production, fetch from database
-    const agentId = 1;
-    const agentName = username === 'john.smith' ? 'John Smith' : 'Agent';
-    
-    // Get counter details
-    db.get(
-        'SELECT * FROM counters WHERE id = ?',
-        [counterId],
-        (err, counter) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            
-            if (!counter) {
-                return res.status(404).json({ error: 'Counter not found' });
+});
+
+router.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+        const password = typeof req.body?.password === 'string' ? req.body.password : '';
+
+        if (!username || !password || !req.body?.counterId) {
+            return res.status(400).json({ error: 'username, password, and counterId are required' });
+        }
+
+        const counterId = parsePositiveInt(req.body.counterId, 'counterId');
+
+        const agent = await agentSessions.authenticateAgent(username, password);
+        if (!agent) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const { token, session, services, releasedCounterIds } = await agentSessions.openSession(
+            agent,
+            counterId
+        );
+
+        await broadcastCounterState(req, session.counterId);
+        for (const releasedId of releasedCounterIds) {
+            await broadcastCounterState(req, releasedId);
+        }
+
+        logEvent(
+            EventTypes.AGENT_LOGIN,
+            'agent',
+            session.agentId,
+            {
+                agentName: session.agentName,
+                counterId: session.counterId,
+                sessionId: session.id,
+                services
+            },
+            session.agentId,
+            session.counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for login'));
+
+        res.json({
+            success: true,
+            token,
+            session: {
+                ...sessionResponse(session, services),
+                token
             }
-            
-            // Get agent's assigned services
-            db.all(
-                'SELECT service_id FROM agent_services WHERE agent_id = ? ORDER BY priority',
-                [agentId],
-                (err, services) => {
-                    if (err) {
-                        return res.status(500).json({ error: 'Failed to fetch agent services' });
-                    }
-                    
-                    const serviceIds = services.map(s => s.service_id);
-                    const loginTime = new Date().toISOString();
-                    
-                    // Update counter with current agent
-                    db.run(
-                        'UPDATE counters SET current_agent_id = ?, state = ? WHERE id = ?',
-                        [agentId, 'available', counterId],
-                        (err) => {
-                            if (err) {
-                                return res.status(500).json({ error: 'Failed to update counter' });
-                            }
-                            
-                            // Log the event
-                            logEvent(
-                                EventTypes.AGENT_LOGIN,
-                                'agent',
-                                agentId,
-                                {
-                                    agentName,
-                                    counterId,
-                                    services: serviceIds
-                                },
-                                agentId,
-                                counterId
-                            ).catch(err => console.error('Event logging failed:', err));
-                            
-                            // Generate session ID (mock for now)
-                            const sessionId = `session-${agentId}-${counterId}-${Date.now()}`;
-                            
-                            res.json({
-                                session: {
-                                    agentId,
-                                    agentName,
-                                    counterId: counter.id,
-                                    counterNumber: counter.number,
-                                    counterName: counter.name || `Counter ${counter.number}`,
-                                    services: serviceIds,
-                                    loginTime,
-                                    sessionId
-                                },
-                                success: true
-                            });
-                        }
-                    );
-                }
-            );
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in POST /terminal/login');
         }
-    );
+        res.status(status).json({
+            error: error.message || 'Internal server error'
+        });
+    }
 });
 
-router.post('/logout', (req, res) => {
-    const { agentId, counterId } = req.body;
-    
-    if (!agentId || !counterId) {
-        return res.status(400).json({ error: 'agentId and counterId are required' });
-    }
-    
-    const db = getDb();
-    const logoutTime = new Date().toISOString();
-    
-    // Update counter to remove agent
-    db.run(
-        'UPDATE counters SET current_agent_id = NULL, state = ? WHERE id = ? AND current_agent_id = ?',
-        ['offline', counterId, agentId],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to update counter' });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(400).json({ error: 'Agent not logged in to this counter' });
-            }
-            
-            // Log the event
-            logEvent(
-                EventTypes.AGENT_LOGOUT,
-                'agent',
-                agentId,
-                {
-                    counterId,
-                    logoutTime
-                },
-                agentId,
-                counterId
-            ).catch(err => console.error('Event logging failed:', err));
-            
-            res.json({
-                success: true,
-                message: 'Agent logged out successfully',
-                session: {
-                    agentId,
-                    counterId,
-                    logoutTime
-                }
-            });
+router.post('/logout', verifyAgentSession, async (req, res) => {
+    try {
+        const session = req.agentSession;
+        const logoutTime = await agentSessions.closeSession(session);
+        await broadcastCounterState(req, session.counterId);
+
+        logEvent(
+            EventTypes.AGENT_LOGOUT,
+            'agent',
+            session.agentId,
+            {
+                counterId: session.counterId,
+                sessionId: session.id,
+                logoutTime
+            },
+            session.agentId,
+            session.counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for logout'));
+
+        res.json({
+            success: true,
+            message: 'Agent logged out successfully',
+            session: {
+                id: session.id,
+                agentId: session.agentId,
+                counterId: session.counterId,
+                logoutTime
+            }
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in POST /terminal/logout');
         }
-    );
+        res.status(status).json({ error: error.status ? error.message : 'Failed to log out' });
+    }
 });
 
-router.post('/recall', async (req, res) => {
+router.post('/recall', verifyAgentSession, async (req, res) => {
     try {
         const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const { counterId, agentId } = req.agentSession;
+        const limits = getRecallLimits(await getSettings());
 
         const result = await withTransaction(async (tx) => {
             const ticket = await tx.get(
@@ -796,14 +947,23 @@ router.post('/recall', async (req, res) => {
                 throw httpError(404, 'Ticket not found or not in called state');
             }
 
+            const previousRecalls = ticket.recall_count || 0;
+            if (previousRecalls >= limits.maxRecalls) {
+                throw httpError(
+                    409,
+                    `Recall limit reached (${limits.maxRecalls}); complete the ticket or mark it no-show`
+                );
+            }
+
             const now = new Date().toISOString();
+            const recallCount = previousRecalls + 1;
 
             await tx.run(
                 `UPDATE tickets
-                 SET recall_count = recall_count + 1,
+                 SET recall_count = ?,
                      called_at = ?
                  WHERE id = ?`,
-                [now, ticketId]
+                [recallCount, now, ticketId]
             );
 
             const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
@@ -814,7 +974,7 @@ router.post('/recall', async (req, res) => {
                     serviceId: ticket.service_id,
                     counterId,
                     agentId,
-                    recallCount: (ticket.recall_count || 0) + 1
+                    recallCount
                 },
                 ticket: {
                     id: ticketId,
@@ -824,7 +984,11 @@ router.post('/recall', async (req, res) => {
                     state: 'called',
                     counterId,
                     agentId,
-                    recallCount: (ticket.recall_count || 0) + 1,
+                    recallCount,
+                    maxRecalls: limits.maxRecalls,
+                    recallsRemaining: limits.maxRecalls - recallCount,
+                    autoNoShowAt: getAutoNoShowAt(limits, recallCount, now),
+                    firstCalledAt: ticket.first_called_at || null,
                     calledAt: now,
                     customerName: ticket.customer_name || 'Customer'
                 },
@@ -841,7 +1005,9 @@ router.post('/recall', async (req, res) => {
                 serviceId: result.audit.serviceId,
                 counterId: result.audit.counterId,
                 agentId: result.audit.agentId,
-                recallCount: result.audit.recallCount
+                recallCount: result.audit.recallCount,
+                maxRecalls: result.ticket.maxRecalls,
+                finalRecall: result.ticket.recallsRemaining === 0
             },
             result.audit.agentId,
             result.audit.counterId
@@ -863,8 +1029,8 @@ router.post('/recall', async (req, res) => {
                     calledAt: result.ticket.calledAt,
                     recallCount: result.ticket.recallCount
                 },
-                { id: result.ticket.counterId, name: `Counter ${result.ticket.counterId}`, number: result.ticket.counterId },
-                { id: result.ticket.agentId, name: 'Agent' }
+                counterPayload(req.agentSession),
+                agentPayload(req.agentSession)
             );
 
             broadcastQueueUpdated(io, result.queue.serviceId, result.queue);
@@ -885,11 +1051,10 @@ router.post('/recall', async (req, res) => {
     }
 });
 
-router.post('/no-show', async (req, res) => {
+router.post('/no-show', verifyAgentSession, async (req, res) => {
     try {
         const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const { counterId, agentId } = req.agentSession;
 
         const result = await withTransaction(async (tx) => {
             const ticket = await tx.get(
@@ -994,11 +1159,10 @@ router.post('/no-show', async (req, res) => {
     }
 });
 
-router.post('/recycle', async (req, res) => {
+router.post('/recycle', verifyAgentSession, async (req, res) => {
     try {
         const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const { counterId, agentId } = req.agentSession;
         const requestedPosition = req.body?.position
             ? parsePositiveInt(req.body.position, 'position')
             : 3;
@@ -1030,7 +1194,8 @@ router.post('/recycle', async (req, res) => {
                      counter_id = NULL,
                      agent_id = NULL,
                      called_at = NULL,
-                     served_at = NULL
+                     served_at = NULL,
+                     parked_seconds = 0
                  WHERE id = ?`,
                 [ticketId]
             );
@@ -1119,12 +1284,385 @@ router.post('/recycle', async (req, res) => {
     }
 });
 
-router.post('/transfer', async (req, res) => {
+function sendCounterState(res, result) {
+    res.json({
+        success: true,
+        changed: result.changed,
+        previousState: result.previousState,
+        counter: result.counter
+    });
+}
+
+function handleCounterStateError(res, error, route) {
+    const status = error.status || 500;
+    if (!error.status) {
+        logger.error({ err: error }, `Error in ${route}`);
+    }
+    res.status(status).json({
+        error: error.message || 'Internal server error'
+    });
+}
+
+router.get('/counter', verifyAgentSession, async (req, res) => {
+    try {
+        const row = await get('SELECT * FROM counters WHERE id = ?', [req.agentSession.counterId]);
+        if (!row) {
+            return res.status(404).json({ error: 'Counter not found' });
+        }
+        res.json({ counter: mapCounterRow(row) });
+    } catch (error) {
+        handleCounterStateError(res, error, 'GET /terminal/counter');
+    }
+});
+
+router.post('/counter/open', verifyAgentSession, async (req, res) => {
+    try {
+        const result = await changeCounterState(req.agentSession.counterId, 'open', {
+            agentId: req.agentSession.agentId
+        });
+        sendCounterState(res, result);
+    } catch (error) {
+        handleCounterStateError(res, error, 'POST /terminal/counter/open');
+    }
+});
+
+router.post('/counter/close', verifyAgentSession, async (req, res) => {
+    try {
+        const result = await changeCounterState(req.agentSession.counterId, 'close', {
+            agentId: req.agentSession.agentId
+        });
+        sendCounterState(res, result);
+    } catch (error) {
+        handleCounterStateError(res, error, 'POST /terminal/counter/close');
+    }
+});
+
+router.post('/counter/break', verifyAgentSession, async (req, res) => {
+    try {
+        const result = await changeCounterState(req.agentSession.counterId, 'break', {
+            agentId: req.agentSession.agentId,
+            reason: req.body?.reason,
+            durationMinutes: req.body?.durationMinutes
+        });
+        sendCounterState(res, result);
+    } catch (error) {
+        handleCounterStateError(res, error, 'POST /terminal/counter/break');
+    }
+});
+
+// Compatibility endpoint for terminal-client.js, which posts { state: 'open' | 'close' }
+router.post('/toggle-counter', verifyAgentSession, async (req, res) => {
+    const requested = typeof req.body?.state === 'string' ? req.body.state.trim().toLowerCase() : '';
+    const actions = { open: 'open', opened: 'open', close: 'close', closed: 'close', break: 'break' };
+    const action = actions[requested];
+
+    if (!action) {
+        return res.status(400).json({ error: 'state must be one of open, close or break' });
+    }
+
+    try {
+        const result = await changeCounterState(req.agentSession.counterId, action, {
+            agentId: req.agentSession.agentId,
+            reason: req.body?.reason,
+            durationMinutes: req.body?.durationMinutes
+        });
+        sendCounterState(res, result);
+    } catch (error) {
+        handleCounterStateError(res, error, 'POST /terminal/toggle-counter');
+    }
+});
+
+router.get('/parked', verifyAgentSession, async (req, res) => {
+    try {
+        await requireFeature('feature.park_unpark', 'Park/unpark');
+
+        const { counterId } = req.agentSession;
+        const rows = await all(
+            `SELECT t.id,
+                    t.ticket_number,
+                    t.service_id,
+                    t.priority,
+                    t.customer_name,
+                    t.parked_at,
+                    t.agent_id,
+                    s.name as service_name
+             FROM tickets t
+             JOIN services s ON t.service_id = s.id
+             WHERE t.state = 'parked' AND t.counter_id = ?
+             ORDER BY t.parked_at ASC`,
+            [counterId]
+        );
+
+        res.json({
+            counterId,
+            tickets: rows.map((row) => ({
+                id: row.id,
+                ticket_number: row.ticket_number,
+                number: row.ticket_number,
+                serviceId: row.service_id,
+                serviceName: row.service_name,
+                priority: row.priority,
+                customerName: row.customer_name,
+                agentId: row.agent_id,
+                parked_at: row.parked_at,
+                parkedAt: row.parked_at
+            }))
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in GET /terminal/parked');
+        }
+        res.status(status).json({
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+router.post('/park', verifyAgentSession, async (req, res) => {
+    try {
+        await requireFeature('feature.park_unpark', 'Park/unpark');
+
+        const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
+        const { counterId, agentId } = req.agentSession;
+        const reason =
+            typeof req.body?.reason === 'string' && req.body.reason.trim()
+                ? req.body.reason.trim().slice(0, 200)
+                : null;
+
+        const result = await withTransaction(async (tx) => {
+            const ticket = await tx.get(
+                `SELECT t.*, s.name as service_name
+                 FROM tickets t
+                 JOIN services s ON t.service_id = s.id
+                 WHERE t.id = ? AND t.state = 'called' AND t.counter_id = ? AND t.agent_id = ?`,
+                [ticketId, counterId, agentId]
+            );
+
+            if (!ticket) {
+                throw httpError(404, 'Ticket not found or not in called state');
+            }
+
+            const now = new Date().toISOString();
+
+            await tx.run(
+                `UPDATE tickets
+                 SET state = 'parked',
+                     parked_at = ?
+                 WHERE id = ?`,
+                [now, ticketId]
+            );
+
+            await tx.run(
+                `UPDATE counters
+                 SET current_ticket_id = NULL,
+                     state = 'available'
+                 WHERE id = ?`,
+                [counterId]
+            );
+
+            const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
+
+            return {
+                ticket: {
+                    id: ticketId,
+                    number: ticket.ticket_number,
+                    serviceId: ticket.service_id,
+                    serviceName: ticket.service_name,
+                    state: 'parked',
+                    counterId,
+                    agentId,
+                    parkedAt: now
+                },
+                queue: queueSnapshot
+            };
+        });
+
+        await logEvent(
+            EventTypes.TICKET_PARKED,
+            'ticket',
+            ticketId,
+            {
+                ticketNumber: result.ticket.number,
+                serviceId: result.ticket.serviceId,
+                counterId,
+                agentId,
+                reason
+            },
+            agentId,
+            counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for park'));
+
+        const io = req.app.get('io');
+        if (io) {
+            broadcastTicketParked(
+                io,
+                {
+                    id: result.ticket.id,
+                    ticketNumber: result.ticket.number,
+                    serviceId: result.ticket.serviceId,
+                    serviceName: result.ticket.serviceName,
+                    state: 'parked',
+                    parkedAt: result.ticket.parkedAt
+                },
+                counterId
+            );
+
+            broadcastQueueUpdated(io, result.queue.serviceId, result.queue);
+        }
+
+        res.json({
+            ticket: result.ticket,
+            queueUpdate: result.queue
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in POST /terminal/park');
+        }
+        res.status(status).json({
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+router.post('/unpark', verifyAgentSession, async (req, res) => {
+    try {
+        await requireFeature('feature.park_unpark', 'Park/unpark');
+
+        const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
+        const { counterId, agentId } = req.agentSession;
+
+        const result = await withTransaction(async (tx) => {
+            const ticket = await tx.get(
+                `SELECT t.*, s.name as service_name
+                 FROM tickets t
+                 JOIN services s ON t.service_id = s.id
+                 WHERE t.id = ? AND t.state = 'parked' AND t.counter_id = ?`,
+                [ticketId, counterId]
+            );
+
+            if (!ticket) {
+                throw httpError(404, 'Ticket not found or not parked at this counter');
+            }
+
+            await assertCounterAvailable(tx, counterId);
+
+            const now = new Date().toISOString();
+
+            // Time spent parked is kept apart from served_at so actual_wait
+            // stays true while service_duration can leave it out
+            const parkedSeconds = ticket.parked_at
+                ? Math.max(0, Math.floor((Date.parse(now) - Date.parse(ticket.parked_at)) / 1000))
+                : 0;
+
+            await tx.run(
+                `UPDATE tickets
+                 SET state = 'called',
+                     called_at = ?,
+                     agent_id = ?,
+                     parked_at = NULL,
+                     parked_seconds = COALESCE(parked_seconds, 0) + ?
+                 WHERE id = ?`,
+                [now, agentId, parkedSeconds, ticketId]
+            );
+
+            await tx.run(
+                `UPDATE counters
+                 SET current_ticket_id = ?,
+                     current_agent_id = ?,
+                     state = 'serving'
+                 WHERE id = ?`,
+                [ticketId, agentId, counterId]
+            );
+
+            const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
+
+            return {
+                parkedAt: ticket.parked_at,
+                ticket: {
+                    id: ticketId,
+                    number: ticket.ticket_number,
+                    serviceId: ticket.service_id,
+                    serviceName: ticket.service_name,
+                    customerName: ticket.customer_name || 'Customer',
+                    state: 'called',
+                    counterId,
+                    agentId,
+                    calledAt: now
+                },
+                queue: queueSnapshot
+            };
+        });
+
+        const parkedSeconds = result.parkedAt
+            ? Math.max(0, Math.floor((Date.now() - new Date(result.parkedAt)) / 1000))
+            : null;
+
+        await logEvent(
+            EventTypes.TICKET_UNPARKED,
+            'ticket',
+            ticketId,
+            {
+                ticketNumber: result.ticket.number,
+                serviceId: result.ticket.serviceId,
+                counterId,
+                agentId,
+                parkedSeconds
+            },
+            agentId,
+            counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for unpark'));
+
+        const io = req.app.get('io');
+        if (io) {
+            broadcastTicketCalled(
+                io,
+                {
+                    id: result.ticket.id,
+                    ticketNumber: result.ticket.number,
+                    serviceId: result.ticket.serviceId,
+                    serviceName: result.ticket.serviceName,
+                    state: 'called',
+                    counterId,
+                    agentId,
+                    customerName: result.ticket.customerName,
+                    calledAt: result.ticket.calledAt,
+                    unparked: true
+                },
+                counterPayload(req.agentSession),
+                agentPayload(req.agentSession)
+            );
+
+            broadcastQueueUpdated(io, result.queue.serviceId, result.queue);
+        }
+
+        // The counter goes back to serving the resumed ticket
+        await broadcastCounterState(req, counterId);
+
+        res.json({
+            ticket: result.ticket,
+            queueUpdate: result.queue
+        });
+    } catch (error) {
+        const status = error.status || 500;
+        if (!error.status) {
+            logger.error({ err: error }, 'Error in POST /terminal/unpark');
+        }
+        res.status(status).json({
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+router.post('/transfer', verifyAgentSession, async (req, res) => {
     try {
         const ticketId = parsePositiveInt(req.body?.ticketId, 'ticketId');
-        const targetServiceId = parsePositiveInt(req.body?.targetServiceId, 'targetServiceId');
-        const counterId = parsePositiveInt(req.body?.counterId, 'counterId');
-        const agentId = parsePositiveInt(req.body?.agentId, 'agentId');
+        const targetServiceId = parsePositiveInt(
+            req.body?.targetServiceId ?? req.body?.toServiceId,
+            'targetServiceId'
+        );
+        const { counterId, agentId } = req.agentSession;
 
         const result = await withTransaction(async (tx) => {
             const ticket = await tx.get(
@@ -1184,7 +1722,9 @@ router.post('/transfer', async (req, res) => {
                     original_service_id,
                     transferred_at,
                     recall_count,
-                    notes
+                    notes,
+                    tracking_token,
+                    language
                  )
                  VALUES (
                     ?, ?, 'waiting',
@@ -1192,7 +1732,7 @@ router.post('/transfer', async (req, res) => {
                     ?, NULL, NULL, NULL,
                     ?, NULL, NULL,
                     NULL, NULL,
-                    ?, ?, ?, ?
+                    ?, ?, ?, ?, ?, ?
                  )`,
                 [
                     newTicketNumber,
@@ -1206,7 +1746,9 @@ router.post('/transfer', async (req, res) => {
                     originalServiceId,
                     now,
                     recallCount,
-                    notes
+                    notes,
+                    ticket.tracking_token || null,
+                    ticket.language || null
                 ]
             );
 
@@ -1266,7 +1808,9 @@ router.post('/transfer', async (req, res) => {
                 ticketNumber: result.audit.ticketNumber,
                 newTicketNumber: result.audit.newTicketNumber,
                 fromServiceId: result.audit.fromServiceId,
-                toServiceId: result.audit.toServiceId
+                toServiceId: result.audit.toServiceId,
+                // Transfers re-create the ticket row; this links the two ids
+                previousTicketId: result.audit.oldTicketId
             },
             result.audit.agentId,
             result.audit.counterId
@@ -1293,6 +1837,8 @@ router.post('/transfer', async (req, res) => {
             broadcastQueueUpdated(io, result.queues.to.serviceId, result.queues.to);
         }
 
+        notifyTicket(result.ticket.id, TRIGGERS.TRANSFERRED);
+
         res.json({
             success: true,
             ticket: {
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { getTicketStatus } = require('../services/ticketTracking');
+const logger = require('../utils/logger');
+
+// The track page polls as a fallback when its socket drops
+const trackLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 60,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many requests. Please try again shortly.'
+    }
+});
+
+// GET /api/track/:token - Public status of one ticket (position, wait, counter)
+router.get('/:token', trackLimiter, async (req, res) => {
+    try {
+        const status = await getTicketStatus(req.params.token);
+        res.set('Cache-Control', 'no-store');
+        res.json({ ticket: status });
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) {
+            logger.error({ err: error }, 'Failed to load tracked ticket');
+        }
+        res.status(status).json({ error: status === 500 ? 'Failed to load ticket' : error.message });
+    }
+});
+
+module.exports = router;
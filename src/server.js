@@ -5,6 +5,21 @@ const { initializeDatabase, closeDatabase } = require('./database/connection');
 const { setupSocketIO } = require('./realtime/socketManager');
 const { startHeartbeat, stopHeartbeat } = require('./realtime/heartbeat');
 const { initializeResetScheduler } = require('./services/systemReset');
+const {
+    startCounterStateMonitor,
+    stopCounterStateMonitor
+} = require('./services/counterState');
+const { startRecallMonitor, stopRecallMonitor } = require('./services/recallPolicy');
+const {
+    startAutoCompleteSweeper,
+    stopAutoCompleteSweeper
+} = require('./services/autoComplete');
+const { startBackupScheduler, stopBackupScheduler } = require('./services/databaseSnapshots');
+const { startAppointmentMonitor, stopAppointmentMonitor } = require('./services/appointments');
+const { startNotificationMonitor, stopNotificationMonitor } = require('./services/notifications');
+const { startWebhookMonitor, stopWebhookMonitor } = require('./services/webhooks');
+const { startPrintMonitor, stopPrintMonitor } = require('./services/printJobs');
+const { startCapacityMonitor, stopCapacityMonitor } = require('./services/queueCapacity');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 5050;
@@ -24,6 +39,15 @@ async function startServer() {
     app.set('io', io);
     setupSocketIO(io);
     await initializeResetScheduler(io);
+    startCounterStateMonitor(io);
+    startRecallMonitor(io);
+    startAutoCompleteSweeper(io);
+    startBackupScheduler(io);
+    startAppointmentMonitor();
+    startNotificationMonitor();
+    startWebhookMonitor();
+    startPrintMonitor();
+    startCapacityMonitor(io);
 
     await new Promise((resolve) => {
         server.listen(PORT, () => {
@@ -62,6 +86,15 @@ async function shutdown(signal) {
 
     try {
         stopHeartbeat();
+        stopCounterStateMonitor();
+        stopRecallMonitor();
+        stopAutoCompleteSweeper();
+        stopBackupScheduler();
+        stopAppointmentMonitor();
+        stopNotificationMonitor();
+        stopWebhookMonitor();
+        stopPrintMonitor();
+        stopCapacityMonitor();
         await closeDatabase();
         logger.info('HTTP server closed gracefully');
     } catch (error) {
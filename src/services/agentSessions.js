@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { get, all, withTransaction } = require('../database/dbClient');
+const { logEvent, EventTypes } = require('../database/events');
+const { normalizeRole } = require('./roles');
+const logger = require('../utils/logger');
+
+const SESSION_TOKEN_TTL = '12h';
+
+// Terminal and admin tokens share SESSION_SECRET; the scope claim keeps
+// either from being accepted by the other's routes
+const TERMINAL_TOKEN_SCOPE = 'terminal';
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// A counter left with a called ticket but no agent stays stuck until a
+// supervisor force-closes it, so the ticket has to be dealt with first
+async function assertNoActiveTicket(tx, counterId, agentId, action) {
+    const counter = await tx.get(
+        `SELECT c.number, t.ticket_number
+         FROM counters c
+         JOIN tickets t ON t.id = c.current_ticket_id
+         WHERE c.id = ? AND c.current_agent_id = ?`,
+        [counterId, agentId]
+    );
+
+    if (counter) {
+        throw httpError(
+            409,
+            `Complete, park or release ticket ${counter.ticket_number} at counter ${counter.number} before ${action}`
+        );
+    }
+}
+
+function logCounterStateChanges(changes, agentId) {
+    for (const change of changes) {
+        if (change.previousState === change.state) {
+            continue;
+        }
+
+        logEvent(
+            EventTypes.COUNTER_STATE_CHANGED,
+            'counter',
+            change.counterId,
+            {
+                action: change.action,
+                previousState: change.previousState,
+                state: change.state,
+                initiatedBy: 'agent'
+            },
+            agentId,
+            change.counterId
+        ).catch((err) => logger.error({ err }, 'Event logging failed for counter state change'));
+    }
+}
+
+function getSessionSecret() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret || !secret.trim()) {
+        throw new Error('SESSION_SECRET environment variable missing');
+    }
+    return secret;
+}
+
+function mapSessionRow(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        agentName: row.agent_name,
+        username: row.username,
+        role: normalizeRole(row.role),
+        counterId: row.counter_id,
+        counterNumber: row.counter_number,
+        counterName: row.counter_name || `Counter ${row.counter_number}`,
+        loginAt: row.login_at
+    };
+}
+
+async function getActiveSession(sessionId) {
+    const row = await get(
+        `SELECT s.id,
+                s.agent_id,
+                s.counter_id,
+                s.login_at,
+                a.name AS agent_name,
+                a.username,
+                a.role,
+                c.number AS counter_number,
+                c.name AS counter_name
+         FROM sessions s
+         JOIN agents a ON a.id = s.agent_id
+         JOIN counters c ON c.id = s.counter_id
+         WHERE s.id = ?
+           AND s.is_active = 1
+           AND s.logout_at IS NULL
+           AND a.is_active = 1`,
+        [sessionId]
+    );
+
+    return row ? mapSessionRow(row) : null;
+}
+
+async function authenticateAgent(username, password) {
+    const agent = await get(
+        `SELECT id, username, name, role, password_hash
+         FROM agents
+         WHERE LOWER(username) = LOWER(?) AND is_active = 1`,
+        [username]
+    );
+
+    if (!agent || !agent.password_hash) {
+        return null;
+    }
+
+    const valid = await bcrypt.compare(password, agent.password_hash);
+    return valid ? agent : null;
+}
+
+/**
+ * Open a terminal session for an authenticated agent on a counter.
+ * Any session the agent still holds elsewhere is closed first, so an
+ * agent is only ever signed in to one counter at a time. Switching is
+ * refused with 409 while the old counter still has a called ticket.
+ */
+async function openSession(agent, counterId) {
+    const sessionId = crypto.randomUUID();
+    const loginAt = new Date().toISOString();
+
+    const result = await withTransaction(async (tx) => {
+        const counter = await tx.get(
+            'SELECT * FROM counters WHERE id = ? AND is_active = 1',
+            [counterId]
+        );
+
+        if (!counter) {
+            throw httpError(404, 'Counter not found');
+        }
+
+        if (counter.current_agent_id && counter.current_agent_id !== agent.id) {
+            const occupied = await tx.get(
+                `SELECT id FROM sessions
+                 WHERE agent_id = ? AND counter_id = ? AND is_active = 1`,
+                [counter.current_agent_id, counterId]
+            );
+
+            if (occupied) {
+                throw httpError(409, 'Counter is already in use by another agent');
+            }
+        }
+
+        const previousSessions = await tx.all(
+            'SELECT id, counter_id FROM sessions WHERE agent_id = ? AND is_active = 1',
+            [agent.id]
+        );
+
+        const releasedCounterIds = previousSessions
+            .map((row) => row.counter_id)
+            .filter((id) => id && id !== counter.id);
+
+        for (const releasedId of releasedCounterIds) {
+            await assertNoActiveTicket(tx, releasedId, agent.id, 'switching counters');
+        }
+
+        await tx.run(
+            `UPDATE sessions
+             SET is_active = 0,
+                 logout_at = ?
+             WHERE agent_id = ? AND is_active = 1`,
+            [loginAt, agent.id]
+        );
+
+        const stateChanges = [];
+        for (const releasedId of releasedCounterIds) {
+            const released = await tx.get(
+                'SELECT state FROM counters WHERE id = ? AND current_agent_id = ?',
+                [releasedId, agent.id]
+            );
+            if (!released) {
+                continue;
+            }
+
+            await tx.run(
+                `UPDATE counters
+                 SET current_agent_id = NULL,
+                     state = 'offline',
+                     break_reason = NULL,
+                     break_until = NULL,
+                     state_changed_at = ?
+                 WHERE id = ? AND current_agent_id = ?`,
+                [loginAt, releasedId, agent.id]
+            );
+            stateChanges.push({
+                counterId: releasedId,
+                action: 'logout',
+                previousState: released.state || 'offline',
+                state: 'offline'
+            });
+        }
+
+        await tx.run(
+            `INSERT INTO sessions (id, agent_id, counter_id, login_at, is_active)
+             VALUES (?, ?, ?, ?, 1)`,
+            [sessionId, agent.id, counter.id, loginAt]
+        );
+
+        await tx.run(
+            `UPDATE counters
+             SET current_agent_id = ?,
+                 state = CASE WHEN current_ticket_id IS NULL THEN 'available' ELSE state END,
+                 break_reason = NULL,
+                 break_until = NULL,
+                 state_changed_at = ?
+             WHERE id = ?`,
+            [agent.id, loginAt, counter.id]
+        );
+        stateChanges.push({
+            counterId: counter.id,
+            action: 'login',
+            previousState: counter.state || 'offline',
+            state: counter.current_ticket_id ? counter.state : 'available'
+        });
+
+        const services = await tx.all(
+            'SELECT service_id FROM agent_services WHERE agent_id = ? ORDER BY priority',
+            [agent.id]
+        );
+
+        return {
+            counter,
+            serviceIds: services.map((row) => row.service_id),
+            releasedCounterIds,
+            stateChanges
+        };
+    });
+
+    logCounterStateChanges(result.stateChanges, agent.id);
+
+    const token = jwt.sign(
+        {
+            sid: sessionId,
+            scope: TERMINAL_TOKEN_SCOPE,
+            agentId: agent.id,
+            counterId: result.counter.id,
+            role: normalizeRole(agent.role)
+        },
+        getSessionSecret(),
+        { expiresIn: SESSION_TOKEN_TTL }
+    );
+
+    return {
+        token,
+        session: {
+            id: sessionId,
+            agentId: agent.id,
+            agentName: agent.name,
+            username: agent.username,
+            role: normalizeRole(agent.role),
+            counterId: result.counter.id,
+            counterNumber: result.counter.number,
+            counterName: result.counter.name || `Counter ${result.counter.number}`,
+            loginAt
+        },
+        services: result.serviceIds,
+        releasedCounterIds: result.releasedCounterIds
+    };
+}
+
+/**
+ * Resolve a bearer token to its live session. Returns null when the
+ * token is invalid, expired, or the session has been closed.
+ */
+async function resolveSessionToken(token) {
+    if (!token) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, getSessionSecret());
+    } catch (error) {
+        return null;
+    }
+
+    if (!claims?.sid || claims.scope !== TERMINAL_TOKEN_SCOPE) {
+        return null;
+    }
+
+    return getActiveSession(claims.sid);
+}
+
+/**
+ * Close a terminal session and take its counter offline. Refused with
+ * 409 while the counter still has a called ticket.
+ */
+async function closeSession(session) {
+    const logoutAt = new Date().toISOString();
+
+    const stateChanges = await withTransaction(async (tx) => {
+        await assertNoActiveTicket(tx, session.counterId, session.agentId, 'logging out');
+
+        const counter = await tx.get(
+            'SELECT state FROM counters WHERE id = ? AND current_agent_id = ?',
+            [session.counterId, session.agentId]
+        );
+
+        await tx.run(
+            `UPDATE sessions
+             SET is_active = 0,
+                 logout_at = ?
+             WHERE id = ? AND is_active = 1`,
+            [logoutAt, session.id]
+        );
+
+        await tx.run(
+            `UPDATE counters
+             SET current_agent_id = NULL,
+                 state = 'offline',
+                 break_reason = NULL,
+                 break_until = NULL,
+                 state_changed_at = ?
+             WHERE id = ? AND current_agent_id = ?`,
+            [logoutAt, session.counterId, session.agentId]
+        );
+
+        if (!counter) {
+            return [];
+        }
+
+        return [
+            {
+                counterId: session.counterId,
+                action: 'logout',
+                previousState: counter.state || 'offline',
+                state: 'offline'
+            }
+        ];
+    });
+
+    logCounterStateChanges(stateChanges, session.agentId);
+    return logoutAt;
+}
+
+async function getAgentServiceIds(agentId) {
+    const rows = await all(
+        'SELECT service_id FROM agent_services WHERE agent_id = ? ORDER BY priority',
+        [agentId]
+    );
+    return rows.map((row) => row.service_id);
+}
+
+module.exports = {
+    authenticateAgent,
+    openSession,
+    resolveSessionToken,
+    closeSession,
+    getActiveSession,
+    getAgentServiceIds
+};
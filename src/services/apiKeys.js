@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { all, get, run } = require('../database/dbClient');
+
+const KEY_PREFIX = 'fmk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const SCOPES = {
+    READ: 'read',
+    TICKETS_WRITE: 'tickets:write',
+    // Customer phone and email on tickets
+    TICKETS_PII: 'tickets:pii'
+};
+
+// Keys seen recently, so last_used_at is written at most once a minute per key
+const lastUsedWrites = new Map();
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function parseScopes(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function validateScopes(value) {
+    if (value === undefined || value === null) {
+        return [SCOPES.READ];
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+        throw httpError(400, 'scopes must be a non-empty array');
+    }
+
+    const known = Object.values(SCOPES);
+    const scopes = [...new Set(value.map((scope) => String(scope).trim()))];
+    const unknown = scopes.filter((scope) => !known.includes(scope));
+    if (unknown.length) {
+        throw httpError(400, `Unknown scopes: ${unknown.join(', ')}`);
+    }
+    return scopes;
+}
+
+function mapApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        scopes: parseScopes(row.scopes),
+        isActive: Boolean(row.is_active),
+        lastUsedAt: row.last_used_at,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+async function listApiKeys() {
+    const rows = await all('SELECT * FROM api_keys ORDER BY id');
+    return rows.map(mapApiKey);
+}
+
+/**
+ * Issue a key for an integrator. The plain key is returned once; only its
+ * SHA-256 hash is stored, so a lost key has to be replaced.
+ */
+async function createApiKey({ name, scopes } = {}) {
+    const label = String(name || '').trim();
+    if (!label) {
+        throw httpError(400, 'name is required');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const result = await run(
+        `INSERT INTO api_keys (name, key_prefix, key_hash, scopes)
+         VALUES (?, ?, ?, ?)`,
+        [label, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), JSON.stringify(validateScopes(scopes))]
+    );
+
+    const row = await get('SELECT * FROM api_keys WHERE id = ?', [result.lastID]);
+    return { ...mapApiKey(row), key };
+}
+
+async function revokeApiKey(keyId) {
+    const result = await run(
+        `UPDATE api_keys
+         SET is_active = 0, revoked_at = COALESCE(revoked_at, ?)
+         WHERE id = ?`,
+        [new Date().toISOString(), keyId]
+    );
+    if (!result.changes) {
+        throw httpError(404, 'API key not found');
+    }
+    lastUsedWrites.delete(keyId);
+}
+
+/**
+ * Resolve a presented key to its record, or null when it is unknown or
+ * revoked.
+ */
+async function authenticateApiKey(rawKey) {
+    if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const row = await get('SELECT * FROM api_keys WHERE key_hash = ? AND is_active = 1', [hashKey(rawKey)]);
+    if (!row) {
+        return null;
+    }
+
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(row.id) || 0) >= LAST_USED_RESOLUTION_MS) {
+        lastUsedWrites.set(row.id, now);
+        await run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date(now).toISOString(), row.id]);
+    }
+
+    return mapApiKey(row);
+}
+
+module.exports = {
+    SCOPES,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+    authenticateApiKey
+};
@@ -0,0 +1,584 @@
+const crypto = require('crypto');
+const { all, get, run, withTransaction, getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { logEvent, EventTypes } = require('../database/events');
+const { issueTicket } = require('./ticketIssuer');
+const logger = require('../utils/logger');
+
+const DEFAULT_SLOT_MINUTES = 15;
+const DEFAULT_OPEN_TIME = '09:00';
+const DEFAULT_CLOSE_TIME = '17:00';
+const DEFAULT_EARLY_MINUTES = 30;
+const DEFAULT_LATE_MINUTES = 15;
+const DEFAULT_PRIORITY = 1;
+const DEFAULT_SERVICE_SECONDS = 300;
+const MAX_BOOKING_DAYS_AHEAD = 90;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// No 0/O or 1/I so codes survive being read out or typed at the kiosk
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const MAX_NAME_LENGTH = 120;
+const MAX_PHONE_LENGTH = 30;
+const MAX_EMAIL_LENGTH = 180;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+
+// Booked and checked-in appointments both hold their slot
+const ACTIVE_STATES = ['booked', 'checked_in'];
+const APPOINTMENT_STATES = ['booked', 'checked_in', 'cancelled', 'no_show'];
+
+let sweepTimer = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+function parseClock(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return parseClock(fallback);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Appointment settings: feature.appointments and the config.appointment_*
+ * keys. Opening hours are server local time, like the daily reset.
+ */
+function getAppointmentConfig(settings = {}) {
+    const priority = parseNonNegativeInt(settings['config.appointment_priority'], DEFAULT_PRIORITY);
+
+    return {
+        enabled: settings['feature.appointments'] === 'true',
+        slotMinutes: Math.max(parseNonNegativeInt(settings['config.appointment_slot_minutes'], DEFAULT_SLOT_MINUTES), 5),
+        openMinutes: parseClock(settings['config.appointment_open_time'], DEFAULT_OPEN_TIME),
+        closeMinutes: parseClock(settings['config.appointment_close_time'], DEFAULT_CLOSE_TIME),
+        earlyMinutes: parseNonNegativeInt(settings['config.appointment_checkin_early_minutes'], DEFAULT_EARLY_MINUTES),
+        lateMinutes: parseNonNegativeInt(settings['config.appointment_checkin_late_minutes'], DEFAULT_LATE_MINUTES),
+        priority: Math.min(priority, 2)
+    };
+}
+
+async function requireEnabled() {
+    const config = getAppointmentConfig(await getSettings());
+    if (!config.enabled) {
+        throw httpError(403, 'Appointments are disabled');
+    }
+    return config;
+}
+
+function sanitizeString(value, maxLength) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const trimmed = value.trim();
+    return trimmed ? trimmed.slice(0, maxLength) : null;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/[\s-]/g, '');
+}
+
+function generateBookingCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i += 1) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function parseDateKey(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) {
+        throw httpError(400, 'date must use the YYYY-MM-DD format');
+    }
+    const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (day.getFullYear() !== Number(match[1]) || day.getMonth() !== Number(match[2]) - 1) {
+        throw httpError(400, 'date is not a valid date');
+    }
+    return day;
+}
+
+function localDateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Slot start times for one local day, oldest first
+function buildDaySlots(day, config) {
+    const slots = [];
+    for (
+        let minutes = config.openMinutes;
+        minutes + config.slotMinutes <= config.closeMinutes;
+        minutes += config.slotMinutes
+    ) {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+        slots.push({
+            start: start.toISOString(),
+            end: new Date(start.getTime() + config.slotMinutes * 60 * 1000).toISOString()
+        });
+    }
+    return slots;
+}
+
+async function loadService(tx, serviceId) {
+    const id = Number(serviceId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw httpError(400, 'serviceId must be a positive integer');
+    }
+    const service = await tx.get('SELECT * FROM services WHERE id = ? AND is_active = 1', [id]);
+    if (!service) {
+        throw httpError(404, 'Service not found or inactive');
+    }
+    return service;
+}
+
+/**
+ * Appointments one slot can take: each active counter allowed to serve
+ * the service handles as many customers as fit in the slot at the
+ * service's estimated service time (at least one).
+ */
+async function getSlotCapacity(tx, service, config) {
+    const row = await tx.get(
+        `SELECT COUNT(*) AS counters
+         FROM counters c
+         WHERE c.is_active = 1
+           AND (
+               NOT EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id)
+               OR EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id AND cs.service_id = ?)
+           )`,
+        [service.id]
+    );
+
+    const serviceSeconds = service.estimated_service_time || DEFAULT_SERVICE_SECONDS;
+    const perCounter = Math.max(1, Math.floor((config.slotMinutes * 60) / serviceSeconds));
+
+    return {
+        counters: row?.counters || 0,
+        perCounter,
+        capacity: (row?.counters || 0) * perCounter
+    };
+}
+
+function mapAppointmentRow(row) {
+    return {
+        id: row.id,
+        bookingCode: row.booking_code,
+        serviceId: row.service_id,
+        serviceName: row.service_name || null,
+        slotStart: row.slot_start,
+        slotEnd: row.slot_end,
+        state: row.state,
+        customerName: row.customer_name || null,
+        customerPhone: row.customer_phone || null,
+        customerEmail: row.customer_email || null,
+        ticketId: row.ticket_id || null,
+        checkedInAt: row.checked_in_at || null,
+        cancelledAt: row.cancelled_at || null,
+        noShowAt: row.no_show_at || null,
+        createdAt: row.created_at
+    };
+}
+
+const APPOINTMENT_SELECT = `SELECT a.*, s.name AS service_name
+                            FROM appointments a
+                            JOIN services s ON s.id = a.service_id`;
+
+/**
+ * Slots for a service on one local day with their capacity and how many
+ * are already taken. Past slots are listed but not bookable.
+ */
+async function getAvailability({ serviceId, date } = {}) {
+    const config = await requireEnabled();
+    const day = date ? parseDateKey(date) : new Date();
+    const slots = buildDaySlots(day, config);
+
+    const client = getClient();
+    const service = await loadService(client, serviceId);
+    const capacity = await getSlotCapacity(client, service, config);
+
+    const booked = slots.length
+        ? await all(
+              `SELECT slot_start, COUNT(*) AS booked
+               FROM appointments
+               WHERE service_id = ?
+                 AND state IN (${ACTIVE_STATES.map(() => '?').join(', ')})
+                 AND slot_start >= ? AND slot_start <= ?
+               GROUP BY slot_start`,
+              [service.id, ...ACTIVE_STATES, slots[0].start, slots[slots.length - 1].start]
+          )
+        : [];
+    const bookedBySlot = new Map(booked.map((row) => [row.slot_start, row.booked]));
+    const now = new Date().toISOString();
+
+    return {
+        serviceId: service.id,
+        serviceName: service.name,
+        date: localDateKey(day),
+        slotMinutes: config.slotMinutes,
+        counters: capacity.counters,
+        slots: slots.map((slot) => {
+            const taken = bookedBySlot.get(slot.start) || 0;
+            return {
+                start: slot.start,
+                end: slot.end,
+                capacity: capacity.capacity,
+                booked: taken,
+                available: slot.start > now ? Math.max(0, capacity.capacity - taken) : 0
+            };
+        })
+    };
+}
+
+function validateBooking(body, config) {
+    const errors = [];
+
+    const slot = new Date(body.slotStart);
+    if (!body.slotStart || Number.isNaN(slot.getTime())) {
+        errors.push('slotStart must be an ISO timestamp');
+    }
+
+    const customerName = sanitizeString(body.customerName, MAX_NAME_LENGTH);
+    const customerPhone = sanitizeString(body.customerPhone, MAX_PHONE_LENGTH);
+    const customerEmail = sanitizeString(body.customerEmail, MAX_EMAIL_LENGTH);
+
+    if (!customerName) {
+        errors.push('customerName is required');
+    }
+    if (customerEmail && !EMAIL_REGEX.test(customerEmail)) {
+        errors.push('customerEmail is invalid');
+    }
+
+    if (errors.length) {
+        throw httpError(400, errors.join(', '));
+    }
+
+    const match = buildDaySlots(slot, config).find((candidate) => candidate.start === slot.toISOString());
+    if (!match) {
+        throw httpError(400, 'slotStart is not an appointment slot');
+    }
+
+    const now = Date.now();
+    if (slot.getTime() <= now) {
+        throw httpError(400, 'slotStart must be in the future');
+    }
+    if (slot.getTime() > now + MAX_BOOKING_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+        throw httpError(400, `Appointments can be booked at most ${MAX_BOOKING_DAYS_AHEAD} days ahead`);
+    }
+
+    return { slot: match, customerName, customerPhone, customerEmail };
+}
+
+async function bookAppointment(body = {}) {
+    const config = await requireEnabled();
+    const booking = validateBooking(body, config);
+
+    const appointment = await withTransaction(async (tx) => {
+        const service = await loadService(tx, body.serviceId);
+        const { capacity } = await getSlotCapacity(tx, service, config);
+
+        const taken = await tx.get(
+            `SELECT COUNT(*) AS count
+             FROM appointments
+             WHERE service_id = ? AND slot_start = ?
+               AND state IN (${ACTIVE_STATES.map(() => '?').join(', ')})`,
+            [service.id, booking.slot.start, ...ACTIVE_STATES]
+        );
+
+        if ((taken?.count || 0) >= capacity) {
+            throw httpError(409, 'This slot is fully booked');
+        }
+
+        let inserted = null;
+        for (let attempt = 0; attempt < 5 && !inserted; attempt += 1) {
+            try {
+                inserted = await tx.run(
+                    `INSERT INTO appointments (
+                        booking_code, service_id, slot_start, slot_end,
+                        customer_name, customer_phone, customer_email
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        generateBookingCode(),
+                        service.id,
+                        booking.slot.start,
+                        booking.slot.end,
+                        booking.customerName,
+                        booking.customerPhone,
+                        booking.customerEmail
+                    ]
+                );
+            } catch (error) {
+                if (!/UNIQUE/.test(error.message)) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!inserted) {
+            throw new Error('Could not allocate a booking code');
+        }
+
+        return tx.get(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [inserted.lastID]);
+    });
+
+    const mapped = mapAppointmentRow(appointment);
+
+    logEvent(EventTypes.APPOINTMENT_BOOKED, 'appointment', mapped.id, {
+        bookingCode: mapped.bookingCode,
+        serviceId: mapped.serviceId,
+        slotStart: mapped.slotStart
+    }).catch((err) => logger.error({ err }, 'Event logging failed for appointment booking'));
+
+    return mapped;
+}
+
+async function getAppointment(code) {
+    await requireEnabled();
+    const row = await get(`${APPOINTMENT_SELECT} WHERE a.booking_code = ?`, [normalizeCode(code)]);
+    if (!row) {
+        throw httpError(404, 'Appointment not found');
+    }
+    return mapAppointmentRow(row);
+}
+
+/**
+ * Cancel a booked appointment by booking code, or by id from the admin
+ * panel (`{ id }`). Checked-in appointments already have a ticket and are
+ * handled through the queue instead.
+ */
+async function cancelAppointment({ code, id } = {}, { initiatedBy = 'customer' } = {}) {
+    const row = id
+        ? await get(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [id])
+        : await get(`${APPOINTMENT_SELECT} WHERE a.booking_code = ?`, [normalizeCode(code)]);
+
+    if (!row) {
+        throw httpError(404, 'Appointment not found');
+    }
+    if (row.state !== 'booked') {
+        throw httpError(409, `Appointment is already ${row.state.replace('_', ' ')}`);
+    }
+
+    const cancelledAt = new Date().toISOString();
+    const result = await run(
+        "UPDATE appointments SET state = 'cancelled', cancelled_at = ? WHERE id = ? AND state = 'booked'",
+        [cancelledAt, row.id]
+    );
+    if (!result.changes) {
+        throw httpError(409, 'Appointment changed while cancelling; try again');
+    }
+
+    logEvent(EventTypes.APPOINTMENT_CANCELLED, 'appointment', row.id, {
+        bookingCode: row.booking_code,
+        serviceId: row.service_id,
+        slotStart: row.slot_start,
+        initiatedBy
+    }).catch((err) => logger.error({ err }, 'Event logging failed for appointment cancellation'));
+
+    return mapAppointmentRow({ ...row, state: 'cancelled', cancelled_at: cancelledAt });
+}
+
+/**
+ * Turn a booking code into a waiting ticket with appointment priority.
+ * Only allowed inside the check-in window around the slot start.
+ */
+async function checkInAppointment(code) {
+    const config = await requireEnabled();
+    const bookingCode = normalizeCode(code);
+    if (!bookingCode) {
+        throw httpError(400, 'bookingCode is required');
+    }
+
+    const result = await withTransaction(async (tx) => {
+        const row = await tx.get(`${APPOINTMENT_SELECT} WHERE a.booking_code = ?`, [bookingCode]);
+        if (!row) {
+            throw httpError(404, 'Appointment not found');
+        }
+        if (row.state !== 'booked') {
+            throw httpError(409, `Appointment is already ${row.state.replace('_', ' ')}`);
+        }
+
+        const now = Date.now();
+        const slotStart = new Date(row.slot_start).getTime();
+        const opensAt = slotStart - config.earlyMinutes * 60 * 1000;
+        const closesAt = slotStart + config.lateMinutes * 60 * 1000;
+
+        if (now < opensAt) {
+            const err = httpError(409, 'Too early to check in for this appointment');
+            err.checkInOpensAt = new Date(opensAt).toISOString();
+            throw err;
+        }
+        if (now > closesAt) {
+            throw httpError(409, 'The check-in window for this appointment has passed');
+        }
+
+        const issued = await issueTicket(tx, {
+            serviceId: row.service_id,
+            priority: config.priority,
+            customerName: row.customer_name,
+            customerPhone: row.customer_phone,
+            customerEmail: row.customer_email,
+            appointmentId: row.id
+        });
+
+        const checkedInAt = new Date(now).toISOString();
+        await tx.run(
+            `UPDATE appointments
+             SET state = 'checked_in', ticket_id = ?, checked_in_at = ?
+             WHERE id = ?`,
+            [issued.ticket.id, checkedInAt, row.id]
+        );
+
+        return {
+            ...issued,
+            appointment: mapAppointmentRow({
+                ...row,
+                state: 'checked_in',
+                ticket_id: issued.ticket.id,
+                checked_in_at: checkedInAt
+            })
+        };
+    });
+
+    await logEvent(EventTypes.TICKET_CREATED, 'ticket', result.ticket.id, {
+        ticketNumber: result.ticket.ticketNumber,
+        serviceId: result.ticket.serviceId,
+        serviceName: result.service.name,
+        customerName: result.ticket.customerName,
+        appointmentId: result.appointment.id,
+        bookingCode: result.appointment.bookingCode
+    }).catch((err) => logger.error({ err }, 'Event logging failed for appointment ticket'));
+
+    logEvent(EventTypes.APPOINTMENT_CHECKED_IN, 'appointment', result.appointment.id, {
+        bookingCode: result.appointment.bookingCode,
+        serviceId: result.appointment.serviceId,
+        slotStart: result.appointment.slotStart,
+        ticketId: result.ticket.id,
+        ticketNumber: result.ticket.ticketNumber
+    }).catch((err) => logger.error({ err }, 'Event logging failed for appointment check-in'));
+
+    return result;
+}
+
+async function listAppointments(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.date) {
+        const day = parseDateKey(filters.date);
+        const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        conditions.push('a.slot_start >= ? AND a.slot_start < ?');
+        params.push(day.toISOString(), next.toISOString());
+    }
+
+    if (filters.serviceId !== undefined && filters.serviceId !== '') {
+        const serviceId = Number(filters.serviceId);
+        if (!Number.isInteger(serviceId) || serviceId <= 0) {
+            throw httpError(400, 'serviceId must be a positive integer');
+        }
+        conditions.push('a.service_id = ?');
+        params.push(serviceId);
+    }
+
+    if (filters.state) {
+        if (!APPOINTMENT_STATES.includes(filters.state)) {
+            throw httpError(400, `state must be one of ${APPOINTMENT_STATES.join(', ')}`);
+        }
+        conditions.push('a.state = ?');
+        params.push(filters.state);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [totalRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM appointments a ${where}`, params),
+        all(`${APPOINTMENT_SELECT} ${where} ORDER BY a.slot_start, a.id LIMIT ? OFFSET ?`, [...params, limit, offset])
+    ]);
+
+    return {
+        total: totalRow?.total || 0,
+        limit,
+        offset,
+        appointments: rows.map(mapAppointmentRow)
+    };
+}
+
+/**
+ * Mark booked appointments whose check-in window has closed as no-shows.
+ * Runs regardless of feature.appointments so bookings made before the
+ * feature was switched off still close.
+ */
+async function markMissedAppointments() {
+    const config = getAppointmentConfig(await getSettings());
+    const cutoff = new Date(Date.now() - config.lateMinutes * 60 * 1000).toISOString();
+
+    const rows = await all(
+        "SELECT id, booking_code, service_id, slot_start FROM appointments WHERE state = 'booked' AND slot_start < ?",
+        [cutoff]
+    );
+
+    const missed = [];
+    for (const row of rows) {
+        const noShowAt = new Date().toISOString();
+        const result = await run(
+            "UPDATE appointments SET state = 'no_show', no_show_at = ? WHERE id = ? AND state = 'booked'",
+            [noShowAt, row.id]
+        );
+        if (!result.changes) {
+            continue;
+        }
+
+        missed.push(row.id);
+        logEvent(EventTypes.APPOINTMENT_NO_SHOW, 'appointment', row.id, {
+            bookingCode: row.booking_code,
+            serviceId: row.service_id,
+            slotStart: row.slot_start,
+            automatic: true
+        }).catch((err) => logger.error({ err }, 'Event logging failed for appointment no-show'));
+    }
+
+    if (missed.length) {
+        logger.info({ count: missed.length }, 'Appointments marked no-show after the check-in window');
+    }
+
+    return missed;
+}
+
+function startAppointmentMonitor() {
+    stopAppointmentMonitor();
+
+    sweepTimer = setInterval(() => {
+        markMissedAppointments().catch((error) =>
+            logger.error({ err: error }, 'Appointment no-show check failed')
+        );
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopAppointmentMonitor() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    getAppointmentConfig,
+    getAvailability,
+    bookAppointment,
+    getAppointment,
+    cancelAppointment,
+    checkInAppointment,
+    listAppointments,
+    markMissedAppointments,
+    startAppointmentMonitor,
+    stopAppointmentMonitor
+};
@@ -0,0 +1,446 @@
+const { all, get } = require('../database/dbClient');
+const { EventTypes } = require('../database/events');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 100000;
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const CSV_COLUMNS = [
+    'id',
+    'createdAt',
+    'type',
+    'entityType',
+    'entityId',
+    'ticketNumber',
+    'agentId',
+    'counterId',
+    'data'
+];
+
+// Timeline step names for the events that make up a ticket's journey
+const TIMELINE_ACTIONS = {
+    [EventTypes.TICKET_CREATED]: 'created',
+    [EventTypes.TICKET_CALLED]: 'called',
+    [EventTypes.TICKET_CHERRY_PICKED]: 'called_out_of_order',
+    [EventTypes.TICKET_RECALLED]: 'recalled',
+    [EventTypes.TICKET_TRANSFERRED]: 'transferred',
+    [EventTypes.TICKET_REASSIGNED]: 'reassigned',
+    [EventTypes.TICKET_PARKED]: 'parked',
+    [EventTypes.TICKET_UNPARKED]: 'unparked',
+    [EventTypes.TICKET_RECYCLED]: 'recycled',
+    [EventTypes.TICKET_NO_SHOW]: 'no_show',
+    [EventTypes.TICKET_COMPLETED]: 'completed',
+    [EventTypes.TICKET_AUTO_COMPLETED]: 'auto_completed'
+};
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parseId(value, field) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw httpError(400, `${field} must be a positive integer`);
+    }
+    return id;
+}
+
+// events.created_at is SQLite CURRENT_TIMESTAMP: UTC, 'YYYY-MM-DD HH:MM:SS'
+function toSqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// SQLite timestamps have no zone marker but are UTC
+function toIsoTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const normalized = /[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const time = Date.parse(normalized);
+    return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+/**
+ * Accept either a YYYY-MM-DD day or a full ISO timestamp. A bare day used
+ * as the upper bound covers the whole day.
+ */
+function parseTimeBound(value, field, { endOfDay = false } = {}) {
+    const text = String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const day = new Date(`${text}T00:00:00Z`);
+        if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== text) {
+            throw httpError(400, `"${field}" is not a valid date`);
+        }
+        if (endOfDay) {
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        return { value: toSqlTimestamp(day), exclusive: endOfDay };
+    }
+
+    const time = new Date(text);
+    if (!text || Number.isNaN(time.getTime())) {
+        throw httpError(400, `"${field}" must be a YYYY-MM-DD date or an ISO timestamp`);
+    }
+    return { value: toSqlTimestamp(time), exclusive: false };
+}
+
+function parseTypes(value) {
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim().toUpperCase())
+        .filter(Boolean);
+
+    // Not limited to EventTypes: older rows use ad-hoc types such as ADMIN_LOGIN
+    const invalid = list.filter((type) => !/^[A-Z_]+$/.test(type));
+    if (invalid.length) {
+        throw httpError(400, `Invalid event type: ${invalid.join(', ')}`);
+    }
+
+    return [...new Set(list)];
+}
+
+function buildWhere(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.type !== undefined && filters.type !== '') {
+        const types = parseTypes(filters.type);
+        if (types.length) {
+            conditions.push(`e.event_type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+    }
+
+    if (filters.entityType) {
+        conditions.push('e.entity_type = ?');
+        params.push(String(filters.entityType).toLowerCase());
+    }
+
+    // Counter-level events mention the ticket they affected in their payload
+    if (filters.ticketId !== undefined && filters.ticketId !== '') {
+        const ticketId = parseId(filters.ticketId, 'ticketId');
+        conditions.push(
+            "((e.entity_type = 'ticket' AND e.entity_id = ?) OR json_extract(e.data, '$.ticketId') = ?)"
+        );
+        params.push(ticketId, ticketId);
+    }
+
+    if (filters.ticketNumber) {
+        conditions.push("json_extract(e.data, '$.ticketNumber') = ?");
+        params.push(String(filters.ticketNumber).trim().toUpperCase());
+    }
+
+    if (filters.agentId !== undefined && filters.agentId !== '') {
+        const agentId = parseId(filters.agentId, 'agentId');
+        conditions.push("(e.agent_id = ? OR (e.entity_type = 'agent' AND e.entity_id = ?))");
+        params.push(agentId, agentId);
+    }
+
+    if (filters.counterId !== undefined && filters.counterId !== '') {
+        const counterId = parseId(filters.counterId, 'counterId');
+        conditions.push("(e.counter_id = ? OR (e.entity_type = 'counter' AND e.entity_id = ?))");
+        params.push(counterId, counterId);
+    }
+
+    let lower = null;
+    let upper = null;
+
+    if (filters.from) {
+        lower = parseTimeBound(filters.from, 'from');
+        conditions.push('e.created_at >= ?');
+        params.push(lower.value);
+    }
+
+    if (filters.to) {
+        upper = parseTimeBound(filters.to, 'to', { endOfDay: true });
+        conditions.push(upper.exclusive ? 'e.created_at < ?' : 'e.created_at <= ?');
+        params.push(upper.value);
+    }
+
+    if (lower && upper && upper.value < lower.value) {
+        throw httpError(400, '"to" must not be before "from"');
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function parsePayload(data) {
+    if (!data) {
+        return {};
+    }
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return { raw: data };
+    }
+}
+
+function mapEventRow(row) {
+    const data = parsePayload(row.data);
+    return {
+        id: row.id,
+        type: row.event_type,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        ticketNumber: data.ticketNumber || null,
+        agentId: row.agent_id ?? null,
+        counterId: row.counter_id ?? null,
+        createdAt: toIsoTimestamp(row.created_at),
+        data
+    };
+}
+
+function orderClause(order) {
+    return order === 'asc' ? 'ORDER BY e.created_at ASC, e.id ASC' : 'ORDER BY e.created_at DESC, e.id DESC';
+}
+
+/**
+ * Page through the audit log, newest first unless `order` is 'asc'.
+ * Filters: type (comma list), entityType, ticketId, ticketNumber, agentId,
+ * counterId, from and to.
+ */
+async function queryEvents(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const [totalRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM events e ${where}`, params),
+        all(
+            `SELECT e.*
+             FROM events e
+             ${where}
+             ${orderClause(filters.order)}
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        )
+    ]);
+
+    const total = totalRow?.total || 0;
+
+    return {
+        total,
+        limit,
+        offset,
+        hasMore: offset + rows.length < total,
+        events: rows.map(mapEventRow)
+    };
+}
+
+/**
+ * Yield every matching event in batches for export, oldest first unless
+ * `order` is 'desc'. Stops after MAX_EXPORT_ROWS rows.
+ */
+async function* iterateEvents(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    const order = orderClause(filters.order === 'desc' ? 'desc' : 'asc');
+    let offset = 0;
+
+    while (offset < MAX_EXPORT_ROWS) {
+        const rows = await all(
+            `SELECT e.*
+             FROM events e
+             ${where}
+             ${order}
+             LIMIT ? OFFSET ?`,
+            [...params, Math.min(EXPORT_BATCH_SIZE, MAX_EXPORT_ROWS - offset), offset]
+        );
+
+        if (!rows.length) {
+            return;
+        }
+
+        yield rows.map(mapEventRow);
+        offset += rows.length;
+
+        if (rows.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+    }
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatEvents(events, format, { header = false } = {}) {
+    if (format === 'ndjson') {
+        return events.map((event) => `${JSON.stringify(event)}\n`).join('');
+    }
+
+    const lines = header ? [CSV_COLUMNS.join(',')] : [];
+    events.forEach((event) => {
+        lines.push(CSV_COLUMNS.map((column) => csvCell(event[column])).join(','));
+    });
+    return lines.length ? `${lines.join('\r\n')}\r\n` : '';
+}
+
+async function loadTicket(ticketId) {
+    const columns = `id, ticket_number, service_id, state, priority, customer_name,
+                     created_at, first_called_at, called_at, served_at, completed_at,
+                     counter_id, agent_id, original_service_id, transferred_at,
+                     recall_count, actual_wait, service_duration`;
+
+    const live = await get(`SELECT ${columns}, NULL AS business_day FROM tickets WHERE id = ?`, [ticketId]);
+    if (live) {
+        return { ticket: live, archived: false };
+    }
+
+    const archived = await get(`SELECT ${columns}, business_day FROM ticket_archive WHERE id = ?`, [ticketId]);
+    return archived ? { ticket: archived, archived: true } : null;
+}
+
+/**
+ * A transfer re-creates the ticket under a new id and logs the old one as
+ * `previousTicketId`. Walk those links both ways so a timeline looked up by
+ * any id covers the whole journey; ids are returned oldest first.
+ */
+async function resolveTransferChain(ticketId) {
+    const chain = [ticketId];
+    const seen = new Set(chain);
+
+    let id = ticketId;
+    for (;;) {
+        const row = await get(
+            `SELECT json_extract(data, '$.previousTicketId') AS previous_id
+             FROM events
+             WHERE event_type = ? AND entity_type = 'ticket' AND entity_id = ?
+             ORDER BY id DESC
+             LIMIT 1`,
+            [EventTypes.TICKET_TRANSFERRED, id]
+        );
+        if (!row?.previous_id || seen.has(row.previous_id)) {
+            break;
+        }
+        id = row.previous_id;
+        seen.add(id);
+        chain.unshift(id);
+    }
+
+    id = ticketId;
+    for (;;) {
+        const row = await get(
+            `SELECT entity_id
+             FROM events
+             WHERE event_type = ? AND json_extract(data, '$.previousTicketId') = ?
+             ORDER BY id DESC
+             LIMIT 1`,
+            [EventTypes.TICKET_TRANSFERRED, id]
+        );
+        if (!row?.entity_id || seen.has(row.entity_id)) {
+            break;
+        }
+        id = row.entity_id;
+        seen.add(id);
+        chain.push(id);
+    }
+
+    return chain;
+}
+
+/**
+ * Rebuild a ticket's journey from the audit log, for live and archived
+ * tickets alike. Steps are oldest first; each names the counter and agent
+ * involved where the event recorded them.
+ */
+async function getTicketTimeline(ticketIdValue) {
+    const requestedId = parseId(ticketIdValue, 'ticketId');
+    const ticketIds = await resolveTransferChain(requestedId);
+    const currentId = ticketIds[ticketIds.length - 1];
+    const found = await loadTicket(currentId);
+
+    const placeholders = ticketIds.map(() => '?').join(', ');
+    const rows = await all(
+        `SELECT e.*
+         FROM events e
+         WHERE (e.entity_type = 'ticket' AND e.entity_id IN (${placeholders}))
+            OR json_extract(e.data, '$.ticketId') IN (${placeholders})
+         ORDER BY e.created_at ASC, e.id ASC`,
+        [...ticketIds, ...ticketIds]
+    );
+
+    if (!found && !rows.length) {
+        throw httpError(404, 'Ticket not found');
+    }
+
+    const [services, agents, counters] = await Promise.all([
+        all('SELECT id, name FROM services'),
+        all('SELECT id, name, username FROM agents'),
+        all('SELECT id, name, number FROM counters')
+    ]);
+    const serviceNames = new Map(services.map((row) => [row.id, row.name]));
+    const agentNames = new Map(agents.map((row) => [row.id, row.name || row.username]));
+    const counterInfo = new Map(counters.map((row) => [row.id, row]));
+
+    const steps = rows.map((row) => {
+        const event = mapEventRow(row);
+        const { data } = event;
+        const counterId = event.counterId ?? data.counterId ?? null;
+        const agentId = event.agentId ?? data.agentId ?? null;
+        const counter = counterId ? counterInfo.get(counterId) : null;
+
+        return {
+            eventId: event.id,
+            at: event.createdAt,
+            type: event.type,
+            action:
+                TIMELINE_ACTIONS[event.type] ||
+                (event.type === EventTypes.COUNTER_STATE_CHANGED && data.action ? data.action : event.type.toLowerCase()),
+            ticketNumber: data.ticketNumber || null,
+            serviceId: data.toServiceId ?? data.serviceId ?? null,
+            counterId,
+            counterName: counter ? counter.name || `Counter ${counter.number}` : null,
+            agentId,
+            agentName: agentId ? agentNames.get(agentId) || null : null,
+            initiatedBy: data.initiatedBy || null,
+            reason: data.reason || null,
+            data
+        };
+    });
+
+    const ticket = found?.ticket;
+
+    return {
+        ticketIds,
+        ticket: ticket
+            ? {
+                  id: ticket.id,
+                  ticketNumber: ticket.ticket_number,
+                  serviceId: ticket.service_id,
+                  serviceName: serviceNames.get(ticket.service_id) || null,
+                  originalServiceId: ticket.original_service_id || null,
+                  state: ticket.state,
+                  priority: ticket.priority,
+                  customerName: ticket.customer_name || null,
+                  createdAt: toIsoTimestamp(ticket.created_at),
+                  firstCalledAt: toIsoTimestamp(ticket.first_called_at),
+                  completedAt: toIsoTimestamp(ticket.completed_at),
+                  recallCount: ticket.recall_count || 0,
+                  waitSeconds: ticket.actual_wait ?? null,
+                  serviceSeconds: ticket.service_duration ?? null,
+                  archived: found.archived,
+                  businessDay: ticket.business_day || null
+              }
+            : null,
+        steps
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    queryEvents,
+    iterateEvents,
+    formatEvents,
+    getTicketTimeline
+};
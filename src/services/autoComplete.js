@@ -0,0 +1,202 @@
+const { all, withTransaction } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { logEvent, EventTypes } = require('../database/events');
+const {
+    broadcastTicketCompleted,
+    broadcastQueueUpdated,
+    broadcastCounterAlert
+} = require('../realtime/eventBroadcaster');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const logger = require('../utils/logger');
+
+const TIMEOUT_KEY = 'config.auto_complete_timeout';
+const DEFAULT_TIMEOUT_SECONDS = 1800;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let ioInstance = null;
+let sweepTimer = null;
+
+/**
+ * Seconds a ticket may stay called before it is auto-completed.
+ * 0 disables the sweeper.
+ */
+function getAutoCompleteTimeout(settings = {}) {
+    const parsed = parseInt(settings[TIMEOUT_KEY], 10);
+    return Number.isNaN(parsed) || parsed < 0 ? DEFAULT_TIMEOUT_SECONDS : parsed;
+}
+
+async function autoCompleteTicket(ticketId, timeoutSeconds) {
+    const result = await withTransaction(async (tx) => {
+        const ticket = await tx.get(
+            `SELECT t.*, s.name as service_name
+             FROM tickets t
+             JOIN services s ON t.service_id = s.id
+             WHERE t.id = ? AND t.state = 'called'`,
+            [ticketId]
+        );
+
+        // Completed or released since the sweep query ran
+        if (!ticket) {
+            return null;
+        }
+
+        const now = new Date();
+        const completedAt = now.toISOString();
+        const servedAt = ticket.served_at || ticket.called_at;
+        const actualWait =
+            ticket.created_at && servedAt
+                ? Math.floor((new Date(servedAt) - new Date(ticket.created_at)) / 1000)
+                : null;
+        const serviceDuration = servedAt
+            ? Math.max(0, Math.floor((now - new Date(servedAt)) / 1000) - (ticket.parked_seconds || 0))
+            : null;
+
+        await tx.run(
+            `UPDATE tickets
+             SET state = 'completed',
+                 completed_at = ?,
+                 auto_completed_at = ?,
+                 actual_wait = ?,
+                 service_duration = ?
+             WHERE id = ?`,
+            [completedAt, completedAt, actualWait, serviceDuration, ticket.id]
+        );
+
+        if (ticket.counter_id) {
+            await tx.run(
+                `UPDATE counters
+                 SET current_ticket_id = NULL,
+                     state = 'available'
+                 WHERE id = ? AND current_ticket_id = ?`,
+                [ticket.counter_id, ticket.id]
+            );
+        }
+
+        const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
+
+        return {
+            ticket: {
+                id: ticket.id,
+                ticketNumber: ticket.ticket_number,
+                serviceId: ticket.service_id,
+                serviceName: ticket.service_name,
+                state: 'completed',
+                counterId: ticket.counter_id,
+                agentId: ticket.agent_id,
+                servedAt,
+                serviceDuration,
+                completedAt,
+                autoCompleted: true
+            },
+            queue: queueSnapshot
+        };
+    });
+
+    if (!result) {
+        return null;
+    }
+
+    const { ticket } = result;
+
+    logEvent(
+        EventTypes.TICKET_AUTO_COMPLETED,
+        'ticket',
+        ticket.id,
+        {
+            ticketNumber: ticket.ticketNumber,
+            serviceId: ticket.serviceId,
+            counterId: ticket.counterId,
+            agentId: ticket.agentId,
+            servedAt: ticket.servedAt,
+            serviceDuration: ticket.serviceDuration,
+            timeoutSeconds
+        },
+        ticket.agentId,
+        ticket.counterId
+    ).catch((err) => logger.error({ err }, 'Event logging failed for auto-complete'));
+
+    if (ioInstance) {
+        broadcastTicketCompleted(ioInstance, ticket, result.queue);
+        broadcastQueueUpdated(ioInstance, ticket.serviceId, result.queue);
+
+        if (ticket.counterId) {
+            broadcastCounterAlert(
+                ioInstance,
+                ticket.counterId,
+                `Ticket ${ticket.ticketNumber} was auto-completed after ${Math.round(timeoutSeconds / 60)} minute(s) in service`,
+                'warning',
+                { ticketId: ticket.id, reason: 'auto_complete' }
+            );
+        }
+    }
+
+    return ticket;
+}
+
+/**
+ * Complete every ticket that has been called for longer than
+ * config.auto_complete_timeout and free its counter.
+ */
+async function sweepStaleTickets() {
+    const timeoutSeconds = getAutoCompleteTimeout(await getSettings());
+    if (timeoutSeconds === 0) {
+        return [];
+    }
+
+    // Time spent parked does not count towards the timeout
+    const cutoff = new Date(Date.now() - timeoutSeconds * 1000).toISOString();
+    const rows = await all(
+        `SELECT id
+         FROM tickets
+         WHERE state = 'called'
+           AND julianday(COALESCE(served_at, called_at)) + COALESCE(parked_seconds, 0) / 86400.0
+               <= julianday(?)`,
+        [cutoff]
+    );
+
+    const completed = [];
+    for (const row of rows) {
+        try {
+            const ticket = await autoCompleteTicket(row.id, timeoutSeconds);
+            if (ticket) {
+                completed.push(ticket);
+            }
+        } catch (error) {
+            logger.error({ err: error, ticketId: row.id }, 'Failed to auto-complete stale ticket');
+        }
+    }
+
+    if (completed.length) {
+        logger.info({ count: completed.length, timeoutSeconds }, 'Stale tickets auto-completed');
+    }
+
+    return completed;
+}
+
+function startAutoCompleteSweeper(io) {
+    if (io) {
+        ioInstance = io;
+    }
+
+    stopAutoCompleteSweeper();
+
+    sweepTimer = setInterval(() => {
+        sweepStaleTickets().catch((error) =>
+            logger.error({ err: error }, 'Auto-complete sweep failed')
+        );
+    }, SWEEP_INTERVAL_MS);
+}
+
+function stopAutoCompleteSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    getAutoCompleteTimeout,
+    sweepStaleTickets,
+    startAutoCompleteSweeper,
+    stopAutoCompleteSweeper
+};
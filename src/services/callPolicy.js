@@ -0,0 +1,290 @@
+const CALL_POLICIES = {
+    STRICT_PRIORITY: 'strict_priority',
+    INTERLEAVE: 'interleave',
+    ROUND_ROBIN: 'round_robin',
+    LONGEST_WAIT: 'longest_wait'
+};
+
+const DEFAULT_POLICY = CALL_POLICIES.STRICT_PRIORITY;
+const DEFAULT_INTERLEAVE_RATIO = 3;
+const MAX_INTERLEAVE_RATIO = 20;
+
+// Ordering of waiting tickets inside a single service. strict_priority and
+// round_robin serve higher ticket priority first and longest_wait the oldest.
+// Interleave lists oldest first and is reordered by interleaveTickets, as
+// its order depends on the counter's streak. The cross-service decisions
+// are made in selectNextTicket.
+const SERVICE_QUEUE_ORDER = {
+    [CALL_POLICIES.STRICT_PRIORITY]: 't.priority DESC, t.created_at ASC, t.id ASC',
+    [CALL_POLICIES.INTERLEAVE]: 't.created_at ASC, t.id ASC',
+    [CALL_POLICIES.ROUND_ROBIN]: 't.priority DESC, t.created_at ASC, t.id ASC',
+    [CALL_POLICIES.LONGEST_WAIT]: 't.created_at ASC, t.id ASC'
+};
+
+function normalizePolicy(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const normalized = value.trim().toLowerCase().replace(/-/g, '_');
+    return Object.values(CALL_POLICIES).includes(normalized) ? normalized : null;
+}
+
+function getDefaultPolicy(settings = {}) {
+    return normalizePolicy(settings['config.call_policy']) || DEFAULT_POLICY;
+}
+
+function getInterleaveRatio(settings = {}) {
+    const parsed = parseInt(settings['config.interleave_ratio'], 10);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        return DEFAULT_INTERLEAVE_RATIO;
+    }
+    return Math.min(parsed, MAX_INTERLEAVE_RATIO);
+}
+
+/**
+ * ORDER BY clause (for a `tickets t` alias) used to list one service's
+ * waiting tickets, so snapshots match the order call-next draws in.
+ */
+function serviceQueueOrder(policy) {
+    return SERVICE_QUEUE_ORDER[normalizePolicy(policy) || DEFAULT_POLICY];
+}
+
+/**
+ * Resolve the policy for a call: an agent override wins over the
+ * counter's, which wins over config.call_policy.
+ */
+async function resolveCallPolicy(tx, { agentId, counterId }, settings) {
+    const row = await tx.get(
+        `SELECT (SELECT call_policy FROM agents WHERE id = ?) AS agent_policy,
+                (SELECT call_policy FROM counters WHERE id = ?) AS counter_policy`,
+        [agentId, counterId]
+    );
+
+    return (
+        normalizePolicy(row?.agent_policy) ||
+        normalizePolicy(row?.counter_policy) ||
+        getDefaultPolicy(settings)
+    );
+}
+
+// Open counters that may serve the service, with the policy each resolves to
+async function resolveServiceCounters(tx, serviceId, settings) {
+    const rows = await tx.all(
+        `SELECT c.id AS counter_id,
+                a.call_policy AS agent_policy,
+                c.call_policy AS counter_policy
+         FROM counters c
+         LEFT JOIN agents a ON a.id = c.current_agent_id
+         WHERE c.is_active = 1
+           AND c.state IN ('available', 'serving')
+           AND (
+               NOT EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id)
+               OR EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id AND cs.service_id = ?)
+           )`,
+        [serviceId]
+    );
+
+    return rows.map((row) => ({
+        counterId: row.counter_id,
+        policy:
+            normalizePolicy(row.agent_policy) ||
+            normalizePolicy(row.counter_policy) ||
+            getDefaultPolicy(settings)
+    }));
+}
+
+/**
+ * Policies call-next applies for one service right now: one entry per
+ * distinct policy among the open counters that may serve it, each
+ * resolved the same way as resolveCallPolicy. Empty when no counter is open.
+ */
+async function resolveServicePolicies(tx, serviceId, settings) {
+    const counters = await resolveServiceCounters(tx, serviceId, settings);
+    return [...new Set(counters.map((counter) => counter.policy))];
+}
+
+/**
+ * Services the agent may draw from, in assignment order. Secondary
+ * assignments are only included when feature.multi_service is enabled.
+ */
+async function getEligibleServices(tx, agentId, settings) {
+    const rows = await tx.all(
+        `SELECT a.service_id, a.priority
+         FROM agent_services a
+         JOIN services s ON s.id = a.service_id
+         WHERE a.agent_id = ? AND s.is_active = 1
+         ORDER BY a.priority, a.service_id`,
+        [agentId]
+    );
+
+    if (!rows.length || settings['feature.multi_service'] === 'true') {
+        return rows;
+    }
+
+    const primaryPriority = rows[0].priority;
+    return rows.filter((row) => row.priority === primaryPriority);
+}
+
+async function findHeadTicket(tx, agentId, serviceIds, orderBy) {
+    if (!serviceIds.length) {
+        return null;
+    }
+
+    const placeholders = serviceIds.map(() => '?').join(', ');
+    return tx.get(
+        `SELECT t.*, s.name as service_name, s.prefix
+         FROM tickets t
+         JOIN services s ON t.service_id = s.id
+         LEFT JOIN agent_services a ON a.service_id = t.service_id AND a.agent_id = ?
+         WHERE t.service_id IN (${placeholders})
+           AND t.state = 'waiting'
+         ORDER BY ${orderBy}
+         LIMIT 1`,
+        [agentId, ...serviceIds]
+    );
+}
+
+async function countNormalStreak(tx, counterId, ratio) {
+    const recent = await tx.all(
+        `SELECT priority
+         FROM tickets
+         WHERE counter_id = ? AND called_at IS NOT NULL
+         ORDER BY called_at DESC, id DESC
+         LIMIT ?`,
+        [counterId, ratio]
+    );
+
+    let streak = 0;
+    for (const row of recent) {
+        if ((row.priority || 0) > 0) {
+            break;
+        }
+        streak += 1;
+    }
+    return streak;
+}
+
+/**
+ * Normal tickets the open interleave counters for a service have called
+ * since their last priority ticket. With several such counters, the one
+ * closest to its next priority draw counts. 0 when none is open.
+ */
+async function getServiceInterleaveStreak(tx, serviceId, settings) {
+    const ratio = getInterleaveRatio(settings);
+    const counters = await resolveServiceCounters(tx, serviceId, settings);
+
+    let streak = 0;
+    for (const counter of counters) {
+        if (counter.policy === CALL_POLICIES.INTERLEAVE) {
+            streak = Math.max(streak, await countNormalStreak(tx, counter.counterId, ratio));
+        }
+    }
+    return streak;
+}
+
+/**
+ * Order waiting tickets (listed oldest first) the way interleave
+ * call-next draws them: normal tickets until `streak` reaches `ratio`,
+ * then the highest-priority ticket, which resets the streak. With no
+ * normal ticket left, the oldest priority ticket is drawn instead.
+ */
+function interleaveTickets(tickets, ratio, streak = 0) {
+    const normal = tickets.filter((ticket) => !(ticket.priority > 0));
+    const urgent = tickets.filter((ticket) => ticket.priority > 0);
+
+    const ordered = [];
+    let count = streak;
+    while (normal.length || urgent.length) {
+        if (count >= ratio && urgent.length) {
+            const top = Math.max(...urgent.map((ticket) => ticket.priority));
+            ordered.push(...urgent.splice(urgent.findIndex((ticket) => ticket.priority === top), 1));
+            count = 0;
+        } else if (normal.length) {
+            ordered.push(normal.shift());
+            count += 1;
+        } else {
+            ordered.push(urgent.shift());
+            count = 0;
+        }
+    }
+    return ordered;
+}
+
+async function selectRoundRobin(tx, agentId, counterId, services) {
+    const last = await tx.get(
+        `SELECT service_id
+         FROM tickets
+         WHERE counter_id = ? AND called_at IS NOT NULL
+         ORDER BY called_at DESC, id DESC
+         LIMIT 1`,
+        [counterId]
+    );
+
+    const ids = services.map((row) => row.service_id);
+    const lastIndex = last ? ids.indexOf(last.service_id) : -1;
+    const rotation = [...ids.slice(lastIndex + 1), ...ids.slice(0, lastIndex + 1)];
+
+    for (const serviceId of rotation) {
+        const ticket = await findHeadTicket(
+            tx,
+            agentId,
+            [serviceId],
+            SERVICE_QUEUE_ORDER[CALL_POLICIES.ROUND_ROBIN]
+        );
+        if (ticket) {
+            return ticket;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Pick the next waiting ticket for a counter according to the given
+ * policy. `services` are agent_services rows from getEligibleServices.
+ */
+async function selectNextTicket(tx, { policy, agentId, counterId, services, settings }) {
+    const serviceIds = services.map((row) => row.service_id);
+
+    switch (policy) {
+        case CALL_POLICIES.LONGEST_WAIT:
+            return findHeadTicket(tx, agentId, serviceIds, SERVICE_QUEUE_ORDER[policy]);
+
+        case CALL_POLICIES.ROUND_ROBIN:
+            return selectRoundRobin(tx, agentId, counterId, services);
+
+        case CALL_POLICIES.INTERLEAVE: {
+            const ratio = getInterleaveRatio(settings);
+            const streak = await countNormalStreak(tx, counterId, ratio);
+            const priorityDue = streak >= ratio;
+            const orderBy = priorityDue
+                ? 't.priority DESC, t.created_at ASC, t.id ASC'
+                : '(t.priority > 0) ASC, t.created_at ASC, t.id ASC';
+            return findHeadTicket(tx, agentId, serviceIds, orderBy);
+        }
+
+        case CALL_POLICIES.STRICT_PRIORITY:
+        default:
+            return findHeadTicket(
+                tx,
+                agentId,
+                serviceIds,
+                't.priority DESC, COALESCE(a.priority, 1) ASC, t.created_at ASC, t.id ASC'
+            );
+    }
+}
+
+module.exports = {
+    CALL_POLICIES,
+    DEFAULT_POLICY,
+    normalizePolicy,
+    getDefaultPolicy,
+    getInterleaveRatio,
+    serviceQueueOrder,
+    resolveCallPolicy,
+    resolveServicePolicies,
+    getServiceInterleaveStreak,
+    interleaveTickets,
+    getEligibleServices,
+    selectNextTicket
+};
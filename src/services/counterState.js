@@ -0,0 +1,260 @@
+const { all, withTransaction } = require('../database/dbClient');
+const { logEvent, EventTypes } = require('../database/events');
+const { broadcastCounterUpdated } = require('../realtime/eventBroadcaster');
+const logger = require('../utils/logger');
+
+const COUNTER_STATES = {
+    OFFLINE: 'offline',
+    AVAILABLE: 'available',
+    SERVING: 'serving',
+    BREAK: 'break'
+};
+
+const STATE_LABELS = {
+    offline: 'Closed',
+    available: 'Open',
+    serving: 'Serving',
+    break: 'On break'
+};
+
+// Agent-driven transitions. 'serving' is entered and left only through the
+// ticket routes (call-next, complete, park, ...), never directly.
+const TRANSITIONS = {
+    open: { from: ['offline', 'break'], to: COUNTER_STATES.AVAILABLE },
+    close: { from: ['available', 'break'], to: COUNTER_STATES.OFFLINE },
+    break: { from: ['available'], to: COUNTER_STATES.BREAK }
+};
+
+const MAX_BREAK_MINUTES = 240;
+const MAX_REASON_LENGTH = 60;
+const BREAK_CHECK_INTERVAL_MS = 30 * 1000;
+
+let ioInstance = null;
+let breakTimer = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function mapCounterRow(row) {
+    const state = row.state || COUNTER_STATES.OFFLINE;
+    return {
+        id: row.id,
+        name: row.name || `Counter ${row.number}`,
+        number: row.number,
+        location: row.location || null,
+        state,
+        status: STATE_LABELS[state] || state,
+        breakReason: state === COUNTER_STATES.BREAK ? row.break_reason || null : null,
+        breakUntil: state === COUNTER_STATES.BREAK ? row.break_until || null : null,
+        stateChangedAt: row.state_changed_at || null,
+        currentAgentId: row.current_agent_id || null,
+        currentTicketId: row.current_ticket_id || null
+    };
+}
+
+function unavailableMessage(state) {
+    switch (state) {
+        case COUNTER_STATES.BREAK:
+            return 'Counter is on break';
+        case COUNTER_STATES.SERVING:
+            return 'Counter is already serving a ticket';
+        case COUNTER_STATES.OFFLINE:
+            return 'Counter is closed';
+        default:
+            return 'Counter is not available';
+    }
+}
+
+/**
+ * Throw a 409 unless the counter can take a new ticket. Intended to be
+ * called inside the caller's transaction before a ticket is assigned.
+ */
+async function assertCounterAvailable(tx, counterId) {
+    const counter = await tx.get(
+        'SELECT id, state, current_ticket_id, is_active FROM counters WHERE id = ?',
+        [counterId]
+    );
+
+    if (!counter) {
+        throw httpError(404, 'Counter not found');
+    }
+
+    if (!Number(counter.is_active)) {
+        throw httpError(409, 'Counter has been deactivated');
+    }
+
+    if (counter.state !== COUNTER_STATES.AVAILABLE || counter.current_ticket_id) {
+        throw httpError(409, unavailableMessage(counter.state));
+    }
+
+    return counter;
+}
+
+/**
+ * Services a counter is restricted to. An empty list means the counter
+ * serves every active service.
+ */
+async function getCounterServiceIds(tx, counterId) {
+    const rows = await tx.all(
+        'SELECT service_id FROM counter_services WHERE counter_id = ? ORDER BY service_id',
+        [counterId]
+    );
+    return rows.map((row) => row.service_id);
+}
+
+function normalizeBreakOptions({ reason, durationMinutes } = {}) {
+    const trimmedReason =
+        typeof reason === 'string' && reason.trim()
+            ? reason.trim().slice(0, MAX_REASON_LENGTH)
+            : 'break';
+
+    if (durationMinutes === undefined || durationMinutes === null || durationMinutes === '') {
+        return { reason: trimmedReason, breakUntil: null };
+    }
+
+    const minutes = Number(durationMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_BREAK_MINUTES) {
+        throw httpError(400, `durationMinutes must be an integer between 1 and ${MAX_BREAK_MINUTES}`);
+    }
+
+    return {
+        reason: trimmedReason,
+        breakUntil: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Apply an open / close / break action to a counter, log
+ * COUNTER_STATE_CHANGED and notify monitors and terminals.
+ * Repeating the action a counter is already in is a no-op.
+ */
+async function changeCounterState(counterId, action, options = {}) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        throw httpError(400, `Unknown counter action: ${action}`);
+    }
+
+    const breakOptions =
+        action === 'break' ? normalizeBreakOptions(options) : { reason: null, breakUntil: null };
+
+    const result = await withTransaction(async (tx) => {
+        const counter = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+
+        if (!counter) {
+            throw httpError(404, 'Counter not found');
+        }
+
+        const previousState = counter.state || COUNTER_STATES.OFFLINE;
+
+        // Re-sending 'break' is allowed so the agent can change reason or return time
+        if (previousState === transition.to && action !== 'break') {
+            return { changed: false, previousState, counter };
+        }
+
+        if (!transition.from.includes(previousState) && previousState !== transition.to) {
+            throw httpError(409, `Cannot ${action} counter while it is ${previousState}`);
+        }
+
+        const now = new Date().toISOString();
+
+        await tx.run(
+            `UPDATE counters
+             SET state = ?,
+                 break_reason = ?,
+                 break_until = ?,
+                 state_changed_at = ?
+             WHERE id = ?`,
+            [transition.to, breakOptions.reason, breakOptions.breakUntil, now, counterId]
+        );
+
+        const updated = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+        return { changed: true, previousState, counter: updated };
+    });
+
+    const counter = mapCounterRow(result.counter);
+
+    if (result.changed) {
+        logEvent(
+            EventTypes.COUNTER_STATE_CHANGED,
+            'counter',
+            counter.id,
+            {
+                action,
+                previousState: result.previousState,
+                state: counter.state,
+                breakReason: counter.breakReason,
+                breakUntil: counter.breakUntil,
+                initiatedBy: options.initiatedBy || 'agent'
+            },
+            options.agentId || null,
+            counter.id
+        ).catch((err) => logger.error({ err }, 'Event logging failed for counter state change'));
+
+        if (ioInstance) {
+            broadcastCounterUpdated(ioInstance, counter);
+        }
+    }
+
+    return {
+        changed: result.changed,
+        previousState: result.previousState,
+        counter
+    };
+}
+
+async function returnExpiredBreaks() {
+    const rows = await all(
+        `SELECT id, current_agent_id
+         FROM counters
+         WHERE state = 'break'
+           AND break_until IS NOT NULL
+           AND break_until <= ?`,
+        [new Date().toISOString()]
+    );
+
+    for (const row of rows) {
+        try {
+            await changeCounterState(row.id, 'open', {
+                agentId: row.current_agent_id,
+                initiatedBy: 'break-timer'
+            });
+        } catch (error) {
+            logger.error({ err: error, counterId: row.id }, 'Failed to end timed counter break');
+        }
+    }
+}
+
+function startCounterStateMonitor(io) {
+    if (io) {
+        ioInstance = io;
+    }
+
+    stopCounterStateMonitor();
+
+    breakTimer = setInterval(() => {
+        returnExpiredBreaks().catch((error) =>
+            logger.error({ err: error }, 'Counter break check failed')
+        );
+    }, BREAK_CHECK_INTERVAL_MS);
+}
+
+function stopCounterStateMonitor() {
+    if (breakTimer) {
+        clearInterval(breakTimer);
+        breakTimer = null;
+    }
+}
+
+module.exports = {
+    COUNTER_STATES,
+    STATE_LABELS,
+    mapCounterRow,
+    assertCounterAvailable,
+    getCounterServiceIds,
+    changeCounterState,
+    startCounterStateMonitor,
+    stopCounterStateMonitor
+};
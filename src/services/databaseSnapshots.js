@@ -0,0 +1,424 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { getDb, getDatabasePath, migrateDatabase } = require('../database/connection');
+const { getSettings, invalidateSettingsCache } = require('../database/db');
+const { logEvent, EventTypes } = require('../database/events');
+const { broadcastSystemAlert } = require('../realtime/eventBroadcaster');
+const systemResetService = require('./systemReset');
+const logger = require('../utils/logger');
+
+const AUTO_BACKUP_KEY = 'config.auto_backup';
+const FREQUENCY_KEY = 'config.backup_frequency';
+const RETENTION_KEY = 'config.backup_retention';
+const DEFAULT_FREQUENCY = 'daily';
+const DEFAULT_RETENTION = 7;
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const COPY_RETRY_DELAY_MS = 250;
+const MAX_COPY_ATTEMPTS = 40;
+const HOUR_MS = 60 * 60 * 1000;
+
+const FREQUENCY_MS = {
+    hourly: HOUR_MS,
+    daily: 24 * HOUR_MS,
+    weekly: 7 * 24 * HOUR_MS,
+    monthly: 30 * 24 * HOUR_MS
+};
+
+// backup_2026-01-31_08-00-00_scheduled.db
+const BACKUP_FILE_PATTERN = /^backup_(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})_([a-z-]+)\.db$/;
+
+// A restored file must at least look like a FlowMatic database
+const REQUIRED_TABLES = ['settings', 'services', 'counters', 'agents', 'tickets'];
+
+let ioInstance = null;
+let schedulerTimer = null;
+let jobInProgress = null;
+let lastRun = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function getBackupDirectory() {
+    return process.env.BACKUP_PATH
+        ? path.resolve(process.env.BACKUP_PATH)
+        : path.join(path.dirname(getDatabasePath()), 'backups');
+}
+
+function getBackupConfig(settings = {}) {
+    const frequency = String(settings[FREQUENCY_KEY] || '').toLowerCase();
+    const retention = parseInt(settings[RETENTION_KEY], 10);
+
+    return {
+        enabled: settings[AUTO_BACKUP_KEY] === 'true',
+        frequency: FREQUENCY_MS[frequency] ? frequency : DEFAULT_FREQUENCY,
+        retention: Number.isNaN(retention) || retention < 0 ? DEFAULT_RETENTION : retention
+    };
+}
+
+function buildFilename(date, reason) {
+    const stamp = date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+    return `backup_${stamp}_${reason}.db`;
+}
+
+function parseFilename(filename) {
+    const match = BACKUP_FILE_PATTERN.exec(filename);
+    if (!match) {
+        return null;
+    }
+    const [, day, hours, minutes, seconds, reason] = match;
+    return {
+        createdAt: new Date(`${day}T${hours}:${minutes}:${seconds}Z`).toISOString(),
+        reason
+    };
+}
+
+function resolveBackupFile(filename) {
+    if (typeof filename !== 'string' || !parseFilename(filename)) {
+        throw httpError(400, 'Invalid backup filename');
+    }
+
+    const filePath = path.join(getBackupDirectory(), filename);
+    if (!fs.existsSync(filePath)) {
+        throw httpError(404, 'Backup not found');
+    }
+    return filePath;
+}
+
+/**
+ * Backups on disk, newest first. Files that do not follow the backup
+ * naming scheme are ignored, so the directory can be shared.
+ */
+async function listBackups() {
+    const directory = getBackupDirectory();
+    let entries;
+    try {
+        entries = await fs.promises.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const backups = [];
+    for (const filename of entries) {
+        const info = parseFilename(filename);
+        if (!info) {
+            continue;
+        }
+        const stats = await fs.promises.stat(path.join(directory, filename));
+        backups.push({ filename, reason: info.reason, size: stats.size, createdAt: info.createdAt });
+    }
+
+    return backups.sort((a, b) => b.filename.localeCompare(a.filename));
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function openBackup(filePath, toFile) {
+    return new Promise((resolve, reject) => {
+        const backup = getDb().backup(filePath, 'main', 'main', toFile, (err) =>
+            err ? reject(err) : resolve(backup)
+        );
+    });
+}
+
+function stepBackup(backup) {
+    return new Promise((resolve, reject) => {
+        backup.step(-1, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+function finishBackup(backup) {
+    return new Promise((resolve) => backup.finish(() => resolve()));
+}
+
+// One pass of the backup API; resolves to false when it should be retried
+async function tryCopy(filePath, toFile) {
+    const backup = await openBackup(filePath, toFile);
+    try {
+        await stepBackup(backup);
+        // sqlite3_backup_init refuses while the live connection is inside a
+        // transaction; the step then "succeeds" without copying anything
+        return backup.completed;
+    } catch (error) {
+        if (backup.failed) {
+            throw error;
+        }
+        return false;
+    } finally {
+        await finishBackup(backup);
+    }
+}
+
+/**
+ * Copy the whole database between the live connection and a file with
+ * SQLite's online backup API. `toFile` true snapshots the live database
+ * into the file; false copies the file over the live database. Busy or
+ * locked attempts are retried rather than blocking other requests.
+ */
+async function copyDatabase(filePath, toFile) {
+    for (let attempt = 0; attempt < MAX_COPY_ATTEMPTS; attempt += 1) {
+        if (await tryCopy(filePath, toFile)) {
+            return;
+        }
+        await delay(COPY_RETRY_DELAY_MS);
+    }
+    throw httpError(503, 'Database is busy; backup could not be completed');
+}
+
+function openReadOnly(filePath) {
+    return new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) =>
+            err ? reject(err) : resolve(database)
+        );
+    });
+}
+
+function queryAll(database, sql) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function verifyBackupFile(filePath) {
+    let database;
+    try {
+        database = await openReadOnly(filePath);
+        const [integrity] = await queryAll(database, 'PRAGMA integrity_check');
+        if (!integrity || integrity.integrity_check !== 'ok') {
+            throw httpError(422, 'Backup failed the integrity check');
+        }
+
+        const tables = await queryAll(database, "SELECT name FROM sqlite_master WHERE type = 'table'");
+        const names = new Set(tables.map((row) => row.name));
+        const missing = REQUIRED_TABLES.filter((name) => !names.has(name));
+        if (missing.length) {
+            throw httpError(422, `Backup is missing tables: ${missing.join(', ')}`);
+        }
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw httpError(422, `Backup is not a readable database: ${error.message}`);
+    } finally {
+        if (database) {
+            database.close();
+        }
+    }
+}
+
+/**
+ * Delete the oldest backups beyond the retention count. A retention of 0
+ * keeps every copy.
+ */
+async function rotateBackups(retention) {
+    if (!retention) {
+        return [];
+    }
+
+    const expired = (await listBackups()).slice(retention);
+    const directory = getBackupDirectory();
+
+    for (const backup of expired) {
+        try {
+            await fs.promises.unlink(path.join(directory, backup.filename));
+        } catch (error) {
+            logger.error({ err: error, filename: backup.filename }, 'Failed to delete expired backup');
+        }
+    }
+
+    if (expired.length) {
+        logger.info({ removed: expired.length, retention }, 'Rotated database backups');
+    }
+
+    return expired.map((backup) => backup.filename);
+}
+
+async function writeBackup(reason) {
+    const directory = getBackupDirectory();
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const filename = buildFilename(new Date(), reason);
+    const filePath = path.join(directory, filename);
+    if (fs.existsSync(filePath)) {
+        throw httpError(409, 'A backup was created a moment ago; try again shortly');
+    }
+
+    // Write under a temporary name so a half-written copy is never listed
+    const partialPath = `${filePath}.partial`;
+    try {
+        await copyDatabase(partialPath, true);
+        await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(partialPath, { force: true });
+        throw error;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { filename, reason, size: stats.size, createdAt: new Date().toISOString() };
+}
+
+// Backups and restores share one slot so they never overlap
+async function runExclusive(work) {
+    if (jobInProgress) {
+        throw httpError(409, `A ${jobInProgress} is already in progress`);
+    }
+
+    jobInProgress = work.name;
+    try {
+        return await work.run();
+    } finally {
+        jobInProgress = null;
+    }
+}
+
+/**
+ * Take a hot copy of the live database and rotate old copies.
+ */
+async function createBackup({ reason = 'manual', initiatedBy = 'admin' } = {}) {
+    return runExclusive({
+        name: 'backup',
+        run: async () => {
+            const backup = await writeBackup(reason);
+            const config = getBackupConfig(await getSettings());
+            const removed = await rotateBackups(config.retention);
+
+            lastRun = { at: backup.createdAt, filename: backup.filename, reason };
+            logger.info({ filename: backup.filename, size: backup.size, reason }, 'Database backup created');
+
+            await logEvent(EventTypes.SYSTEM_BACKUP, 'system', 0, {
+                filename: backup.filename,
+                size: backup.size,
+                reason,
+                initiatedBy,
+                removed
+            });
+
+            return { ...backup, removed };
+        }
+    });
+}
+
+/**
+ * Replace the live data with a backup without stopping the server. The
+ * file is verified first and the current data is saved as a
+ * `pre-restore` backup, so a bad restore can itself be undone.
+ */
+async function restoreBackup(filename, { initiatedBy = 'admin' } = {}) {
+    const filePath = resolveBackupFile(filename);
+    await verifyBackupFile(filePath);
+
+    return runExclusive({
+        name: 'restore',
+        run: async () => {
+            const safety = await writeBackup('pre-restore');
+
+            await copyDatabase(filePath, false);
+            await migrateDatabase();
+            invalidateSettingsCache();
+
+            const config = getBackupConfig(await getSettings());
+            await rotateBackups(config.retention);
+
+            logger.warn({ filename, safetyBackup: safety.filename }, 'Database restored from backup');
+
+            await logEvent(EventTypes.SYSTEM_RESTORE, 'system', 0, {
+                filename,
+                safetyBackup: safety.filename,
+                initiatedBy
+            });
+
+            await systemResetService.reloadResetScheduler(ioInstance);
+
+            if (ioInstance) {
+                broadcastSystemAlert(ioInstance, 'System data was restored from a backup. Please reload.', 'warning');
+            }
+
+            return { restoredFrom: filename, safetyBackup: safety.filename, restoredAt: new Date().toISOString() };
+        }
+    });
+}
+
+async function getLastBackupTime() {
+    if (lastRun) {
+        return Date.parse(lastRun.at);
+    }
+    const latest = (await listBackups()).find((backup) => backup.reason !== 'pre-restore');
+    return latest ? Date.parse(latest.createdAt) : null;
+}
+
+async function maybeRunScheduledBackup() {
+    const config = getBackupConfig(await getSettings());
+    if (!config.enabled || jobInProgress) {
+        return null;
+    }
+
+    const lastAt = await getLastBackupTime();
+    if (lastAt && Date.now() - lastAt < FREQUENCY_MS[config.frequency]) {
+        return null;
+    }
+
+    return createBackup({ reason: 'scheduled', initiatedBy: 'scheduler' });
+}
+
+async function getBackupStatus() {
+    const config = getBackupConfig(await getSettings());
+    const backups = await listBackups();
+    const lastAt = await getLastBackupTime();
+
+    let nextBackupAt = null;
+    if (config.enabled) {
+        nextBackupAt = new Date(
+            lastAt ? Math.max(lastAt + FREQUENCY_MS[config.frequency], Date.now()) : Date.now()
+        ).toISOString();
+    }
+
+    return {
+        autoBackup: config.enabled,
+        frequency: config.frequency,
+        retention: config.retention,
+        lastBackupAt: lastAt ? new Date(lastAt).toISOString() : null,
+        nextBackupAt,
+        inProgress: jobInProgress,
+        totalSize: backups.reduce((sum, backup) => sum + backup.size, 0),
+        backups
+    };
+}
+
+function startBackupScheduler(io) {
+    if (io) {
+        ioInstance = io;
+    }
+
+    stopBackupScheduler();
+
+    schedulerTimer = setInterval(() => {
+        maybeRunScheduledBackup().catch((error) =>
+            logger.error({ err: error }, 'Scheduled database backup failed')
+        );
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopBackupScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+module.exports = {
+    getBackupStatus,
+    listBackups,
+    resolveBackupFile,
+    createBackup,
+    restoreBackup,
+    startBackupScheduler,
+    stopBackupScheduler
+};
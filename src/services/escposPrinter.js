@@ -0,0 +1,94 @@
+const Network = require('escpos-network');
+
+const DEFAULT_PORT = 9100;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Characters per line in the standard font
+const COLUMNS = {
+    58: 32,
+    80: 48
+};
+
+const GS = 0x1d;
+
+/**
+ * Native QR code (GS ( k, model 2). The escpos package's own qrcode()
+ * sends a non-standard sequence most Epson-compatible printers ignore.
+ */
+function qrCommands(data, moduleSize = 6) {
+    const payload = Buffer.from(String(data), 'utf8');
+    const storeLength = payload.length + 3;
+
+    return Buffer.concat([
+        Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // model 2
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]), // module size
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]), // error correction M
+        Buffer.from([GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30]),
+        payload,
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]) // print
+    ]);
+}
+
+/**
+ * Open a raw TCP connection (port 9100 by default) and write the bytes.
+ * escpos-network has no timeouts and can report an error twice, so the
+ * first outcome wins and the socket is always closed.
+ */
+function sendToPrinter({ host, port = DEFAULT_PORT, timeoutMs = DEFAULT_TIMEOUT_MS }, data) {
+    return new Promise((resolve, reject) => {
+        const device = new Network(host, port);
+        const socket = device.device;
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            device.close();
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const timer = setTimeout(
+            () => finish(new Error(`Printer ${host}:${port} did not respond within ${timeoutMs}ms`)),
+            timeoutMs
+        );
+
+        device.open((openError) => {
+            if (openError) {
+                finish(openError);
+                return;
+            }
+            if (!data) {
+                finish();
+                return;
+            }
+            device.write(data, (writeError) => {
+                if (writeError) {
+                    finish(writeError);
+                    return;
+                }
+                // Half-close so the printer receives everything before the socket goes away
+                socket.end(() => finish());
+            });
+        });
+    });
+}
+
+// Connect and disconnect without printing, to check the printer is reachable
+function probePrinter(target) {
+    return sendToPrinter(target, null);
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    COLUMNS,
+    qrCommands,
+    sendToPrinter,
+    probePrinter
+};
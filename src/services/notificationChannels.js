@@ -0,0 +1,249 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const crypto = require('crypto');
+
+// node-fetch 3 is ESM-only
+const fetch = (...args) => import('node-fetch').then(({ default: fetchImpl }) => fetchImpl(...args));
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const CHANNELS = {
+    SMS: 'sms',
+    EMAIL: 'email'
+};
+
+/**
+ * Line-based reader for one SMTP conversation. Replies are read in lock
+ * step with commands, so a reply that arrives early (the greeting) waits
+ * in `replies` until it is asked for.
+ */
+class SmtpSession {
+    constructor(timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.failure = null;
+        this.onData = (chunk) => this.receive(chunk);
+        this.onError = (error) => this.fail(error);
+        this.onClose = () => this.fail(new Error('SMTP connection closed'));
+    }
+
+    attach(socket) {
+        if (this.socket) {
+            this.socket.off('data', this.onData);
+            this.socket.off('error', this.onError);
+            this.socket.off('close', this.onClose);
+        }
+        this.socket = socket;
+        socket.setTimeout(this.timeoutMs, () => this.fail(new Error('SMTP server timed out')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+                this.lines = [];
+            }
+        }
+        this.deliver();
+    }
+
+    deliver() {
+        if (!this.waiting) {
+            return;
+        }
+        if (this.replies.length) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.failure) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.failure);
+        }
+    }
+
+    fail(error) {
+        if (!this.failure) {
+            this.failure = error;
+        }
+        this.deliver();
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+    }
+
+    async expect(expectedCodes, command) {
+        const reply = await this.read();
+        if (!expectedCodes.includes(reply.code)) {
+            const label = command ? command.split(' ')[0] : 'greeting';
+            throw new Error(`SMTP ${label} rejected: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    async command(line, expectedCodes) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expectedCodes, line);
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.off('close', this.onClose);
+            this.socket.end();
+        }
+    }
+}
+
+function connectSocket({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+    });
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(value) {
+    return String(value).replace(/[\r\n<>]/g, '').trim();
+}
+
+// Base64 bodies keep non-Latin templates intact and never need dot-stuffing
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    const domain = from.split('@')[1] || os.hostname();
+
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Send one plain-text e-mail over SMTP. `secure` connects with TLS from
+ * the start (port 465); otherwise STARTTLS is used when the server offers
+ * it. AUTH PLAIN is sent when a user is configured, and only over an
+ * encrypted connection unless `allowInsecureAuth` is set.
+ */
+async function sendEmail(smtp, { to, subject, text }) {
+    if (!smtp.host || !smtp.from) {
+        throw new Error('SMTP host and sender address are not configured');
+    }
+
+    const from = formatAddress(smtp.from);
+    const recipient = formatAddress(to);
+    const session = new SmtpSession(smtp.timeoutMs || DEFAULT_TIMEOUT_MS);
+    session.attach(await connectSocket(smtp));
+
+    try {
+        await session.expect([220]);
+        let hello = await session.command(`EHLO ${os.hostname()}`, [250]);
+
+        let encrypted = Boolean(smtp.secure);
+        const offersStartTls = hello.lines.some((line) => /^250[- ]STARTTLS/i.test(line));
+        if (!encrypted && offersStartTls) {
+            await session.command('STARTTLS', [220]);
+            session.attach(await upgradeToTls(session.socket, smtp.host));
+            hello = await session.command(`EHLO ${os.hostname()}`, [250]);
+            encrypted = true;
+        }
+
+        if (smtp.user) {
+            if (!encrypted && !smtp.allowInsecureAuth) {
+                throw new Error('Refusing SMTP AUTH over an unencrypted connection (server offers no STARTTLS)');
+            }
+
+            const credentials = Buffer.from(`\u0000${smtp.user}\u0000${smtp.password || ''}`, 'utf8').toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await session.command(`MAIL FROM:<${from}>`, [250]);
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        await session.command('DATA', [354]);
+        await session.command(`${buildMessage({ from, to: recipient, subject, text })}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.close();
+    }
+}
+
+/**
+ * Hand an SMS to an HTTP gateway: a JSON POST of
+ * { to, message, language, ticketNumber, trigger } with an optional bearer
+ * token. Any 2xx response counts as accepted.
+ */
+async function sendSms(webhook, { to, text, language, ticketNumber, trigger }) {
+    if (!webhook.url) {
+        throw new Error('SMS webhook URL is not configured');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), webhook.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(webhook.token ? { Authorization: `Bearer ${webhook.token}` } : {})
+            },
+            body: JSON.stringify({ to, message: text, language, ticketNumber, trigger }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => '')).slice(0, 200);
+            throw new Error(`SMS webhook responded ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('SMS webhook timed out');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    CHANNELS,
+    sendEmail,
+    sendSms
+};
@@ -0,0 +1,124 @@
+const DEFAULT_LANGUAGE = 'en';
+
+// {placeholders} are filled from the ticket; {trackingLink} is the
+// language's trackingLink line, or empty when no public URL is configured
+const TEMPLATES = {
+    en: {
+        trackingLink: '\nTrack your ticket: {trackingUrl}',
+        created: {
+            subject: 'Your ticket {ticketNumber}',
+            body: 'Your ticket {ticketNumber} for {serviceName} is confirmed. You are number {position} in line, estimated wait {waitMinutes} min.{trackingLink}'
+        },
+        approaching: {
+            subject: 'Ticket {ticketNumber}: almost your turn',
+            body: 'Ticket {ticketNumber}: you are number {position} in line for {serviceName}. Please make your way back to the waiting area.{trackingLink}'
+        },
+        called: {
+            subject: 'Ticket {ticketNumber}: please go to counter {counterNumber}',
+            body: 'Ticket {ticketNumber}, please proceed to counter {counterNumber} now.'
+        },
+        transferred: {
+            subject: 'Ticket {ticketNumber} moved to {serviceName}',
+            body: 'Your ticket {ticketNumber} has been moved to {serviceName}. You are number {position} in line.{trackingLink}'
+        }
+    },
+    th: {
+        trackingLink: '\nติดตามคิวของคุณ: {trackingUrl}',
+        created: {
+            subject: 'บัตรคิวของคุณ {ticketNumber}',
+            body: 'ยืนยันบัตรคิว {ticketNumber} สำหรับ {serviceName} คุณอยู่ลำดับที่ {position} เวลารอโดยประมาณ {waitMinutes} นาที{trackingLink}'
+        },
+        approaching: {
+            subject: 'บัตรคิว {ticketNumber}: ใกล้ถึงคิวของคุณแล้ว',
+            body: 'บัตรคิว {ticketNumber}: คุณอยู่ลำดับที่ {position} สำหรับ {serviceName} กรุณากลับมาที่บริเวณรอ{trackingLink}'
+        },
+        called: {
+            subject: 'บัตรคิว {ticketNumber}: กรุณาไปที่เคาน์เตอร์ {counterNumber}',
+            body: 'หมายเลข {ticketNumber} กรุณาไปที่เคาน์เตอร์ {counterNumber} ทันที'
+        },
+        transferred: {
+            subject: 'บัตรคิว {ticketNumber} ถูกย้ายไปที่ {serviceName}',
+            body: 'บัตรคิว {ticketNumber} ของคุณถูกย้ายไปที่ {serviceName} คุณอยู่ลำดับที่ {position}{trackingLink}'
+        }
+    },
+    hi: {
+        trackingLink: '\nअपना टिकट ट्रैक करें: {trackingUrl}',
+        created: {
+            subject: 'आपका टिकट {ticketNumber}',
+            body: '{serviceName} के लिए आपका टिकट {ticketNumber} पक्का हो गया है। कतार में आपका स्थान {position} है, अनुमानित प्रतीक्षा {waitMinutes} मिनट।{trackingLink}'
+        },
+        approaching: {
+            subject: 'टिकट {ticketNumber}: आपकी बारी जल्द आने वाली है',
+            body: 'टिकट {ticketNumber}: {serviceName} की कतार में आपका स्थान {position} है। कृपया प्रतीक्षा क्षेत्र में लौट आएं।{trackingLink}'
+        },
+        called: {
+            subject: 'टिकट {ticketNumber}: कृपया काउंटर {counterNumber} पर जाएं',
+            body: 'टिकट {ticketNumber}, कृपया अभी काउंटर {counterNumber} पर जाएं।'
+        },
+        transferred: {
+            subject: 'टिकट {ticketNumber} को {serviceName} में भेजा गया',
+            body: 'आपका टिकट {ticketNumber} {serviceName} में भेज दिया गया है। कतार में आपका स्थान {position} है।{trackingLink}'
+        }
+    }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(TEMPLATES);
+
+function parseLanguageList(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return String(value || '')
+            .split(',')
+            .map((item) => item.trim())
+            .filter(Boolean);
+    }
+}
+
+/**
+ * Language for a customer's messages: the one chosen at the kiosk when it
+ * has templates and is enabled, else config.default_language, else English.
+ */
+function resolveLanguage(requested, settings = {}) {
+    const enabled = parseLanguageList(settings['config.enabled_languages']);
+    const isUsable = (code) => SUPPORTED_LANGUAGES.includes(code) && (!enabled.length || enabled.includes(code));
+
+    if (isUsable(requested)) {
+        return requested;
+    }
+    const fallback = settings['config.default_language'];
+    return SUPPORTED_LANGUAGES.includes(fallback) ? fallback : DEFAULT_LANGUAGE;
+}
+
+function fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? '' : String(values[key])
+    );
+}
+
+function renderNotification(trigger, language, values) {
+    const templates = TEMPLATES[language] || TEMPLATES[DEFAULT_LANGUAGE];
+    const template = templates[trigger];
+    if (!template) {
+        throw new Error(`No notification template for ${trigger}`);
+    }
+
+    const trackingLink = values.trackingUrl ? fill(templates.trackingLink, values) : '';
+    const filled = { ...values, trackingLink };
+
+    return {
+        subject: fill(template.subject, filled),
+        body: fill(template.body, filled)
+    };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    parseLanguageList,
+    resolveLanguage,
+    renderNotification
+};
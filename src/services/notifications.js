@@ -0,0 +1,411 @@
+const { all, get, run, getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const { buildTrackingUrl } = require('./ticketTracking');
+const { CHANNELS, sendEmail, sendSms } = require('./notificationChannels');
+const { resolveLanguage, renderNotification } = require('./notificationTemplates');
+const logger = require('../utils/logger');
+
+const TRIGGERS = {
+    CREATED: 'created',
+    APPROACHING: 'approaching',
+    CALLED: 'called',
+    TRANSFERRED: 'transferred'
+};
+
+const TRIGGER_SETTINGS = {
+    [TRIGGERS.CREATED]: 'notify.on_created',
+    [TRIGGERS.APPROACHING]: 'notify.on_approaching',
+    [TRIGGERS.CALLED]: 'notify.on_called',
+    [TRIGGERS.TRANSFERRED]: 'notify.on_transferred'
+};
+
+const NOTIFICATION_STATES = ['pending', 'sent', 'failed', 'skipped'];
+const WAITING_STATES = ['waiting', 'recycled'];
+
+const DEFAULT_APPROACHING_POSITIONS = 3;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_SMTP_PORT = 587;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 30 * 60;
+const BATCH_SIZE = 20;
+const CHECK_INTERVAL_MS = 15 * 1000;
+const MAX_PAGE_SIZE = 200;
+
+let monitorTimer = null;
+let processing = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+}
+
+/**
+ * Notification settings: feature.notifications switches the subsystem,
+ * notify.on_* each trigger, and the notify.smtp_* / notify.sms_webhook_*
+ * keys configure the two channels. A channel without its address or URL
+ * is treated as off.
+ */
+function getNotificationConfig(settings = {}) {
+    const triggers = Object.fromEntries(
+        Object.entries(TRIGGER_SETTINGS).map(([trigger, key]) => [trigger, settings[key] !== 'false'])
+    );
+
+    const smtp = {
+        host: String(settings['notify.smtp_host'] || '').trim(),
+        port: parsePositiveInt(settings['notify.smtp_port'], DEFAULT_SMTP_PORT),
+        secure: settings['notify.smtp_secure'] === 'true',
+        allowInsecureAuth: settings['notify.smtp_allow_insecure_auth'] === 'true',
+        user: settings['notify.smtp_user'] || '',
+        password: settings['notify.smtp_password'] || '',
+        from: String(settings['notify.smtp_from'] || '').trim()
+    };
+
+    const webhook = {
+        url: String(settings['notify.sms_webhook_url'] || '').trim(),
+        token: settings['notify.sms_webhook_token'] || ''
+    };
+
+    return {
+        enabled: settings['feature.notifications'] === 'true',
+        triggers,
+        approachingPositions: parsePositiveInt(settings['notify.approaching_positions'], DEFAULT_APPROACHING_POSITIONS),
+        maxAttempts: parsePositiveInt(settings['notify.max_attempts'], DEFAULT_MAX_ATTEMPTS),
+        smtp,
+        webhook,
+        channels: {
+            [CHANNELS.EMAIL]: Boolean(smtp.host && smtp.from),
+            [CHANNELS.SMS]: Boolean(webhook.url)
+        }
+    };
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+async function loadTicket(ticketId) {
+    return get(
+        `SELECT t.id, t.ticket_number, t.service_id, t.state, t.customer_phone, t.customer_email,
+                t.language, t.tracking_token, s.name AS service_name, c.number AS counter_number
+         FROM tickets t
+         JOIN services s ON s.id = t.service_id
+         LEFT JOIN counters c ON c.id = t.counter_id
+         WHERE t.id = ?`,
+        [ticketId]
+    );
+}
+
+function recipientsFor(ticket, config) {
+    const recipients = [];
+    if (ticket.customer_phone && config.channels[CHANNELS.SMS]) {
+        recipients.push({ channel: CHANNELS.SMS, recipient: ticket.customer_phone });
+    }
+    if (ticket.customer_email && config.channels[CHANNELS.EMAIL]) {
+        recipients.push({ channel: CHANNELS.EMAIL, recipient: ticket.customer_email });
+    }
+    return recipients;
+}
+
+async function queuePosition(ticket) {
+    if (!WAITING_STATES.includes(ticket.state)) {
+        return { position: null, waitMinutes: null };
+    }
+    const snapshot = await getQueueSnapshot(getClient(), ticket.service_id);
+    const index = snapshot.tickets.findIndex((row) => row.id === ticket.id);
+    if (index < 0) {
+        return { position: null, waitMinutes: null };
+    }
+    return { position: index + 1, waitMinutes: snapshot.tickets[index].waitEstimate.minutes };
+}
+
+// One row per ticket, trigger and channel: a trigger never fires twice
+async function insertNotification(ticket, trigger, target, message, language, state) {
+    return run(
+        `INSERT OR IGNORE INTO notifications (
+            ticket_id, ticket_number, trigger_type, channel, recipient,
+            language, subject, body, state, next_attempt_at
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            ticket.id,
+            ticket.ticket_number,
+            trigger,
+            target.channel,
+            target.recipient,
+            language,
+            message.subject,
+            message.body,
+            state,
+            new Date().toISOString()
+        ]
+    );
+}
+
+async function queueTicketNotification(ticketId, trigger) {
+    const settings = await getSettings();
+    const config = getNotificationConfig(settings);
+    if (!config.enabled || !config.triggers[trigger]) {
+        return 0;
+    }
+
+    const ticket = await loadTicket(ticketId);
+    if (!ticket) {
+        return 0;
+    }
+
+    const targets = recipientsFor(ticket, config);
+    if (!targets.length) {
+        return 0;
+    }
+
+    const language = resolveLanguage(ticket.language, settings);
+    const trackingUrl = ticket.tracking_token ? buildTrackingUrl(ticket.tracking_token, settings) : null;
+    const { position, waitMinutes } = await queuePosition(ticket);
+
+    const message = renderNotification(trigger, language, {
+        ticketNumber: ticket.ticket_number,
+        serviceName: ticket.service_name,
+        counterNumber: ticket.counter_number,
+        position,
+        waitMinutes,
+        // Relative links are useless in a text message
+        trackingUrl: /^https?:\/\//i.test(trackingUrl || '') ? trackingUrl : null
+    });
+
+    let queued = 0;
+    for (const target of targets) {
+        const result = await insertNotification(ticket, trigger, target, message, language, 'pending');
+        queued += result.changes;
+    }
+
+    // A ticket issued already near the front has just been told its place
+    if (trigger === TRIGGERS.CREATED && position !== null && position <= config.approachingPositions) {
+        for (const target of targets) {
+            await insertNotification(ticket, TRIGGERS.APPROACHING, target, message, language, 'skipped');
+        }
+    }
+
+    if (queued) {
+        setImmediate(() => processNotificationQueue().catch(() => {}));
+    }
+    return queued;
+}
+
+/**
+ * Queue the messages for a ticket event. Fire-and-forget: failures are
+ * logged, never thrown back into the ticket flow that triggered them.
+ */
+function notifyTicket(ticketId, trigger) {
+    return queueTicketNotification(ticketId, trigger).catch((error) => {
+        logger.error({ err: error, ticketId, trigger }, 'Failed to queue ticket notification');
+        return 0;
+    });
+}
+
+/**
+ * Send the "almost your turn" message to waiting tickets that have moved
+ * within notify.approaching_positions of the front.
+ */
+async function notifyApproachingTickets() {
+    const settings = await getSettings();
+    const config = getNotificationConfig(settings);
+    if (!config.enabled || !config.triggers[TRIGGERS.APPROACHING]) {
+        return 0;
+    }
+
+    const services = await all(
+        `SELECT DISTINCT t.service_id
+         FROM tickets t
+         WHERE t.state IN ('waiting', 'recycled')
+           AND (t.customer_phone IS NOT NULL OR t.customer_email IS NOT NULL)
+           AND NOT EXISTS (
+               SELECT 1 FROM notifications n
+               WHERE n.ticket_id = t.id AND n.trigger_type = ?
+           )`,
+        [TRIGGERS.APPROACHING]
+    );
+
+    let queued = 0;
+    for (const { service_id: serviceId } of services) {
+        const snapshot = await getQueueSnapshot(getClient(), serviceId);
+        for (const ticket of snapshot.tickets.slice(0, config.approachingPositions)) {
+            queued += await queueTicketNotification(ticket.id, TRIGGERS.APPROACHING);
+        }
+    }
+    return queued;
+}
+
+async function deliver(notification, config) {
+    if (notification.channel === CHANNELS.EMAIL) {
+        await sendEmail(config.smtp, {
+            to: notification.recipient,
+            subject: notification.subject,
+            text: notification.body
+        });
+        return;
+    }
+
+    await sendSms(config.webhook, {
+        to: notification.recipient,
+        text: notification.body,
+        language: notification.language,
+        ticketNumber: notification.ticket_number,
+        trigger: notification.trigger_type
+    });
+}
+
+async function processBatch() {
+    const config = getNotificationConfig(await getSettings());
+    const now = new Date().toISOString();
+    const due = await all(
+        `SELECT * FROM notifications
+         WHERE state = 'pending' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT ?`,
+        [now, BATCH_SIZE]
+    );
+
+    let sent = 0;
+    for (const notification of due) {
+        const attempts = notification.attempts + 1;
+        try {
+            await deliver(notification, config);
+            await run(
+                `UPDATE notifications
+                 SET state = 'sent', attempts = ?, sent_at = ?, last_error = NULL
+                 WHERE id = ?`,
+                [attempts, new Date().toISOString(), notification.id]
+            );
+            sent += 1;
+        } catch (error) {
+            const exhausted = attempts >= config.maxAttempts;
+            const nextAttemptAt = new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString();
+            await run(
+                `UPDATE notifications
+                 SET state = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+                 WHERE id = ?`,
+                [exhausted ? 'failed' : 'pending', attempts, String(error.message).slice(0, 500), nextAttemptAt, notification.id]
+            );
+            logger.warn(
+                { notificationId: notification.id, channel: notification.channel, attempts, err: error.message },
+                exhausted ? 'Notification failed permanently' : 'Notification failed, will retry'
+            );
+        }
+    }
+    return sent;
+}
+
+/**
+ * Deliver due messages from the queue, retrying failures with exponential
+ * backoff until notify.max_attempts. Concurrent calls share one run.
+ */
+function processNotificationQueue() {
+    if (!processing) {
+        processing = processBatch().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+async function listNotifications({ state, ticketId, limit, offset } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (state) {
+        if (!NOTIFICATION_STATES.includes(state)) {
+            throw httpError(400, `state must be one of ${NOTIFICATION_STATES.join(', ')}`);
+        }
+        clauses.push('state = ?');
+        params.push(state);
+    }
+    if (ticketId) {
+        clauses.push('ticket_id = ?');
+        params.push(Number(ticketId));
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const pageSize = Math.min(parsePositiveInt(limit, 50), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [countRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM notifications ${where}`, params),
+        all(
+            `SELECT * FROM notifications ${where}
+             ORDER BY id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pageSize, skip]
+        )
+    ]);
+
+    return {
+        total: countRow?.total || 0,
+        limit: pageSize,
+        offset: skip,
+        notifications: rows.map((row) => ({
+            id: row.id,
+            ticketId: row.ticket_id,
+            ticketNumber: row.ticket_number,
+            trigger: row.trigger_type,
+            channel: row.channel,
+            recipient: row.recipient,
+            language: row.language,
+            subject: row.subject,
+            body: row.body,
+            state: row.state,
+            attempts: row.attempts,
+            lastError: row.last_error,
+            nextAttemptAt: row.state === 'pending' ? row.next_attempt_at : null,
+            sentAt: row.sent_at,
+            createdAt: row.created_at
+        }))
+    };
+}
+
+async function retryNotification(notificationId) {
+    const result = await run(
+        `UPDATE notifications
+         SET state = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?
+         WHERE id = ? AND state = 'failed'`,
+        [new Date().toISOString(), notificationId]
+    );
+    if (!result.changes) {
+        throw httpError(404, 'Failed notification not found');
+    }
+    setImmediate(() => processNotificationQueue().catch(() => {}));
+}
+
+function startNotificationMonitor() {
+    stopNotificationMonitor();
+
+    monitorTimer = setInterval(() => {
+        notifyApproachingTickets()
+            .then(() => processNotificationQueue())
+            .catch((error) => logger.error({ err: error }, 'Notification check failed'));
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopNotificationMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+}
+
+module.exports = {
+    TRIGGERS,
+    getNotificationConfig,
+    notifyTicket,
+    notifyApproachingTickets,
+    processNotificationQueue,
+    listNotifications,
+    retryNotification,
+    startNotificationMonitor,
+    stopNotificationMonitor
+};
@@ -0,0 +1,531 @@
+const { all, get, run, getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { sendToPrinter, probePrinter, DEFAULT_PORT, COLUMNS } = require('./escposPrinter');
+const { renderSlip } = require('./slipTemplates');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const { buildTrackingUrl, isValidToken } = require('./ticketTracking');
+const logger = require('../utils/logger');
+
+const SERVER_METHOD = 'server';
+const DEFAULT_KIOSK = 'default';
+const JOB_STATES = ['queued', 'printing', 'printed', 'failed'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_SECONDS = 5;
+const MAX_RETRY_SECONDS = 60;
+const CONNECT_TIMEOUT_MS = 5000;
+const PROBE_TIMEOUT_MS = 2000;
+const BATCH_SIZE = 10;
+const CHECK_INTERVAL_MS = 5 * 1000;
+const JOB_RETENTION_DAYS = 7;
+const MAX_PAGE_SIZE = 200;
+const MAX_FIELD_LENGTH = 200;
+
+const KIOSK_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const SLIP_FIELDS = ['number', 'service', 'wait', 'position', 'timestamp', 'trackingUrl'];
+
+// Tickets a slip may still be printed for; only waiting ones get a wait and position
+const PRINTABLE_STATES = ['waiting', 'recycled', 'called', 'serving', 'parked'];
+const WAITING_STATES = ['waiting', 'recycled'];
+
+// Last outcome per printer address, for /printer-health
+const printerStates = new Map();
+let monitorTimer = null;
+let processing = null;
+let lastPrunedAt = 0;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+}
+
+function parseKioskMap(value) {
+    if (!value) {
+        return {};
+    }
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        logger.warn({ err: error }, 'printer.kiosks is not valid JSON; using the default printer only');
+        return {};
+    }
+}
+
+function normalizeKioskId(value) {
+    const kioskId = String(value || '').trim() || DEFAULT_KIOSK;
+    if (!KIOSK_ID_PATTERN.test(kioskId)) {
+        throw httpError(400, 'kioskId may only contain letters, digits, "-" and "_"');
+    }
+    return kioskId;
+}
+
+/**
+ * Printer for a kiosk: printer.host/port/width/encoding, overridden per
+ * kiosk by printer.kiosks ({ "<kioskId>": { "host", "port", "width" } }).
+ * Returns null when no host is configured.
+ */
+function resolvePrinter(kioskId, settings = {}) {
+    const override = parseKioskMap(settings['printer.kiosks'])[kioskId] || {};
+    const host = String(override.host || settings['printer.host'] || '').trim();
+    if (!host) {
+        return null;
+    }
+
+    const width = parseInt(override.width || settings['printer.width'], 10);
+    const codePage = parseInt(override.codePage ?? settings['printer.code_page'], 10);
+
+    return {
+        host,
+        port: parsePositiveInt(override.port || settings['printer.port'], DEFAULT_PORT),
+        width: COLUMNS[width] ? width : 58,
+        encoding: override.encoding || settings['printer.encoding'] || undefined,
+        codePage: Number.isNaN(codePage) ? undefined : codePage
+    };
+}
+
+function isServerPrinting(settings = {}) {
+    return settings['printer.method'] === SERVER_METHOD;
+}
+
+function printerKey(host, port) {
+    return `${host}:${port}`;
+}
+
+function recordPrinterState(printer, error) {
+    const key = printerKey(printer.host, printer.port);
+    const previous = printerStates.get(key) || { consecutiveFailures: 0 };
+    const now = new Date().toISOString();
+
+    printerStates.set(key, error
+        ? {
+            ...previous,
+            connected: false,
+            lastError: error.message,
+            lastErrorAt: now,
+            consecutiveFailures: previous.consecutiveFailures + 1,
+            checkedAt: now
+        }
+        : {
+            ...previous,
+            connected: true,
+            lastSuccessAt: now,
+            consecutiveFailures: 0,
+            checkedAt: now
+        });
+}
+
+function mapJob(row) {
+    let slip = null;
+    try {
+        slip = JSON.parse(row.payload);
+    } catch (error) {
+        // keep null
+    }
+
+    return {
+        id: row.id,
+        kioskId: row.kiosk_id,
+        ticketId: row.ticket_id,
+        ticketNumber: row.ticket_number,
+        state: row.state,
+        attempts: row.attempts,
+        printer: row.printer_host ? printerKey(row.printer_host, row.printer_port) : null,
+        nextAttemptAt: row.state === 'queued' ? row.next_attempt_at : null,
+        lastError: row.last_error,
+        printedAt: row.printed_at,
+        createdAt: row.created_at,
+        slip
+    };
+}
+
+function sanitizeSlip(fields) {
+    const slip = {};
+    SLIP_FIELDS.forEach((field) => {
+        const value = fields[field];
+        if (value !== undefined && value !== null && value !== '') {
+            slip[field] = String(value).slice(0, MAX_FIELD_LENGTH);
+        }
+    });
+    return slip;
+}
+
+/**
+ * The ticket a kiosk asks to print, by id or tracking token. Unknown
+ * tickets are 404; finished ones are 409 so an old slip cannot be reprinted.
+ */
+async function findPrintableTicket({ ticketId, trackingToken }) {
+    const id = parseInt(ticketId, 10);
+    let ticket;
+    if (id > 0) {
+        ticket = await get(
+            `SELECT t.*, s.name AS service_name FROM tickets t JOIN services s ON s.id = t.service_id WHERE t.id = ?`,
+            [id]
+        );
+    } else if (isValidToken(trackingToken)) {
+        ticket = await get(
+            `SELECT t.*, s.name AS service_name FROM tickets t JOIN services s ON s.id = t.service_id
+             WHERE t.tracking_token = ?`,
+            [trackingToken]
+        );
+    } else {
+        throw httpError(400, 'ticketId or trackingToken is required');
+    }
+
+    if (!ticket) {
+        throw httpError(404, 'Ticket not found');
+    }
+    if (!PRINTABLE_STATES.includes(ticket.state)) {
+        throw httpError(409, `Ticket ${ticket.ticket_number} is ${ticket.state} and can no longer be printed`);
+    }
+    return ticket;
+}
+
+function formatWait(estimate) {
+    if (estimate.highMinutes > estimate.lowMinutes) {
+        return `${estimate.lowMinutes}-${estimate.highMinutes} minutes`;
+    }
+    return `${estimate.minutes} minutes`;
+}
+
+// Tickets store SQLite's UTC CURRENT_TIMESTAMP; slips show server local time
+function formatIssueTime(createdAt) {
+    const issued = createdAt ? new Date(`${String(createdAt).replace(' ', 'T').replace(/Z?$/, 'Z')}`) : new Date();
+    return issued.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Slip fields for a ticket, read from the database: the queue position
+ * and wait come from the service's current queue snapshot. `origin`
+ * makes a relative tracking link absolute for the QR code.
+ */
+async function buildTicketSlip(ticket, settings, origin) {
+    const fields = {
+        number: ticket.ticket_number,
+        service: ticket.service_name,
+        timestamp: formatIssueTime(ticket.created_at)
+    };
+
+    if (WAITING_STATES.includes(ticket.state)) {
+        const queue = await getQueueSnapshot(getClient(), ticket.service_id);
+        const index = queue.tickets.findIndex((queued) => queued.id === ticket.id);
+        if (index >= 0) {
+            fields.position = index + 1;
+            fields.wait = formatWait(queue.tickets[index].waitEstimate);
+        }
+    }
+
+    if (ticket.tracking_token) {
+        const trackingUrl = buildTrackingUrl(ticket.tracking_token, settings);
+        fields.trackingUrl = trackingUrl.startsWith('/') && origin ? `${origin}${trackingUrl}` : trackingUrl;
+    }
+
+    return sanitizeSlip(fields);
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+function kickQueue() {
+    setImmediate(() => {
+        processPrintQueue().catch((error) => logger.error({ err: error }, 'Print queue run failed'));
+    });
+}
+
+/**
+ * Queue a slip for a kiosk's network printer. Only used when
+ * printer.method is "server". The slip is built from the ticket row, never
+ * from client data, and stored with the job so retries print exactly what
+ * the customer was shown.
+ */
+async function queuePrintJob({ kioskId, ticketId, trackingToken, origin } = {}) {
+    const settings = await getSettings();
+    if (!isServerPrinting(settings)) {
+        throw httpError(409, 'Server printing is not enabled (printer.method)');
+    }
+
+    const kiosk = normalizeKioskId(kioskId);
+    if (!resolvePrinter(kiosk, settings)) {
+        throw httpError(409, `No network printer is configured for kiosk "${kiosk}"`);
+    }
+
+    const ticket = await findPrintableTicket({ ticketId, trackingToken });
+    const slip = await buildTicketSlip(ticket, settings, origin);
+    slip.branding = settings['system.name'] || undefined;
+
+    const result = await run(
+        `INSERT INTO print_jobs (kiosk_id, ticket_id, ticket_number, payload, state, next_attempt_at)
+         VALUES (?, ?, ?, ?, 'queued', ?)`,
+        [kiosk, ticket.id, slip.number, JSON.stringify(slip), new Date().toISOString()]
+    );
+    kickQueue();
+
+    return getPrintJob(result.lastID);
+}
+
+async function printJob(job, settings) {
+    // Resolved at print time, so a corrected printer address applies to retries
+    const printer = resolvePrinter(job.kiosk_id, settings);
+    if (!printer) {
+        throw new Error(`No network printer is configured for kiosk "${job.kiosk_id}"`);
+    }
+
+    await run(
+        `UPDATE print_jobs SET state = 'printing', printer_host = ?, printer_port = ? WHERE id = ?`,
+        [printer.host, printer.port, job.id]
+    );
+
+    try {
+        const data = renderSlip(JSON.parse(job.payload), {
+            format: 'escpos',
+            settings,
+            width: printer.width,
+            encoding: printer.encoding,
+            codePage: printer.codePage
+        });
+        await sendToPrinter({ host: printer.host, port: printer.port, timeoutMs: CONNECT_TIMEOUT_MS }, data);
+        recordPrinterState(printer);
+    } catch (error) {
+        recordPrinterState(printer, error);
+        throw error;
+    }
+}
+
+async function processBatch() {
+    const settings = await getSettings();
+    const maxAttempts = parsePositiveInt(settings['printer.max_attempts'], DEFAULT_MAX_ATTEMPTS);
+    const due = await all(
+        `SELECT * FROM print_jobs
+         WHERE state = 'queued' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT ?`,
+        [new Date().toISOString(), BATCH_SIZE]
+    );
+
+    let printed = 0;
+    for (const job of due) {
+        const attempts = job.attempts + 1;
+        try {
+            await printJob(job, settings);
+            await run(
+                `UPDATE print_jobs SET state = 'printed', attempts = ?, last_error = NULL, printed_at = ? WHERE id = ?`,
+                [attempts, new Date().toISOString(), job.id]
+            );
+            printed += 1;
+        } catch (error) {
+            const exhausted = attempts >= maxAttempts;
+            await run(
+                `UPDATE print_jobs SET state = ?, attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+                [
+                    exhausted ? 'failed' : 'queued',
+                    attempts,
+                    String(error.message).slice(0, MAX_FIELD_LENGTH),
+                    new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString(),
+                    job.id
+                ]
+            );
+            logger.warn(
+                { printJobId: job.id, kioskId: job.kiosk_id, attempts, err: error.message },
+                exhausted ? 'Print job failed permanently' : 'Print job failed, will retry'
+            );
+        }
+    }
+    return printed;
+}
+
+/**
+ * Print due jobs in order, retrying failures with a short backoff until
+ * printer.max_attempts. Concurrent calls share one run, so a slip is never
+ * sent twice at once.
+ */
+function processPrintQueue() {
+    if (!processing) {
+        processing = processBatch().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+// Finished jobs are kept for JOB_RETENTION_DAYS, checked hourly
+async function pruneJobs() {
+    if (Date.now() - lastPrunedAt < 60 * 60 * 1000) {
+        return;
+    }
+    lastPrunedAt = Date.now();
+
+    const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await run(`DELETE FROM print_jobs WHERE state IN ('printed', 'failed') AND created_at < ?`, [cutoff]);
+}
+
+async function getPrintJob(jobId) {
+    const row = await get('SELECT * FROM print_jobs WHERE id = ?', [jobId]);
+    if (!row) {
+        throw httpError(404, 'Print job not found');
+    }
+    return mapJob(row);
+}
+
+async function listPrintJobs({ state, kioskId, limit, offset } = {}) {
+    const clauses = [];
+    const params = [];
+    if (state) {
+        if (!JOB_STATES.includes(state)) {
+            throw httpError(400, `state must be one of ${JOB_STATES.join(', ')}`);
+        }
+        clauses.push('state = ?');
+        params.push(state);
+    }
+    if (kioskId) {
+        clauses.push('kiosk_id = ?');
+        params.push(normalizeKioskId(kioskId));
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const pageSize = Math.min(parsePositiveInt(limit, 50), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [countRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM print_jobs ${where}`, params),
+        all(`SELECT * FROM print_jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, pageSize, skip])
+    ]);
+
+    return {
+        total: countRow.total,
+        limit: pageSize,
+        offset: skip,
+        jobs: rows.map(mapJob)
+    };
+}
+
+// Print a job again now, whatever its outcome; the attempt count restarts
+async function retryPrintJob(jobId) {
+    const result = await run(
+        `UPDATE print_jobs SET state = 'queued', attempts = 0, last_error = NULL, next_attempt_at = ?
+         WHERE id = ? AND state != 'printing'`,
+        [new Date().toISOString(), jobId]
+    );
+    if (!result.changes) {
+        await getPrintJob(jobId);
+        throw httpError(409, 'Print job is printing now');
+    }
+    kickQueue();
+    return getPrintJob(jobId);
+}
+
+/**
+ * Printer status for one kiosk: whether server printing is on, a live
+ * connection check against its printer, the last print outcome and the
+ * kiosk's job counts.
+ */
+async function getPrinterHealth(kioskId) {
+    const kiosk = normalizeKioskId(kioskId);
+    const settings = await getSettings();
+    const printer = resolvePrinter(kiosk, settings);
+    const serverPrinting = isServerPrinting(settings);
+
+    const counts = await all(
+        'SELECT state, COUNT(*) AS total FROM print_jobs WHERE kiosk_id = ? GROUP BY state',
+        [kiosk]
+    );
+    const jobs = JOB_STATES.reduce((acc, state) => ({ ...acc, [state]: 0 }), {});
+    counts.forEach((row) => {
+        jobs[row.state] = row.total;
+    });
+    const lastFinished = await get(
+        `SELECT state FROM print_jobs
+         WHERE kiosk_id = ? AND state IN ('printed', 'failed')
+         ORDER BY id DESC LIMIT 1`,
+        [kiosk]
+    );
+    const lastFailure = await get(
+        `SELECT id, ticket_number, last_error, created_at FROM print_jobs
+         WHERE kiosk_id = ? AND state = 'failed'
+         ORDER BY id DESC LIMIT 1`,
+        [kiosk]
+    );
+
+    let connection = null;
+    if (serverPrinting && printer) {
+        try {
+            await probePrinter({ host: printer.host, port: printer.port, timeoutMs: PROBE_TIMEOUT_MS });
+            recordPrinterState(printer);
+        } catch (error) {
+            recordPrinterState(printer, error);
+        }
+        connection = printerStates.get(printerKey(printer.host, printer.port));
+    }
+
+    let status = 'ok';
+    if (!serverPrinting) {
+        status = 'client';
+    } else if (!printer) {
+        status = 'unconfigured';
+    } else if (!connection.connected) {
+        status = 'offline';
+    } else if (jobs.queued > 0 || lastFinished?.state === 'failed') {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        kioskId: kiosk,
+        method: settings['printer.method'] || 'browser',
+        clientPrinting: !serverPrinting,
+        printer: printer ? { host: printer.host, port: printer.port, width: printer.width } : null,
+        connection,
+        jobs,
+        lastFailure: lastFailure
+            ? {
+                jobId: lastFailure.id,
+                ticketNumber: lastFailure.ticket_number,
+                error: lastFailure.last_error,
+                createdAt: lastFailure.created_at
+            }
+            : null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function startPrintMonitor() {
+    stopPrintMonitor();
+
+    // A job left "printing" by a restart may or may not have printed; queue it again
+    run(`UPDATE print_jobs SET state = 'queued', next_attempt_at = ? WHERE state = 'printing'`, [new Date().toISOString()])
+        .catch((error) => logger.error({ err: error }, 'Failed to requeue interrupted print jobs'));
+
+    monitorTimer = setInterval(() => {
+        processPrintQueue()
+            .then(() => pruneJobs())
+            .catch((error) => logger.error({ err: error }, 'Print queue check failed'));
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopPrintMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+}
+
+module.exports = {
+    DEFAULT_KIOSK,
+    resolvePrinter,
+    isServerPrinting,
+    findPrintableTicket,
+    queuePrintJob,
+    processPrintQueue,
+    getPrintJob,
+    listPrintJobs,
+    retryPrintJob,
+    getPrinterHealth,
+    startPrintMonitor,
+    stopPrintMonitor
+};
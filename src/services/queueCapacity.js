@@ -0,0 +1,306 @@
+const { getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { logEvent, EventTypes } = require('../database/events');
+const { broadcastSystemAlert } = require('../realtime/eventBroadcaster');
+const { loadCalendar, serviceStatus } = require('./serviceHours');
+const logger = require('../utils/logger');
+
+// Queues that reached their cap are stored in queue_capacity_state, keyed
+// by SYSTEM_SCOPE or the service id, and stay full across restarts until
+// the waiting count drops below the low-water mark
+const SYSTEM_SCOPE = 'system';
+const DEFAULT_LOW_WATER_PERCENT = 80;
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Tickets still in line; called and serving tickets no longer count against a cap
+const WAITING_STATES = ['waiting', 'recycled'];
+
+// Supervisors follow the admin console
+const ALERT_NAMESPACES = ['admin'];
+
+let ioInstance = null;
+let monitorTimer = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Capacity settings: config.max_waiting_tickets caps the whole system
+ * (0 = no cap) and config.queue_low_water_percent sets where a full queue
+ * reopens, as a percentage of its cap.
+ */
+function getCapacityConfig(settings = {}) {
+    const percent = parseNonNegativeInt(settings['config.queue_low_water_percent'], DEFAULT_LOW_WATER_PERCENT);
+
+    return {
+        systemCap: parseNonNegativeInt(settings['config.max_waiting_tickets'], 0),
+        lowWaterPercent: Math.min(Math.max(percent, 1), 100)
+    };
+}
+
+// A full queue takes tickets again once fewer than this many are waiting
+function reopenBelow(cap, percent) {
+    return Math.max(1, Math.floor((cap * percent) / 100));
+}
+
+// Where one queue stands now; change is 'full', 'reopened' or null
+function evaluateScope(wasFull, waiting, cap, percent) {
+    if (!cap) {
+        return { full: false, reopenBelow: null, change: wasFull ? 'reopened' : null };
+    }
+
+    const mark = reopenBelow(cap, percent);
+    if (wasFull) {
+        return waiting < mark
+            ? { full: false, reopenBelow: null, change: 'reopened' }
+            : { full: true, reopenBelow: mark, change: null };
+    }
+    return waiting >= cap
+        ? { full: true, reopenBelow: mark, change: 'full' }
+        : { full: false, reopenBelow: null, change: null };
+}
+
+function describeTransition(transition) {
+    const label = transition.scope === SYSTEM_SCOPE ? 'All queues' : `Queue ${transition.serviceName}`;
+    return transition.change === 'full'
+        ? `${label} full (${transition.waiting}/${transition.cap} waiting); kiosks stopped issuing tickets`
+        : `${label} reopened (${transition.waiting} waiting); kiosks are issuing tickets again`;
+}
+
+async function announceTransition(transition) {
+    const message = describeTransition(transition);
+    logger.warn({ ...transition }, message);
+
+    if (ioInstance) {
+        broadcastSystemAlert(ioInstance, message, transition.change === 'full' ? 'warning' : 'info', ALERT_NAMESPACES);
+    }
+
+    await logEvent(
+        transition.change === 'full' ? EventTypes.QUEUE_FULL : EventTypes.QUEUE_REOPENED,
+        'service',
+        transition.serviceId || 0,
+        {
+            scope: transition.scope,
+            serviceName: transition.serviceName || null,
+            waiting: transition.waiting,
+            cap: transition.cap
+        }
+    ).catch((error) => logger.error({ err: error }, 'Event logging failed'));
+}
+
+/**
+ * Waiting counts against the caps, with each queue full or open as it
+ * should be now. Read-only: the full queues stored in queue_capacity_state
+ * are only updated by applyCapacity, so this is safe inside a transaction.
+ */
+async function evaluateCapacity(client) {
+    const config = getCapacityConfig(await getSettings());
+    const [services, rows, stored] = await Promise.all([
+        client.all('SELECT id, name, max_waiting_tickets FROM services WHERE is_active = 1'),
+        client.all(
+            `SELECT service_id, COUNT(*) AS waiting
+             FROM tickets
+             WHERE state IN (${WAITING_STATES.map(() => '?').join(', ')})
+             GROUP BY service_id`,
+            WAITING_STATES
+        ),
+        client.all('SELECT scope FROM queue_capacity_state')
+    ]);
+
+    const fullScopes = new Set(stored.map((row) => row.scope));
+    const waitingByService = new Map(rows.map((row) => [row.service_id, row.waiting]));
+    const total = rows.reduce((sum, row) => sum + row.waiting, 0);
+    const transitions = [];
+
+    const system = evaluateScope(fullScopes.has(SYSTEM_SCOPE), total, config.systemCap, config.lowWaterPercent);
+    if (system.change) {
+        transitions.push({ change: system.change, scope: SYSTEM_SCOPE, waiting: total, cap: config.systemCap });
+    }
+
+    const queues = new Map();
+    services.forEach((service) => {
+        const waiting = waitingByService.get(service.id) || 0;
+        const cap = service.max_waiting_tickets || 0;
+        const queue = evaluateScope(fullScopes.has(String(service.id)), waiting, cap, config.lowWaterPercent);
+        if (queue.change) {
+            transitions.push({
+                change: queue.change,
+                scope: 'service',
+                serviceId: service.id,
+                serviceName: service.name,
+                waiting,
+                cap
+            });
+        }
+        queues.set(service.id, { waiting, cap: cap || null, full: queue.full, reopenBelow: queue.reopenBelow });
+    });
+
+    // Services deactivated or deleted while full
+    const stale = [...fullScopes].filter((scope) => scope !== SYSTEM_SCOPE && !queues.has(Number(scope)));
+
+    return {
+        status: {
+            system: { waiting: total, cap: config.systemCap || null, full: system.full, reopenBelow: system.reopenBelow },
+            queues
+        },
+        transitions,
+        stale
+    };
+}
+
+/**
+ * Store the queues that filled or reopened and alert supervisors. Must run
+ * outside any transaction. A transition only alerts when its row actually
+ * changed, so concurrent checks announce it once.
+ */
+async function applyCapacity({ transitions, stale }) {
+    const client = getClient();
+
+    for (const transition of transitions) {
+        const scope = transition.scope === SYSTEM_SCOPE ? SYSTEM_SCOPE : String(transition.serviceId);
+        const result = transition.change === 'full'
+            ? await client.run(
+                'INSERT OR IGNORE INTO queue_capacity_state (scope, full_since) VALUES (?, ?)',
+                [scope, new Date().toISOString()]
+            )
+            : await client.run('DELETE FROM queue_capacity_state WHERE scope = ?', [scope]);
+
+        if (result.changes) {
+            await announceTransition(transition);
+        }
+    }
+
+    for (const scope of stale) {
+        await client.run('DELETE FROM queue_capacity_state WHERE scope = ?', [scope]);
+    }
+}
+
+/**
+ * Waiting counts against the system-wide and per-service caps, updating
+ * which queues are full and alerting supervisors about queues that just
+ * filled or reopened.
+ */
+async function getCapacityStatus() {
+    const evaluation = await evaluateCapacity(getClient());
+    await applyCapacity(evaluation);
+    return evaluation.status;
+}
+
+/**
+ * Re-check caps after a ticket was issued and committed, so the queue
+ * that just reached its cap is marked full straight away.
+ */
+function refreshQueueCapacity() {
+    return getCapacityStatus()
+        .then(() => undefined)
+        .catch((error) => logger.error({ err: error }, 'Queue capacity check failed'));
+}
+
+// Capacity of one service as shown on the kiosk
+function capacityFor(status, serviceId) {
+    const queue = status.queues.get(serviceId) || { waiting: 0, cap: null, full: false, reopenBelow: null };
+    let scope = null;
+    if (queue.full) {
+        scope = 'service';
+    } else if (status.system.full) {
+        scope = SYSTEM_SCOPE;
+    }
+
+    return {
+        full: Boolean(scope),
+        scope,
+        waiting: queue.waiting,
+        cap: queue.cap,
+        reopenBelow: scope === SYSTEM_SCOPE ? status.system.reopenBelow : queue.reopenBelow
+    };
+}
+
+/**
+ * Another service to offer when a queue is full: open, taking tickets
+ * and not full itself, with the fewest people waiting. None while the
+ * whole system is full.
+ */
+function suggestAlternative(status, serviceId, { services, calendar, now = new Date() }) {
+    if (status.system.full) {
+        return null;
+    }
+
+    const candidates = services
+        .filter((service) => service.id !== serviceId && status.queues.has(service.id))
+        .filter((service) => !status.queues.get(service.id).full)
+        .filter((service) => serviceStatus(calendar, service, now).acceptingTickets)
+        .sort((a, b) => status.queues.get(a.id).waiting - status.queues.get(b.id).waiting || a.id - b.id);
+
+    const best = candidates[0];
+    return best
+        ? { id: best.id, name: best.name, prefix: best.prefix, waiting: status.queues.get(best.id).waiting }
+        : null;
+}
+
+/**
+ * Refuse a ticket while its queue, or the whole system, is full. The 409
+ * carries queueFull and a suggested alternative service for the kiosk.
+ * Runs inside the issuing transaction, so it only reads: the state change
+ * and alerts follow from the next check outside it.
+ */
+async function assertQueueCapacity(tx, service, now = new Date()) {
+    const { status } = await evaluateCapacity(tx);
+    const capacity = capacityFor(status, service.id);
+    if (!capacity.full) {
+        return;
+    }
+
+    const [services, calendar] = await Promise.all([
+        tx.all('SELECT * FROM services WHERE is_active = 1'),
+        loadCalendar(tx, now)
+    ]);
+
+    const err = httpError(
+        409,
+        capacity.scope === SYSTEM_SCOPE
+            ? 'All queues are full right now. Please try again later.'
+            : `The ${service.name} queue is full right now`
+    );
+    err.queueFull = true;
+    err.alternative = suggestAlternative(status, service.id, { services, calendar, now });
+    throw err;
+}
+
+// Re-check caps so drained queues reopen (and supervisors hear about it)
+// without waiting for a kiosk; the first check runs at startup
+function startCapacityMonitor(io) {
+    if (io) {
+        ioInstance = io;
+    }
+
+    stopCapacityMonitor();
+
+    refreshQueueCapacity();
+    monitorTimer = setInterval(refreshQueueCapacity, CHECK_INTERVAL_MS);
+}
+
+function stopCapacityMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+}
+
+module.exports = {
+    getCapacityConfig,
+    getCapacityStatus,
+    capacityFor,
+    suggestAlternative,
+    assertQueueCapacity,
+    refreshQueueCapacity,
+    startCapacityMonitor,
+    stopCapacityMonitor
+};
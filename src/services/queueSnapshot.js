@@ -0,0 +1,129 @@
+const { getSettings } = require('../database/db');
+const {
+    CALL_POLICIES,
+    getDefaultPolicy,
+    getInterleaveRatio,
+    serviceQueueOrder,
+    resolveServicePolicies,
+    getServiceInterleaveStreak,
+    interleaveTickets
+} = require('./callPolicy');
+const { getServiceWaitModel, estimateWait, countAheadOfNewTicket } = require('./waitEstimator');
+
+/**
+ * Waiting/serving counts and the ordered waiting list for one service,
+ * read through the caller's transaction client. This is the payload
+ * sent with queue-updated broadcasts, so every broadcast carries wait
+ * estimates recalculated from the current queue: one per waiting ticket
+ * and `estimate` for a ticket issued now.
+ *
+ * Tickets are listed in the order call-next draws them: by the policy the
+ * open counters for the service resolve to (agent, counter, then
+ * config.call_policy). When open counters disagree, the snapshot falls
+ * back to config.call_policy; `policy` names the order used and
+ * `policies` lists every policy in effect. Interleave positions continue
+ * from the open counters' current run of normal tickets.
+ */
+async function getQueueSnapshot(tx, serviceId) {
+    const settings = await getSettings();
+    const policies = await resolveServicePolicies(tx, serviceId, settings);
+    const policy = policies.length === 1 ? policies[0] : getDefaultPolicy(settings);
+    const orderBy = serviceQueueOrder(policy);
+
+    const [counts, queuedTickets, waitModel] = await Promise.all([
+        tx.all(
+            `SELECT state, COUNT(*) as count
+             FROM tickets
+             WHERE service_id = ?
+               AND state IN ('waiting', 'recycled', 'called')
+             GROUP BY state`,
+            [serviceId]
+        ),
+        tx.all(
+            `SELECT t.id,
+                    t.ticket_number,
+                    t.service_id,
+                    t.priority,
+                    t.created_at,
+                    t.estimated_wait,
+                    t.customer_name,
+                    t.customer_phone,
+                    t.state
+             FROM tickets t
+             WHERE t.service_id = ?
+               AND t.state IN ('waiting', 'recycled')
+             ORDER BY ${orderBy}`,
+            [serviceId]
+        ),
+        getServiceWaitModel(tx, serviceId)
+    ]);
+
+    // A ticket issued now joins the end of the normal tickets
+    const newTicket = { priority: 0 };
+    let waitingTickets = queuedTickets;
+    let newTicketAhead = null;
+    if (policy === CALL_POLICIES.INTERLEAVE) {
+        const ratio = getInterleaveRatio(settings);
+        const streak = await getServiceInterleaveStreak(tx, serviceId, settings);
+        waitingTickets = interleaveTickets(queuedTickets, ratio, streak);
+        newTicketAhead = interleaveTickets([...queuedTickets, newTicket], ratio, streak).indexOf(newTicket);
+    }
+
+    const snapshot = { serviceId, policy, policies, waiting: 0, serving: 0, tickets: [], estimate: null };
+
+    if (counts) {
+        counts.forEach((row) => {
+            if (row.state === 'called') {
+                snapshot.serving = row.count;
+                return;
+            }
+
+            if (row.state === 'waiting' || row.state === 'recycled') {
+                snapshot.waiting += row.count;
+            }
+        });
+    }
+
+    if (waitingTickets?.length) {
+        snapshot.tickets = waitingTickets.map((row, index) => {
+            const state = row.state || 'waiting';
+            const isRecycled = state === 'recycled';
+            const waitEstimate = estimateWait(waitModel, index);
+
+            return {
+                id: row.id,
+                ticket_number: row.ticket_number,
+                ticketNumber: row.ticket_number,
+                number: row.ticket_number,
+                service_id: row.service_id,
+                serviceId: row.service_id,
+                priority: row.priority,
+                created_at: row.created_at,
+                createdAt: row.created_at,
+                estimated_wait: waitEstimate.seconds,
+                estimatedWait: waitEstimate.seconds,
+                waitEstimate,
+                customer_name: row.customer_name,
+                customerName: row.customer_name,
+                customer_phone: row.customer_phone,
+                customerPhone: row.customer_phone,
+                state,
+                ticketState: state,
+                isRecycled,
+                is_recycled: isRecycled,
+                recycled: isRecycled
+            };
+        });
+    }
+
+    snapshot.estimate = estimateWait(
+        waitModel,
+        newTicketAhead ?? countAheadOfNewTicket(snapshot.tickets, 0, policy)
+    );
+
+    return snapshot;
+}
+
+module.exports = {
+    getQueueSnapshot
+};
@@ -0,0 +1,204 @@
+const { all, withTransaction } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { logEvent, EventTypes } = require('../database/events');
+const {
+    broadcastTicketCompleted,
+    broadcastQueueUpdated,
+    broadcastCounterAlert
+} = require('../realtime/eventBroadcaster');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_RECALLS = 3;
+const DEFAULT_GRACE_SECONDS = 60;
+const CHECK_INTERVAL_MS = 10 * 1000;
+
+let ioInstance = null;
+let escalationTimer = null;
+
+function parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Recall settings: config.max_recall_count, feature.auto_no_show and
+ * config.no_show_grace_seconds.
+ */
+function getRecallLimits(settings = {}) {
+    return {
+        maxRecalls: parseNonNegativeInt(settings['config.max_recall_count'], DEFAULT_MAX_RECALLS),
+        autoNoShow: settings['feature.auto_no_show'] === 'true',
+        graceSeconds: parseNonNegativeInt(settings['config.no_show_grace_seconds'], DEFAULT_GRACE_SECONDS)
+    };
+}
+
+/**
+ * When the automatic no-show will fire for a ticket that has used its
+ * last recall, or null when auto no-show does not apply.
+ */
+function getAutoNoShowAt(limits, recallCount, calledAt) {
+    if (!limits.autoNoShow || recallCount < limits.maxRecalls || !calledAt) {
+        return null;
+    }
+    return new Date(new Date(calledAt).getTime() + limits.graceSeconds * 1000).toISOString();
+}
+
+async function markAutoNoShow(ticketId, limits) {
+    const result = await withTransaction(async (tx) => {
+        const ticket = await tx.get(
+            `SELECT t.*, s.name as service_name
+             FROM tickets t
+             JOIN services s ON t.service_id = s.id
+             WHERE t.id = ? AND t.state = 'called' AND t.recall_count >= ?`,
+            [ticketId, limits.maxRecalls]
+        );
+
+        // Completed, recalled or otherwise handled since the sweep query ran
+        if (!ticket) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+
+        await tx.run(
+            `UPDATE tickets
+             SET state = 'no_show',
+                 completed_at = ?
+             WHERE id = ?`,
+            [now, ticket.id]
+        );
+
+        if (ticket.counter_id) {
+            await tx.run(
+                `UPDATE counters
+                 SET current_ticket_id = NULL,
+                     state = 'available'
+                 WHERE id = ? AND current_ticket_id = ?`,
+                [ticket.counter_id, ticket.id]
+            );
+        }
+
+        const queueSnapshot = await getQueueSnapshot(tx, ticket.service_id);
+
+        return {
+            ticket: {
+                id: ticket.id,
+                ticketNumber: ticket.ticket_number,
+                serviceId: ticket.service_id,
+                serviceName: ticket.service_name,
+                state: 'no_show',
+                counterId: ticket.counter_id,
+                agentId: ticket.agent_id,
+                recallCount: ticket.recall_count,
+                completedAt: now,
+                automatic: true
+            },
+            queue: queueSnapshot
+        };
+    });
+
+    if (!result) {
+        return null;
+    }
+
+    const { ticket } = result;
+
+    logEvent(
+        EventTypes.TICKET_NO_SHOW,
+        'ticket',
+        ticket.id,
+        {
+            ticketNumber: ticket.ticketNumber,
+            serviceId: ticket.serviceId,
+            counterId: ticket.counterId,
+            agentId: ticket.agentId,
+            recallCount: ticket.recallCount,
+            graceSeconds: limits.graceSeconds,
+            automatic: true
+        },
+        ticket.agentId,
+        ticket.counterId
+    ).catch((err) => logger.error({ err }, 'Event logging failed for automatic no-show'));
+
+    if (ioInstance) {
+        broadcastTicketCompleted(ioInstance, ticket, result.queue);
+        broadcastQueueUpdated(ioInstance, ticket.serviceId, result.queue);
+
+        if (ticket.counterId) {
+            broadcastCounterAlert(
+                ioInstance,
+                ticket.counterId,
+                `Ticket ${ticket.ticketNumber} marked no-show after ${ticket.recallCount} recall(s)`,
+                'warning',
+                { ticketId: ticket.id, reason: 'auto_no_show' }
+            );
+        }
+    }
+
+    return ticket;
+}
+
+async function escalateExpiredRecalls() {
+    const limits = getRecallLimits(await getSettings());
+    if (!limits.autoNoShow) {
+        return [];
+    }
+
+    const cutoff = new Date(Date.now() - limits.graceSeconds * 1000).toISOString();
+    const rows = await all(
+        `SELECT id
+         FROM tickets
+         WHERE state = 'called'
+           AND recall_count >= ?
+           AND called_at <= ?`,
+        [limits.maxRecalls, cutoff]
+    );
+
+    const escalated = [];
+    for (const row of rows) {
+        try {
+            const ticket = await markAutoNoShow(row.id, limits);
+            if (ticket) {
+                escalated.push(ticket);
+            }
+        } catch (error) {
+            logger.error({ err: error, ticketId: row.id }, 'Failed to mark ticket no-show after last recall');
+        }
+    }
+
+    if (escalated.length) {
+        logger.info({ count: escalated.length }, 'Tickets marked no-show after last recall');
+    }
+
+    return escalated;
+}
+
+function startRecallMonitor(io) {
+    if (io) {
+        ioInstance = io;
+    }
+
+    stopRecallMonitor();
+
+    escalationTimer = setInterval(() => {
+        escalateExpiredRecalls().catch((error) =>
+            logger.error({ err: error }, 'Recall escalation check failed')
+        );
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopRecallMonitor() {
+    if (escalationTimer) {
+        clearInterval(escalationTimer);
+        escalationTimer = null;
+    }
+}
+
+module.exports = {
+    getRecallLimits,
+    getAutoNoShowAt,
+    escalateExpiredRecalls,
+    startRecallMonitor,
+    stopRecallMonitor
+};
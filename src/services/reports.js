@@ -0,0 +1,362 @@
+const { all } = require('../database/dbClient');
+const { EventTypes } = require('../database/events');
+
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_SECTIONS = ['summary', 'services', 'hours', 'agents', 'counters'];
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function isValidDateKey(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function todayKey() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a from/to pair of YYYY-MM-DD keys (UTC, inclusive). A missing
+ * `to` means the same day as `from`; a missing `from` means today.
+ */
+function resolveDateRange(from, to) {
+    const start = from || todayKey();
+    const end = to || start;
+
+    if (!isValidDateKey(start) || !isValidDateKey(end)) {
+        throw httpError(400, 'Dates must use the YYYY-MM-DD format');
+    }
+
+    if (end < start) {
+        throw httpError(400, '"to" must not be before "from"');
+    }
+
+    const days = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+    if (days > MAX_RANGE_DAYS) {
+        throw httpError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from: start, to: end, days };
+}
+
+// SQLite CURRENT_TIMESTAMP values have no zone marker but are UTC
+function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const normalized = /[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const time = Date.parse(normalized);
+    return Number.isNaN(time) ? null : time;
+}
+
+function secondsBetween(start, end) {
+    const startMs = parseTimestamp(start);
+    const endMs = parseTimestamp(end);
+    if (startMs === null || endMs === null || endMs < startMs) {
+        return null;
+    }
+    return Math.round((endMs - startMs) / 1000);
+}
+
+function average(values) {
+    if (!values.length) {
+        return null;
+    }
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+    if (!values.length) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function rate(part, whole) {
+    return whole ? Number((part / whole).toFixed(4)) : 0;
+}
+
+function waitSeconds(ticket) {
+    if (ticket.actual_wait !== null && ticket.actual_wait !== undefined) {
+        return ticket.actual_wait;
+    }
+    return secondsBetween(ticket.created_at, ticket.first_called_at || ticket.served_at);
+}
+
+function createBucket(extra = {}) {
+    return {
+        ...extra,
+        tickets: 0,
+        completed: 0,
+        noShows: 0,
+        transferred: 0,
+        autoCompleted: 0,
+        waits: [],
+        serviceTimes: []
+    };
+}
+
+function addToBucket(bucket, ticket, transferredIds) {
+    bucket.tickets += 1;
+
+    if (ticket.state === 'completed') {
+        bucket.completed += 1;
+    } else if (ticket.state === 'no_show') {
+        bucket.noShows += 1;
+    }
+
+    if (ticket.auto_completed_at) {
+        bucket.autoCompleted += 1;
+    }
+
+    if (transferredIds.has(ticket.id) || ticket.original_service_id) {
+        bucket.transferred += 1;
+    }
+
+    const wait = waitSeconds(ticket);
+    if (wait !== null) {
+        bucket.waits.push(wait);
+    }
+
+    if (ticket.state === 'completed' && ticket.service_duration !== null && ticket.service_duration !== undefined) {
+        bucket.serviceTimes.push(ticket.service_duration);
+    }
+}
+
+function finalizeBucket(bucket) {
+    const { waits, serviceTimes, ...rest } = bucket;
+    const closed = rest.completed + rest.noShows;
+
+    return {
+        ...rest,
+        noShowRate: rate(rest.noShows, closed),
+        transferRate: rate(rest.transferred, rest.tickets),
+        avgWaitSeconds: average(waits),
+        p90WaitSeconds: percentile(waits, 90),
+        avgServiceSeconds: average(serviceTimes),
+        p90ServiceSeconds: percentile(serviceTimes, 90),
+        busySeconds: serviceTimes.reduce((sum, value) => sum + value, 0)
+    };
+}
+
+const REPORT_TICKET_COLUMNS = `id,
+                service_id,
+                state,
+                created_at,
+                first_called_at,
+                served_at,
+                completed_at,
+                auto_completed_at,
+                actual_wait,
+                service_duration,
+                original_service_id,
+                counter_id,
+                agent_id,
+                CAST(strftime('%H', created_at) AS INTEGER) AS created_hour`;
+
+// Live tickets plus the history moved to ticket_archive by daily resets
+async function loadTickets(range) {
+    return all(
+        `SELECT ${REPORT_TICKET_COLUMNS}
+         FROM tickets
+         WHERE DATE(created_at) BETWEEN ? AND ?
+         UNION ALL
+         SELECT ${REPORT_TICKET_COLUMNS}
+         FROM ticket_archive
+         WHERE business_day BETWEEN ? AND ?`,
+        [range.from, range.to, range.from, range.to]
+    );
+}
+
+async function loadTransferredTicketIds(range) {
+    const rows = await all(
+        `SELECT DISTINCT entity_id
+         FROM events
+         WHERE event_type = ?
+           AND entity_type = 'ticket'
+           AND DATE(created_at) BETWEEN ? AND ?`,
+        [EventTypes.TICKET_TRANSFERRED, range.from, range.to]
+    );
+    return new Set(rows.map((row) => row.entity_id));
+}
+
+async function loadLookups() {
+    const [services, agents, counters] = await Promise.all([
+        all('SELECT id, name, prefix FROM services ORDER BY id'),
+        all('SELECT id, name, username FROM agents ORDER BY id'),
+        all('SELECT id, name, number FROM counters ORDER BY number')
+    ]);
+    return { services, agents, counters };
+}
+
+/**
+ * Build the report for an inclusive UTC date range. Tickets are bucketed
+ * by creation day; service times only count completed tickets.
+ */
+async function buildReport({ from, to } = {}) {
+    const range = resolveDateRange(from, to);
+    const [tickets, transferredIds, lookups] = await Promise.all([
+        loadTickets(range),
+        loadTransferredTicketIds(range),
+        loadLookups()
+    ]);
+
+    const summary = createBucket();
+    const services = new Map(
+        lookups.services.map((row) => [
+            row.id,
+            createBucket({ serviceId: row.id, serviceName: row.name, prefix: row.prefix })
+        ])
+    );
+    const agents = new Map();
+    const counters = new Map();
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, tickets: 0, byService: {} }));
+
+    const agentNames = new Map(lookups.agents.map((row) => [row.id, row.name || row.username]));
+    const counterInfo = new Map(lookups.counters.map((row) => [row.id, row]));
+
+    tickets.forEach((ticket) => {
+        addToBucket(summary, ticket, transferredIds);
+
+        if (!services.has(ticket.service_id)) {
+            services.set(
+                ticket.service_id,
+                createBucket({ serviceId: ticket.service_id, serviceName: null, prefix: null })
+            );
+        }
+        addToBucket(services.get(ticket.service_id), ticket, transferredIds);
+
+        if (Number.isInteger(ticket.created_hour) && hours[ticket.created_hour]) {
+            const slot = hours[ticket.created_hour];
+            slot.tickets += 1;
+            slot.byService[ticket.service_id] = (slot.byService[ticket.service_id] || 0) + 1;
+        }
+
+        if (ticket.agent_id) {
+            if (!agents.has(ticket.agent_id)) {
+                agents.set(
+                    ticket.agent_id,
+                    createBucket({
+                        agentId: ticket.agent_id,
+                        agentName: agentNames.get(ticket.agent_id) || null
+                    })
+                );
+            }
+            addToBucket(agents.get(ticket.agent_id), ticket, transferredIds);
+        }
+
+        if (ticket.counter_id) {
+            if (!counters.has(ticket.counter_id)) {
+                const info = counterInfo.get(ticket.counter_id) || {};
+                counters.set(
+                    ticket.counter_id,
+                    createBucket({
+                        counterId: ticket.counter_id,
+                        counterName: info.name || null,
+                        counterNumber: info.number ?? null
+                    })
+                );
+            }
+            addToBucket(counters.get(ticket.counter_id), ticket, transferredIds);
+        }
+    });
+
+    const withThroughput = (bucket) => ({
+        ...bucket,
+        completedPerDay: Number((bucket.completed / range.days).toFixed(2))
+    });
+
+    return {
+        range,
+        generatedAt: new Date().toISOString(),
+        summary: finalizeBucket(summary),
+        services: [...services.values()].map(finalizeBucket),
+        hours,
+        agents: [...agents.values()].map(finalizeBucket).map(withThroughput),
+        counters: [...counters.values()].map(finalizeBucket).map(withThroughput)
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map((column) => csvCell(row[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+const METRIC_COLUMNS = [
+    'tickets',
+    'completed',
+    'noShows',
+    'transferred',
+    'autoCompleted',
+    'noShowRate',
+    'transferRate',
+    'avgWaitSeconds',
+    'p90WaitSeconds',
+    'avgServiceSeconds',
+    'p90ServiceSeconds',
+    'busySeconds'
+];
+
+/**
+ * Render one report section as CSV. `hours` is flattened to one row per
+ * hour and service.
+ */
+function reportToCsv(report, section = 'services') {
+    const { from, to } = report.range;
+
+    switch (section) {
+        case 'summary':
+            return toCsv(['from', 'to', ...METRIC_COLUMNS], [{ from, to, ...report.summary }]);
+        case 'services':
+            return toCsv(['serviceId', 'serviceName', 'prefix', ...METRIC_COLUMNS], report.services);
+        case 'hours': {
+            const names = new Map(report.services.map((row) => [String(row.serviceId), row.serviceName]));
+            const rows = [];
+            report.hours.forEach((slot) => {
+                Object.entries(slot.byService).forEach(([serviceId, tickets]) => {
+                    rows.push({ hour: slot.hour, serviceId, serviceName: names.get(serviceId), tickets });
+                });
+            });
+            return toCsv(['hour', 'serviceId', 'serviceName', 'tickets'], rows);
+        }
+        case 'agents':
+            return toCsv(['agentId', 'agentName', ...METRIC_COLUMNS, 'completedPerDay'], report.agents);
+        case 'counters':
+            return toCsv(
+                ['counterId', 'counterName', 'counterNumber', ...METRIC_COLUMNS, 'completedPerDay'],
+                report.counters
+            );
+        default:
+            throw httpError(400, `Unknown report section: ${section}. Use one of ${CSV_SECTIONS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    CSV_SECTIONS,
+    resolveDateRange,
+    buildReport,
+    reportToCsv
+};
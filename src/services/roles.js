@@ -0,0 +1,27 @@
+const ROLES = {
+    AGENT: 'agent',
+    SUPERVISOR: 'supervisor',
+    ADMIN: 'admin'
+};
+
+// Each role may do everything the roles ranked below it can
+const ROLE_RANK = {
+    [ROLES.AGENT]: 1,
+    [ROLES.SUPERVISOR]: 2,
+    [ROLES.ADMIN]: 3
+};
+
+function normalizeRole(value) {
+    const role = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return ROLE_RANK[role] ? role : ROLES.AGENT;
+}
+
+function hasRole(role, minimum) {
+    return ROLE_RANK[normalizeRole(role)] >= ROLE_RANK[minimum];
+}
+
+module.exports = {
+    ROLES,
+    normalizeRole,
+    hasRole
+};
@@ -0,0 +1,425 @@
+const { all, get, run, withTransaction, getClient } = require('../database/dbClient');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const LOOKAHEAD_DAYS = 14;
+const MAX_LAST_TICKET_MINUTES = 12 * 60;
+const MAX_NAME_LENGTH = 120;
+const MAX_HOLIDAYS_LISTED = 500;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// "HH:MM" to minutes past midnight; "24:00" is allowed as a closing time
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match || Number(match[2]) > 59) {
+        return null;
+    }
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+function formatClock(minutes) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function localDateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDateKey(value, field = 'date') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    const day = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (!day || day.getMonth() !== Number(match[2]) - 1 || day.getDate() !== Number(match[3])) {
+        throw httpError(400, `${field} must be a valid YYYY-MM-DD date`);
+    }
+    return localDateKey(day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function parseWeekday(value) {
+    if (typeof value === 'string' && WEEKDAYS.includes(value.trim().toLowerCase())) {
+        return WEEKDAYS.indexOf(value.trim().toLowerCase());
+    }
+    const day = Number(value);
+    return Number.isInteger(day) && day >= 0 && day <= 6 ? day : null;
+}
+
+function mapHoliday(row) {
+    return {
+        id: row.id,
+        serviceId: row.service_id,
+        serviceName: row.service_name || null,
+        date: row.date,
+        name: row.name || null,
+        closed: !row.open_time,
+        open: row.open_time || null,
+        close: row.close_time || null,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Weekly hours and the holidays of the next LOOKAHEAD_DAYS for every
+ * service, enough to work out open state and the next opening.
+ */
+async function loadCalendar(client, now = new Date()) {
+    const [weekly, holidays] = await Promise.all([
+        client.all('SELECT service_id, weekday, open_time, close_time FROM service_hours ORDER BY open_time'),
+        client.all(
+            'SELECT * FROM service_holidays WHERE date >= ? AND date <= ?',
+            [localDateKey(now), localDateKey(addDays(now, LOOKAHEAD_DAYS))]
+        )
+    ]);
+
+    const weeklyByService = new Map();
+    weekly.forEach((row) => {
+        if (!weeklyByService.has(row.service_id)) {
+            weeklyByService.set(row.service_id, []);
+        }
+        weeklyByService.get(row.service_id).push(row);
+    });
+
+    return { weekly: weeklyByService, holidays };
+}
+
+/**
+ * Opening windows of a service on one local day. A holiday for the service
+ * wins over one for all services, and either replaces the weekly hours:
+ * closed all day, or open only for its own hours. `windows` is null when
+ * the service keeps no hours and no holiday applies (always open).
+ */
+function openingsOn(calendar, serviceId, day) {
+    const key = localDateKey(day);
+    const holiday = calendar.holidays.find((row) => row.date === key && row.service_id === serviceId)
+        || calendar.holidays.find((row) => row.date === key && row.service_id === null);
+
+    let ranges;
+    if (holiday) {
+        ranges = holiday.open_time ? [[holiday.open_time, holiday.close_time]] : [];
+    } else if (calendar.weekly.has(serviceId)) {
+        ranges = calendar.weekly.get(serviceId)
+            .filter((row) => row.weekday === day.getDay())
+            .map((row) => [row.open_time, row.close_time]);
+    } else {
+        return { holiday: null, windows: null };
+    }
+
+    const at = (clock) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, parseClock(clock));
+    return {
+        holiday: holiday || null,
+        windows: ranges.map(([open, close]) => ({ opensAt: at(open), closesAt: at(close) }))
+    };
+}
+
+function findNextOpening(calendar, serviceId, now) {
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset += 1) {
+        const day = addDays(now, offset);
+        const { windows } = openingsOn(calendar, serviceId, day);
+        if (windows === null) {
+            return offset === 0 ? now : day;
+        }
+        const next = windows.find((window) => window.opensAt > now);
+        if (next) {
+            return next.opensAt;
+        }
+    }
+    return null;
+}
+
+/**
+ * Open state of a service at `now`, in server local time like the daily
+ * reset. Tickets stop `last_ticket_minutes` before each closing time;
+ * nextOpening is only set while the service is not taking tickets.
+ */
+function serviceStatus(calendar, service, now = new Date()) {
+    const { holiday, windows } = openingsOn(calendar, service.id, now);
+    if (windows === null) {
+        return {
+            scheduled: false,
+            open: true,
+            acceptingTickets: true,
+            closedReason: null,
+            holidayName: null,
+            closesAt: null,
+            lastTicketAt: null,
+            nextOpening: null
+        };
+    }
+
+    const current = windows.find((window) => window.opensAt <= now && now < window.closesAt);
+    let lastTicketAt = null;
+    if (current) {
+        const cutoff = new Date(current.closesAt.getTime() - (service.last_ticket_minutes || 0) * 60 * 1000);
+        lastTicketAt = cutoff > current.opensAt ? cutoff : current.opensAt;
+    }
+    const acceptingTickets = Boolean(current) && now < lastTicketAt;
+
+    let closedReason = null;
+    if (!acceptingTickets) {
+        if (current) {
+            closedReason = 'last_ticket';
+        } else {
+            closedReason = holiday && !windows.length ? 'holiday' : 'closed';
+        }
+    }
+    const nextOpening = acceptingTickets ? null : findNextOpening(calendar, service.id, now);
+
+    return {
+        scheduled: true,
+        open: Boolean(current),
+        acceptingTickets,
+        closedReason,
+        holidayName: holiday?.name || null,
+        closesAt: current ? current.closesAt.toISOString() : null,
+        lastTicketAt: lastTicketAt ? lastTicketAt.toISOString() : null,
+        nextOpening: nextOpening ? nextOpening.toISOString() : null
+    };
+}
+
+async function getServiceStatus(client, service, now = new Date()) {
+    return serviceStatus(await loadCalendar(client, now), service, now);
+}
+
+function closedError(message, status) {
+    const err = httpError(409, message);
+    err.nextOpening = status.nextOpening;
+    return err;
+}
+
+// Refuse a walk-in ticket while the service is closed or past its last-ticket time
+function assertAcceptingTickets(status) {
+    if (status.acceptingTickets) {
+        return;
+    }
+    if (status.closedReason === 'last_ticket') {
+        throw closedError('The last ticket for this service has been issued for now', status);
+    }
+    if (status.closedReason === 'holiday') {
+        throw closedError(`This service is closed today${status.holidayName ? ` (${status.holidayName})` : ''}`, status);
+    }
+    throw closedError('This service is closed', status);
+}
+
+// Refuse a ticket whose estimated wait would run past closing time
+function assertServedBeforeClosing(status, waitSeconds, now = new Date()) {
+    if (!status.closesAt || now.getTime() + waitSeconds * 1000 <= Date.parse(status.closesAt)) {
+        return;
+    }
+    throw closedError('The estimated wait runs past closing time for this service', status);
+}
+
+async function requireService(serviceId) {
+    const service = await get('SELECT * FROM services WHERE id = ?', [serviceId]);
+    if (!service) {
+        throw httpError(404, 'Service not found');
+    }
+    return service;
+}
+
+function mapWeekly(rows) {
+    return rows
+        .map((row) => ({
+            weekday: row.weekday,
+            day: WEEKDAYS[row.weekday],
+            open: row.open_time,
+            close: row.close_time
+        }))
+        .sort((a, b) => a.weekday - b.weekday || a.open.localeCompare(b.open));
+}
+
+// Weekly hours, last-ticket cutoff and current open state of one service
+async function getServiceHours(serviceId) {
+    const service = await requireService(serviceId);
+    const rows = await all(
+        'SELECT weekday, open_time, close_time FROM service_hours WHERE service_id = ?',
+        [serviceId]
+    );
+
+    return {
+        serviceId: service.id,
+        serviceName: service.name,
+        lastTicketMinutes: service.last_ticket_minutes ?? null,
+        weekly: mapWeekly(rows),
+        status: await getServiceStatus(getClient(), service)
+    };
+}
+
+function validateWeekly(weekly) {
+    if (!Array.isArray(weekly)) {
+        throw httpError(400, 'weekly must be an array of { weekday, open, close }');
+    }
+
+    const errors = [];
+    const entries = weekly.map((entry, index) => {
+        const weekday = parseWeekday(entry?.weekday);
+        const open = parseClock(entry?.open);
+        const close = parseClock(entry?.close);
+        if (weekday === null) {
+            errors.push(`weekly[${index}].weekday must be 0-6 (Sunday = 0) or a day name`);
+        }
+        if (open === null || close === null || open >= close) {
+            errors.push(`weekly[${index}] needs open and close as HH:MM with open before close`);
+        }
+        return { weekday, open, close };
+    });
+
+    if (!errors.length) {
+        const sorted = [...entries].sort((a, b) => a.weekday - b.weekday || a.open - b.open);
+        sorted.forEach((entry, index) => {
+            const previous = sorted[index - 1];
+            if (previous && previous.weekday === entry.weekday && entry.open < previous.close) {
+                errors.push(`Opening hours overlap on ${WEEKDAYS[entry.weekday]}`);
+            }
+        });
+    }
+
+    if (errors.length) {
+        throw httpError(400, errors.join(', '));
+    }
+    return entries;
+}
+
+function validateLastTicketMinutes(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_LAST_TICKET_MINUTES) {
+        throw httpError(400, `lastTicketMinutes must be between 0 and ${MAX_LAST_TICKET_MINUTES}, or null`);
+    }
+    return minutes || null;
+}
+
+/**
+ * Replace a service's weekly hours ({ weekday, open, close } entries, several
+ * per day allowed). An empty list means the service is always open. Leaving
+ * a field out keeps its current value.
+ */
+async function setServiceHours(serviceId, { weekly, lastTicketMinutes } = {}) {
+    await requireService(serviceId);
+    const entries = weekly === undefined ? null : validateWeekly(weekly);
+    const cutoff = lastTicketMinutes === undefined ? undefined : validateLastTicketMinutes(lastTicketMinutes);
+
+    await withTransaction(async (tx) => {
+        if (entries) {
+            await tx.run('DELETE FROM service_hours WHERE service_id = ?', [serviceId]);
+            for (const entry of entries) {
+                await tx.run(
+                    'INSERT INTO service_hours (service_id, weekday, open_time, close_time) VALUES (?, ?, ?, ?)',
+                    [serviceId, entry.weekday, formatClock(entry.open), formatClock(entry.close)]
+                );
+            }
+        }
+        if (cutoff !== undefined) {
+            await tx.run('UPDATE services SET last_ticket_minutes = ? WHERE id = ?', [cutoff, serviceId]);
+        }
+    });
+
+    return getServiceHours(serviceId);
+}
+
+const HOLIDAY_SELECT = `SELECT h.*, s.name AS service_name
+                        FROM service_holidays h
+                        LEFT JOIN services s ON s.id = h.service_id`;
+
+/**
+ * Holidays and exceptions from `from` (default today) up to `to`. With a
+ * serviceId, lists that service's entries and those for all services.
+ */
+async function listHolidays({ serviceId, from, to } = {}) {
+    const clauses = ['h.date >= ?'];
+    const params = [from ? parseDateKey(from, 'from') : localDateKey(new Date())];
+
+    if (to) {
+        clauses.push('h.date <= ?');
+        params.push(parseDateKey(to, 'to'));
+    }
+    if (serviceId !== undefined && serviceId !== '') {
+        const id = Number(serviceId);
+        if (!Number.isInteger(id) || id <= 0) {
+            throw httpError(400, 'serviceId must be a positive integer');
+        }
+        clauses.push('(h.service_id = ? OR h.service_id IS NULL)');
+        params.push(id);
+    }
+
+    const rows = await all(
+        `${HOLIDAY_SELECT} WHERE ${clauses.join(' AND ')} ORDER BY h.date, h.service_id LIMIT ${MAX_HOLIDAYS_LISTED}`,
+        params
+    );
+    return rows.map(mapHoliday);
+}
+
+/**
+ * Add a holiday ({ date, name, serviceId, open, close }). Without serviceId
+ * it applies to every service; without open/close the day is closed,
+ * otherwise those are the only hours that day.
+ */
+async function createHoliday({ date, name, serviceId, open, close } = {}) {
+    const day = parseDateKey(date);
+    const label = typeof name === 'string' && name.trim() ? name.trim().slice(0, MAX_NAME_LENGTH) : null;
+
+    let targetId = null;
+    if (serviceId !== undefined && serviceId !== null && serviceId !== '') {
+        targetId = Number(serviceId);
+        if (!Number.isInteger(targetId) || targetId <= 0) {
+            throw httpError(400, 'serviceId must be a positive integer');
+        }
+        await requireService(targetId);
+    }
+
+    let hours = [null, null];
+    if (open || close) {
+        const opensAt = parseClock(open);
+        const closesAt = parseClock(close);
+        if (opensAt === null || closesAt === null || opensAt >= closesAt) {
+            throw httpError(400, 'open and close must be HH:MM with open before close, or both left out');
+        }
+        hours = [formatClock(opensAt), formatClock(closesAt)];
+    }
+
+    const duplicate = await get(
+        'SELECT id FROM service_holidays WHERE date = ? AND service_id IS ?',
+        [day, targetId]
+    );
+    if (duplicate) {
+        throw httpError(409, 'A holiday already exists for that date');
+    }
+
+    const result = await run(
+        'INSERT INTO service_holidays (service_id, date, name, open_time, close_time) VALUES (?, ?, ?, ?, ?)',
+        [targetId, day, label, ...hours]
+    );
+    return mapHoliday(await get(`${HOLIDAY_SELECT} WHERE h.id = ?`, [result.lastID]));
+}
+
+async function deleteHoliday(holidayId) {
+    const result = await run('DELETE FROM service_holidays WHERE id = ?', [holidayId]);
+    if (!result.changes) {
+        throw httpError(404, 'Holiday not found');
+    }
+}
+
+module.exports = {
+    WEEKDAYS,
+    loadCalendar,
+    serviceStatus,
+    getServiceStatus,
+    assertAcceptingTickets,
+    assertServedBeforeClosing,
+    getServiceHours,
+    setServiceHours,
+    listHolidays,
+    createHoliday,
+    deleteHoliday
+};
@@ -0,0 +1,326 @@
+const escpos = require('escpos');
+const { run } = require('../database/dbClient');
+const { invalidateSettingsCache } = require('../database/db');
+const { qrCommands, COLUMNS } = require('./escposPrinter');
+const logger = require('../utils/logger');
+
+const SETTING_KEY = 'printer.slip_template';
+const FORMATS = ['escpos', 'html'];
+const DEFAULT_WIDTH = 58;
+const DEFAULT_ENCODING = 'cp437';
+const MAX_TEMPLATE_LENGTH = 4000;
+const MAX_VALUE_LENGTH = 200;
+
+const PLACEHOLDERS = ['number', 'service', 'wait', 'position', 'timestamp', 'branding', 'trackingUrl'];
+
+// escpos size() takes the multiplier minus one
+const SIZES = {
+    normal: 0,
+    large: 1,
+    xlarge: 2
+};
+const ALIGNMENTS = {
+    left: 'lt',
+    center: 'ct',
+    right: 'rt'
+};
+const RULES = {
+    '---': '-',
+    '===': '='
+};
+
+/**
+ * One instruction per line. Leading tags set the line's layout:
+ * [left] [center] [right], [bold], [large] [xlarge], [qr] (print the line
+ * as a QR code), [feed] (blank line) and [if:<placeholder>] (skip the line
+ * when that value is empty). "---" and "===" draw a rule across the paper.
+ * A line whose placeholders are all empty is skipped.
+ */
+const DEFAULT_SLIP_TEMPLATE = [
+    '[center][bold]{branding}',
+    '---',
+    '[center][xlarge][bold]{number}',
+    '---',
+    'Service: {service}',
+    'Estimated wait: {wait}',
+    'Position: {position}',
+    'Issued: {timestamp}',
+    '---',
+    '[center][qr]{trackingUrl}',
+    '[center][if:trackingUrl]Scan to follow your place in line',
+    '[center]Please keep this ticket'
+].join('\n');
+
+// Values used by the admin preview when no ticket is given
+const SAMPLE_SLIP = {
+    number: 'A001',
+    service: 'General Services',
+    wait: '10-15 min',
+    position: '3',
+    timestamp: '09:41',
+    trackingUrl: 'https://example.com/track/?t=sample'
+};
+
+const TAG_PATTERN = /^\[(\w+)(?::(\w+))?\]/;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+function httpError(status, message, details) {
+    const err = new Error(message);
+    err.status = status;
+    if (details) {
+        err.details = details;
+    }
+    return err;
+}
+
+function parseLine(raw, lineNumber, errors) {
+    const line = { align: 'left', bold: false, size: 'normal', kind: 'text', conditions: [] };
+    let rest = raw.trim();
+
+    if (RULES[rest]) {
+        return { ...line, kind: 'rule', fill: RULES[rest] };
+    }
+
+    let match = TAG_PATTERN.exec(rest);
+    while (match) {
+        const [tag, name, argument] = match;
+        if (ALIGNMENTS[name]) {
+            line.align = name;
+        } else if (SIZES[name] !== undefined) {
+            line.size = name;
+        } else if (name === 'bold') {
+            line.bold = true;
+        } else if (name === 'qr') {
+            line.kind = 'qr';
+        } else if (name === 'feed') {
+            line.kind = 'feed';
+        } else if (name === 'if' && PLACEHOLDERS.includes(argument)) {
+            line.conditions.push(argument);
+        } else {
+            errors.push(`Line ${lineNumber}: unknown tag ${tag}`);
+        }
+        rest = rest.slice(tag.length);
+        match = TAG_PATTERN.exec(rest);
+    }
+
+    line.text = rest;
+    line.placeholders = [...rest.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+    line.placeholders
+        .filter((name) => !PLACEHOLDERS.includes(name))
+        .forEach((name) => errors.push(`Line ${lineNumber}: unknown placeholder {${name}}`));
+
+    if (line.kind === 'qr' && !rest) {
+        errors.push(`Line ${lineNumber}: [qr] needs content, e.g. [qr]{trackingUrl}`);
+    }
+    return line;
+}
+
+/**
+ * Parse a slip template into layout lines. Throws a 400 listing every
+ * unknown tag or placeholder, so admins see all problems at once.
+ */
+function parseSlipTemplate(text) {
+    const source = String(text ?? '');
+    if (source.length > MAX_TEMPLATE_LENGTH) {
+        throw httpError(400, `Slip template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+
+    const errors = [];
+    const lines = source
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map((raw, index) => parseLine(raw, index + 1, errors));
+
+    if (errors.length) {
+        throw httpError(400, 'Invalid slip template', errors);
+    }
+    return lines;
+}
+
+// The configured template, or the built-in one when blank or broken
+function getSlipTemplate(settings = {}) {
+    const stored = settings[SETTING_KEY];
+    if (!stored || !String(stored).trim()) {
+        return DEFAULT_SLIP_TEMPLATE;
+    }
+    try {
+        parseSlipTemplate(stored);
+        return stored;
+    } catch (error) {
+        logger.warn({ details: error.details }, 'printer.slip_template is invalid; using the built-in slip');
+        return DEFAULT_SLIP_TEMPLATE;
+    }
+}
+
+function slipValues(slip, settings = {}) {
+    const values = {};
+    PLACEHOLDERS.forEach((name) => {
+        const value = name === 'branding' ? slip.branding || settings['system.name'] : slip[name];
+        values[name] = value === undefined || value === null ? '' : String(value).slice(0, MAX_VALUE_LENGTH);
+    });
+    return values;
+}
+
+// Fill placeholders; null when the line should be left out
+function resolveLine(line, values) {
+    if (line.conditions.some((name) => !values[name])) {
+        return null;
+    }
+    if (line.placeholders.length && line.placeholders.every((name) => !values[name])) {
+        return null;
+    }
+    return line.text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]);
+}
+
+function paperWidth(width) {
+    const parsed = parseInt(width, 10);
+    return COLUMNS[parsed] ? parsed : DEFAULT_WIDTH;
+}
+
+function renderEscpos(lines, values, options) {
+    const columns = COLUMNS[paperWidth(options.width)];
+    const printer = new escpos.Printer(null, { encoding: options.encoding || DEFAULT_ENCODING, width: columns });
+
+    printer.hardware('init');
+    const codePage = parseInt(options.codePage, 10);
+    if (!Number.isNaN(codePage)) {
+        printer.setCharacterCodeTable(codePage);
+    }
+
+    lines.forEach((line) => {
+        if (line.kind === 'rule') {
+            printer.align('lt').text(line.fill.repeat(columns));
+            return;
+        }
+        if (line.kind === 'feed') {
+            printer.feed(1);
+            return;
+        }
+
+        const text = resolveLine(line, values);
+        if (text === null) {
+            return;
+        }
+
+        printer.align(ALIGNMENTS[line.align]);
+        if (line.kind === 'qr') {
+            printer.raw(qrCommands(text)).feed(1);
+            return;
+        }
+        printer
+            .size(SIZES[line.size], SIZES[line.size])
+            .style(line.bold ? 'b' : 'normal')
+            .text(text)
+            .size(0, 0)
+            .style('normal');
+    });
+
+    printer.cut();
+    return printer.buffer.flush();
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// QR codes are left as data-qr placeholders; the kiosk draws them with its QR library
+function renderHtml(lines, values, options) {
+    const width = paperWidth(options.width);
+    const body = lines
+        .map((line) => {
+            if (line.kind === 'rule') {
+                return `<div class="rule rule-${line.fill === '=' ? 'double' : 'single'}"></div>`;
+            }
+            if (line.kind === 'feed') {
+                return '<div class="line">&nbsp;</div>';
+            }
+
+            const text = resolveLine(line, values);
+            if (text === null) {
+                return '';
+            }
+
+            const classes = ['line', `align-${line.align}`, `size-${line.size}`, line.bold ? 'bold' : ''].filter(Boolean);
+            if (line.kind === 'qr') {
+                return `<div class="${classes.join(' ')} qr" data-qr="${escapeHtml(text)}"><div class="qr-text">${escapeHtml(text)}</div></div>`;
+            }
+            return `<div class="${classes.join(' ')}">${escapeHtml(text) || '&nbsp;'}</div>`;
+        })
+        .filter(Boolean)
+        .join('\n    ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Ticket ${escapeHtml(values.number)}</title>
+    <style>
+        @page { size: ${width}mm 297mm; margin: 0; }
+        body { margin: 0; padding: 4mm; width: ${width - 8}mm; font-family: 'Courier New', monospace; font-size: 11pt; }
+        .line { margin: 1mm 0; word-break: break-word; }
+        .align-left { text-align: left; }
+        .align-center { text-align: center; }
+        .align-right { text-align: right; }
+        .bold { font-weight: bold; }
+        .size-large { font-size: 20pt; }
+        .size-xlarge { font-size: 44pt; line-height: 1; margin: 4mm 0; }
+        .rule { margin: 3mm 0; }
+        .rule-single { border-top: 2px dashed #000; }
+        .rule-double { border-top: 4px double #000; }
+        .qr svg { display: block; margin: 0 auto 2mm; }
+        .qr-text { font-size: 8pt; word-break: break-all; }
+    </style>
+</head>
+<body>
+    ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render a slip with the configured template (or `template` when given,
+ * for previews). `format` "escpos" returns a Buffer for printer.width
+ * paper; "html" returns a printable page.
+ */
+function renderSlip(slip, { format = 'escpos', settings = {}, template, width, encoding, codePage } = {}) {
+    if (!FORMATS.includes(format)) {
+        throw httpError(400, `format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const lines = parseSlipTemplate(template === undefined ? getSlipTemplate(settings) : template);
+    const values = slipValues(slip || {}, settings);
+    const options = { width: width || settings['printer.width'], encoding, codePage };
+
+    return format === 'html' ? renderHtml(lines, values, options) : renderEscpos(lines, values, options);
+}
+
+// Store the template; blank restores the built-in slip
+async function saveSlipTemplate(template) {
+    const text = String(template ?? '').replace(/\r\n?/g, '\n');
+    if (text.trim()) {
+        parseSlipTemplate(text);
+    }
+
+    await run(
+        `INSERT INTO settings (key, value, description, category, updated_at)
+         VALUES (?, ?, 'Ticket slip layout (blank = built-in)', 'printer', CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [SETTING_KEY, text.trim() ? text : '']
+    );
+    invalidateSettingsCache();
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    DEFAULT_SLIP_TEMPLATE,
+    SAMPLE_SLIP,
+    parseSlipTemplate,
+    getSlipTemplate,
+    renderSlip,
+    saveSlipTemplate
+};
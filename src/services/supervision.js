@@ -0,0 +1,341 @@
+const { withTransaction } = require('../database/dbClient');
+const { logEvent, EventTypes } = require('../database/events');
+const {
+    broadcastTicketCompleted,
+    broadcastQueueUpdated,
+    broadcastCounterUpdated,
+    broadcastCounterAlert
+} = require('../realtime/eventBroadcaster');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const { getCounterServiceIds, mapCounterRow } = require('./counterState');
+const { notifyTicket, TRIGGERS } = require('./notifications');
+const logger = require('../utils/logger');
+
+const REASSIGNABLE_STATES = ['waiting', 'recycled', 'parked', 'called'];
+const FORCE_CLOSE_TICKET_ACTIONS = ['requeue', 'complete'];
+const MAX_REASON_LENGTH = 200;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function normalizeReason(reason) {
+    return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+}
+
+async function releaseCounterTicket(tx, counterId, ticketId) {
+    await tx.run(
+        `UPDATE counters
+         SET current_ticket_id = NULL,
+             state = 'available'
+         WHERE id = ? AND current_ticket_id = ?`,
+        [counterId, ticketId]
+    );
+}
+
+async function moveToService(tx, ticket, serviceId, now) {
+    const target = await tx.get('SELECT id, name FROM services WHERE id = ? AND is_active = 1', [serviceId]);
+    if (!target) {
+        throw httpError(400, 'Invalid target service');
+    }
+    if (target.id === ticket.service_id) {
+        throw httpError(400, 'Ticket is already in this service');
+    }
+
+    await tx.run(
+        `UPDATE tickets
+         SET service_id = ?,
+             original_service_id = COALESCE(original_service_id, ?),
+             transferred_at = ?,
+             state = 'waiting',
+             called_at = NULL,
+             served_at = NULL,
+             parked_at = NULL,
+             parked_seconds = 0,
+             counter_id = NULL,
+             agent_id = NULL,
+             recall_count = 0
+         WHERE id = ?`,
+        [target.id, ticket.service_id, now, ticket.id]
+    );
+
+    // A called ticket leaves its counter free for the next call
+    if (ticket.state === 'called' && ticket.counter_id) {
+        await releaseCounterTicket(tx, ticket.counter_id, ticket.id);
+    }
+
+    return target;
+}
+
+async function moveParkedToCounter(tx, ticket, counterId) {
+    if (ticket.state !== 'parked') {
+        throw httpError(409, 'Only parked tickets can be moved to another counter');
+    }
+
+    const counter = await tx.get('SELECT id FROM counters WHERE id = ? AND is_active = 1', [counterId]);
+    if (!counter) {
+        throw httpError(400, 'Invalid target counter');
+    }
+    if (counter.id === ticket.counter_id) {
+        throw httpError(400, 'Ticket is already parked at this counter');
+    }
+
+    const served = await getCounterServiceIds(tx, counter.id);
+    if (served.length && !served.includes(ticket.service_id)) {
+        throw httpError(409, 'Target counter does not serve this ticket\'s service');
+    }
+
+    await tx.run('UPDATE tickets SET counter_id = ?, agent_id = NULL WHERE id = ?', [counter.id, ticket.id]);
+}
+
+/**
+ * Move a ticket to another service queue (`serviceId`) or hand a parked
+ * ticket to another counter (`counterId`). Service moves keep the
+ * ticket's place by creation time, like a transfer.
+ */
+async function reassignTicket(ticketId, { serviceId, counterId, reason, initiatedBy, io } = {}) {
+    if (Boolean(serviceId) === Boolean(counterId)) {
+        throw httpError(400, 'Provide either serviceId or counterId');
+    }
+
+    const result = await withTransaction(async (tx) => {
+        const ticket = await tx.get('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+        if (!ticket || !REASSIGNABLE_STATES.includes(ticket.state)) {
+            throw httpError(404, 'Ticket not found or already closed');
+        }
+
+        const now = new Date().toISOString();
+        let targetService = null;
+
+        if (serviceId) {
+            targetService = await moveToService(tx, ticket, serviceId, now);
+        } else {
+            await moveParkedToCounter(tx, ticket, counterId);
+        }
+
+        const serviceIds = [...new Set([ticket.service_id, targetService?.id].filter(Boolean))];
+        const queues = [];
+        for (const id of serviceIds) {
+            queues.push(await getQueueSnapshot(tx, id));
+        }
+
+        const freedCounter =
+            targetService && ticket.state === 'called' && ticket.counter_id
+                ? await tx.get('SELECT * FROM counters WHERE id = ?', [ticket.counter_id])
+                : null;
+
+        return {
+            ticket: {
+                id: ticket.id,
+                ticketNumber: ticket.ticket_number,
+                previousState: ticket.state,
+                state: targetService ? 'waiting' : ticket.state,
+                fromServiceId: ticket.service_id,
+                toServiceId: targetService ? targetService.id : ticket.service_id,
+                toServiceName: targetService ? targetService.name : null,
+                fromCounterId: ticket.counter_id || null,
+                toCounterId: targetService ? null : counterId,
+                reassignedAt: now
+            },
+            freedCounter: freedCounter ? mapCounterRow(freedCounter) : null,
+            queues
+        };
+    });
+
+    const { ticket } = result;
+
+    logEvent(
+        EventTypes.TICKET_REASSIGNED,
+        'ticket',
+        ticket.id,
+        {
+            ticketNumber: ticket.ticketNumber,
+            previousState: ticket.previousState,
+            fromServiceId: ticket.fromServiceId,
+            toServiceId: ticket.toServiceId,
+            fromCounterId: ticket.fromCounterId,
+            toCounterId: ticket.toCounterId,
+            reason: normalizeReason(reason),
+            initiatedBy
+        },
+        null,
+        ticket.fromCounterId
+    ).catch((err) => logger.error({ err }, 'Event logging failed for ticket reassignment'));
+
+    if (io) {
+        result.queues.forEach((queue) => broadcastQueueUpdated(io, queue.serviceId, queue));
+
+        const affectedCounters = [ticket.fromCounterId, ticket.toCounterId].filter(Boolean);
+        affectedCounters.forEach((id) =>
+            broadcastCounterAlert(io, id, `Ticket ${ticket.ticketNumber} was reassigned by a supervisor`, 'info', {
+                ticketId: ticket.id,
+                reason: 'reassigned'
+            })
+        );
+
+        if (result.freedCounter) {
+            broadcastCounterUpdated(io, result.freedCounter);
+        }
+    }
+
+    if (serviceId) {
+        notifyTicket(ticket.id, TRIGGERS.TRANSFERRED);
+    }
+
+    return result;
+}
+
+/**
+ * Close a counter on behalf of its agent: the ticket being served is
+ * returned to its queue or completed, the agent's session is ended and
+ * the counter goes offline. Parked tickets stay with the counter.
+ */
+async function forceCloseCounter(counterId, { ticketAction = 'requeue', reason, initiatedBy, io } = {}) {
+    if (!FORCE_CLOSE_TICKET_ACTIONS.includes(ticketAction)) {
+        throw httpError(400, `ticketAction must be one of ${FORCE_CLOSE_TICKET_ACTIONS.join(', ')}`);
+    }
+
+    const result = await withTransaction(async (tx) => {
+        const counter = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+        if (!counter) {
+            throw httpError(404, 'Counter not found');
+        }
+
+        const now = new Date();
+        const nowIso = now.toISOString();
+        let ticket = null;
+
+        if (counter.current_ticket_id) {
+            ticket = await tx.get(
+                `SELECT t.*, s.name AS service_name
+                 FROM tickets t
+                 JOIN services s ON s.id = t.service_id
+                 WHERE t.id = ? AND t.state = 'called'`,
+                [counter.current_ticket_id]
+            );
+        }
+
+        if (ticket && ticketAction === 'complete') {
+            const servedAt = ticket.served_at || ticket.called_at;
+            const actualWait =
+                ticket.created_at && servedAt
+                    ? Math.floor((new Date(servedAt) - new Date(ticket.created_at)) / 1000)
+                    : null;
+            const serviceDuration = servedAt
+                ? Math.max(0, Math.floor((now - new Date(servedAt)) / 1000) - (ticket.parked_seconds || 0))
+                : null;
+
+            await tx.run(
+                `UPDATE tickets
+                 SET state = 'completed',
+                     completed_at = ?,
+                     actual_wait = ?,
+                     service_duration = ?
+                 WHERE id = ?`,
+                [nowIso, actualWait, serviceDuration, ticket.id]
+            );
+        } else if (ticket) {
+            await tx.run(
+                `UPDATE tickets
+                 SET state = 'waiting',
+                     called_at = NULL,
+                     served_at = NULL,
+                     parked_seconds = 0,
+                     counter_id = NULL,
+                     agent_id = NULL,
+                     recall_count = 0
+                 WHERE id = ?`,
+                [ticket.id]
+            );
+        }
+
+        const sessions = await tx.all(
+            'SELECT agent_id FROM sessions WHERE counter_id = ? AND is_active = 1',
+            [counterId]
+        );
+
+        await tx.run(
+            'UPDATE sessions SET is_active = 0, logout_at = ? WHERE counter_id = ? AND is_active = 1',
+            [nowIso, counterId]
+        );
+
+        await tx.run(
+            `UPDATE counters
+             SET current_ticket_id = NULL,
+                 current_agent_id = NULL,
+                 state = 'offline',
+                 break_reason = NULL,
+                 break_until = NULL,
+                 state_changed_at = ?
+             WHERE id = ?`,
+            [nowIso, counterId]
+        );
+
+        const updated = await tx.get('SELECT * FROM counters WHERE id = ?', [counterId]);
+        const queue = ticket ? await getQueueSnapshot(tx, ticket.service_id) : null;
+
+        return {
+            counter: mapCounterRow(updated),
+            previousState: counter.state || 'offline',
+            signedOutAgentIds: sessions.map((row) => row.agent_id),
+            ticket: ticket
+                ? {
+                      id: ticket.id,
+                      ticketNumber: ticket.ticket_number,
+                      serviceId: ticket.service_id,
+                      serviceName: ticket.service_name,
+                      state: ticketAction === 'complete' ? 'completed' : 'waiting',
+                      counterId,
+                      completedAt: ticketAction === 'complete' ? nowIso : null
+                  }
+                : null,
+            queue
+        };
+    });
+
+    const { counter, ticket } = result;
+
+    logEvent(
+        EventTypes.COUNTER_STATE_CHANGED,
+        'counter',
+        counter.id,
+        {
+            action: 'force_close',
+            counterNumber: counter.number,
+            previousState: result.previousState,
+            state: counter.state,
+            ticketId: ticket?.id || null,
+            ticketNumber: ticket?.ticketNumber || null,
+            ticketAction: ticket ? ticketAction : null,
+            signedOutAgents: result.signedOutAgentIds,
+            reason: normalizeReason(reason),
+            initiatedBy
+        },
+        null,
+        counter.id
+    ).catch((err) => logger.error({ err }, 'Event logging failed for forced counter close'));
+
+    if (io) {
+        broadcastCounterAlert(io, counter.id, 'This counter was closed by a supervisor', 'warning', {
+            signedOut: true,
+            reason: normalizeReason(reason)
+        });
+        broadcastCounterUpdated(io, counter);
+
+        if (ticket) {
+            if (ticket.state === 'completed') {
+                broadcastTicketCompleted(io, ticket, result.queue);
+            }
+            broadcastQueueUpdated(io, ticket.serviceId, result.queue);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    reassignTicket,
+    forceCloseCounter
+};
@@ -3,7 +3,10 @@ const { withTransaction } = require('../database/dbClient');
 const { broadcastQueueUpdated, broadcastSystemAlert } = require('../realtime/eventBroadcaster');
 const { logEvent, EventTypes } = require('../database/events');
 const logger = require('../utils/logger');
-const { invalidateSettingsCache } = require('../database/db');
+const { getSettings, invalidateSettingsCache } = require('../database/db');
+const ticketArchive = require('./ticketArchive');
+const { formatTicketNumber, isTicketNumberActive } = require('./ticketNumbering');
+const { getQueueSnapshot } = require('./queueSnapshot');
 
 const RESET_TIME_KEY = 'config.reset_time';
 const RESET_ENABLED_KEY = 'config.daily_reset';
@@ -200,13 +203,16 @@ async function performSystemReset({ reason = 'manual', initiatedBy = 'admin', si
             const ticketRow = await tx.get('SELECT COUNT(*) as total FROM tickets');
             const deletedTickets = ticketRow?.total || 0;
 
+            // History moves to ticket_archive. Ticket ids keep increasing across
+            // resets so archived rows and their events stay unambiguous.
+            const archivedTickets = await ticketArchive.archiveTickets(tx, { reason });
+
             await tx.run(
                 `UPDATE counters
                  SET current_ticket_id = NULL,
                      state = CASE WHEN state = 'serving' THEN 'available' ELSE state END`
             );
             await tx.run('DELETE FROM tickets');
-            await tx.run("DELETE FROM sqlite_sequence WHERE name = 'tickets'");
             await tx.run('UPDATE services SET current_number = 0');
 
             const services = await tx.all(
@@ -215,10 +221,20 @@ async function performSystemReset({ reason = 'manual', initiatedBy = 'admin', si
 
             return {
                 deletedTickets,
+                archivedTickets,
                 services
             };
         });
 
+        try {
+            const settings = await getSettings();
+            result.purgedHistory = await ticketArchive.purgeExpiredArchive(
+                ticketArchive.getRetentionDays(settings)
+            );
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to purge expired ticket history');
+        }
+
         lastResetAt = new Date().toISOString();
         lastResetReason = reason;
         lastResetSummary = result;
@@ -226,6 +242,8 @@ async function performSystemReset({ reason = 'manual', initiatedBy = 'admin', si
         logEvent(EventTypes.SYSTEM_RESET, 'system', 0, {
             reason,
             deletedTickets: result.deletedTickets,
+            archivedTickets: result.archivedTickets,
+            purgedHistory: result.purgedHistory || 0,
             timestamp: lastResetAt,
             initiatedBy
         }).catch((err) => logger.error({ err }, 'Failed to log system reset event'));
@@ -293,38 +311,22 @@ async function presetServiceQueue({
             throw new Error('Service not found or inactive');
         }
 
-        const baseQueueRow =
-            (await tx.get(
-                `SELECT COUNT(*) as waiting
-                 FROM tickets
-                 WHERE service_id = ?
-                   AND state IN ('waiting', 'recycled', 'called')`,
-                [serviceId]
-            )) || {};
-
-        const existingWaiting = baseQueueRow.waiting || 0;
-        const estimatedServiceTime = service.estimated_service_time || 300;
-
         const insertedTickets = [];
         const skippedTickets = [];
 
+        const issuedOn = new Date();
+
         for (let i = 1; i <= count; i += 1) {
             const numberValue = startNumber + i;
-            const ticketNumber = `${service.prefix}${String(numberValue).padStart(3, '0')}`;
+            const ticketNumber = formatTicketNumber(service, numberValue, issuedOn);
 
-            const alreadyExists = await tx.get(
-                'SELECT id FROM tickets WHERE service_id = ? AND ticket_number = ?',
-                [serviceId, ticketNumber]
-            );
-
-            if (alreadyExists) {
+            // Same rule as kiosk issuance: no two active tickets share a number
+            if (await isTicketNumberActive(tx, ticketNumber)) {
                 skippedTickets.push(ticketNumber);
                 continue;
             }
 
-            const queuePosition = existingWaiting + insertedTickets.length;
             const createdAt = new Date(Date.now() + insertedTickets.length).toISOString();
-            const estimatedWait = estimatedServiceTime * queuePosition;
 
             const insertResult = await tx.run(
                 `INSERT INTO tickets (
@@ -332,10 +334,9 @@ async function presetServiceQueue({
                     service_id,
                     state,
                     priority,
-                    created_at,
-                    estimated_wait
-                ) VALUES (?, ?, 'waiting', ?, ?, ?)`,
-                [ticketNumber, serviceId, priority, createdAt, estimatedWait]
+                    created_at
+                ) VALUES (?, ?, 'waiting', ?, ?)`,
+                [ticketNumber, serviceId, priority, createdAt]
             );
 
             insertedTickets.push({
@@ -354,28 +355,13 @@ async function presetServiceQueue({
             serviceId
         ]);
 
-        const queueRows = await tx.all(
-            `SELECT id,
-                    ticket_number,
-                    priority,
-                    created_at,
-                    estimated_wait,
-                    state
-             FROM tickets
-             WHERE service_id = ?
-               AND state = 'waiting'
-             ORDER BY priority DESC, created_at ASC`,
-            [serviceId]
-        );
-
-        const servingRow =
-            (await tx.get(
-                `SELECT COUNT(*) as serving
-                 FROM tickets
-                 WHERE service_id = ?
-                   AND state = 'called'`,
-                [serviceId]
-            )) || {};
+        // Waits are quoted from the queue as call-next will draw it, like kiosk tickets
+        const queue = await getQueueSnapshot(tx, serviceId);
+        for (const inserted of insertedTickets) {
+            const queued = queue.tickets.find((ticket) => ticket.id === inserted.id);
+            inserted.estimated_wait = queued ? queued.estimatedWait : queue.estimate.seconds;
+            await tx.run('UPDATE tickets SET estimated_wait = ? WHERE id = ?', [inserted.estimated_wait, inserted.id]);
+        }
 
         return {
             insertedTickets,
@@ -386,20 +372,7 @@ async function presetServiceQueue({
                 prefix: service.prefix
             },
             finalNumber: newCurrentNumber,
-            queueSnapshot: {
-                serviceId,
-                waiting: queueRows.length,
-                serving: servingRow.serving || 0,
-                tickets: queueRows.map((row) => ({
-                    id: row.id,
-                    ticket_number: row.ticket_number,
-                    number: row.ticket_number,
-                    priority: row.priority,
-                    created_at: row.created_at,
-                    estimated_wait: row.estimated_wait,
-                    state: row.state
-                }))
-            }
+            queueSnapshot: queue
         };
     });
 
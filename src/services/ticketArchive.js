@@ -0,0 +1,152 @@
+const { all, get, run } = require('../database/dbClient');
+const logger = require('../utils/logger');
+
+const RETENTION_KEY = 'config.data_retention_days';
+const DEFAULT_RETENTION_DAYS = 365;
+const MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns only the archive has; everything else is copied from tickets
+const ARCHIVE_ONLY_COLUMNS = new Set(['business_day', 'archived_at', 'archive_reason']);
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+async function getColumnNames(tx, table) {
+    const rows = await tx.all(`PRAGMA table_info(${table})`);
+    return rows.map((row) => row.name);
+}
+
+/**
+ * Copy every ticket into ticket_archive inside the caller's transaction.
+ * Only columns present in both tables are copied, so a ticket column added
+ * later without a matching archive column is dropped rather than failing
+ * the reset.
+ */
+async function archiveTickets(tx, { reason = 'manual', archivedAt = new Date().toISOString() } = {}) {
+    const [ticketColumns, archiveColumns] = await Promise.all([
+        getColumnNames(tx, 'tickets'),
+        getColumnNames(tx, 'ticket_archive')
+    ]);
+
+    const archiveSet = new Set(archiveColumns);
+    const shared = ticketColumns.filter(
+        (column) => archiveSet.has(column) && !ARCHIVE_ONLY_COLUMNS.has(column)
+    );
+    const columnList = shared.join(', ');
+
+    const result = await tx.run(
+        `INSERT OR REPLACE INTO ticket_archive (${columnList}, business_day, archived_at, archive_reason)
+         SELECT ${columnList}, COALESCE(DATE(created_at), DATE(?)), ?, ?
+         FROM tickets`,
+        [archivedAt, archivedAt, reason]
+    );
+
+    return result.changes || 0;
+}
+
+function getRetentionDays(settings = {}) {
+    const parsed = parseInt(settings[RETENTION_KEY], 10);
+    return Number.isNaN(parsed) || parsed < 0 ? DEFAULT_RETENTION_DAYS : parsed;
+}
+
+/**
+ * Delete archived tickets whose business day is older than the retention
+ * window. A retention of 0 keeps history forever.
+ */
+async function purgeExpiredArchive(retentionDays) {
+    if (!retentionDays) {
+        return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString().slice(0, 10);
+    const result = await run('DELETE FROM ticket_archive WHERE business_day < ?', [cutoff]);
+    const purged = result.changes || 0;
+
+    if (purged) {
+        logger.info({ purged, cutoff, retentionDays }, 'Purged expired ticket history');
+    }
+
+    return purged;
+}
+
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Page through archived tickets, newest business day first.
+ */
+async function queryArchive(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from !== undefined) {
+        if (!isDateKey(filters.from)) {
+            throw httpError(400, '"from" must use the YYYY-MM-DD format');
+        }
+        conditions.push('a.business_day >= ?');
+        params.push(filters.from);
+    }
+
+    if (filters.to !== undefined) {
+        if (!isDateKey(filters.to)) {
+            throw httpError(400, '"to" must use the YYYY-MM-DD format');
+        }
+        conditions.push('a.business_day <= ?');
+        params.push(filters.to);
+    }
+
+    if (filters.serviceId !== undefined) {
+        const serviceId = Number(filters.serviceId);
+        if (!Number.isInteger(serviceId) || serviceId <= 0) {
+            throw httpError(400, 'serviceId must be a positive integer');
+        }
+        conditions.push('a.service_id = ?');
+        params.push(serviceId);
+    }
+
+    if (filters.state) {
+        conditions.push('a.state = ?');
+        params.push(String(filters.state));
+    }
+
+    if (filters.ticketNumber) {
+        conditions.push('a.ticket_number = ?');
+        params.push(String(filters.ticketNumber).toUpperCase());
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [totalRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM ticket_archive a ${where}`, params),
+        all(
+            `SELECT a.*, s.name AS service_name
+             FROM ticket_archive a
+             LEFT JOIN services s ON s.id = a.service_id
+             ${where}
+             ORDER BY a.business_day DESC, a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        )
+    ]);
+
+    return {
+        total: totalRow?.total || 0,
+        limit,
+        offset,
+        tickets: rows
+    };
+}
+
+module.exports = {
+    archiveTickets,
+    getRetentionDays,
+    purgeExpiredArchive,
+    queryArchive
+};
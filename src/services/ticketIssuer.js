@@ -0,0 +1,140 @@
+const { getIssueTrackingFields } = require('./ticketTracking');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const { notifyTicket, TRIGGERS } = require('./notifications');
+const { broadcastTicketCreated } = require('../realtime/eventBroadcaster');
+const { takeNextNumber } = require('./ticketNumbering');
+const { getServiceStatus, assertAcceptingTickets, assertServedBeforeClosing } = require('./serviceHours');
+const { assertQueueCapacity, refreshQueueCapacity } = require('./queueCapacity');
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Take the next number for a service and insert a waiting ticket, inside
+ * the caller's transaction. Shared by walk-in tickets and appointment
+ * check-ins so both draw from the same number range. Walk-in tickets are
+ * refused outside the service's hours, when the wait runs past closing or
+ * while the queue is full; appointments keep the slot they booked.
+ */
+async function issueTicket(tx, payload) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const service = await tx.get(
+        'SELECT * FROM services WHERE id = ? AND is_active = 1',
+        [payload.serviceId]
+    );
+
+    if (!service) {
+        throw httpError(404, 'Service not found or inactive');
+    }
+
+    const hours = payload.appointmentId ? null : await getServiceStatus(tx, service, now);
+    if (hours) {
+        assertAcceptingTickets(hours);
+        await assertQueueCapacity(tx, service, now);
+    }
+
+    const { value: nextNumber, ticketNumber } = await takeNextNumber(tx, service);
+
+    await tx.run(
+        'UPDATE services SET current_number = ? WHERE id = ?',
+        [nextNumber, payload.serviceId]
+    );
+
+    const tracking = await getIssueTrackingFields();
+
+    const insertResult = await tx.run(
+        `INSERT INTO tickets (
+            ticket_number,
+            service_id,
+            state,
+            customer_name,
+            customer_phone,
+            customer_email,
+            priority,
+            appointment_id,
+            tracking_token,
+            language
+        ) VALUES (?, ?, 'waiting', ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            ticketNumber,
+            payload.serviceId,
+            payload.customerName,
+            payload.customerPhone,
+            payload.customerEmail,
+            payload.priority,
+            payload.appointmentId || null,
+            tracking.trackingToken,
+            payload.language || null
+        ]
+    );
+
+    // Position and ETA come from the queue as call-next will draw it, so a
+    // priority ticket is quoted its place ahead of normal tickets
+    const ticketId = insertResult.lastID;
+    const queue = await getQueueSnapshot(tx, payload.serviceId);
+    const index = queue.tickets.findIndex((ticket) => ticket.id === ticketId);
+    const waitEstimate = index >= 0 ? queue.tickets[index].waitEstimate : queue.estimate;
+    const estimatedWait = waitEstimate.seconds;
+
+    if (hours) {
+        assertServedBeforeClosing(hours, estimatedWait, now);
+    }
+
+    await tx.run('UPDATE tickets SET estimated_wait = ? WHERE id = ?', [estimatedWait, ticketId]);
+
+    return {
+        service,
+        ticket: {
+            id: ticketId,
+            ticketNumber,
+            serviceId: payload.serviceId,
+            serviceName: service.name,
+            state: 'waiting',
+            priority: payload.priority,
+            estimatedWait,
+            estimatedWaitMinutes: waitEstimate.minutes,
+            waitEstimate,
+            createdAt: nowIso,
+            queuePosition: index >= 0 ? index + 1 : queue.waiting,
+            customerName: payload.customerName || 'Anonymous',
+            trackingToken: tracking.trackingToken,
+            trackingUrl: tracking.trackingUrl
+        },
+        queue
+    };
+}
+
+/**
+ * Tell displays and the customer about a ticket once its transaction has
+ * committed: a ticket-created broadcast with the new queue, then the
+ * "created" notification. Also re-checks queue caps, which can only be
+ * updated outside the transaction.
+ */
+function announceIssuedTicket(io, result) {
+    if (io) {
+        broadcastTicketCreated(
+            io,
+            {
+                id: result.ticket.id,
+                ticketNumber: result.ticket.ticketNumber,
+                serviceId: result.ticket.serviceId,
+                serviceName: result.service.name,
+                state: 'waiting',
+                customerName: result.ticket.customerName,
+                createdAt: result.ticket.createdAt
+            },
+            result.queue
+        );
+    }
+    notifyTicket(result.ticket.id, TRIGGERS.CREATED);
+    refreshQueueCapacity();
+}
+
+module.exports = {
+    issueTicket,
+    announceIssuedTicket
+};
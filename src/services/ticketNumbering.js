@@ -0,0 +1,218 @@
+/**
+ * Per-service ticket numbering: a pattern such as "{prefix}-{yy}{mm}{dd}-{number}"
+ * and what happens when the range runs out. Numbers are only reused once
+ * the ticket holding them is no longer active.
+ */
+
+const ROLLOVER_POLICIES = ['stop', 'wrap', 'overflow'];
+const DEFAULT_FORMAT = '{prefix}{number}';
+const DEFAULT_PADDING = 3;
+const MAX_PADDING = 8;
+const MAX_FORMAT_LENGTH = 40;
+
+// Tickets that still hold their number; completed and no-show numbers may be reused
+const ACTIVE_STATES = ['waiting', 'called', 'serving', 'parked', 'recycled'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9 ._/#-]*$/;
+const DATE_TOKENS = ['yyyy', 'yy', 'mm', 'dd'];
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function pad(value, width) {
+    return String(value).padStart(width, '0');
+}
+
+/**
+ * Problems with a number pattern, empty when it is valid. Patterns use
+ * {prefix}, {number} or {number:<width>}, the date segments {yyyy} {yy}
+ * {mm} {dd}, and letters, digits, spaces or . _ / # - as separators.
+ */
+function validateNumberFormat(format) {
+    const errors = [];
+    if (format.length > MAX_FORMAT_LENGTH) {
+        errors.push(`Number format must be at most ${MAX_FORMAT_LENGTH} characters`);
+    }
+
+    let hasNumber = false;
+    for (const [, name, width] of format.matchAll(TOKEN_PATTERN)) {
+        if (name === 'number') {
+            hasNumber = true;
+            if (width !== undefined && (Number(width) < 1 || Number(width) > MAX_PADDING)) {
+                errors.push(`{number:<width>} width must be between 1 and ${MAX_PADDING}`);
+            }
+        } else if (name !== 'prefix' && !DATE_TOKENS.includes(name)) {
+            errors.push(`Unknown number format segment {${name}}`);
+        } else if (width !== undefined) {
+            errors.push(`Only {number} takes a width, not {${name}}`);
+        }
+    }
+
+    if (!hasNumber) {
+        errors.push('Number format must contain {number}');
+    }
+    if (!LITERAL_PATTERN.test(format.replace(TOKEN_PATTERN, ''))) {
+        errors.push('Number format separators may only be letters, digits, spaces or . _ / # -');
+    }
+    return errors;
+}
+
+/**
+ * Ticket number for one counter value, following the service's pattern and
+ * padding. Date segments use the server's local date.
+ */
+function formatTicketNumber(service, value, date = new Date()) {
+    const format = service.number_format || DEFAULT_FORMAT;
+    const padding = service.number_padding || DEFAULT_PADDING;
+    const segments = {
+        prefix: service.prefix || '',
+        yyyy: String(date.getFullYear()),
+        yy: pad(date.getFullYear() % 100, 2),
+        mm: pad(date.getMonth() + 1, 2),
+        dd: pad(date.getDate(), 2)
+    };
+
+    return format.replace(TOKEN_PATTERN, (match, name, width) =>
+        name === 'number' ? pad(value, width ? Number(width) : padding) : segments[name]
+    );
+}
+
+function hasOverflowRange(service) {
+    return service.rollover_policy === 'overflow'
+        && Number.isInteger(service.overflow_start)
+        && Number.isInteger(service.overflow_end);
+}
+
+function inOverflowRange(service, value) {
+    return hasOverflowRange(service) && value >= service.overflow_start && value <= service.overflow_end;
+}
+
+// The value after `value`, or null when the policy has nowhere left to go
+function advance(service, value) {
+    const rangeStart = service.range_start ?? 1;
+    const rangeEnd = service.range_end;
+
+    if (inOverflowRange(service, value)) {
+        return value < service.overflow_end ? value + 1 : null;
+    }
+    if (!rangeEnd || value < rangeEnd) {
+        return Math.max(value + 1, rangeStart);
+    }
+    if (service.rollover_policy === 'wrap') {
+        return rangeStart;
+    }
+    if (hasOverflowRange(service)) {
+        return service.overflow_start;
+    }
+    return null;
+}
+
+async function isTicketNumberActive(tx, ticketNumber) {
+    const placeholders = ACTIVE_STATES.map(() => '?').join(', ');
+    const row = await tx.get(
+        `SELECT id FROM tickets WHERE ticket_number = ? AND state IN (${placeholders}) LIMIT 1`,
+        [ticketNumber, ...ACTIVE_STATES]
+    );
+    return Boolean(row);
+}
+
+/**
+ * Next free number for a service, inside the caller's transaction. Walks
+ * the range from current_number, skipping numbers an active ticket still
+ * holds, and applies the rollover policy at range_end: stop (409), wrap to
+ * range_start, or continue in the overflow range. The caller stores
+ * `value` as the service's current_number.
+ */
+async function takeNextNumber(tx, service, date = new Date()) {
+    const rangeStart = service.range_start ?? 1;
+    const rangeSize = service.range_end ? service.range_end - rangeStart + 1 : 0;
+    const overflowSize = hasOverflowRange(service) ? service.overflow_end - service.overflow_start + 1 : 0;
+    const maxSteps = rangeSize + overflowSize || Number.MAX_SAFE_INTEGER;
+
+    let value = Math.max(service.current_number ?? 0, rangeStart - 1);
+    for (let step = 0; step < maxSteps; step += 1) {
+        value = advance(service, value);
+        if (value === null) {
+            throw httpError(409, 'Service ticket range exhausted');
+        }
+
+        const ticketNumber = formatTicketNumber(service, value, date);
+        if (!(await isTicketNumberActive(tx, ticketNumber))) {
+            return { value, ticketNumber };
+        }
+    }
+    throw httpError(409, 'Every ticket number in the service range is in use');
+}
+
+function parseOptionalInt(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+/**
+ * Numbering fields of a service create/update body. Fields left out keep
+ * the `current` row's values (defaults on create). Returns `{ errors, data }`.
+ */
+function validateNumberingPolicy(body = {}, { rangeStart, rangeEnd, current = {} } = {}) {
+    const pick = (snake, camel) => {
+        const value = body[snake] ?? body[camel];
+        return value === undefined ? current[snake] : value;
+    };
+
+    const errors = [];
+    const format = String(pick('number_format', 'numberFormat') || DEFAULT_FORMAT).trim();
+    const padding = parseOptionalInt(pick('number_padding', 'numberPadding')) ?? DEFAULT_PADDING;
+    const policy = pick('rollover_policy', 'rolloverPolicy') || 'stop';
+    const overflowStart = parseOptionalInt(pick('overflow_start', 'overflowStart'));
+    const overflowEnd = parseOptionalInt(pick('overflow_end', 'overflowEnd'));
+
+    errors.push(...validateNumberFormat(format));
+
+    if (Number.isNaN(padding) || padding < 1 || padding > MAX_PADDING) {
+        errors.push(`Number padding must be between 1 and ${MAX_PADDING}`);
+    }
+    if (!ROLLOVER_POLICIES.includes(policy)) {
+        errors.push(`Rollover policy must be one of ${ROLLOVER_POLICIES.join(', ')}`);
+    }
+
+    if (policy === 'overflow') {
+        if (!Number.isInteger(overflowStart) || !Number.isInteger(overflowEnd) || overflowStart < 1) {
+            errors.push('Overflow start and end must be positive integers');
+        } else if (overflowStart > overflowEnd) {
+            errors.push('Overflow end must not be less than overflow start');
+        } else if (overflowStart <= rangeEnd && overflowEnd >= rangeStart) {
+            errors.push('Overflow range must not overlap the ticket range');
+        }
+    } else if (Number.isNaN(overflowStart) || Number.isNaN(overflowEnd)) {
+        errors.push('Overflow start and end must be integers');
+    }
+
+    return {
+        errors,
+        data: {
+            number_format: format === DEFAULT_FORMAT ? null : format,
+            number_padding: padding,
+            rollover_policy: policy,
+            overflow_start: overflowStart,
+            overflow_end: overflowEnd
+        }
+    };
+}
+
+module.exports = {
+    ROLLOVER_POLICIES,
+    DEFAULT_FORMAT,
+    ACTIVE_STATES,
+    validateNumberFormat,
+    formatTicketNumber,
+    isTicketNumberActive,
+    takeNextNumber,
+    validateNumberingPolicy
+};
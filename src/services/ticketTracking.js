@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { get, getClient } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const { getQueueSnapshot } = require('./queueSnapshot');
+const { OUTBOUND_EVENTS } = require('../realtime/eventTypes');
+const logger = require('../utils/logger');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const ROOM_PREFIX = 'ticket-';
+const TRACK_PAGE_PATH = '/track/';
+const REFRESH_DEBOUNCE_MS = 300;
+
+const WAITING_STATES = ['waiting', 'recycled'];
+
+const TICKET_COLUMNS = `t.id, t.ticket_number, t.service_id, t.state, t.priority,
+                        t.created_at, t.called_at, t.completed_at, t.counter_id,
+                        s.name AS service_name,
+                        c.number AS counter_number, c.name AS counter_name`;
+
+// Last status pushed to each tracked room, so refreshes only emit changes
+const lastSent = new Map();
+let refreshTimer = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function createTrackingToken() {
+    return crypto.randomBytes(16).toString('base64url');
+}
+
+function isValidToken(token) {
+    return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+function trackingRoom(token) {
+    return `${ROOM_PREFIX}${token}`;
+}
+
+/**
+ * Link printed on the slip. config.public_base_url makes it absolute for
+ * phones outside the kiosk network; otherwise it is relative to the kiosk.
+ */
+function buildTrackingUrl(token, settings = {}) {
+    const base = String(settings['config.public_base_url'] || '').trim().replace(/\/+$/, '');
+    return `${base}${TRACK_PAGE_PATH}?t=${encodeURIComponent(token)}`;
+}
+
+async function findTicketByToken(token) {
+    const live = await get(
+        `SELECT ${TICKET_COLUMNS}
+         FROM tickets t
+         JOIN services s ON s.id = t.service_id
+         LEFT JOIN counters c ON c.id = t.counter_id
+         WHERE t.tracking_token = ?`,
+        [token]
+    );
+    if (live) {
+        return live;
+    }
+
+    // Tickets moved out by a daily reset keep their final state
+    return get(
+        `SELECT ${TICKET_COLUMNS}
+         FROM ticket_archive t
+         JOIN services s ON s.id = t.service_id
+         LEFT JOIN counters c ON c.id = t.counter_id
+         WHERE t.tracking_token = ?
+         ORDER BY t.archived_at DESC
+         LIMIT 1`,
+        [token]
+    );
+}
+
+function describeStatus(row, position) {
+    const counterLabel = row.counter_name || `Counter ${row.counter_number}`;
+
+    switch (row.state) {
+        case 'waiting':
+        case 'recycled':
+            return position === 1 ? 'You are next in line' : `You are number ${position} in line`;
+        case 'called':
+        case 'serving':
+            return `You are being called to counter ${row.counter_number}`;
+        case 'parked':
+            return `Your ticket is on hold at ${counterLabel}`;
+        case 'completed':
+            return 'Your visit is complete. Thank you!';
+        case 'no_show':
+            return 'Your ticket was not answered and has been closed';
+        default:
+            return 'Your ticket is no longer active';
+    }
+}
+
+async function buildStatus(row, snapshots) {
+    let position = null;
+    let ahead = null;
+    let waitEstimate = null;
+
+    if (WAITING_STATES.includes(row.state)) {
+        if (!snapshots.has(row.service_id)) {
+            snapshots.set(row.service_id, await getQueueSnapshot(getClient(), row.service_id));
+        }
+        const snapshot = snapshots.get(row.service_id);
+        const index = snapshot.tickets.findIndex((ticket) => ticket.id === row.id);
+        ahead = index >= 0 ? index : snapshot.tickets.length;
+        position = ahead + 1;
+        waitEstimate = index >= 0 ? snapshot.tickets[index].waitEstimate : snapshot.estimate;
+    }
+
+    const atCounter = ['called', 'serving', 'parked'].includes(row.state) && row.counter_id;
+
+    return {
+        ticketNumber: row.ticket_number,
+        serviceId: row.service_id,
+        serviceName: row.service_name,
+        state: row.state,
+        position,
+        ahead,
+        estimatedWaitSeconds: waitEstimate ? waitEstimate.seconds : null,
+        estimatedWaitMinutes: waitEstimate ? waitEstimate.minutes : null,
+        estimatedWaitRange: waitEstimate
+            ? { lowMinutes: waitEstimate.lowMinutes, highMinutes: waitEstimate.highMinutes }
+            : null,
+        confidence: waitEstimate ? waitEstimate.confidence : null,
+        counter: atCounter
+            ? { id: row.counter_id, number: row.counter_number, name: row.counter_name }
+            : null,
+        calledAt: row.called_at || null,
+        completedAt: row.completed_at || null,
+        createdAt: row.created_at,
+        message: describeStatus(row, position)
+    };
+}
+
+/**
+ * Public view of one ticket by its tracking token: queue position, wait
+ * estimate and the counter it is called to. Customer details are never
+ * included.
+ */
+async function getTicketStatus(token, snapshots = new Map()) {
+    if (!isValidToken(token)) {
+        throw httpError(404, 'Ticket not found');
+    }
+
+    const row = await findTicketByToken(token);
+    if (!row) {
+        throw httpError(404, 'Ticket not found');
+    }
+
+    const status = await buildStatus(row, snapshots);
+    return { ...status, updatedAt: new Date().toISOString() };
+}
+
+function trackedTokens(namespace) {
+    const tokens = [];
+    for (const room of namespace.adapter.rooms.keys()) {
+        if (room.startsWith(ROOM_PREFIX)) {
+            tokens.push(room.slice(ROOM_PREFIX.length));
+        }
+    }
+    return tokens;
+}
+
+async function refreshTrackedTickets(io) {
+    const namespace = io.of('/customer');
+    const tokens = trackedTokens(namespace);
+
+    for (const token of lastSent.keys()) {
+        if (!tokens.includes(token)) {
+            lastSent.delete(token);
+        }
+    }
+
+    // Tickets in the same service share one snapshot per refresh
+    const snapshots = new Map();
+    for (const token of tokens) {
+        try {
+            const { updatedAt, ...status } = await getTicketStatus(token, snapshots);
+            const fingerprint = JSON.stringify(status);
+            if (lastSent.get(token) === fingerprint) {
+                continue;
+            }
+            lastSent.set(token, fingerprint);
+            namespace.to(trackingRoom(token)).emit(OUTBOUND_EVENTS.TICKET_STATUS, { ...status, updatedAt });
+        } catch (error) {
+            if (error.status !== 404) {
+                logger.error({ err: error }, 'Failed to refresh tracked ticket');
+            }
+        }
+    }
+}
+
+/**
+ * Queue changes arrive in bursts (call + queue update + counter update),
+ * so tracked tickets are recomputed once per burst.
+ */
+function scheduleTrackingRefresh(io) {
+    if (!io || refreshTimer) {
+        return;
+    }
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        refreshTrackedTickets(io).catch((err) => logger.error({ err }, 'Ticket tracking refresh failed'));
+    }, REFRESH_DEBOUNCE_MS);
+    refreshTimer.unref?.();
+}
+
+async function getIssueTrackingFields() {
+    const token = createTrackingToken();
+    const settings = await getSettings();
+    return { trackingToken: token, trackingUrl: buildTrackingUrl(token, settings) };
+}
+
+module.exports = {
+    createTrackingToken,
+    buildTrackingUrl,
+    getIssueTrackingFields,
+    isValidToken,
+    trackingRoom,
+    getTicketStatus,
+    scheduleTrackingRefresh
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { getSettings } = require('../database/db');
+const { parseLanguageList } = require('./notificationTemplates');
+const logger = require('../utils/logger');
+
+const KINDS = {
+    CALL: 'call',
+    RECALL: 'recall'
+};
+
+// Where the chime plays: never, once before the sequence, or before each language
+const CHIME_MODES = ['none', 'start', 'each'];
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_REPEAT_GAP_MS = 1500;
+const MAX_REPEATS = 5;
+const LANGUAGE_GAP_MS = 400;
+
+// {ticketSpoken} spells the number out ("A 0 1 2") so speech engines read
+// digits one by one instead of as "twelve"
+const DEFAULT_TEMPLATES = {
+    en: {
+        call: 'Ticket {ticketSpoken}, please proceed to counter {counterNumber}',
+        recall: 'Calling again, ticket {ticketSpoken}, please proceed to counter {counterNumber}'
+    },
+    th: {
+        call: 'หมายเลข {ticketSpoken} กรุณาไปที่เคาน์เตอร์ {counterNumber}',
+        recall: 'เรียกซ้ำ หมายเลข {ticketSpoken} กรุณาไปที่เคาน์เตอร์ {counterNumber}'
+    },
+    hi: {
+        call: 'टिकट {ticketSpoken}, कृपया काउंटर {counterNumber} पर जाएं',
+        recall: 'दोबारा बुलाया जा रहा है, टिकट {ticketSpoken}, कृपया काउंटर {counterNumber} पर जाएं'
+    }
+};
+
+// Speech-synthesis locales for the language codes used in settings
+const SPEECH_LOCALES = {
+    en: 'en-US',
+    th: 'th-TH',
+    hi: 'hi-IN'
+};
+
+function parseInteger(value, fallback, min, max) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+        return fallback;
+    }
+    return Math.min(Math.max(parsed, min), max);
+}
+
+function parseTemplateOverrides(value) {
+    if (!value) {
+        return {};
+    }
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        logger.warn({ err: error }, 'voice.templates is not valid JSON; using built-in templates');
+        return {};
+    }
+}
+
+/**
+ * Voice settings: built-in templates with voice.templates overrides
+ * ({ "<lang>": { "call": "...", "recall": "..." } }), chime mode and the
+ * number of times calls and recalls are repeated.
+ */
+function getVoiceConfig(settings = {}) {
+    const overrides = parseTemplateOverrides(settings['voice.templates']);
+    const templates = {};
+    new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(overrides)]).forEach((language) => {
+        templates[language] = { ...DEFAULT_TEMPLATES[language], ...overrides[language] };
+    });
+
+    const chime = CHIME_MODES.includes(settings['voice.chime']) ? settings['voice.chime'] : 'start';
+
+    return {
+        enabled: settings['feature.voice_announcements'] !== 'false',
+        templates,
+        chime,
+        repeats: {
+            [KINDS.CALL]: parseInteger(settings['voice.repeat_count'], 1, 1, MAX_REPEATS),
+            [KINDS.RECALL]: parseInteger(settings['voice.recall_repeat_count'], 2, 1, MAX_REPEATS)
+        },
+        repeatGapMs: parseInteger(settings['voice.repeat_gap_ms'], DEFAULT_REPEAT_GAP_MS, 0, 10000),
+        rate: Number(settings['voice.rate']) > 0 ? Number(settings['voice.rate']) : 0.9
+    };
+}
+
+/**
+ * Languages to announce in, in order: the default language first, then,
+ * when feature.languages is on, the other config.enabled_languages that
+ * have templates.
+ */
+function resolveLanguages(settings, templates) {
+    const hasTemplate = (code) => Boolean(templates[code]?.call);
+    const configured = settings['config.default_language'];
+    const primary = hasTemplate(configured) ? configured : DEFAULT_LANGUAGE;
+
+    if (settings['feature.languages'] !== 'true') {
+        return [primary];
+    }
+
+    const enabled = parseLanguageList(settings['config.enabled_languages']).filter(hasTemplate);
+    return [primary, ...enabled.filter((code) => code !== primary)];
+}
+
+function spellTicketNumber(ticketNumber) {
+    return String(ticketNumber || '').split('').join(' ');
+}
+
+function fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? '' : String(values[key])
+    );
+}
+
+/**
+ * Build the ordered steps every monitor plays for one call: chime,
+ * speech per language and pauses, repeated as configured. Monitors play
+ * the steps as given, so all displays announce the same thing.
+ */
+function buildAnnouncement(ticket, counter, kind, settings = {}) {
+    const config = getVoiceConfig(settings);
+    const languages = resolveLanguages(settings, config.templates);
+    const values = {
+        ticketNumber: ticket.ticketNumber,
+        ticketSpoken: spellTicketNumber(ticket.ticketNumber),
+        counterNumber: counter.number,
+        counterName: counter.name || `Counter ${counter.number}`,
+        serviceName: ticket.serviceName || ''
+    };
+
+    const sequence = [];
+    const repeats = config.repeats[kind] || 1;
+
+    for (let round = 0; round < repeats; round += 1) {
+        if (round > 0 && config.repeatGapMs) {
+            sequence.push({ type: 'pause', ms: config.repeatGapMs });
+        }
+        languages.forEach((language, index) => {
+            if (config.chime === 'each' || (config.chime === 'start' && index === 0)) {
+                sequence.push({ type: 'chime' });
+            } else if (index > 0) {
+                sequence.push({ type: 'pause', ms: LANGUAGE_GAP_MS });
+            }
+            const templates = config.templates[language];
+            sequence.push({
+                type: 'speech',
+                language,
+                locale: SPEECH_LOCALES[language] || language,
+                rate: config.rate,
+                text: fill(templates[kind] || templates.call, values)
+            });
+        });
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        kind,
+        ticket: {
+            id: ticket.id,
+            ticketNumber: ticket.ticketNumber,
+            serviceId: ticket.serviceId,
+            serviceName: ticket.serviceName
+        },
+        counter: { id: counter.id, number: counter.number, name: counter.name },
+        languages,
+        sequence,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Announcement for a ticket-called broadcast, or null when voice
+ * announcements are switched off. A ticket with a recall count is
+ * announced as a recall.
+ */
+async function prepareCallAnnouncement(ticketData, counterData) {
+    const settings = await getSettings();
+    if (!getVoiceConfig(settings).enabled) {
+        return null;
+    }
+
+    const ticket = {
+        id: ticketData.id,
+        ticketNumber: ticketData.ticketNumber || ticketData.ticket_number,
+        serviceId: ticketData.serviceId,
+        serviceName: ticketData.serviceName || ticketData.service_name
+    };
+    const kind = ticketData.recallCount > 0 ? KINDS.RECALL : KINDS.CALL;
+
+    return buildAnnouncement(ticket, counterData, kind, settings);
+}
+
+module.exports = {
+    KINDS,
+    getVoiceConfig,
+    buildAnnouncement,
+    prepareCallAnnouncement
+};
@@ -0,0 +1,139 @@
+const { CALL_POLICIES } = require('./callPolicy');
+
+const DEFAULT_SERVICE_SECONDS = 300;
+const SAMPLE_LIMIT = 50;
+const SAMPLE_WINDOW_DAYS = 7;
+const MAX_SAMPLE_SECONDS = 3 * 60 * 60;
+// Weight of the configured service time, in samples. It dominates until a
+// service has some history and fades out as completions accumulate.
+const PRIOR_WEIGHT = 5;
+// Half-width of the band in standard deviations (~80% interval)
+const BAND_Z = 1.28;
+
+const CONFIDENCE_THRESHOLDS = { high: 20, medium: PRIOR_WEIGHT };
+
+/**
+ * Inputs for one service's estimate: recent service durations blended with
+ * the configured estimated_service_time, and the counters able to serve it.
+ * Read through the caller's client so it works inside transactions.
+ */
+async function getServiceWaitModel(tx, serviceId) {
+    const since = new Date(Date.now() - SAMPLE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const [service, samples, counters] = await Promise.all([
+        tx.get('SELECT estimated_service_time FROM services WHERE id = ?', [serviceId]),
+        // Today's tickets plus archived days, so estimates survive a reset.
+        // Sweeper-closed tickets measure the timeout, not the service.
+        tx.all(
+            `SELECT service_duration FROM (
+                SELECT service_duration, completed_at FROM tickets
+                 WHERE service_id = ? AND state = 'completed'
+                   AND service_duration > 0 AND service_duration <= ? AND completed_at >= ?
+                   AND auto_completed_at IS NULL
+                UNION ALL
+                SELECT service_duration, completed_at FROM ticket_archive
+                 WHERE service_id = ? AND state = 'completed'
+                   AND service_duration > 0 AND service_duration <= ? AND completed_at >= ?
+                   AND auto_completed_at IS NULL
+             )
+             ORDER BY completed_at DESC
+             LIMIT ?`,
+            [serviceId, MAX_SAMPLE_SECONDS, since, serviceId, MAX_SAMPLE_SECONDS, since, SAMPLE_LIMIT]
+        ),
+        tx.get(
+            `SELECT COUNT(*) AS eligible,
+                    COUNT(CASE WHEN c.state IN ('available', 'serving') THEN 1 END) AS open,
+                    COUNT(CASE WHEN c.state = 'available' AND c.current_ticket_id IS NULL THEN 1 END) AS idle
+             FROM counters c
+             WHERE c.is_active = 1
+               AND (
+                   NOT EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id)
+                   OR EXISTS (SELECT 1 FROM counter_services cs WHERE cs.counter_id = c.id AND cs.service_id = ?)
+               )`,
+            [serviceId]
+        )
+    ]);
+
+    const configuredSeconds = service?.estimated_service_time || DEFAULT_SERVICE_SECONDS;
+    const durations = (samples || []).map((row) => row.service_duration);
+    const sampleSize = durations.length;
+    const sampleSum = durations.reduce((sum, value) => sum + value, 0);
+    const averageServiceSeconds = (sampleSum + PRIOR_WEIGHT * configuredSeconds) / (sampleSize + PRIOR_WEIGHT);
+
+    const deviationSeconds =
+        sampleSize >= 2
+            ? Math.sqrt(
+                  durations.reduce((sum, value) => sum + (value - averageServiceSeconds) ** 2, 0) / (sampleSize - 1)
+              )
+            : configuredSeconds / 2;
+
+    return {
+        serviceId,
+        configuredServiceSeconds: configuredSeconds,
+        averageServiceSeconds: Math.round(averageServiceSeconds),
+        deviationSeconds: Math.round(deviationSeconds),
+        sampleSize,
+        eligibleCounters: counters?.eligible || 0,
+        openCounters: counters?.open || 0,
+        idleCounters: counters?.idle || 0
+    };
+}
+
+function confidenceFor(model) {
+    if (model.openCounters === 0) {
+        return 'low';
+    }
+    if (model.sampleSize >= CONFIDENCE_THRESHOLDS.high) {
+        return 'high';
+    }
+    return model.sampleSize >= CONFIDENCE_THRESHOLDS.medium ? 'medium' : 'low';
+}
+
+/**
+ * ETA for a ticket with `ahead` tickets in front of it. Idle counters take
+ * the first tickets at once; the rest are shared across open counters,
+ * plus half a service for the customers already at a counter. With no
+ * counter open the service is assumed to open with every eligible counter.
+ */
+function estimateWait(model, ahead) {
+    const servers = Math.max(1, model.openCounters || model.eligibleCounters);
+    const idle = model.openCounters ? model.idleCounters : 0;
+
+    const rounds = ahead < idle ? 0 : (ahead - idle + 0.5) / servers;
+    const seconds = Math.round(rounds * model.averageServiceSeconds);
+    const spread = Math.round(BAND_Z * model.deviationSeconds * Math.sqrt(rounds));
+    const lowSeconds = Math.max(0, seconds - spread);
+    const highSeconds = seconds + spread;
+
+    return {
+        seconds,
+        minutes: Math.ceil(seconds / 60),
+        lowSeconds,
+        highSeconds,
+        lowMinutes: Math.floor(lowSeconds / 60),
+        highMinutes: Math.ceil(highSeconds / 60),
+        confidence: confidenceFor(model),
+        ahead,
+        openCounters: model.openCounters,
+        averageServiceSeconds: model.averageServiceSeconds,
+        sampleSize: model.sampleSize
+    };
+}
+
+/**
+ * Tickets a newly issued ticket of `priority` would queue behind. Every
+ * policy but longest_wait orders higher priority first, so only waiting
+ * tickets of equal or higher priority count.
+ */
+function countAheadOfNewTicket(tickets, priority = 0, policy) {
+    if (policy === CALL_POLICIES.LONGEST_WAIT) {
+        return tickets.length;
+    }
+    return tickets.filter((ticket) => (ticket.priority || 0) >= priority).length;
+}
+
+module.exports = {
+    getServiceWaitModel,
+    estimateWait,
+    countAheadOfNewTicket
+};
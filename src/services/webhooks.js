@@ -0,0 +1,592 @@
+const crypto = require('crypto');
+const { all, get, run } = require('../database/dbClient');
+const { getSettings } = require('../database/db');
+const logger = require('../utils/logger');
+
+// node-fetch 3 is ESM-only
+const fetch = (...args) => import('node-fetch').then(({ default: fetchImpl }) => fetchImpl(...args));
+
+const ALL_EVENTS = '*';
+const TEST_EVENT = 'WEBHOOK_TEST';
+const DELIVERY_STATES = ['pending', 'delivered', 'failed'];
+
+const SIGNATURE_HEADER = 'X-FlowMatic-Signature';
+const DEFAULT_MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY = 500;
+const BATCH_SIZE = 20;
+const EVENT_SWEEP_SIZE = 200;
+const CHECK_INTERVAL_MS = 10 * 1000;
+const DELIVERY_RETENTION_DAYS = 30;
+const MAX_PAGE_SIZE = 200;
+
+// Active endpoints, reloaded after any admin change
+let subscribers = null;
+let monitorTimer = null;
+let processing = null;
+let lastPrunedAt = 0;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+}
+
+function createSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function parseEventTypes(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [ALL_EVENTS];
+    } catch (error) {
+        return [ALL_EVENTS];
+    }
+}
+
+function mapWebhook(row, { includeSecret = false } = {}) {
+    return {
+        id: row.id,
+        name: row.name,
+        url: row.url,
+        eventTypes: parseEventTypes(row.event_types),
+        isActive: Boolean(row.is_active),
+        ...(includeSecret ? { secret: row.secret } : {}),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function mapDelivery(row) {
+    let payload = row.payload;
+    try {
+        payload = JSON.parse(row.payload);
+    } catch (error) {
+        // keep the raw text
+    }
+
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        state: row.state,
+        attempts: row.attempts,
+        nextAttemptAt: row.state === 'pending' ? row.next_attempt_at : null,
+        responseStatus: row.response_status,
+        responseBody: row.response_body,
+        lastError: row.last_error,
+        durationMs: row.duration_ms,
+        deliveredAt: row.delivered_at,
+        createdAt: row.created_at,
+        payload
+    };
+}
+
+function validateUrl(value) {
+    let parsed;
+    try {
+        parsed = new URL(String(value || '').trim());
+    } catch (error) {
+        throw httpError(400, 'url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw httpError(400, 'url must be an absolute http(s) URL');
+    }
+    return parsed.toString();
+}
+
+function validateEventTypes(value, knownTypes) {
+    if (value === undefined || value === null || value === ALL_EVENTS) {
+        return [ALL_EVENTS];
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+        throw httpError(400, 'eventTypes must be a non-empty array of event types or "*"');
+    }
+
+    const types = [...new Set(value.map((type) => String(type).trim().toUpperCase()))];
+    if (types.includes(ALL_EVENTS)) {
+        return [ALL_EVENTS];
+    }
+    const unknown = types.filter((type) => !knownTypes.includes(type));
+    if (unknown.length) {
+        throw httpError(400, `Unknown event types: ${unknown.join(', ')}`);
+    }
+    return types;
+}
+
+function knownEventTypes() {
+    // Required lazily: events.js wakes the delivery queue through this module
+    const { EventTypes } = require('../database/events');
+    return Object.values(EventTypes);
+}
+
+async function loadSubscribers() {
+    if (!subscribers) {
+        const rows = await all('SELECT id, event_types FROM webhooks WHERE is_active = 1');
+        subscribers = rows.map((row) => ({ id: row.id, eventTypes: parseEventTypes(row.event_types) }));
+    }
+    return subscribers;
+}
+
+function invalidateSubscribers() {
+    subscribers = null;
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildPayload(event) {
+    return {
+        id: event.id ? `evt_${event.id}` : `evt_test_${crypto.randomUUID()}`,
+        type: event.eventType,
+        occurredAt: event.occurredAt || new Date().toISOString(),
+        entity: { type: event.entityType, id: event.entityId },
+        agentId: event.agentId ?? null,
+        counterId: event.counterId ?? null,
+        data: event.data || {}
+    };
+}
+
+// Start a delivery run soon. A run already in progress may have swept the
+// events before the one that triggered this, so wait for it to finish.
+function kickQueue() {
+    setImmediate(() => {
+        (processing || Promise.resolve())
+            .catch(() => {})
+            .then(() => processWebhookQueue())
+            .catch((error) => logger.error({ err: error }, 'Webhook delivery run failed'));
+    });
+}
+
+async function insertDelivery(webhookId, event) {
+    const result = await run(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, state, next_attempt_at)
+         VALUES (?, ?, ?, ?, 'pending', ?)`,
+        [webhookId, event.id || null, event.eventType, JSON.stringify(buildPayload(event)), new Date().toISOString()]
+    );
+    return result.lastID;
+}
+
+// Events store SQLite's UTC CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS")
+function mapEventRow(row) {
+    let data = {};
+    try {
+        data = row.data ? JSON.parse(row.data) : {};
+    } catch {
+        data = {};
+    }
+
+    return {
+        id: row.id,
+        eventType: row.event_type,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        data,
+        agentId: row.agent_id,
+        counterId: row.counter_id,
+        occurredAt: row.created_at ? new Date(`${row.created_at.replace(' ', 'T')}Z`).toISOString() : null
+    };
+}
+
+/**
+ * Turn audit events logged since the stored cursor into deliveries for
+ * every active endpoint subscribed to their type. The events table is the
+ * outbox: an event is durable once logged, and a sweep cut short before
+ * the cursor moves is repeated without queueing anything twice.
+ */
+async function sweepEvents() {
+    let queued = 0;
+
+    for (;;) {
+        const cursor = await get('SELECT last_event_id FROM webhook_event_cursor WHERE id = 1');
+        const events = await all('SELECT * FROM events WHERE id > ? ORDER BY id ASC LIMIT ?', [
+            cursor ? cursor.last_event_id : 0,
+            EVENT_SWEEP_SIZE
+        ]);
+        if (!events.length) {
+            return queued;
+        }
+
+        const targets = await loadSubscribers();
+        for (const row of events) {
+            const event = mapEventRow(row);
+            for (const target of targets) {
+                if (!target.eventTypes.includes(ALL_EVENTS) && !target.eventTypes.includes(event.eventType)) {
+                    continue;
+                }
+                const result = await run(
+                    `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, state, next_attempt_at)
+                     SELECT ?, ?, ?, ?, 'pending', ?
+                     WHERE NOT EXISTS (SELECT 1 FROM webhook_deliveries WHERE webhook_id = ? AND event_id = ?)`,
+                    [
+                        target.id,
+                        event.id,
+                        event.eventType,
+                        JSON.stringify(buildPayload(event)),
+                        new Date().toISOString(),
+                        target.id,
+                        event.id
+                    ]
+                );
+                queued += result.changes;
+            }
+        }
+
+        await run(
+            `INSERT INTO webhook_event_cursor (id, last_event_id) VALUES (1, ?)
+             ON CONFLICT(id) DO UPDATE SET last_event_id = excluded.last_event_id`,
+            [events[events.length - 1].id]
+        );
+
+        if (events.length < EVENT_SWEEP_SIZE) {
+            return queued;
+        }
+    }
+}
+
+async function readResponseBody(response) {
+    const text = await response.text().catch(() => '');
+    return text.slice(0, MAX_RESPONSE_BODY);
+}
+
+/**
+ * POST the stored payload. The body is signed as
+ * HMAC-SHA256(secret, "<timestamp>.<body>") and sent as
+ * "X-FlowMatic-Signature: t=<timestamp>,v1=<hex>" so receivers can reject
+ * tampered or replayed requests.
+ */
+async function postDelivery(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'FlowMatic-Webhooks/1.0',
+                'X-FlowMatic-Event': delivery.event_type,
+                'X-FlowMatic-Delivery': String(delivery.id),
+                [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+            },
+            body: delivery.payload,
+            signal: controller.signal,
+            redirect: 'manual'
+        });
+
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            body: await readResponseBody(response),
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            status: null,
+            body: null,
+            error: error.name === 'AbortError' ? 'Request timed out' : error.message,
+            durationMs: Date.now() - startedAt
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function processBatch() {
+    const settings = await getSettings();
+    const maxAttempts = parsePositiveInt(settings['webhook.max_attempts'], DEFAULT_MAX_ATTEMPTS);
+    // Disabled endpoints keep their backlog until they are re-enabled, and
+    // are filtered here so that backlog never fills the batch
+    const due = await all(
+        `SELECT d.*, w.url, w.secret
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.state = 'pending' AND d.next_attempt_at <= ? AND w.is_active = 1
+         ORDER BY d.next_attempt_at ASC, d.id ASC
+         LIMIT ?`,
+        [new Date().toISOString(), BATCH_SIZE]
+    );
+
+    let delivered = 0;
+    for (const delivery of due) {
+        const attempts = delivery.attempts + 1;
+        const result = await postDelivery(delivery);
+
+        if (result.ok) {
+            await run(
+                `UPDATE webhook_deliveries
+                 SET state = 'delivered', attempts = ?, response_status = ?, response_body = ?,
+                     last_error = NULL, duration_ms = ?, delivered_at = ?
+                 WHERE id = ?`,
+                [attempts, result.status, result.body, result.durationMs, new Date().toISOString(), delivery.id]
+            );
+            delivered += 1;
+            continue;
+        }
+
+        const exhausted = attempts >= maxAttempts;
+        const error = result.error || `Endpoint responded ${result.status}`;
+        await run(
+            `UPDATE webhook_deliveries
+             SET state = ?, attempts = ?, response_status = ?, response_body = ?,
+                 last_error = ?, duration_ms = ?, next_attempt_at = ?
+             WHERE id = ?`,
+            [
+                exhausted ? 'failed' : 'pending',
+                attempts,
+                result.status,
+                result.body,
+                String(error).slice(0, MAX_RESPONSE_BODY),
+                result.durationMs,
+                new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString(),
+                delivery.id
+            ]
+        );
+        logger.warn(
+            { webhookId: delivery.webhook_id, deliveryId: delivery.id, attempts, err: error },
+            exhausted ? 'Webhook delivery failed permanently' : 'Webhook delivery failed, will retry'
+        );
+    }
+    return delivered;
+}
+
+/**
+ * Queue deliveries for newly logged events, then send due deliveries,
+ * retrying failures with exponential backoff until webhook.max_attempts.
+ * Concurrent calls share one run.
+ */
+function processWebhookQueue() {
+    if (!processing) {
+        processing = sweepEvents()
+            .then(() => processBatch())
+            .finally(() => {
+                processing = null;
+            });
+    }
+    return processing;
+}
+
+// Finished deliveries are kept for DELIVERY_RETENTION_DAYS, checked hourly
+async function pruneDeliveryLog() {
+    if (Date.now() - lastPrunedAt < 60 * 60 * 1000) {
+        return;
+    }
+    lastPrunedAt = Date.now();
+
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await run(`DELETE FROM webhook_deliveries WHERE state != 'pending' AND created_at < ?`, [cutoff]);
+}
+
+async function getWebhookRow(webhookId) {
+    const row = await get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+    if (!row) {
+        throw httpError(404, 'Webhook not found');
+    }
+    return row;
+}
+
+async function listWebhooks() {
+    const rows = await all(
+        `SELECT w.*,
+                (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.state = 'pending') AS pending_count,
+                (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.state = 'failed') AS failed_count,
+                (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivery_at
+         FROM webhooks w
+         ORDER BY w.id`
+    );
+    return rows.map((row) => ({
+        ...mapWebhook(row),
+        pendingDeliveries: row.pending_count,
+        failedDeliveries: row.failed_count,
+        lastDeliveryAt: row.last_delivery_at
+    }));
+}
+
+/**
+ * Register an endpoint. The signing secret is generated here and only
+ * returned by this call and by rotateWebhookSecret.
+ */
+async function createWebhook({ name, url, eventTypes, isActive } = {}) {
+    const label = String(name || '').trim();
+    if (!label) {
+        throw httpError(400, 'name is required');
+    }
+
+    const result = await run(
+        `INSERT INTO webhooks (name, url, secret, event_types, is_active)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+            label,
+            validateUrl(url),
+            createSecret(),
+            JSON.stringify(validateEventTypes(eventTypes, knownEventTypes())),
+            isActive === false ? 0 : 1
+        ]
+    );
+    invalidateSubscribers();
+
+    return mapWebhook(await getWebhookRow(result.lastID), { includeSecret: true });
+}
+
+async function updateWebhook(webhookId, { name, url, eventTypes, isActive } = {}) {
+    const current = await getWebhookRow(webhookId);
+
+    const label = name === undefined ? current.name : String(name).trim();
+    if (!label) {
+        throw httpError(400, 'name cannot be empty');
+    }
+
+    await run(
+        `UPDATE webhooks
+         SET name = ?, url = ?, event_types = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+            label,
+            url === undefined ? current.url : validateUrl(url),
+            eventTypes === undefined
+                ? current.event_types
+                : JSON.stringify(validateEventTypes(eventTypes, knownEventTypes())),
+            isActive === undefined ? current.is_active : (isActive ? 1 : 0),
+            webhookId
+        ]
+    );
+    invalidateSubscribers();
+
+    if (isActive && !current.is_active) {
+        kickQueue();
+    }
+    return mapWebhook(await getWebhookRow(webhookId));
+}
+
+async function deleteWebhook(webhookId) {
+    await getWebhookRow(webhookId);
+    await run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+    await run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+    invalidateSubscribers();
+}
+
+async function rotateWebhookSecret(webhookId) {
+    await getWebhookRow(webhookId);
+    await run(
+        'UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [createSecret(), webhookId]
+    );
+    return mapWebhook(await getWebhookRow(webhookId), { includeSecret: true });
+}
+
+/**
+ * Queue a WEBHOOK_TEST ping for one endpoint, bypassing its subscription
+ * list, so admins can check the URL and signature handling.
+ */
+async function sendTestEvent(webhookId) {
+    await getWebhookRow(webhookId);
+    const deliveryId = await insertDelivery(webhookId, {
+        eventType: TEST_EVENT,
+        entityType: 'webhook',
+        entityId: webhookId,
+        data: { message: 'Test delivery from FlowMatic' }
+    });
+    kickQueue();
+    return deliveryId;
+}
+
+async function listDeliveries(webhookId, { state, limit, offset } = {}) {
+    await getWebhookRow(webhookId);
+
+    const clauses = ['webhook_id = ?'];
+    const params = [webhookId];
+    if (state) {
+        if (!DELIVERY_STATES.includes(state)) {
+            throw httpError(400, `state must be one of ${DELIVERY_STATES.join(', ')}`);
+        }
+        clauses.push('state = ?');
+        params.push(state);
+    }
+
+    const where = `WHERE ${clauses.join(' AND ')}`;
+    const pageSize = Math.min(parsePositiveInt(limit, 50), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [countRow, rows] = await Promise.all([
+        get(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params),
+        all(
+            `SELECT * FROM webhook_deliveries ${where}
+             ORDER BY id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pageSize, skip]
+        )
+    ]);
+
+    return {
+        total: countRow.total,
+        limit: pageSize,
+        offset: skip,
+        deliveries: rows.map(mapDelivery)
+    };
+}
+
+// Send a delivery again now, whatever its outcome; the attempt count restarts
+async function redeliver(deliveryId) {
+    const result = await run(
+        `UPDATE webhook_deliveries
+         SET state = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?
+         WHERE id = ?`,
+        [new Date().toISOString(), deliveryId]
+    );
+    if (!result.changes) {
+        throw httpError(404, 'Delivery not found');
+    }
+    kickQueue();
+}
+
+function startWebhookMonitor() {
+    stopWebhookMonitor();
+
+    monitorTimer = setInterval(() => {
+        processWebhookQueue()
+            .then(() => pruneDeliveryLog())
+            .catch((error) => logger.error({ err: error }, 'Webhook check failed'));
+    }, CHECK_INTERVAL_MS);
+}
+
+function stopWebhookMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    signPayload,
+    knownEventTypes,
+    kickQueue,
+    processWebhookQueue,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    sendTestEvent,
+    listDeliveries,
+    redeliver,
+    startWebhookMonitor,
+    stopWebhookMonitor
+};
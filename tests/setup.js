@@ -79,6 +79,23 @@ async function setupTestEnvironment() {
     }
 }
 
+// Setup test database for service-level tests: schema and fixtures, then
+// opened through the app's own connection. Test files must point
+// DATABASE_PATH at TEST_DB_PATH before requiring any src module.
+async function setupServiceEnvironment() {
+    const { insertTestData } = require('./fixtures/testData');
+    const { initializeDatabase, getDatabasePath } = require('../src/database/connection');
+
+    if (getDatabasePath() !== TEST_DB_PATH) {
+        throw new Error('DATABASE_PATH must point at the test database');
+    }
+
+    const db = await setupTestEnvironment();
+    await insertTestData(db);
+    await new Promise((resolve) => db.close(resolve));
+    return initializeDatabase();
+}
+
 // Get test database connection
 function getTestDb() {
     return new sqlite3.Database(TEST_DB_PATH);
@@ -89,6 +106,7 @@ module.exports = {
     runSchema,
     cleanup,
     setupTestEnvironment,
+    setupServiceEnvironment,
     getTestDb,
     TEST_DB_PATH
 };
\ No newline at end of file
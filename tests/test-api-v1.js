@@ -0,0 +1,296 @@
+const express = require('express');
+const { setupServiceEnvironment, cleanup, TEST_DB_PATH } = require('./setup');
+
+// Services read these when first required
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { closeDatabase } = require('../src/database/connection');
+const { createApiKey, revokeApiKey } = require('../src/services/apiKeys');
+const apiV1 = require('../src/api/v1');
+
+// Test results tracking
+let passCount = 0;
+let failCount = 0;
+
+function printResult(testName, passed, error = null) {
+    if (passed) {
+        console.log(`✓ PASS: ${testName}`);
+        passCount++;
+    } else {
+        console.log(`✗ FAIL: ${testName}`);
+        if (error) console.log(`  Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+let server = null;
+let baseUrl = null;
+
+// Plain keys for each scope combination, issued in setup
+const keys = {};
+
+// Ticket issued through the API by testWriteScope
+let ticketId = null;
+
+// The v1 router on its own, mounted the way src/app.js mounts it
+function startServer() {
+    const app = express();
+    app.use(express.json());
+    app.set('io', null);
+    app.use('/api/v1', apiV1);
+
+    return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+            resolve();
+        });
+    });
+}
+
+async function issueKeys() {
+    keys.read = (await createApiKey({ name: 'Read only', scopes: ['read'] })).key;
+    keys.write = (await createApiKey({ name: 'Read and write', scopes: ['read', 'tickets:write'] })).key;
+    keys.pii = (await createApiKey({ name: 'Read with PII', scopes: ['read', 'tickets:pii'] })).key;
+    keys.writeOnly = (await createApiKey({ name: 'Write only', scopes: ['tickets:write'] })).key;
+
+    const revoked = await createApiKey({ name: 'Revoked', scopes: ['read'] });
+    await revokeApiKey(revoked.id);
+    keys.revoked = revoked.key;
+}
+
+async function request(method, path, { key, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            ...(key ? { 'X-API-Key': key } : {}),
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function expectError(response, status, code) {
+    assert(response.status === status, `Expected ${status}, got ${response.status}`);
+    assert(response.body.error && response.body.error.code === code, `Expected ${code}, got ${JSON.stringify(response.body)}`);
+}
+
+function expectDetail(response, detail) {
+    const details = response.body.error.details || [];
+    assert(details.includes(detail), `Expected detail "${detail}", got ${JSON.stringify(details)}`);
+}
+
+// Test: The OpenAPI document is public
+async function testDocumentIsPublic() {
+    const testName = 'OpenAPI document needs no API key';
+
+    try {
+        const response = await request('GET', '/openapi.json');
+        assert(response.status === 200, `Expected 200, got ${response.status}`);
+        assert(response.body.openapi === '3.0.3', 'Expected the OpenAPI document');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Missing, unknown and revoked keys are rejected
+async function testRejectsInvalidKeys() {
+    const testName = 'Missing, unknown and revoked keys get 401';
+
+    try {
+        expectError(await request('GET', '/services'), 401, 'unauthorized');
+        expectError(await request('GET', '/services', { key: 'fmk_not-a-real-key' }), 401, 'unauthorized');
+        expectError(await request('GET', '/services', { key: 'Bearer something' }), 401, 'unauthorized');
+        expectError(await request('GET', '/services', { key: keys.revoked }), 401, 'unauthorized');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Read operations need the read scope
+async function testReadScope() {
+    const testName = 'Read operations require the read scope';
+
+    try {
+        const allowed = await request('GET', '/services', { key: keys.read });
+        const denied = await request('GET', '/services', { key: keys.writeOnly });
+
+        assert(allowed.status === 200 && Array.isArray(allowed.body.data), `Expected 200, got ${allowed.status}`);
+        expectError(denied, 403, 'forbidden');
+        assert(/read scope/.test(denied.body.error.message), `Unexpected message: ${denied.body.error.message}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Issuing tickets needs tickets:write
+async function testWriteScope() {
+    const testName = 'Issuing a ticket requires the tickets:write scope';
+
+    try {
+        const body = { serviceId: 1, customerName: 'API Customer', customerPhone: '5550001', customerEmail: 'api@example.com' };
+        const denied = await request('POST', '/tickets', { key: keys.read, body });
+        const created = await request('POST', '/tickets', { key: keys.write, body });
+
+        expectError(denied, 403, 'forbidden');
+        assert(/tickets:write/.test(denied.body.error.message), `Unexpected message: ${denied.body.error.message}`);
+        assert(created.status === 201, `Expected 201, got ${created.status}: ${JSON.stringify(created.body)}`);
+        assert(created.body.data.serviceId === 1 && created.body.data.state === 'waiting', 'Unexpected ticket');
+        ticketId = created.body.data.id;
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Customer contact details are only returned with tickets:pii
+async function testPiiScope() {
+    const testName = 'Customer phone and email require the tickets:pii scope';
+
+    try {
+        const plain = await request('GET', `/tickets/${ticketId}`, { key: keys.read });
+        const pii = await request('GET', `/tickets/${ticketId}`, { key: keys.pii });
+        const list = await request('GET', '/tickets', { key: keys.read });
+
+        assert(plain.status === 200 && pii.status === 200, 'Expected both reads to succeed');
+        assert(plain.body.data.customer.name === 'API Customer', 'Expected the customer name');
+        assert(!('phone' in plain.body.data.customer), 'Phone returned without tickets:pii');
+        assert(!('email' in plain.body.data.customer), 'Email returned without tickets:pii');
+        assert(list.body.data.every((ticket) => !('phone' in ticket.customer)), 'Phone returned in list without tickets:pii');
+        assert(pii.body.data.customer.phone === '5550001', `Unexpected phone: ${pii.body.data.customer.phone}`);
+        assert(pii.body.data.customer.email === 'api@example.com', `Unexpected email: ${pii.body.data.customer.email}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Body validation reports every problem with the field name
+async function testBodyValidation() {
+    const testName = 'Invalid ticket bodies get 400 with details';
+
+    try {
+        const empty = await request('POST', '/tickets', { key: keys.write, body: {} });
+        expectError(empty, 400, 'validation_failed');
+        expectDetail(empty, 'A JSON request body is required');
+
+        const missing = await request('POST', '/tickets', { key: keys.write, body: { priority: 1 } });
+        expectError(missing, 400, 'validation_failed');
+        expectDetail(missing, 'serviceId is required');
+
+        const invalid = await request('POST', '/tickets', {
+            key: keys.write,
+            body: { serviceId: 'one', priority: 5, customerEmail: 'not-an-email', language: 'english', extra: true }
+        });
+        expectError(invalid, 400, 'validation_failed');
+        expectDetail(invalid, 'serviceId must be an integer');
+        expectDetail(invalid, 'priority must be at most 2');
+        expectDetail(invalid, 'customerEmail must be an e-mail address');
+        expectDetail(invalid, 'language has an invalid format');
+        expectDetail(invalid, 'extra is not allowed');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Path and query parameters are checked against their schemas
+async function testParameterValidation() {
+    const testName = 'Invalid path and query parameters get 400 with details';
+
+    try {
+        const badId = await request('GET', '/tickets/abc', { key: keys.read });
+        expectError(badId, 400, 'validation_failed');
+        expectDetail(badId, 'ticketId must be an integer');
+
+        const badState = await request('GET', '/tickets?state=lost', { key: keys.read });
+        expectError(badState, 400, 'validation_failed');
+        assert(/^state must be one of /.test(badState.body.error.details[0]), 'Expected a state detail');
+
+        const badPage = await request('GET', '/tickets?limit=500&offset=-1', { key: keys.read });
+        expectError(badPage, 400, 'validation_failed');
+        expectDetail(badPage, 'limit must be at most 200');
+        expectDetail(badPage, 'offset must be at least 0');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Scope is checked before the request is validated
+async function testScopeBeforeValidation() {
+    const testName = 'Scope is enforced before validation';
+
+    try {
+        expectError(await request('POST', '/tickets', { key: keys.read, body: {} }), 403, 'forbidden');
+        expectError(await request('POST', '/tickets', { body: {} }), 401, 'unauthorized');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Valid requests for missing records and unknown routes get 404
+async function testNotFound() {
+    const testName = 'Unknown tickets and routes get 404';
+
+    try {
+        expectError(await request('GET', '/tickets/999999', { key: keys.read }), 404, 'not_found');
+        expectError(await request('GET', '/nothing-here', { key: keys.read }), 404, 'not_found');
+        expectError(await request('POST', '/tickets', { key: keys.write, body: { serviceId: 999 } }), 404, 'not_found');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Main test runner
+async function runTests() {
+    console.log('=== Running API v1 Tests ===\n');
+
+    try {
+        // Setup
+        await setupServiceEnvironment();
+        await issueKeys();
+        await startServer();
+
+        // Run tests
+        await testDocumentIsPublic();
+        await testRejectsInvalidKeys();
+        await testReadScope();
+        await testWriteScope();
+        await testPiiScope();
+        await testBodyValidation();
+        await testParameterValidation();
+        await testScopeBeforeValidation();
+        await testNotFound();
+
+        // Summary
+        console.log('\n=== Test Summary ===');
+        console.log(`Total tests: ${passCount + failCount}`);
+        console.log(`Passed: ${passCount}`);
+        console.log(`Failed: ${failCount}`);
+
+        // Cleanup
+        server.close();
+        await closeDatabase();
+        await cleanup();
+        process.exit(failCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Test setup failed:', error);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,250 @@
+const { setupServiceEnvironment, cleanup, TEST_DB_PATH } = require('./setup');
+
+// Services read these when first required
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { run, withTransaction } = require('../src/database/dbClient');
+const { getSettings, invalidateSettingsCache } = require('../src/database/db');
+const { closeDatabase } = require('../src/database/connection');
+const { CALL_POLICIES, selectNextTicket } = require('../src/services/callPolicy');
+const { getQueueSnapshot } = require('../src/services/queueSnapshot');
+
+// Test results tracking
+let passCount = 0;
+let failCount = 0;
+
+function printResult(testName, passed, error = null) {
+    if (passed) {
+        console.log(`✓ PASS: ${testName}`);
+        passCount++;
+    } else {
+        console.log(`✗ FAIL: ${testName}`);
+        if (error) console.log(`  Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Calls are made from counter 1 by agent 1
+const COUNTER_ID = 1;
+const AGENT_ID = 1;
+
+// called_at for each call, one second apart so the call history has a clear order
+let clock = Date.now();
+
+async function setSetting(key, value) {
+    await run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, value]
+    );
+    invalidateSettingsCache();
+}
+
+// Counter 1 open with agent 1 signed in, so snapshots see its policy
+async function openCounter() {
+    await run(`UPDATE counters SET state = 'available', current_agent_id = ? WHERE id = ?`, [AGENT_ID, COUNTER_ID]);
+}
+
+// Start each test from an empty queue and a counter with no call history
+async function resetQueue() {
+    await run(`DELETE FROM tickets WHERE state = 'waiting' OR counter_id = ?`, [COUNTER_ID]);
+}
+
+async function issue(ticketNumber, serviceId, priority, minutesAgo) {
+    const createdAt = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+    await run(
+        `INSERT INTO tickets (ticket_number, service_id, state, priority, created_at)
+         VALUES (?, ?, 'waiting', ?, ?)`,
+        [ticketNumber, serviceId, priority, createdAt]
+    );
+}
+
+// Select the next ticket the way call-next does and mark it called
+async function callNext(policy, serviceIds) {
+    const settings = await getSettings();
+    const services = serviceIds.map((serviceId, index) => ({ service_id: serviceId, priority: index + 1 }));
+
+    return withTransaction(async (tx) => {
+        const ticket = await selectNextTicket(tx, {
+            policy,
+            agentId: AGENT_ID,
+            counterId: COUNTER_ID,
+            services,
+            settings
+        });
+        if (!ticket) {
+            return null;
+        }
+
+        clock += 1000;
+        await tx.run(
+            `UPDATE tickets SET state = 'called', counter_id = ?, agent_id = ?, called_at = ? WHERE id = ?`,
+            [COUNTER_ID, AGENT_ID, new Date(clock).toISOString(), ticket.id]
+        );
+        return ticket.ticket_number;
+    });
+}
+
+async function callAll(policy, serviceIds) {
+    const called = [];
+    let ticketNumber;
+    while ((ticketNumber = await callNext(policy, serviceIds))) {
+        called.push(ticketNumber);
+    }
+    return called;
+}
+
+function expectOrder(actual, expected) {
+    assert(actual.join(',') === expected.join(','), `Expected ${expected.join(', ')}, got ${actual.join(', ')}`);
+}
+
+// Test: Strict priority serves the highest ticket priority, then the oldest
+async function testStrictPriority() {
+    const testName = 'Strict priority calls VIP, then priority, then oldest first';
+
+    try {
+        await resetQueue();
+        await issue('N1', 1, 0, 10);
+        await issue('P1', 1, 1, 5);
+        await issue('V1', 1, 2, 3);
+        await issue('N2', 1, 0, 1);
+
+        expectOrder(await callAll(CALL_POLICIES.STRICT_PRIORITY, [1]), ['V1', 'P1', 'N1', 'N2']);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Longest wait ignores ticket priority
+async function testLongestWait() {
+    const testName = 'Longest wait calls the oldest ticket regardless of priority';
+
+    try {
+        await resetQueue();
+        await issue('N1', 1, 0, 10);
+        await issue('P1', 1, 1, 5);
+        await issue('V1', 1, 2, 3);
+        await issue('N2', 1, 0, 1);
+
+        expectOrder(await callAll(CALL_POLICIES.LONGEST_WAIT, [1]), ['N1', 'P1', 'V1', 'N2']);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Round robin alternates between the counter's services
+async function testRoundRobin() {
+    const testName = 'Round robin alternates between services';
+
+    try {
+        await resetQueue();
+        await issue('A1', 1, 0, 10);
+        await issue('A2', 1, 0, 9);
+        await issue('A3', 1, 0, 8);
+        await issue('B1', 2, 0, 2);
+        await issue('B2', 2, 1, 1);
+
+        // B2 has priority inside service B, A3 is left once B is empty
+        expectOrder(await callAll(CALL_POLICIES.ROUND_ROBIN, [1, 2]), ['A1', 'B2', 'A2', 'B1', 'A3']);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Interleave calls one priority ticket after every config.interleave_ratio normal ones
+async function testInterleave() {
+    const testName = 'Interleave calls a priority ticket after each run of normal tickets';
+
+    try {
+        await setSetting('config.interleave_ratio', '2');
+        await resetQueue();
+        await issue('N1', 1, 0, 10);
+        await issue('N2', 1, 0, 9);
+        await issue('N3', 1, 0, 8);
+        await issue('N4', 1, 0, 7);
+        await issue('P1', 1, 1, 6);
+        await issue('V1', 1, 2, 5);
+        await issue('P2', 1, 1, 4);
+
+        // V1 outranks the older P1 when a priority ticket is due, and the
+        // priority tickets left once normal ones run out go oldest first
+        expectOrder(await callAll(CALL_POLICIES.INTERLEAVE, [1]), ['N1', 'N2', 'V1', 'N3', 'N4', 'P1', 'P2']);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The snapshot lists tickets in the order interleave call-next draws them
+async function testInterleaveSnapshotOrder() {
+    const testName = 'Interleave snapshot order continues from the counter streak';
+
+    try {
+        await setSetting('config.call_policy', CALL_POLICIES.INTERLEAVE);
+        await resetQueue();
+        await issue('N1', 1, 0, 10);
+        await issue('N2', 1, 0, 9);
+        await issue('N3', 1, 0, 8);
+        await issue('P1', 1, 1, 6);
+        await issue('N4', 1, 0, 5);
+        await issue('P2', 1, 1, 4);
+
+        // One normal ticket into the run, so one more comes before P1
+        await callNext(CALL_POLICIES.INTERLEAVE, [1]);
+        const snapshot = await withTransaction((tx) => getQueueSnapshot(tx, 1));
+        const listed = snapshot.tickets.map((ticket) => ticket.ticketNumber);
+        const called = await callAll(CALL_POLICIES.INTERLEAVE, [1]);
+
+        assert(snapshot.policy === CALL_POLICIES.INTERLEAVE, `Expected interleave, got ${snapshot.policy}`);
+        expectOrder(listed, ['N2', 'P1', 'N3', 'N4', 'P2']);
+        expectOrder(called, listed);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Main test runner
+async function runTests() {
+    console.log('=== Running Call Policy Tests ===\n');
+
+    try {
+        // Setup
+        await setupServiceEnvironment();
+        await openCounter();
+
+        // Run tests
+        await testStrictPriority();
+        await testLongestWait();
+        await testRoundRobin();
+        await testInterleave();
+        await testInterleaveSnapshotOrder();
+
+        // Summary
+        console.log('\n=== Test Summary ===');
+        console.log(`Total tests: ${passCount + failCount}`);
+        console.log(`Passed: ${passCount}`);
+        console.log(`Failed: ${failCount}`);
+
+        // Cleanup
+        await closeDatabase();
+        await cleanup();
+        process.exit(failCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Test setup failed:', error);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
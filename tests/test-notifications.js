@@ -0,0 +1,416 @@
+const http = require('http');
+const net = require('net');
+const { setupServiceEnvironment, cleanup, TEST_DB_PATH } = require('./setup');
+
+// Services read these when first required
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { get, run } = require('../src/database/dbClient');
+const { invalidateSettingsCache } = require('../src/database/db');
+const { closeDatabase } = require('../src/database/connection');
+const {
+    TRIGGERS,
+    notifyTicket,
+    notifyApproachingTickets,
+    processNotificationQueue,
+    retryNotification
+} = require('../src/services/notifications');
+const { sendEmail } = require('../src/services/notificationChannels');
+
+// Test results tracking
+let passCount = 0;
+let failCount = 0;
+
+function printResult(testName, passed, error = null) {
+    if (passed) {
+        console.log(`✓ PASS: ${testName}`);
+        passCount++;
+    } else {
+        console.log(`✗ FAIL: ${testName}`);
+        if (error) console.log(`  Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Fake SMS gateway: fails with a 500 while down and records every
+// request it receives. Starts down so the first sends fail.
+const gateway = {
+    down: true,
+    requests: [],
+    server: null,
+    url: null
+};
+
+function startGateway() {
+    return new Promise((resolve) => {
+        gateway.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                gateway.requests.push({ headers: req.headers, body: JSON.parse(body || '{}') });
+                res.statusCode = gateway.down ? 500 : 200;
+                res.end(gateway.down ? 'gateway down' : 'ok');
+            });
+        });
+        gateway.server.listen(0, '127.0.0.1', () => {
+            gateway.url = `http://127.0.0.1:${gateway.server.address().port}/sms`;
+            resolve();
+        });
+    });
+}
+
+// Fake SMTP server without STARTTLS: records each command line it gets
+// and accepts everything, including AUTH
+const smtpServer = {
+    commands: [],
+    server: null,
+    port: null
+};
+
+function startSmtpServer() {
+    return new Promise((resolve) => {
+        smtpServer.server = net.createServer((socket) => {
+            let buffer = '';
+            let inData = false;
+            socket.write('220 test ESMTP\r\n');
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    if (inData) {
+                        if (line === '.') {
+                            inData = false;
+                            socket.write('250 queued\r\n');
+                        }
+                        continue;
+                    }
+                    smtpServer.commands.push(line);
+                    const verb = line.split(' ')[0].toUpperCase();
+                    if (verb === 'EHLO') socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                    else if (verb === 'AUTH') socket.write('235 ok\r\n');
+                    else if (verb === 'DATA') {
+                        inData = true;
+                        socket.write('354 go ahead\r\n');
+                    } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+                    else socket.write('250 ok\r\n');
+                }
+            });
+        });
+        smtpServer.server.listen(0, '127.0.0.1', () => {
+            smtpServer.port = smtpServer.server.address().port;
+            resolve();
+        });
+    });
+}
+
+async function setSetting(key, value) {
+    await run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, value]
+    );
+    invalidateSettingsCache();
+}
+
+async function configureNotifications() {
+    await setSetting('feature.notifications', 'true');
+    await setSetting('notify.sms_webhook_url', gateway.url);
+    await setSetting('notify.sms_webhook_token', 'sms-token');
+    await setSetting('notify.max_attempts', '3');
+}
+
+function findNotification(ticketId, trigger) {
+    return get(
+        'SELECT * FROM notifications WHERE ticket_id = ? AND trigger_type = ? AND channel = ?',
+        [ticketId, trigger, 'sms']
+    );
+}
+
+// Make a pending retry due now instead of waiting out its backoff
+function makeDue(notificationId) {
+    return run('UPDATE notifications SET next_attempt_at = ? WHERE id = ?', [
+        new Date(Date.now() - 1000).toISOString(),
+        notificationId
+    ]);
+}
+
+function delaySeconds(notification, before) {
+    return (new Date(notification.next_attempt_at) - before) / 1000;
+}
+
+// Test: A trigger queues one message per channel and never twice
+async function testQueueDedupe() {
+    const testName = 'Trigger queues once per ticket and channel';
+
+    try {
+        const first = await notifyTicket(1, TRIGGERS.CREATED);
+        const second = await notifyTicket(1, TRIGGERS.CREATED);
+        const row = await get(
+            'SELECT COUNT(*) AS count FROM notifications WHERE ticket_id = ? AND trigger_type = ?',
+            [1, TRIGGERS.CREATED]
+        );
+
+        assert(first === 1, `Expected 1 queued message, got ${first}`);
+        assert(second === 0, `Expected the repeat trigger to queue nothing, got ${second}`);
+        assert(row.count === 1, `Expected 1 notification row, got ${row.count}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A ticket issued near the front is not told again that its turn is close
+async function testApproachingSkippedNearFront() {
+    const testName = 'Approaching message skipped for tickets issued near the front';
+
+    try {
+        const approaching = await findNotification(1, TRIGGERS.APPROACHING);
+        const queued = await notifyApproachingTickets();
+        const after = await findNotification(1, TRIGGERS.APPROACHING);
+
+        assert(approaching && approaching.state === 'skipped', 'Expected a skipped approaching row');
+        assert(queued === 0, `Expected no approaching messages, got ${queued}`);
+        assert(after.id === approaching.id && after.state === 'skipped', 'Approaching row changed');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A failed delivery stays pending with a 30 second backoff
+async function testFirstFailureBacksOff() {
+    const testName = 'Failed delivery is retried after 30 seconds';
+
+    try {
+        // Queueing already started a send; this waits for it or finds nothing due
+        const before = Date.now();
+        await processNotificationQueue();
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+        const delay = delaySeconds(notification, before);
+
+        assert(notification.state === 'pending', `Expected pending, got ${notification.state}`);
+        assert(notification.attempts === 1, `Expected 1 attempt, got ${notification.attempts}`);
+        assert(/500/.test(notification.last_error || ''), `Unexpected last_error: ${notification.last_error}`);
+        assert(delay >= 28 && delay <= 31, `Expected ~30s backoff, got ${delay}s`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Nothing is sent before the backoff has passed
+async function testNotRetriedBeforeDue() {
+    const testName = 'Pending retry is not sent before it is due';
+
+    try {
+        const requests = gateway.requests.length;
+        const sent = await processNotificationQueue();
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+
+        assert(sent === 0, `Expected nothing sent, got ${sent}`);
+        assert(gateway.requests.length === requests, 'Gateway was called before the retry was due');
+        assert(notification.attempts === 1, `Expected 1 attempt, got ${notification.attempts}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The backoff doubles with each failed attempt
+async function testBackoffDoubles() {
+    const testName = 'Backoff doubles on the next failure';
+
+    try {
+        const pending = await findNotification(1, TRIGGERS.CREATED);
+        await makeDue(pending.id);
+
+        const before = Date.now();
+        await processNotificationQueue();
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+        const delay = delaySeconds(notification, before);
+
+        assert(notification.state === 'pending', `Expected pending, got ${notification.state}`);
+        assert(notification.attempts === 2, `Expected 2 attempts, got ${notification.attempts}`);
+        assert(delay >= 59 && delay <= 61, `Expected ~60s backoff, got ${delay}s`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The message fails for good once notify.max_attempts is reached
+async function testFailsAfterMaxAttempts() {
+    const testName = 'Delivery fails permanently after notify.max_attempts';
+
+    try {
+        const pending = await findNotification(1, TRIGGERS.CREATED);
+        await makeDue(pending.id);
+
+        await processNotificationQueue();
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+
+        assert(notification.state === 'failed', `Expected failed, got ${notification.state}`);
+        assert(notification.attempts === 3, `Expected 3 attempts, got ${notification.attempts}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A manual retry resets the attempts and delivers through the gateway
+async function testManualRetryDelivers() {
+    const testName = 'Manual retry delivers the failed message';
+
+    try {
+        const failed = await findNotification(1, TRIGGERS.CREATED);
+        const requests = gateway.requests.length;
+
+        gateway.down = false;
+        await retryNotification(failed.id);
+        const sent = await processNotificationQueue();
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+        const request = gateway.requests[gateway.requests.length - 1];
+
+        assert(sent === 1, `Expected 1 message sent, got ${sent}`);
+        assert(gateway.requests.length === requests + 1, 'Expected exactly one gateway request');
+        assert(notification.state === 'sent' && notification.sent_at, `Expected sent, got ${notification.state}`);
+        assert(notification.attempts === 1, `Expected attempts reset to 1, got ${notification.attempts}`);
+        assert(notification.last_error === null, 'Expected last_error to be cleared');
+        assert(request.body.to === '1234567890', `Unexpected recipient: ${request.body.to}`);
+        assert(request.body.ticketNumber === 'A001', `Unexpected ticket: ${request.body.ticketNumber}`);
+        assert(request.headers.authorization === 'Bearer sms-token', 'Missing gateway bearer token');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Only failed messages can be retried
+async function testRetryRejectsSent() {
+    const testName = 'Manual retry refuses messages that were sent';
+
+    try {
+        const notification = await findNotification(1, TRIGGERS.CREATED);
+        let status = null;
+        try {
+            await retryNotification(notification.id);
+        } catch (error) {
+            status = error.status;
+        }
+
+        assert(status === 404, `Expected 404, got ${status}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A sent message is not queued again by a repeated trigger
+async function testNoResendAfterDelivery() {
+    const testName = 'Repeated trigger does not resend a delivered message';
+
+    try {
+        const requests = gateway.requests.length;
+        const queued = await notifyTicket(1, TRIGGERS.CREATED);
+        await processNotificationQueue();
+
+        assert(queued === 0, `Expected nothing queued, got ${queued}`);
+        assert(gateway.requests.length === requests, 'Gateway was called again');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Credentials are never sent over a plaintext SMTP connection by default
+async function testSmtpRefusesPlaintextAuth() {
+    const testName = 'SMTP AUTH is refused without TLS unless explicitly allowed';
+
+    try {
+        const smtp = {
+            host: '127.0.0.1',
+            port: smtpServer.port,
+            secure: false,
+            user: 'mailer',
+            password: 'mail-secret',
+            from: 'queue@example.com'
+        };
+        const message = { to: 'customer@example.com', subject: 'Ticket A001', text: 'Your turn is close' };
+
+        let refused = null;
+        try {
+            await sendEmail(smtp, message);
+        } catch (error) {
+            refused = error;
+        }
+        const authSent = smtpServer.commands.some((line) => /^AUTH/i.test(line));
+
+        assert(refused && /unencrypted/.test(refused.message), `Expected a refusal, got ${refused && refused.message}`);
+        assert(!authSent, 'Credentials were sent over plaintext');
+        assert(!smtpServer.commands.some((line) => /^MAIL FROM/i.test(line)), 'Mail was sent without authenticating');
+
+        smtpServer.commands = [];
+        await sendEmail({ ...smtp, allowInsecureAuth: true }, message);
+
+        assert(smtpServer.commands.some((line) => /^AUTH PLAIN /i.test(line)), 'Expected AUTH once opted in');
+        assert(smtpServer.commands.includes('MAIL FROM:<queue@example.com>'), 'Expected the message to be sent');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Main test runner
+async function runTests() {
+    console.log('=== Running Notification Tests ===\n');
+
+    try {
+        // Setup
+        await setupServiceEnvironment();
+        await startGateway();
+        await startSmtpServer();
+        await configureNotifications();
+
+        // Run tests
+        await testQueueDedupe();
+        await testApproachingSkippedNearFront();
+        await testFirstFailureBacksOff();
+        await testNotRetriedBeforeDue();
+        await testBackoffDoubles();
+        await testFailsAfterMaxAttempts();
+        await testManualRetryDelivers();
+        await testRetryRejectsSent();
+        await testNoResendAfterDelivery();
+        await testSmtpRefusesPlaintextAuth();
+
+        // Summary
+        console.log('\n=== Test Summary ===');
+        console.log(`Total tests: ${passCount + failCount}`);
+        console.log(`Passed: ${passCount}`);
+        console.log(`Failed: ${failCount}`);
+
+        // Cleanup
+        gateway.server.close();
+        smtpServer.server.close();
+        await closeDatabase();
+        await cleanup();
+        process.exit(failCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Test setup failed:', error);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,229 @@
+const express = require('express');
+const { setupServiceEnvironment, cleanup, TEST_DB_PATH } = require('./setup');
+
+// Services read these when first required
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { run, get } = require('../src/database/dbClient');
+const { invalidateSettingsCache } = require('../src/database/db');
+const { closeDatabase } = require('../src/database/connection');
+const { getCapacityStatus } = require('../src/services/queueCapacity');
+const kioskRoutes = require('../src/routes/kiosk');
+
+// Test results tracking
+let passCount = 0;
+let failCount = 0;
+
+function printResult(testName, passed, error = null) {
+    if (passed) {
+        console.log(`✓ PASS: ${testName}`);
+        passCount++;
+    } else {
+        console.log(`✗ FAIL: ${testName}`);
+        if (error) console.log(`  Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Tickets are issued for service 1, capped at SERVICE_CAP waiting
+const SERVICE_ID = 1;
+const SERVICE_CAP = 3;
+
+let server = null;
+let baseUrl = null;
+
+// The kiosk router on its own, mounted the way src/app.js mounts it
+function startServer() {
+    const app = express();
+    app.use(express.json());
+    app.set('io', null);
+    app.use('/api/kiosk', kioskRoutes);
+
+    return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api/kiosk`;
+            resolve();
+        });
+    });
+}
+
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function issue(serviceId = SERVICE_ID) {
+    return request('POST', '/tickets', { serviceId });
+}
+
+async function setSetting(key, value) {
+    await run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, value]
+    );
+    invalidateSettingsCache();
+}
+
+// Empty service 1's queue and forget any queue stored as full
+async function resetQueue() {
+    await run(`UPDATE tickets SET state = 'completed' WHERE service_id = ? AND state IN ('waiting', 'recycled')`, [
+        SERVICE_ID
+    ]);
+    await run('DELETE FROM queue_capacity_state');
+}
+
+// Serve the oldest waiting tickets, which frees their places in line
+async function completeOldest(count) {
+    await run(
+        `UPDATE tickets SET state = 'completed'
+         WHERE id IN (SELECT id FROM tickets WHERE service_id = ? AND state = 'waiting' ORDER BY id LIMIT ?)`,
+        [SERVICE_ID, count]
+    );
+}
+
+function isStoredFull(scope) {
+    return get('SELECT scope FROM queue_capacity_state WHERE scope = ?', [scope]);
+}
+
+// Test: A service stops issuing at its cap and offers another service
+async function testServiceCap() {
+    const testName = 'Full service queue gets 409 with queueFull and an alternative';
+
+    try {
+        await resetQueue();
+        await run('UPDATE services SET max_waiting_tickets = ? WHERE id = ?', [SERVICE_CAP, SERVICE_ID]);
+
+        for (let i = 0; i < SERVICE_CAP; i++) {
+            const issued = await issue();
+            assert(issued.status === 201, `Ticket ${i + 1} below the cap got ${issued.status}`);
+        }
+        const refused = await issue();
+
+        assert(refused.status === 409, `Expected 409 at the cap, got ${refused.status}`);
+        assert(refused.body.queueFull === true, 'Expected queueFull in the 409 body');
+        assert(/queue is full/.test(refused.body.error), `Unexpected message: ${refused.body.error}`);
+        assert(refused.body.alternative, 'Expected an alternative service');
+        assert(refused.body.alternative.id !== SERVICE_ID, 'The full service was offered as its own alternative');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The kiosk service list shows the full queue and the same alternative
+async function testServicesListShowsFull() {
+    const testName = 'Kiosk service list marks the full queue with an alternative';
+
+    try {
+        const response = await request('GET', '/services');
+        const service = response.body.services.find((entry) => entry.id === SERVICE_ID);
+
+        assert(response.status === 200, `Expected 200, got ${response.status}`);
+        assert(service.capacity.full && service.capacity.scope === 'service', 'Expected a full service queue');
+        assert(service.capacity.cap === SERVICE_CAP, `Expected cap ${SERVICE_CAP}, got ${service.capacity.cap}`);
+        assert(service.alternative && service.alternative.id !== SERVICE_ID, 'Expected an alternative service');
+        assert(await isStoredFull(String(SERVICE_ID)), 'Expected the full queue to be stored');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A full queue reopens only below config.queue_low_water_percent of its cap
+async function testLowWaterReopen() {
+    const testName = 'Full queue reopens once waiting drops below the low-water mark';
+
+    try {
+        // 80% of 3 waiting: reopens below 2
+        await setSetting('config.queue_low_water_percent', '80');
+        await getCapacityStatus();
+
+        await completeOldest(1);
+        const stillFull = await issue();
+        const status = await getCapacityStatus();
+
+        assert(stillFull.status === 409, `Expected 409 at the low-water mark, got ${stillFull.status}`);
+        assert(status.queues.get(SERVICE_ID).reopenBelow === 2, 'Expected the queue to reopen below 2');
+
+        await completeOldest(1);
+        await getCapacityStatus();
+        const reopened = await issue();
+
+        assert(!(await isStoredFull(String(SERVICE_ID))), 'Expected the queue to be stored as open');
+        assert(reopened.status === 201, `Expected 201 below the low-water mark, got ${reopened.status}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The system-wide cap refuses every service without an alternative
+async function testSystemCap() {
+    const testName = 'Full system gets 409 with queueFull and no alternative';
+
+    try {
+        await run('UPDATE services SET max_waiting_tickets = NULL WHERE id = ?', [SERVICE_ID]);
+        const { waiting } = await get(`SELECT COUNT(*) AS waiting FROM tickets WHERE state IN ('waiting', 'recycled')`);
+        await setSetting('config.max_waiting_tickets', String(waiting));
+
+        const refused = await issue(2);
+        await setSetting('config.max_waiting_tickets', '0');
+        const reopened = await issue(2);
+
+        assert(refused.status === 409, `Expected 409 at the system cap, got ${refused.status}`);
+        assert(refused.body.queueFull === true, 'Expected queueFull in the 409 body');
+        assert(/All queues are full/.test(refused.body.error), `Unexpected message: ${refused.body.error}`);
+        assert(refused.body.alternative === null, 'Expected no alternative while the system is full');
+        assert(reopened.status === 201, `Expected 201 with no cap, got ${reopened.status}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Main test runner
+async function runTests() {
+    console.log('=== Running Queue Capacity Tests ===\n');
+
+    try {
+        // Setup
+        await setupServiceEnvironment();
+        await startServer();
+
+        // Run tests
+        await testServiceCap();
+        await testServicesListShowsFull();
+        await testLowWaterReopen();
+        await testSystemCap();
+
+        // Summary
+        console.log('\n=== Test Summary ===');
+        console.log(`Total tests: ${passCount + failCount}`);
+        console.log(`Passed: ${passCount}`);
+        console.log(`Failed: ${failCount}`);
+
+        // Cleanup
+        server.close();
+        await closeDatabase();
+        await cleanup();
+        process.exit(failCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Test setup failed:', error);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
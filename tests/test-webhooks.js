@@ -0,0 +1,450 @@
+const http = require('http');
+const crypto = require('crypto');
+const { setupServiceEnvironment, cleanup, TEST_DB_PATH } = require('./setup');
+
+// Services read these when first required
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { get, run } = require('../src/database/dbClient');
+const { invalidateSettingsCache } = require('../src/database/db');
+const { closeDatabase } = require('../src/database/connection');
+const { logEvent } = require('../src/database/events');
+const {
+    signPayload,
+    processWebhookQueue,
+    createWebhook,
+    updateWebhook,
+    redeliver
+} = require('../src/services/webhooks');
+
+// Test results tracking
+let passCount = 0;
+let failCount = 0;
+
+function printResult(testName, passed, error = null) {
+    if (passed) {
+        console.log(`✓ PASS: ${testName}`);
+        passCount++;
+    } else {
+        console.log(`✗ FAIL: ${testName}`);
+        if (error) console.log(`  Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Fake receiver: fails with a 500 while down and records every request
+// with its raw body, as needed to check the signature
+const receiver = {
+    down: false,
+    requests: [],
+    server: null,
+    url: null
+};
+
+// Webhooks created by the tests, with their signing secrets
+const hooks = {};
+
+// Ids of the audit events logged by the tests, by name
+const events = {};
+
+function startReceiver() {
+    return new Promise((resolve) => {
+        receiver.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                receiver.requests.push({ path: req.url, headers: req.headers, body });
+                res.statusCode = receiver.down ? 500 : 200;
+                res.end(receiver.down ? 'receiver down' : 'ok');
+            });
+        });
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+            resolve();
+        });
+    });
+}
+
+async function setSetting(key, value) {
+    await run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, value]
+    );
+    invalidateSettingsCache();
+}
+
+async function logTicketEvent(name, eventType) {
+    const event = await logEvent(eventType, 'ticket', 1, { ticketNumber: 'A001' });
+    events[name] = event.id;
+    return event.id;
+}
+
+function findDelivery(webhookId, eventId) {
+    return get('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND event_id = ?', [webhookId, eventId]);
+}
+
+async function countDeliveries(eventId) {
+    const row = await get('SELECT COUNT(*) AS count FROM webhook_deliveries WHERE event_id = ?', [eventId]);
+    return row.count;
+}
+
+function requestsTo(path) {
+    return receiver.requests.filter((request) => request.path === path);
+}
+
+// Make a pending retry due now instead of waiting out its backoff
+function makeDue(deliveryId) {
+    return run('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [
+        new Date(Date.now() - 1000).toISOString(),
+        deliveryId
+    ]);
+}
+
+function delaySeconds(delivery, before) {
+    return (new Date(delivery.next_attempt_at) - before) / 1000;
+}
+
+async function expectStatus(promise, status) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.status === status, `Expected ${status}, got ${error.status}: ${error.message}`);
+        return;
+    }
+    throw new Error(`Expected a ${status} error`);
+}
+
+// Test: Invalid URLs and unknown event types are refused
+async function testCreateValidation() {
+    const testName = 'Webhook creation validates URL and event types';
+
+    try {
+        await expectStatus(createWebhook({ name: 'Bad URL', url: 'ftp://example.com/hook' }), 400);
+        await expectStatus(createWebhook({ name: 'Bad events', url: receiver.url, eventTypes: ['NOT_AN_EVENT'] }), 400);
+        await expectStatus(createWebhook({ name: '  ', url: receiver.url }), 400);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Endpoints are created with a secret, returned only on creation
+async function testCreateWebhooks() {
+    const testName = 'Create webhooks with signing secrets';
+
+    try {
+        hooks.all = await createWebhook({ name: 'All events', url: `${receiver.url}/all` });
+        hooks.called = await createWebhook({
+            name: 'Calls only',
+            url: `${receiver.url}/called`,
+            eventTypes: ['ticket_called']
+        });
+
+        assert(/^whsec_[0-9a-f]{48}$/.test(hooks.all.secret), `Unexpected secret: ${hooks.all.secret}`);
+        assert(hooks.all.secret !== hooks.called.secret, 'Expected a secret per webhook');
+        assert(hooks.all.eventTypes[0] === '*', 'Expected the default subscription to be "*"');
+        assert(hooks.called.eventTypes[0] === 'TICKET_CALLED', 'Expected event types to be normalised');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: An event is only queued for the endpoints subscribed to it
+async function testSubscriptionFilter() {
+    const testName = 'Events are queued only for subscribed webhooks';
+
+    try {
+        const eventId = await logTicketEvent('created', 'TICKET_CREATED');
+        await processWebhookQueue();
+        const queued = await countDeliveries(eventId);
+
+        assert(queued === 1, `Expected 1 delivery, got ${queued}`);
+        assert(await findDelivery(hooks.all.id, eventId), 'Missing delivery for the "*" webhook');
+        assert(!(await findDelivery(hooks.called.id, eventId)), 'Calls-only webhook received TICKET_CREATED');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Events are queued from the events table, so none is lost or sent twice
+async function testOutboxSweep() {
+    const testName = 'Logged events are queued from the stored cursor exactly once';
+
+    try {
+        // Logged without waking the worker, as if the process stopped right after
+        const inserted = await run(
+            `INSERT INTO events (event_type, entity_type, entity_id, data)
+             VALUES ('TICKET_CREATED', 'ticket', 1, '{"ticketNumber":"A001"}')`
+        );
+        const eventId = inserted.lastID;
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.all.id, eventId);
+
+        // A sweep repeated from an older cursor finds the delivery already queued
+        await run('UPDATE webhook_event_cursor SET last_event_id = ? WHERE id = 1', [eventId - 1]);
+        await processWebhookQueue();
+        const queued = await countDeliveries(eventId);
+        const cursor = await get('SELECT last_event_id FROM webhook_event_cursor WHERE id = 1');
+
+        assert(delivery && delivery.state === 'delivered', 'Expected the swept event to be delivered');
+        assert(queued === 1, `Expected 1 delivery after the repeated sweep, got ${queued}`);
+        assert(cursor.last_event_id >= eventId, `Cursor did not move past event ${eventId}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The request carries an HMAC-SHA256 signature of "<timestamp>.<body>"
+async function testSignature() {
+    const testName = 'Delivery is signed with HMAC-SHA256 of timestamp and body';
+
+    try {
+        const [request] = requestsTo('/all');
+        assert(request, 'Receiver got no request');
+
+        const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-flowmatic-signature'] || '');
+        assert(match, `Malformed signature header: ${request.headers['x-flowmatic-signature']}`);
+
+        const [, timestamp, signature] = match;
+        const expected = crypto
+            .createHmac('sha256', hooks.all.secret)
+            .update(`${timestamp}.${request.body}`)
+            .digest('hex');
+        const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+        assert(signature === expected, 'Signature does not match the body');
+        assert(signature === signPayload(hooks.all.secret, timestamp, request.body), 'signPayload disagrees');
+        assert(signature !== signPayload(hooks.all.secret, timestamp, `${request.body} `), 'Tampered body verified');
+        assert(signature !== signPayload(hooks.called.secret, timestamp, request.body), 'Other secret verified');
+        assert(age < 60, `Signature timestamp is ${age}s old`);
+        assert(request.headers['x-flowmatic-event'] === 'TICKET_CREATED', 'Missing event header');
+
+        const payload = JSON.parse(request.body);
+        assert(payload.id === `evt_${events.created}` && payload.type === 'TICKET_CREATED', 'Unexpected payload');
+
+        const delivery = await findDelivery(hooks.all.id, events.created);
+        assert(delivery.state === 'delivered' && delivery.attempts === 1, `Expected delivered, got ${delivery.state}`);
+        assert(request.headers['x-flowmatic-delivery'] === String(delivery.id), 'Missing delivery id header');
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A failed delivery stays pending with a 30 second backoff
+async function testFirstFailureBacksOff() {
+    const testName = 'Failed delivery is retried after 30 seconds';
+
+    try {
+        receiver.down = true;
+        const before = Date.now();
+        const eventId = await logTicketEvent('called', 'TICKET_CALLED');
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.called.id, eventId);
+        const delay = delaySeconds(delivery, before);
+
+        assert(delivery.state === 'pending', `Expected pending, got ${delivery.state}`);
+        assert(delivery.attempts === 1, `Expected 1 attempt, got ${delivery.attempts}`);
+        assert(delivery.response_status === 500, `Expected status 500, got ${delivery.response_status}`);
+        assert(delivery.last_error === 'Endpoint responded 500', `Unexpected last_error: ${delivery.last_error}`);
+        assert(delay >= 29 && delay <= 32, `Expected ~30s backoff, got ${delay}s`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The backoff doubles with each failed attempt
+async function testBackoffDoubles() {
+    const testName = 'Backoff doubles on the next failure';
+
+    try {
+        const pending = await findDelivery(hooks.called.id, events.called);
+        const requests = requestsTo('/called').length;
+
+        await processWebhookQueue();
+        assert(requestsTo('/called').length === requests, 'Retried before the backoff passed');
+
+        await makeDue(pending.id);
+        const before = Date.now();
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.called.id, events.called);
+        const delay = delaySeconds(delivery, before);
+
+        assert(delivery.state === 'pending', `Expected pending, got ${delivery.state}`);
+        assert(delivery.attempts === 2, `Expected 2 attempts, got ${delivery.attempts}`);
+        assert(delay >= 59 && delay <= 62, `Expected ~60s backoff, got ${delay}s`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: The delivery fails for good once webhook.max_attempts is reached
+async function testFailsAfterMaxAttempts() {
+    const testName = 'Delivery fails permanently after webhook.max_attempts';
+
+    try {
+        const pending = await findDelivery(hooks.called.id, events.called);
+        await makeDue(pending.id);
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.called.id, events.called);
+
+        assert(delivery.state === 'failed', `Expected failed, got ${delivery.state}`);
+        assert(delivery.attempts === 3, `Expected 3 attempts, got ${delivery.attempts}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: Redelivery restarts the attempts and signs the resend afresh
+async function testRedeliver() {
+    const testName = 'Redelivery sends a failed delivery again, signed';
+
+    try {
+        receiver.down = false;
+        const failed = await findDelivery(hooks.called.id, events.called);
+
+        await redeliver(failed.id);
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.called.id, events.called);
+        const requests = requestsTo('/called');
+        const request = requests[requests.length - 1];
+        const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-flowmatic-signature']);
+
+        assert(delivery.state === 'delivered', `Expected delivered, got ${delivery.state}`);
+        assert(delivery.attempts === 1, `Expected attempts reset to 1, got ${delivery.attempts}`);
+        assert(delivery.last_error === null, 'Expected last_error to be cleared');
+        assert(signature === signPayload(hooks.called.secret, timestamp, request.body), 'Resend is not signed');
+        await expectStatus(redeliver(999999), 404);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A disabled endpoint keeps its backlog until it is enabled again
+async function testDisabledKeepsBacklog() {
+    const testName = 'Disabled webhook keeps its deliveries until re-enabled';
+
+    try {
+        await updateWebhook(hooks.all.id, { isActive: false });
+        const eventId = await logTicketEvent('disabled', 'TICKET_CREATED');
+        await processWebhookQueue();
+        const queued = await countDeliveries(eventId);
+        await run(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, state, next_attempt_at)
+             VALUES (?, ?, ?, ?, 'pending', ?)`,
+            [hooks.all.id, eventId, 'TICKET_CREATED', `{"id":"evt_${eventId}"}`, new Date().toISOString()]
+        );
+        const requests = requestsTo('/all').length;
+        await processWebhookQueue();
+        const held = await findDelivery(hooks.all.id, eventId);
+
+        assert(queued === 0, `Expected nothing queued for a disabled webhook, got ${queued}`);
+        assert(held.state === 'pending' && held.attempts === 0, 'Disabled webhook delivery was attempted');
+        assert(requestsTo('/all').length === requests, 'Disabled webhook was called');
+
+        await updateWebhook(hooks.all.id, { isActive: true });
+        await processWebhookQueue();
+        const delivery = await findDelivery(hooks.all.id, eventId);
+
+        assert(delivery.state === 'delivered', `Expected delivered after re-enabling, got ${delivery.state}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Test: A disabled endpoint's backlog does not hold up active endpoints
+async function testDisabledBacklogDoesNotBlock() {
+    const testName = 'Disabled webhook backlog does not block other endpoints';
+
+    try {
+        await updateWebhook(hooks.all.id, { isActive: false });
+
+        // More overdue deliveries than one batch takes, all older than the active one
+        const overdue = new Date(Date.now() - 60 * 1000).toISOString();
+        for (let eventId = 200; eventId < 225; eventId++) {
+            await run(
+                `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, state, next_attempt_at)
+                 VALUES (?, ?, ?, ?, 'pending', ?)`,
+                [hooks.all.id, eventId, 'TICKET_CREATED', `{"id":"evt_${eventId}"}`, overdue]
+            );
+        }
+
+        const eventId = await logTicketEvent('backlog', 'TICKET_CALLED');
+        await processWebhookQueue();
+        const queued = await countDeliveries(eventId);
+        const delivery = await findDelivery(hooks.called.id, eventId);
+        const held = await get(
+            `SELECT COUNT(*) AS count FROM webhook_deliveries
+             WHERE webhook_id = ? AND state = 'pending' AND attempts = 0`,
+            [hooks.all.id]
+        );
+
+        assert(queued === 1, `Expected 1 delivery for the active webhook, got ${queued}`);
+        assert(delivery.state === 'delivered', `Expected delivered, got ${delivery.state}`);
+        assert(held.count === 25, `Expected the 25 disabled deliveries held, got ${held.count}`);
+        printResult(testName, true);
+    } catch (error) {
+        printResult(testName, false, error);
+    }
+}
+
+// Main test runner
+async function runTests() {
+    console.log('=== Running Webhook Tests ===\n');
+
+    try {
+        // Setup
+        await setupServiceEnvironment();
+        await startReceiver();
+        await setSetting('webhook.max_attempts', '3');
+
+        // Run tests
+        await testCreateValidation();
+        await testCreateWebhooks();
+        await testSubscriptionFilter();
+        await testSignature();
+        await testOutboxSweep();
+        await testFirstFailureBacksOff();
+        await testBackoffDoubles();
+        await testFailsAfterMaxAttempts();
+        await testRedeliver();
+        await testDisabledKeepsBacklog();
+        await testDisabledBacklogDoesNotBlock();
+
+        // Summary
+        console.log('\n=== Test Summary ===');
+        console.log(`Total tests: ${passCount + failCount}`);
+        console.log(`Passed: ${passCount}`);
+        console.log(`Failed: ${failCount}`);
+
+        // Cleanup
+        receiver.server.close();
+        await closeDatabase();
+        await cleanup();
+        process.exit(failCount > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Test setup failed:', error);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();